@@ -0,0 +1,37 @@
+// scripts/anonymize-ips.js - Apply the IP privacy mode to clicks already stored
+// Usage: npm run privacy:anonymize-ips -- [--mode=truncated|hash|none] [--dry-run]
+// Without --mode the configured IP_PRIVACY_MODE is applied.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ipPrivacy = require('../src/services/ipPrivacy');
+
+const option = (name) => {
+  const arg = process.argv.slice(2).find(value => value === `--${name}` || value.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+};
+
+const main = async () => {
+  const mode = option('mode') || ipPrivacy.getMode();
+  const dryRun = Boolean(option('dry-run'));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    console.log(`🔒 Applying IP privacy mode "${mode}" to stored clicks${dryRun ? ' (dry run)' : ''}...`);
+    const result = await ipPrivacy.anonymizeStoredClicks({
+      mode,
+      dryRun,
+      onProgress: ({ scanned, updated }) => console.log(`   ${scanned} scanned, ${updated} ${dryRun ? 'to update' : 'updated'}`)
+    });
+    const outcome = dryRun ? 'would be anonymized' : 'anonymized';
+    console.log(`✅ ${result.scanned} clicks scanned, ${result.updated} ${outcome}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ IP anonymization failed:', error.message);
+  process.exit(1);
+});
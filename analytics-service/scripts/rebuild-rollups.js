@@ -0,0 +1,26 @@
+// scripts/rebuild-rollups.js - Recompute click rollups from raw clicks
+// Usage: npm run rollups:rebuild
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AnalyticsRollup = require('../src/models/AnalyticsRollup');
+const rollups = require('../src/services/rollups');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Counter keys can change between versions; drop indexes the schema no longer has
+    await AnalyticsRollup.syncIndexes();
+
+    console.log('📦 Rebuilding rollups (waits for a running compaction to finish)...');
+    const result = await rollups.rebuild();
+    console.log(`✅ Generation ${result.generation}: ${result.clicks} clicks rolled up, ${result.carried} counters of purged days carried over, ${result.removed} old counters removed`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Rollup rebuild failed:', error.message);
+  process.exit(1);
+});
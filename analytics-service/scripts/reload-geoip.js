@@ -0,0 +1,28 @@
+// scripts/reload-geoip.js - Ask a running analytics service to re-read its GeoIP databases
+// Usage: npm run geoip:reload (or send the process SIGHUP)
+require('dotenv').config();
+
+const url = process.env.GEOIP_RELOAD_URL || `http://localhost:${process.env.PORT || 3002}/api/geoip/reload`;
+
+const main = async () => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'X-API-Key': process.env.ADMIN_API_KEY || '' }
+  });
+  const body = await response.json();
+
+  for (const database of body.data?.databases || []) {
+    const status = database.error ? `❌ ${database.error}` : `✅ ${database.entries} entries`;
+    console.log(`${database.path} (${database.type || 'unknown'}): ${status}`);
+  }
+
+  if (!body.success) {
+    throw new Error(body.message);
+  }
+  console.log(`🔄 ${body.message}`);
+};
+
+main().catch(error => {
+  console.error('❌ GeoIP reload failed:', error.message);
+  process.exit(1);
+});
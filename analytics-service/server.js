@@ -6,6 +6,9 @@ const cors = require('cors');
 
 // Import routes
 const analyticsRoutes = require('./src/routes/analyticsRoutes');
+const rollups = require('./src/services/rollups');
+const geoip = require('./src/services/geoip');
+const retention = require('./src/services/retention');
 
 // Initialize Express app
 const app = express();
@@ -35,6 +38,11 @@ const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    if (process.env.ROLLUP_COMPACTION_ENABLED !== 'false') {
+      rollups.start();
+    }
+    retention.start();
   } catch (error) {
     console.error('Database connection failed:', error.message);
     setTimeout(connectDB, 5000);
@@ -44,6 +52,9 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// GeoIP databases are local files; nothing here needs the network
+geoip.start();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -69,6 +80,9 @@ app.get('/', (req, res) => {
       'GET /api/analytics/:shortCode': 'Get analytics for a URL',
       'GET /api/analytics/aggregate': 'Get aggregated statistics',
       'GET /api/analytics/top': 'Get top performing URLs',
+      'POST /api/geoip/reload': 'Reload the GeoIP database files',
+      'POST /api/erasure': 'Erase all clicks of an IP address or visitor id',
+      'GET /api/erasure/:id': 'Get an erasure receipt',
       'GET /health': 'Service health check'
     }
   });
@@ -119,10 +133,19 @@ const server = app.listen(PORT, () => {
   console.log(`🗄️  Database: ${process.env.MONGODB_URI}`);
 });
 
+// Reload the GeoIP databases without a restart (kill -HUP <pid>)
+process.on('SIGHUP', async () => {
+  console.log('🔄 SIGHUP received. Reloading GeoIP databases...');
+  await geoip.reload();
+});
+
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    geoip.stop();
+    await retention.stop();
+    await rollups.stop();
     console.log('✅ Process terminated');
     mongoose.connection.close();
   });
@@ -130,7 +153,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    geoip.stop();
+    await retention.stop();
+    await rollups.stop();
     console.log('✅ Process terminated');
     mongoose.connection.close();
   });
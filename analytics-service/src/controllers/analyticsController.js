@@ -1,5 +1,27 @@
 // src/controllers/analyticsController.js - Analytics business logic
+const mongoose = require('mongoose');
 const Analytics = require('../models/Analytics');
+const webhookEvents = require('../services/webhookEvents');
+const rollups = require('../services/rollups');
+const geoip = require('../services/geoip');
+const ipPrivacy = require('../services/ipPrivacy');
+const retention = require('../services/retention');
+const erasure = require('../services/erasure');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/cursor');
+const { rangeFilter, toBreakdown } = require('../utils/aggregation');
+
+// Fields returned for each click unless the caller picks its own
+const DEFAULT_CLICK_FIELDS = ['clickedAt', 'userAgent', 'referer', 'country', 'deviceType'];
+const RECENT_CLICKS_LIMIT = 100;
+
+/**
+ * Whether a write failed only because the click's event id is already stored
+ * @param {Object} error - Error or bulk write error entry
+ * @returns {boolean}
+ */
+function isDuplicateClick(error) {
+  return (error.err || error).code === 11000;
+}
 
 /**
  * Track a single click event
@@ -13,8 +35,13 @@ const trackClick = async (req, res) => {
       referer, 
       ipAddress, 
       country,
+      region,
       city,
       acceptLanguage,
+      visitorId,
+      eventId,
+      targetingRule,
+      variant,
       timestamp 
     } = req.body;
 
@@ -26,19 +53,41 @@ const trackClick = async (req, res) => {
       });
     }
 
-    // Create analytics entry
-    const analyticsEntry = new Analytics({
+    // Create analytics entry, locating the visitor from the local GeoIP databases
+    // before the privacy mode cuts the address down
+    const located = await geoip.enrich({
       shortCode,
       userAgent: userAgent || 'unknown',
       referer: referer || 'direct',
       ipAddress: ipAddress || 'unknown',
       country: country || null,
+      region: region || null,
       city: city || null,
       acceptLanguage: acceptLanguage || 'unknown',
+      visitorId: visitorId || null,
+      eventId: eventId || undefined,
+      targetingRule: targetingRule || null,
+      variant: variant || null,
       clickedAt: timestamp ? new Date(timestamp) : new Date()
     });
-
-    await analyticsEntry.save();
+    const analyticsEntry = new Analytics(await ipPrivacy.protectClick(located));
+
+    try {
+      await analyticsEntry.save();
+    } catch (error) {
+      if (!isDuplicateClick(error)) throw error;
+
+      // Sent again after a lost response: already stored
+      return res.status(200).json({
+        success: true,
+        message: 'Click already tracked',
+        data: {
+          shortCode: analyticsEntry.shortCode,
+          eventId: analyticsEntry.eventId
+        }
+      });
+    }
+    webhookEvents.emitClicks([analyticsEntry]);
 
     res.status(201).json({
       success: true,
@@ -84,26 +133,40 @@ const trackClicksBatch = async (req, res) => {
       });
     }
 
-    // Prepare analytics entries
-    const analyticsEntries = clicks.map(click => ({
+    // Prepare analytics entries (located first, then anonymized)
+    const analyticsEntries = await Promise.all(clicks.map(async click => ipPrivacy.protectClick(await geoip.enrich({
       shortCode: click.shortCode,
       userAgent: click.userAgent || 'unknown',
       referer: click.referer || 'direct',
       ipAddress: click.ipAddress || 'unknown',
       country: click.country || null,
+      region: click.region || null,
       city: click.city || null,
       acceptLanguage: click.acceptLanguage || 'unknown',
+      visitorId: click.visitorId || null,
+      eventId: click.eventId || undefined,
+      targetingRule: click.targetingRule || null,
+      variant: click.variant || null,
       clickedAt: click.timestamp ? new Date(click.timestamp) : new Date()
-    }));
-
-    // Bulk insert
-    const result = await Analytics.insertMany(analyticsEntries);
+    }))));
+
+    // Bulk insert; clicks whose event id is already stored (a batch sent again
+    // after a lost response) are skipped but still count as tracked
+    let stored;
+    try {
+      stored = await Analytics.insertMany(analyticsEntries, { ordered: false, throwOnValidationError: true });
+    } catch (error) {
+      if (!error.writeErrors || !error.writeErrors.every(isDuplicateClick)) throw error;
+      stored = error.insertedDocs;
+    }
+    webhookEvents.emitClicks(stored);
 
     res.status(201).json({
       success: true,
-      message: `${result.length} clicks tracked successfully`,
+      message: `${clicks.length} clicks tracked successfully`,
       data: {
-        tracked: result.length
+        tracked: clicks.length,
+        duplicates: clicks.length - stored.length
       }
     });
 
@@ -124,22 +187,11 @@ const trackClicksBatch = async (req, res) => {
 const getAnalytics = async (req, res) => {
   try {
     const { shortCode } = req.params;
-    const { startDate, endDate, detailed } = req.query;
-
-    // Build date filter
-    const dateFilter = {};
-    if (startDate) {
-      dateFilter.$gte = new Date(startDate);
-    }
-    if (endDate) {
-      dateFilter.$lte = new Date(endDate);
-    }
+    const { detailed } = req.query;
+    const includeBots = req.query.includeBots === 'true';
 
-    // Get analytics summary
-    const summary = await Analytics.getAnalyticsSummary(shortCode);
-
-    // Get clicks over time
-    const clicksOverTime = await Analytics.getClicksOverTime(shortCode, 30);
+    // Counters come from rollups plus the not yet compacted clicks
+    const summary = await rollups.getLinkSummary(shortCode, { detailed: detailed === 'true', includeBots });
 
     const response = {
       success: true,
@@ -147,29 +199,39 @@ const getAnalytics = async (req, res) => {
         shortCode,
         summary: {
           totalClicks: summary.totalClicks,
-          uniqueVisitors: summary.uniqueVisitors
+          uniqueVisitors: summary.uniqueVisitors,
+          // Unique visitors only cover the raw clicks kept since a retention purge
+          ...(summary.uniqueVisitorsSince && { uniqueVisitorsSince: summary.uniqueVisitorsSince })
         },
-        clicksOverTime,
+        clicksOverTime: summary.clicksOverTime,
         demographics: {
           countries: summary.clicksByCountry,
+          regions: summary.clicksByRegion,
+          cities: summary.clicksByCity,
           devices: summary.clicksByDevice
         },
-        referrers: summary.topReferrers
+        referrers: summary.topReferrers,
+        targeting: summary.clicksByTargetingRule,
+        variants: summary.clicksByVariant
       }
     };
 
     // Add detailed information if requested
     if (detailed === 'true') {
-      const clicksByBrowser = await Analytics.getClicksByBrowser(shortCode);
-      response.data.demographics.browsers = clicksByBrowser;
-
-      // Get recent clicks
-      const recentClicks = await Analytics.find({ shortCode })
-        .sort({ clickedAt: -1 })
-        .limit(100)
-        .select('clickedAt userAgent referer country deviceType');
-      
+      response.data.demographics.browsers = summary.clicksByBrowser;
+      response.data.demographics.operatingSystems = summary.clicksByOs;
+
+      // Get recent clicks; older ones are paged from GET /api/analytics/:shortCode/clicks
+      const found = await Analytics.find({ shortCode, ...Analytics.botFilter(includeBots) })
+        .sort({ clickedAt: -1, _id: -1 })
+        .limit(RECENT_CLICKS_LIMIT + 1)
+        .select(DEFAULT_CLICK_FIELDS.join(' '));
+
+      const recentClicks = found.slice(0, RECENT_CLICKS_LIMIT);
       response.data.recentClicks = recentClicks;
+      response.data.recentClicksCursor = found.length > RECENT_CLICKS_LIMIT
+        ? encodeCursor(recentClicks[recentClicks.length - 1])
+        : null;
     }
 
     res.status(200).json(response);
@@ -184,6 +246,68 @@ const getAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * List the clicks of a short code, newest first, with cursor pagination
+ * GET /api/analytics/:shortCode/clicks
+ */
+const getClicks = async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const { limit = 50, after, fields, includeTotal, includeBots } = req.query;
+
+    const filter = { shortCode, ...Analytics.botFilter(includeBots) };
+    let query = filter;
+    if (after) {
+      const cursor = decodeCursor(after);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      query = { ...filter, ...buildCursorFilter(cursor) };
+    }
+
+    // clickedAt is always selected so the next cursor can be built
+    const projection = [...new Set([...(fields || DEFAULT_CLICK_FIELDS), 'clickedAt'])].join(' ');
+
+    // Fetch one extra click to know whether another page exists
+    const found = await Analytics.find(query)
+      .sort({ clickedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select(projection);
+
+    const hasMore = found.length > limit;
+    const clicks = hasMore ? found.slice(0, limit) : found;
+
+    const pagination = {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(clicks[clicks.length - 1]) : null
+    };
+    if (includeTotal) {
+      pagination.total = await Analytics.countDocuments(filter);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shortCode,
+        clicks,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getClicks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving clicks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get aggregated analytics across all URLs
  * GET /api/analytics/aggregate
@@ -192,44 +316,20 @@ const getAggregatedAnalytics = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    // Build date filter
-    const dateFilter = {};
-    if (startDate) {
-      dateFilter.$gte = new Date(startDate);
-    }
-    if (endDate) {
-      dateFilter.$lte = new Date(endDate);
-    }
+    // endDate is inclusive; rollup ranges have an exclusive end
+    const range = {
+      from: startDate ? new Date(startDate) : null,
+      to: endDate ? new Date(new Date(endDate).getTime() + 1) : null,
+      includeBots: req.query.includeBots === 'true'
+    };
 
-    const matchStage = Object.keys(dateFilter).length > 0
-      ? { clickedAt: dateFilter }
-      : {};
-
-    // Aggregate data
-    const [totalClicks, uniqueUrls, topCountries, topDevices] = await Promise.all([
-      // Total clicks
-      Analytics.countDocuments(matchStage),
-      
-      // Unique URLs
-      Analytics.distinct('shortCode', matchStage),
-      
-      // Top countries
-      Analytics.aggregate([
-        { $match: matchStage },
-        { $group: { _id: '$country', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 },
-        { $project: { _id: 0, country: '$_id', count: 1 } }
-      ]),
-      
-      // Top devices
-      Analytics.aggregate([
-        { $match: matchStage },
-        { $group: { _id: '$deviceType', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $project: { _id: 0, deviceType: '$_id', count: 1 } }
-      ])
+    const [totalClicks, clicksByUrl, topCountries, topDevices] = await Promise.all([
+      rollups.total(range),
+      rollups.count({ ...range, by: 'shortCode' }),
+      rollups.breakdown('country', 'country', { ...range, limit: 10 }),
+      rollups.breakdown('device', 'deviceType', range)
     ]);
+    const uniqueUrls = [...clicksByUrl.values()].filter(clicks => clicks > 0);
 
     res.status(200).json({
       success: true,
@@ -285,33 +385,41 @@ const getTopUrls = async (req, res) => {
         break;
     }
 
-    const matchStage = Object.keys(dateFilter).length > 0
-      ? { clickedAt: dateFilter }
-      : {};
-
-    // Get top URLs by click count
-    const topUrls = await Analytics.aggregate([
-      { $match: matchStage },
-      { 
-        $group: { 
-          _id: '$shortCode',
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipAddress' },
-          lastClick: { $max: '$clickedAt' }
-        } 
-      },
+    const range = { from: dateFilter.$gte || null, to: null };
+    const includeBots = req.query.includeBots === 'true';
+
+    // Rank by rolled-up click counts, then read visitors for the winners only
+    const ranked = toBreakdown(
+      await rollups.count({ ...range, by: 'shortCode', includeBots }),
+      'shortCode',
+      parseInt(limit)
+    );
+    const details = await Analytics.aggregate([
       {
-        $project: {
-          _id: 0,
-          shortCode: '$_id',
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' },
-          lastClick: 1
+        $match: {
+          shortCode: { $in: ranked.map(entry => entry.shortCode) },
+          ...rangeFilter('clickedAt', range),
+          ...Analytics.botFilter(includeBots)
         }
       },
-      { $sort: { clicks: -1 } },
-      { $limit: parseInt(limit) }
+      { $group: { _id: { shortCode: '$shortCode', ipAddress: '$ipAddress' }, lastClick: { $max: '$clickedAt' } } },
+      {
+        $group: {
+          _id: '$_id.shortCode',
+          // Clicks stored without an address (privacy mode 'none') are no visitor
+          uniqueVisitors: { $sum: { $cond: [{ $eq: ['$_id.ipAddress', null] }, 0, 1] } },
+          lastClick: { $max: '$lastClick' }
+        }
+      }
     ]);
+    const detailsByCode = new Map(details.map(entry => [entry._id, entry]));
+
+    const topUrls = ranked.map(({ shortCode, count }) => ({
+      shortCode,
+      clicks: count,
+      uniqueVisitors: detailsByCode.get(shortCode)?.uniqueVisitors || 0,
+      lastClick: detailsByCode.get(shortCode)?.lastClick || null
+    }));
 
     res.status(200).json({
       success: true,
@@ -341,6 +449,7 @@ const deleteAnalytics = async (req, res) => {
     const { shortCode } = req.params;
 
     const result = await Analytics.deleteMany({ shortCode });
+    await rollups.removeShortCode(shortCode);
 
     res.status(200).json({
       success: true,
@@ -363,10 +472,11 @@ const deleteAnalytics = async (req, res) => {
  */
 const healthCheck = async (req, res) => {
   try {
-    const dbConnected = require('mongoose').connection.readyState === 1;
+    const dbConnected = mongoose.connection.readyState === 1;
     
     const totalEvents = await Analytics.countDocuments();
     const uniqueUrls = await Analytics.distinct('shortCode');
+    const rollupStats = await rollups.getStats();
 
     res.status(200).json({
       success: true,
@@ -378,6 +488,9 @@ const healthCheck = async (req, res) => {
         totalEvents,
         uniqueUrls: uniqueUrls.length
       },
+      rollups: rollupStats,
+      geoip: geoip.getStats(),
+      retention: retention.getStats(),
       uptime: process.uptime(),
       memory: {
         used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -395,12 +508,97 @@ const healthCheck = async (req, res) => {
   }
 };
 
+/**
+ * Re-read the GeoIP database files
+ * POST /api/geoip/reload
+ */
+const reloadGeoip = async (req, res) => {
+  try {
+    const stats = await geoip.reload();
+    const failed = stats.databases.filter(database => database.error);
+
+    res.status(failed.length > 0 ? 500 : 200).json({
+      success: failed.length === 0,
+      message: failed.length > 0
+        ? `${failed.length} GeoIP database(s) failed to load; their previous copies stay in use`
+        : 'GeoIP databases reloaded',
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error in reloadGeoip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reloading GeoIP databases',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Erase every click of a data subject across all short codes
+ * POST /api/erasure
+ */
+const eraseSubject = async (req, res) => {
+  try {
+    const receipt = await erasure.eraseSubject(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `${receipt.deletedClicks} clicks erased`,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Error in eraseSubject:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error erasing clicks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the receipt of an erasure
+ * GET /api/erasure/:id
+ */
+const getErasureReceipt = async (req, res) => {
+  try {
+    const found = mongoose.isValidObjectId(req.params.id) ? await erasure.getReceipt(req.params.id) : null;
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Erasure receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...found.receipt, intact: found.intact }
+    });
+
+  } catch (error) {
+    console.error('Error in getErasureReceipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving erasure receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   trackClick,
   trackClicksBatch,
   getAnalytics,
+  getClicks,
   getAggregatedAnalytics,
   getTopUrls,
   deleteAnalytics,
+  reloadGeoip,
+  eraseSubject,
+  getErasureReceipt,
   healthCheck
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+// src/middleware/auth.js - Admin key check for routes that expose or delete personal data
+const crypto = require('crypto');
+
+/**
+ * Extract the API key from the request
+ * Accepts "X-API-Key: <key>" or "Authorization: Bearer <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw API key
+ */
+function extractApiKey(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return headerKey.trim();
+
+  const authorization = req.headers['authorization'];
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Constant-time comparison against the configured admin key
+ * @param {string} rawKey - Key sent by the client
+ * @returns {boolean} True if it is the admin key
+ */
+function isAdminKey(rawKey) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+
+  const a = crypto.createHash('sha256').update(rawKey).digest();
+  const b = crypto.createHash('sha256').update(adminKey).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware to restrict a route to the admin key (ADMIN_API_KEY)
+ * Without a configured key the route is closed to everyone.
+ */
+const requireAdmin = (req, res, next) => {
+  const rawKey = extractApiKey(req);
+
+  if (!rawKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is required'
+    });
+  }
+
+  if (!isAdminKey(rawKey)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin API key required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
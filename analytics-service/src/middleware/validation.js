@@ -36,6 +36,11 @@ const trackClickSchema = Joi.object({
     .max(100)
     .optional()
     .allow(null, ''),
+
+  region: Joi.string()
+    .max(100)
+    .optional()
+    .allow(null, ''),
   
   city: Joi.string()
     .max(100)
@@ -46,6 +51,27 @@ const trackClickSchema = Joi.object({
     .optional()
     .allow('')
     .default('unknown'),
+
+  // Caller's pseudonymous id for the visitor, used to find their clicks for erasure
+  visitorId: Joi.string()
+    .max(128)
+    .optional()
+    .allow(null, ''),
+
+  // Sender's id for the click, so a click sent twice is stored once
+  eventId: Joi.string()
+    .max(64)
+    .optional(),
+
+  targetingRule: Joi.string()
+    .max(100)
+    .optional()
+    .allow(null),
+
+  variant: Joi.string()
+    .max(32)
+    .optional()
+    .allow(null),
   
   timestamp: Joi.date()
     .optional()
@@ -105,10 +131,37 @@ const dateRangeSchema = Joi.object({
     }),
   
   detailed: Joi.boolean()
+    .optional()
+    .default(false),
+
+  includeBots: Joi.boolean()
     .optional()
     .default(false)
 });
 
+/**
+ * Schema for erasing a data subject's clicks
+ */
+const erasureSchema = Joi.object({
+  ipAddress: Joi.string()
+    .ip({ version: ['ipv4', 'ipv6'] }),
+
+  visitorId: Joi.string()
+    .max(128),
+
+  requestedBy: Joi.string()
+    .max(200)
+    .optional(),
+
+  reference: Joi.string()
+    .max(200)
+    .optional()
+})
+  .or('ipAddress', 'visitorId')
+  .messages({
+    'object.missing': 'ipAddress or visitorId is required'
+  });
+
 /**
  * Schema for top URLs query
  */
@@ -133,6 +186,57 @@ const topUrlsSchema = Joi.object({
     })
 });
 
+/**
+ * Schema for click listing queries
+ * after is an opaque cursor from a previous page; fields is a comma-separated projection.
+ */
+const CLICK_LIST_FIELDS = [
+  'clickedAt', 'userAgent', 'referer', 'country', 'region', 'city', 'asn', 'asOrg', 'deviceType',
+  'browser', 'os', 'device', 'isBot', 'botName', 'acceptLanguage', 'targetingRule', 'variant'
+];
+
+const clickListSchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .optional()
+    .default(50)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 500'
+    }),
+
+  after: Joi.string()
+    .max(256)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'after must be a cursor returned by a previous page'
+    }),
+
+  fields: Joi.string()
+    .optional()
+    .custom((value, helpers) => {
+      const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+      if (fields.length === 0 || fields.some(field => !CLICK_LIST_FIELDS.includes(field))) {
+        return helpers.error('fields.unknown');
+      }
+      return fields;
+    })
+    .messages({
+      'fields.unknown': `fields must be a comma-separated list of: ${CLICK_LIST_FIELDS.join(', ')}`
+    }),
+
+  includeTotal: Joi.boolean()
+    .optional()
+    .default(false),
+
+  includeBots: Joi.boolean()
+    .optional()
+    .default(false)
+});
+
 /**
  * Middleware to validate track click request
  */
@@ -262,6 +366,58 @@ const validateTopUrlsQuery = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to validate click listing query parameters
+ */
+const validateClickListQuery = (req, res, next) => {
+  const { error, value } = clickListSchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Middleware to validate an erasure request
+ */
+const validateErasureRequest = (req, res, next) => {
+  const { error, value } = erasureSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 /**
  * Middleware to sanitize user input
  */
@@ -295,9 +451,14 @@ module.exports = {
   validateShortCode,
   validateDateRange,
   validateTopUrlsQuery,
+  validateClickListQuery,
+  validateErasureRequest,
   sanitizeInput,
   trackClickSchema,
   shortCodeSchema,
   dateRangeSchema,
-  topUrlsSchema
+  topUrlsSchema,
+  clickListSchema,
+  erasureSchema,
+  CLICK_LIST_FIELDS
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // src/models/Analytics.js - MongoDB schema for click tracking
 const mongoose = require('mongoose');
+const { parseUserAgent } = require('../utils/userAgent');
 
 const analyticsSchema = new mongoose.Schema({
   shortCode: {
@@ -39,12 +40,30 @@ const analyticsSchema = new mongoose.Schema({
     default: 'unknown'
   },
 
+  // Device maker and model (phones and tablets)
+  device: {
+    vendor: String,
+    model: String
+  },
+
+  // Crawlers, link-preview fetchers and scripts (left out of analytics by default)
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+
+  botName: {
+    type: String,
+    default: null
+  },
+
   referer: {
     type: String,
     default: 'direct'
   },
 
-  // IP address (anonymized in production)
+  // Visitor's IP address as the privacy mode allows (IP_PRIVACY_MODE): the
+  // address, its /24 or /48 network, a daily-salted hash, or null
   ipAddress: {
     type: String,
     default: 'unknown'
@@ -56,17 +75,60 @@ const analyticsSchema = new mongoose.Schema({
     default: null
   },
 
+  // State or province (first-level subdivision)
+  region: {
+    type: String,
+    default: null
+  },
+
   city: {
     type: String,
     default: null
   },
 
+  // Network the IP address belongs to (autonomous system)
+  asn: {
+    type: Number,
+    default: null
+  },
+
+  asOrg: {
+    type: String,
+    default: null
+  },
+
+  // Pseudonymous visitor id sent by the caller (e.g. a first-party cookie);
+  // only used to find a visitor's clicks for erasure
+  visitorId: {
+    type: String,
+    default: null
+  },
+
+  // Redirector outbox id of the click; a click sent again after a lost
+  // response is recognised by it and stored once
+  eventId: {
+    type: String,
+    default: undefined
+  },
+
   // Language preference
   acceptLanguage: {
     type: String,
     default: 'unknown'
   },
 
+  // Targeting rule that chose the destination (null = fallback to originalUrl)
+  targetingRule: {
+    type: String,
+    default: null
+  },
+
+  // A/B variant the visitor was sent to (null = link has no variants)
+  variant: {
+    type: String,
+    default: null
+  },
+
   // Additional metadata
   metadata: {
     type: Map,
@@ -87,7 +149,18 @@ const analyticsSchema = new mongoose.Schema({
 analyticsSchema.index({ shortCode: 1, clickedAt: -1 });
 analyticsSchema.index({ shortCode: 1, country: 1 });
 analyticsSchema.index({ shortCode: 1, deviceType: 1 });
+analyticsSchema.index({ shortCode: 1, targetingRule: 1 });
+analyticsSchema.index({ shortCode: 1, variant: 1 });
 analyticsSchema.index({ clickedAt: -1 });
+analyticsSchema.index({ visitorId: 1 }, { partialFilterExpression: { visitorId: { $type: 'string' } } });
+analyticsSchema.index({ ipAddress: 1 });
+analyticsSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } });
+
+// Filter leaving bot clicks out unless they are asked for
+// (clicks stored before bot detection have no isBot field and count as human)
+analyticsSchema.statics.botFilter = function(includeBots = false) {
+  return includeBots ? {} : { isBot: { $ne: true } };
+};
 
 // Static method to get click count for a short code
 analyticsSchema.statics.getClickCount = function(shortCode) {
@@ -106,9 +179,9 @@ analyticsSchema.statics.getClicksInRange = function(shortCode, startDate, endDat
 };
 
 // Static method to get unique visitors (by IP)
-analyticsSchema.statics.getUniqueVisitors = async function(shortCode) {
+analyticsSchema.statics.getUniqueVisitors = async function(shortCode, { includeBots = false } = {}) {
   const result = await this.aggregate([
-    { $match: { shortCode } },
+    { $match: { shortCode, ipAddress: { $ne: null }, ...this.botFilter(includeBots) } },
     { $group: { _id: '$ipAddress' } },
     { $count: 'uniqueVisitors' }
   ]);
@@ -179,6 +252,57 @@ analyticsSchema.statics.getClicksByBrowser = function(shortCode) {
   ]);
 };
 
+// Static method to get clicks by matched targeting rule
+analyticsSchema.statics.getClicksByTargetingRule = function(shortCode, { includeBots = false } = {}) {
+  return this.aggregate([
+    { $match: { shortCode, ...this.botFilter(includeBots) } },
+    { 
+      $group: { 
+        _id: '$targetingRule',
+        count: { $sum: 1 }
+      } 
+    },
+    { $sort: { count: -1 } },
+    { 
+      $project: {
+        _id: 0,
+        rule: { $ifNull: ['$_id', 'default'] },
+        count: 1
+      }
+    }
+  ]);
+};
+
+// Static method to compare A/B variants (clicks, unique visitors, share of clicks)
+analyticsSchema.statics.getClicksByVariant = async function(shortCode, { includeBots = false } = {}) {
+  const variants = await this.aggregate([
+    { $match: { shortCode, variant: { $ne: null }, ...this.botFilter(includeBots) } },
+    {
+      $group: {
+        _id: '$variant',
+        count: { $sum: 1 },
+        visitors: { $addToSet: '$ipAddress' }
+      }
+    },
+    { $sort: { count: -1 } },
+    {
+      $project: {
+        _id: 0,
+        variant: '$_id',
+        count: 1,
+        // Clicks stored without an address (privacy mode 'none') are no visitor
+        uniqueVisitors: { $size: { $setDifference: ['$visitors', [null]] } }
+      }
+    }
+  ]);
+
+  const total = variants.reduce((sum, entry) => sum + entry.count, 0);
+  return variants.map(entry => ({
+    ...entry,
+    share: total > 0 ? Math.round((entry.count / total) * 10000) / 100 : 0
+  }));
+};
+
 // Static method to get clicks over time (grouped by day)
 analyticsSchema.statics.getClicksOverTime = function(shortCode, days = 30) {
   const startDate = new Date();
@@ -240,75 +364,35 @@ analyticsSchema.statics.getTopReferrers = function(shortCode, limit = 10) {
   ]);
 };
 
-// Static method to get analytics summary
-analyticsSchema.statics.getAnalyticsSummary = async function(shortCode) {
-  const [
-    totalClicks,
-    uniqueVisitors,
-    clicksByCountry,
-    clicksByDevice,
-    topReferrers
-  ] = await Promise.all([
-    this.getClickCount(shortCode),
-    this.getUniqueVisitors(shortCode),
-    this.getClicksByCountry(shortCode),
-    this.getClicksByDevice(shortCode),
-    this.getTopReferrers(shortCode, 5)
-  ]);
+// Fields derived from the user agent
+const userAgentFields = (userAgent) => {
+  if (!userAgent || userAgent === 'unknown') return null;
 
-  return {
-    totalClicks,
-    uniqueVisitors,
-    clicksByCountry,
-    clicksByDevice,
-    topReferrers
-  };
+  const { browser, os, deviceType, device, isBot, botName } = parseUserAgent(userAgent);
+  return { browser, os, deviceType, device, isBot, botName };
 };
 
 // Pre-save middleware to parse user agent
 analyticsSchema.pre('save', function(next) {
-  if (this.userAgent && this.userAgent !== 'unknown') {
-    // Simple user agent parsing (in production, use a library like 'ua-parser-js')
-    const ua = this.userAgent.toLowerCase();
-    
-    // Detect browser
-    if (ua.includes('chrome')) {
-      this.browser.name = 'Chrome';
-    } else if (ua.includes('firefox')) {
-      this.browser.name = 'Firefox';
-    } else if (ua.includes('safari')) {
-      this.browser.name = 'Safari';
-    } else if (ua.includes('edge')) {
-      this.browser.name = 'Edge';
-    } else {
-      this.browser.name = 'Other';
-    }
+  if (this.isNew || this.isModified('userAgent')) {
+    const fields = userAgentFields(this.userAgent);
+    if (fields) this.set(fields);
+  }
+  next();
+});
 
-    // Detect OS
-    if (ua.includes('windows')) {
-      this.os.name = 'Windows';
-    } else if (ua.includes('mac')) {
-      this.os.name = 'macOS';
-    } else if (ua.includes('linux')) {
-      this.os.name = 'Linux';
-    } else if (ua.includes('android')) {
-      this.os.name = 'Android';
-    } else if (ua.includes('ios') || ua.includes('iphone') || ua.includes('ipad')) {
-      this.os.name = 'iOS';
-    } else {
-      this.os.name = 'Other';
-    }
+// insertMany skips save middleware, so batches are parsed here
+analyticsSchema.pre('insertMany', function(next, docs) {
+  for (const doc of docs) {
+    const fields = userAgentFields(doc.userAgent);
+    if (!fields) continue;
 
-    // Detect device type
-    if (ua.includes('mobile') || ua.includes('android')) {
-      this.deviceType = 'mobile';
-    } else if (ua.includes('tablet') || ua.includes('ipad')) {
-      this.deviceType = 'tablet';
+    if (doc instanceof mongoose.Document) {
+      doc.set(fields);
     } else {
-      this.deviceType = 'desktop';
+      Object.assign(doc, fields);
     }
   }
-  
   next();
 });
 
@@ -0,0 +1,103 @@
+// src/models/AnalyticsRollup.js - MongoDB schema for pre-aggregated click counts
+const mongoose = require('mongoose');
+
+// Compaction runs remembered per counter, so a retried run is not counted twice
+const RUN_HISTORY = 20;
+
+const analyticsRollupSchema = new mongoose.Schema({
+  // Rebuilds write a new generation; queries read the current one only
+  generation: {
+    type: Number,
+    required: true
+  },
+
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+
+  shortCode: {
+    type: String,
+    required: true
+  },
+
+  // Start of the UTC hour or day
+  bucket: {
+    type: Date,
+    required: true
+  },
+
+  // total, country, device, browser, os, referrer, region or city
+  dimension: {
+    type: String,
+    required: true
+  },
+
+  // Dimension value (null for total and for clicks without the value)
+  value: {
+    type: String,
+    default: null
+  },
+
+  // Bot clicks are counted apart so queries can leave them out
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+
+  clicks: {
+    type: Number,
+    default: 0
+  },
+
+  // Ids of the compaction runs already added in
+  runs: {
+    type: [String],
+    default: []
+  }
+}, {
+  collection: 'analyticsrollups',
+  versionKey: false
+});
+
+analyticsRollupSchema.index(
+  { generation: 1, shortCode: 1, granularity: 1, dimension: 1, bucket: 1, value: 1, isBot: 1 },
+  { unique: true }
+);
+analyticsRollupSchema.index({ generation: 1, granularity: 1, dimension: 1, bucket: 1 });
+analyticsRollupSchema.index({ shortCode: 1 });
+
+/**
+ * Add counted rows of one compaction run
+ * A counter that already contains the run is skipped, which makes retrying
+ * an interrupted run safe.
+ * @param {Array} rows - { granularity, shortCode, bucket, dimension, value, isBot, clicks }
+ * @param {number} generation - Rollup generation
+ * @param {string} runId - Compaction run id
+ * @returns {Promise<void>}
+ */
+analyticsRollupSchema.statics.applyRun = async function(rows, generation, runId) {
+  if (rows.length === 0) return;
+
+  const operations = rows.map(({ granularity, shortCode, bucket, dimension, value, isBot, clicks }) => ({
+    updateOne: {
+      filter: { generation, granularity, shortCode, bucket, dimension, value, isBot, runs: { $ne: runId } },
+      update: {
+        $inc: { clicks },
+        $push: { runs: { $each: [runId], $slice: -RUN_HISTORY } }
+      },
+      upsert: true
+    }
+  }));
+
+  try {
+    await this.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Counters that already have this run fail the upsert on the unique index
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(e => e.code !== 11000)) throw error;
+  }
+};
+
+module.exports = mongoose.model('AnalyticsRollup', analyticsRollupSchema);
@@ -0,0 +1,74 @@
+// src/models/ErasureReceipt.js - MongoDB schema for records of data subject erasures
+const mongoose = require('mongoose');
+
+// Receipts never hold the erased identifiers themselves, only keyed
+// fingerprints of them, so keeping them does not keep the personal data
+const erasureReceiptSchema = new mongoose.Schema({
+  // What was erased: [{ type: 'ipAddress'|'visitorId', fingerprint }]
+  subjects: {
+    type: [{
+      _id: false,
+      type: { type: String, enum: ['ipAddress', 'visitorId'], required: true },
+      fingerprint: { type: String, required: true }
+    }],
+    required: true
+  },
+
+  requestedBy: {
+    type: String,
+    default: null
+  },
+
+  // Ticket or request number of the erasure request
+  reference: {
+    type: String,
+    default: null
+  },
+
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+
+  completedAt: {
+    type: Date,
+    required: true
+  },
+
+  deletedClicks: {
+    type: Number,
+    default: 0
+  },
+
+  // Clicks deleted per short code: [{ shortCode, clicks, firstClick, lastClick }]
+  shortCodes: {
+    type: [{
+      _id: false,
+      shortCode: String,
+      clicks: Number,
+      firstClick: Date,
+      lastClick: Date
+    }],
+    default: []
+  },
+
+  // UTC days whose hashed addresses could still be matched
+  hashedDays: {
+    type: [String],
+    default: []
+  },
+
+  // SHA-256 over the fields above, to show the receipt was not changed later
+  digest: {
+    type: String,
+    required: true
+  }
+}, {
+  collection: 'erasurereceipts',
+  versionKey: false
+});
+
+erasureReceiptSchema.index({ requestedAt: -1 });
+erasureReceiptSchema.index({ 'subjects.fingerprint': 1 });
+
+module.exports = mongoose.model('ErasureReceipt', erasureReceiptSchema);
@@ -0,0 +1,60 @@
+// src/models/IpSalt.js - MongoDB schema for the daily salts of hashed IP addresses
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Salts outlive their day by this much so late clicks still hash alike,
+// then MongoDB deletes them and the day's hashes can no longer be recomputed
+const GRACE_MS = DAY_MS;
+
+const ipSaltSchema = new mongoose.Schema({
+  // UTC day, e.g. "2024-03-10"
+  _id: {
+    type: String
+  },
+
+  salt: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'ipsalts',
+  versionKey: false
+});
+
+ipSaltSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Salt of a UTC day, created on first use
+ * Replicas racing to create it all end up with the same one.
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {Promise<Object>} { salt, expiresAt }
+ */
+ipSaltSchema.statics.forDay = async function(day) {
+  const create = () => this.findOneAndUpdate(
+    { _id: day },
+    {
+      $setOnInsert: {
+        salt: crypto.randomBytes(32).toString('hex'),
+        expiresAt: new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS + GRACE_MS)
+      }
+    },
+    { upsert: true, new: true, lean: true }
+  );
+
+  try {
+    return await create();
+  } catch (error) {
+    // Lost an upsert race: the other insert won, read its salt
+    if (error.code === 11000) return create();
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('IpSalt', ipSaltSchema);
@@ -0,0 +1,114 @@
+// src/models/RollupState.js - MongoDB schema for rollup compaction progress
+const mongoose = require('mongoose');
+
+const STATE_ID = 'clicks';
+
+const rollupStateSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: STATE_ID
+  },
+
+  // Rollup generation queries read
+  generation: {
+    type: Number,
+    default: 1
+  },
+
+  // Clicks with an _id below this are in the rollups; the rest is the raw tail
+  watermark: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Run in progress: { runId, from, to } - retried as-is if its replica died
+  pending: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Replica allowed to compact, until lockedUntil passes
+  owner: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+
+  rebuiltAt: {
+    type: Date,
+    default: null
+  },
+
+  // Raw clicks before this (UTC day start) may have been purged by retention;
+  // their counts only live on in the rollups
+  retainedFrom: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'rollupstate',
+  versionKey: false
+});
+
+/**
+ * Current compaction state (defaults before the first run)
+ * @returns {Promise<Object>}
+ */
+rollupStateSchema.statics.get = async function() {
+  const state = await this.findById(STATE_ID).lean();
+  return state || { _id: STATE_ID, generation: 1, watermark: null, pending: null, retainedFrom: null };
+};
+
+/**
+ * Take or renew the compaction lock
+ * @param {string} owner - Replica identifier
+ * @param {number} ttlMs - How long the lock is held without renewal
+ * @returns {Promise<boolean>} Whether the caller holds the lock
+ */
+rollupStateSchema.statics.acquire = async function(owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: STATE_ID, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Another replica holds the lock - the upsert hit the existing _id
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Update the state, but only while the caller still holds the lock
+ * @param {string} owner - Replica identifier
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<boolean>} False when the lock was lost
+ */
+rollupStateSchema.statics.updateAsOwner = async function(owner, update) {
+  const result = await this.updateOne({ _id: STATE_ID, owner }, update);
+  return result.matchedCount === 1;
+};
+
+/**
+ * Give up the compaction lock
+ * @param {string} owner - Replica identifier
+ * @returns {Promise<void>}
+ */
+rollupStateSchema.statics.release = async function(owner) {
+  await this.updateOne({ _id: STATE_ID, owner }, { $set: { owner: null, lockedUntil: null } });
+};
+
+module.exports = mongoose.model('RollupState', rollupStateSchema);
@@ -0,0 +1,65 @@
+// src/models/WebhookEvent.js - Events handed to the redirector's webhook dispatcher
+const mongoose = require('mongoose');
+
+// The redirector owns webhook subscriptions and delivery; it fans these out
+// from the shared collection. Keep in step with
+// redirector-service/src/models/WebhookEvent.js
+const webhookEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+
+  // Link owner - unknown here, the redirector looks it up by short code
+  owner: {
+    type: String,
+    default: null
+  },
+
+  shortCode: {
+    type: String,
+    default: null
+  },
+
+  domain: {
+    type: String,
+    default: null
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'dispatched'],
+    default: 'pending'
+  },
+
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  dispatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'webhookevents',
+  versionKey: false,
+  autoIndex: false // Indexes are defined by the redirector
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
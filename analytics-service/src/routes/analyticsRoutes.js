@@ -7,14 +7,24 @@ const {
   trackClick,
   trackClicksBatch,
   getAnalytics,
+  getClicks,
   getAggregatedAnalytics,
   getTopUrls,
   deleteAnalytics,
+  reloadGeoip,
+  eraseSubject,
+  getErasureReceipt,
   healthCheck
 } = require('../controllers/analyticsController');
 
 // Import middleware
-const { validateTrackClick, validateShortCode } = require('../middleware/validation');
+const {
+  validateTrackClick,
+  validateShortCode,
+  validateClickListQuery,
+  validateErasureRequest
+} = require('../middleware/validation');
+const { requireAdmin } = require('../middleware/auth');
 
 /**
  * @route   POST /api/track
@@ -32,20 +42,12 @@ router.post('/track', validateTrackClick, trackClick);
  */
 router.post('/track/batch', trackClicksBatch);
 
-/**
- * @route   GET /api/analytics/:shortCode
- * @desc    Get analytics for a specific short code
- * @access  Public
- * @params  shortCode - The short code to get analytics for
- * @query   startDate, endDate, detailed
- */
-router.get('/analytics/:shortCode', validateShortCode, getAnalytics);
-
+// Fixed paths come before /analytics/:shortCode, which would match them too
 /**
  * @route   GET /api/analytics/aggregate
  * @desc    Get aggregated analytics across all URLs
  * @access  Public
- * @query   startDate, endDate
+ * @query   startDate, endDate, includeBots
  */
 router.get('/analytics/aggregate', getAggregatedAnalytics);
 
@@ -53,10 +55,28 @@ router.get('/analytics/aggregate', getAggregatedAnalytics);
  * @route   GET /api/analytics/top
  * @desc    Get top performing URLs
  * @access  Public
- * @query   limit, period (day, week, month, year, all)
+ * @query   limit, period (day, week, month, year, all), includeBots
  */
 router.get('/analytics/top', getTopUrls);
 
+/**
+ * @route   GET /api/analytics/:shortCode
+ * @desc    Get analytics for a specific short code
+ * @access  Public
+ * @params  shortCode - The short code to get analytics for
+ * @query   detailed, includeBots
+ */
+router.get('/analytics/:shortCode', validateShortCode, getAnalytics);
+
+/**
+ * @route   GET /api/analytics/:shortCode/clicks
+ * @desc    List individual clicks, newest first, with cursor pagination
+ * @access  Public
+ * @params  shortCode - The short code to list clicks for
+ * @query   limit, after (cursor from the previous page), fields, includeTotal, includeBots
+ */
+router.get('/analytics/:shortCode/clicks', validateShortCode, validateClickListQuery, getClicks);
+
 /**
  * @route   DELETE /api/analytics/:shortCode
  * @desc    Delete analytics for a specific short code
@@ -65,6 +85,29 @@ router.get('/analytics/top', getTopUrls);
  */
 router.delete('/analytics/:shortCode', validateShortCode, deleteAnalytics);
 
+/**
+ * @route   POST /api/geoip/reload
+ * @desc    Re-read the GeoIP database files (GEOIP_DATABASE_PATHS)
+ * @access  Admin (ADMIN_API_KEY)
+ */
+router.post('/geoip/reload', requireAdmin, reloadGeoip);
+
+/**
+ * @route   POST /api/erasure
+ * @desc    Erase every click of a data subject across all short codes
+ * @access  Admin (ADMIN_API_KEY)
+ * @body    { ipAddress?: string, visitorId?: string, requestedBy?: string, reference?: string }
+ */
+router.post('/erasure', requireAdmin, validateErasureRequest, eraseSubject);
+
+/**
+ * @route   GET /api/erasure/:id
+ * @desc    Get the receipt of an erasure, checked against its digest
+ * @access  Admin (ADMIN_API_KEY)
+ * @params  id - Receipt id returned by POST /api/erasure
+ */
+router.get('/erasure/:id', requireAdmin, getErasureReceipt);
+
 /**
  * @route   GET /api/health
  * @desc    Service health check
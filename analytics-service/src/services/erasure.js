@@ -0,0 +1,124 @@
+// src/services/erasure.js - Erases a data subject's clicks across all short codes
+const crypto = require('crypto');
+const Analytics = require('../models/Analytics');
+const ErasureReceipt = require('../models/ErasureReceipt');
+const ipPrivacy = require('./ipPrivacy');
+
+/**
+ * Fingerprint of an erased identifier
+ * Keyed with ERASURE_FINGERPRINT_KEY when set: a plain hash of an IPv4
+ * address can be reversed by trying them all.
+ * @param {string} type - 'ipAddress' or 'visitorId'
+ * @param {string} value
+ * @returns {string}
+ */
+function fingerprint(type, value) {
+  const key = process.env.ERASURE_FINGERPRINT_KEY;
+  const hash = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return hash.update(`${type}:${value}`).digest('hex');
+}
+
+/**
+ * Digest over the contents of a receipt
+ * @param {Object} receipt
+ * @returns {string}
+ */
+function receiptDigest(receipt) {
+  const content = {
+    subjects: receipt.subjects.map(({ type, fingerprint: print }) => ({ type, fingerprint: print })),
+    requestedBy: receipt.requestedBy,
+    reference: receipt.reference,
+    requestedAt: new Date(receipt.requestedAt).toISOString(),
+    completedAt: new Date(receipt.completedAt).toISOString(),
+    deletedClicks: receipt.deletedClicks,
+    shortCodes: receipt.shortCodes.map(entry => ({
+      shortCode: entry.shortCode,
+      clicks: entry.clicks,
+      firstClick: new Date(entry.firstClick).toISOString(),
+      lastClick: new Date(entry.lastClick).toISOString()
+    })),
+    hashedDays: [...receipt.hashedDays]
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Delete every click of a data subject and record a receipt
+ * Rollup counters hold no identifiers and are kept.
+ * @param {Object} request - { ipAddress, visitorId, requestedBy, reference } - at least one identifier
+ * @returns {Promise<Object>} The stored receipt
+ */
+async function eraseSubject({ ipAddress = null, visitorId = null, requestedBy = null, reference = null }) {
+  if (!ipAddress && !visitorId) {
+    throw new Error('An IP address or visitor id is required');
+  }
+
+  const requestedAt = new Date();
+  const subjects = [];
+  const filters = [];
+  let hashedDays = [];
+
+  if (ipAddress) {
+    const forms = await ipPrivacy.storedForms(ipAddress);
+    filters.push(...forms.filters);
+    hashedDays = forms.hashedDays;
+    subjects.push({ type: 'ipAddress', fingerprint: fingerprint('ipAddress', ipAddress) });
+  }
+  if (visitorId) {
+    filters.push({ visitorId });
+    subjects.push({ type: 'visitorId', fingerprint: fingerprint('visitorId', visitorId) });
+  }
+
+  const filter = { $or: filters };
+  const found = await Analytics.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$shortCode',
+        ids: { $push: '$_id' },
+        firstClick: { $min: '$clickedAt' },
+        lastClick: { $max: '$clickedAt' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Delete exactly the clicks listed on the receipt
+  const { deletedCount } = await Analytics.deleteMany({ _id: { $in: found.flatMap(entry => entry.ids) } });
+
+  const receipt = {
+    subjects,
+    requestedBy,
+    reference,
+    requestedAt,
+    completedAt: new Date(),
+    deletedClicks: deletedCount,
+    shortCodes: found.map(entry => ({
+      shortCode: entry._id,
+      clicks: entry.ids.length,
+      firstClick: entry.firstClick,
+      lastClick: entry.lastClick
+    })),
+    hashedDays
+  };
+
+  return ErasureReceipt.create({ ...receipt, digest: receiptDigest(receipt) });
+}
+
+/**
+ * Find a receipt and check it against its digest
+ * @param {string} id
+ * @returns {Promise<Object|null>} { receipt, intact }
+ */
+async function getReceipt(id) {
+  const receipt = await ErasureReceipt.findById(id).lean();
+  if (!receipt) return null;
+  return { receipt, intact: receiptDigest(receipt) === receipt.digest };
+}
+
+module.exports = {
+  eraseSubject,
+  getReceipt,
+  fingerprint,
+  receiptDigest
+};
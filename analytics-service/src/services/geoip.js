@@ -0,0 +1,254 @@
+// src/services/geoip.js - Offline IP geolocation from local MMDB or CSV databases
+const fs = require('fs/promises');
+const path = require('path');
+const { MmdbReader } = require('../utils/mmdb');
+const { CsvGeoDatabase, parseAsn } = require('../utils/geoCsv');
+const { isPrivateIp } = require('../utils/ip');
+
+// Database files are re-read when they change on disk
+const RELOAD_INTERVAL_MS = parseInt(process.env.GEOIP_RELOAD_INTERVAL_MS, 10) || 60000;
+
+const LOCATION_FIELDS = ['country', 'region', 'city', 'asn', 'asOrg'];
+
+let config = null;
+let databases = new Map(); // path -> { mtimeMs, type, reader, size, loadedAt, error }
+let loading = null;
+let timer = null;
+
+/**
+ * GeoIP configuration from the environment
+ * @returns {Object} { enabled, paths }
+ */
+function getConfig() {
+  if (!config) {
+    const paths = (process.env.GEOIP_DATABASE_PATHS || '').split(',').map(p => p.trim()).filter(Boolean);
+    config = {
+      enabled: process.env.GEOIP_ENABLED !== 'false' && paths.length > 0,
+      paths
+    };
+  }
+  return config;
+}
+
+/**
+ * Bring an MMDB record (GeoLite2/GeoIP2 City, Country or ASN layout, or a
+ * flat custom one) to { country, region, city, asn, asOrg }
+ * @param {Object} record
+ * @returns {Object}
+ */
+function normalizeMmdbRecord(record) {
+  if (!record || typeof record !== 'object') return null;
+
+  const name = (entry) => entry?.names?.en || (typeof entry === 'string' ? entry : null);
+  const country = typeof record.country === 'string'
+    ? record.country
+    : record.country?.iso_code || record.registered_country?.iso_code || null;
+
+  return {
+    country,
+    region: name(record.subdivisions?.[0]) || name(record.region),
+    city: name(record.city),
+    asn: parseAsn(record.autonomous_system_number ?? record.asn),
+    asOrg: record.autonomous_system_organization || record.as_org || null
+  };
+}
+
+/**
+ * Open a database file
+ * @param {string} file
+ * @returns {Promise<Object>} { type, reader, size }
+ */
+async function openDatabase(file) {
+  const type = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'mmdb';
+
+  if (type === 'csv') {
+    const reader = new CsvGeoDatabase(await fs.readFile(file, 'utf8'));
+    return { type, reader, size: reader.size };
+  }
+
+  const mmdb = new MmdbReader(await fs.readFile(file));
+  return {
+    type,
+    reader: { get: (ip) => normalizeMmdbRecord(mmdb.get(ip)) },
+    size: mmdb.nodeCount
+  };
+}
+
+/**
+ * Read databases that are new or changed since the last load
+ * A database that can't be read keeps its last good copy.
+ * @param {Object} options - { force } - re-read files even when unchanged
+ * @returns {Promise<Object>} Stats after loading
+ */
+async function loadDatabases({ force = false } = {}) {
+  const { paths } = getConfig();
+  const next = new Map();
+
+  for (const file of paths) {
+    const previous = databases.get(file);
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      if (!force && previous && !previous.error && previous.mtimeMs === mtimeMs) {
+        next.set(file, previous);
+        continue;
+      }
+
+      const { type, reader, size } = await openDatabase(file);
+      next.set(file, { mtimeMs, type, reader, size, loadedAt: new Date(), error: null });
+      console.log(`Loaded GeoIP database ${file} (${type}, ${size} entries)`);
+
+    } catch (error) {
+      console.error(`Failed to load GeoIP database ${file}:`, error.message);
+      next.set(file, {
+        mtimeMs: null,
+        type: previous?.type || null,
+        reader: previous?.reader || null,
+        size: previous?.size || 0,
+        loadedAt: previous?.loadedAt || null,
+        error: error.message
+      });
+    }
+  }
+
+  databases = next;
+  return getStats();
+}
+
+/**
+ * Load the databases once before the first lookup
+ * @returns {Promise<void>}
+ */
+function ensureDatabases() {
+  if (!loading) {
+    loading = loadDatabases();
+  }
+  return loading;
+}
+
+/**
+ * Re-read every database file now
+ * @returns {Promise<Object>} Stats after reloading
+ */
+function reload() {
+  config = null;
+  loading = loadDatabases({ force: true });
+  return loading;
+}
+
+/**
+ * Locate an IP address
+ * Databases are asked in the configured order and each field is taken from
+ * the first one that knows it, so a City and an ASN database can be combined.
+ * @param {string} ip
+ * @returns {Promise<Object|null>} { country, region, city, asn, asOrg }, or null when unknown
+ */
+async function lookup(ip) {
+  if (!getConfig().enabled || isPrivateIp(ip)) return null;
+  await ensureDatabases();
+
+  const location = Object.fromEntries(LOCATION_FIELDS.map(field => [field, null]));
+  let found = false;
+
+  for (const [file, database] of databases) {
+    if (!database.reader) continue;
+
+    let record;
+    try {
+      record = database.reader.get(ip);
+    } catch (error) {
+      console.error(`GeoIP lookup in ${file} failed:`, error.message);
+      continue;
+    }
+    if (!record) continue;
+
+    for (const field of LOCATION_FIELDS) {
+      if (location[field] === null && record[field] !== null && record[field] !== undefined) {
+        location[field] = record[field];
+        found = true;
+      }
+    }
+  }
+
+  return found ? location : null;
+}
+
+/**
+ * Fill in the location of a click from its IP address
+ * Fields already set (e.g. a country from a CDN header) are kept.
+ * @param {Object} entry - Click fields, with ipAddress
+ * @returns {Promise<Object>} The entry with location fields added
+ */
+async function enrich(entry) {
+  const location = await lookup(entry.ipAddress);
+  if (!location) return entry;
+
+  const enriched = { ...entry };
+  for (const field of LOCATION_FIELDS) {
+    if (enriched[field] === null || enriched[field] === undefined) {
+      enriched[field] = location[field];
+    }
+  }
+  return enriched;
+}
+
+/**
+ * Loaded databases, for the health endpoint
+ * @returns {Object} { enabled, databases: [{ path, type, entries, loadedAt, error }] }
+ */
+function getStats() {
+  return {
+    enabled: getConfig().enabled,
+    databases: [...databases.entries()].map(([file, database]) => ({
+      path: file,
+      type: database.type,
+      entries: database.size,
+      loadedAt: database.loadedAt,
+      error: database.error
+    }))
+  };
+}
+
+/**
+ * Load the databases and keep them up to date
+ */
+function start() {
+  if (timer || !getConfig().enabled) return;
+
+  ensureDatabases();
+  timer = setInterval(() => {
+    loading = loadDatabases();
+  }, RELOAD_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Stop watching the database files
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Re-read configuration and databases on next use (used by tests)
+ */
+function reset() {
+  stop();
+  config = null;
+  databases = new Map();
+  loading = null;
+}
+
+module.exports = {
+  lookup,
+  enrich,
+  reload,
+  loadDatabases,
+  normalizeMmdbRecord,
+  getStats,
+  start,
+  stop,
+  reset
+};
@@ -0,0 +1,216 @@
+// src/services/ipPrivacy.js - How much of a visitor's IP address is stored
+const crypto = require('crypto');
+const Analytics = require('../models/Analytics');
+const IpSalt = require('../models/IpSalt');
+const { parseIp, truncateIp } = require('../utils/ip');
+
+/**
+ * Privacy modes
+ * full      - the address as received
+ * truncated - the network only: /24 for IPv4, /48 for IPv6
+ * hash      - keyed hash with a salt that changes every UTC day and is then deleted
+ * none      - nothing (no unique visitor counts)
+ */
+const MODES = ['full', 'truncated', 'hash', 'none'];
+
+const MIGRATION_BATCH_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mode = null;
+let salts = new Map(); // day -> { salt, expiresAt }
+const fetching = new Map(); // day -> pending salt read
+
+/**
+ * Privacy mode from IP_PRIVACY_MODE
+ * Defaults to 'truncated' in production and 'full' elsewhere; an unknown mode
+ * falls back to 'truncated' rather than storing more than intended.
+ * @returns {string}
+ */
+function getMode() {
+  if (!mode) {
+    const configured = (process.env.IP_PRIVACY_MODE || '').trim().toLowerCase();
+    if (!configured) {
+      mode = process.env.NODE_ENV === 'production' ? 'truncated' : 'full';
+    } else if (MODES.includes(configured)) {
+      mode = configured;
+    } else {
+      console.warn(`Unknown IP_PRIVACY_MODE "${configured}", using "truncated"`);
+      mode = 'truncated';
+    }
+  }
+  return mode;
+}
+
+/**
+ * Hash an address with a salt
+ * @param {string} ip
+ * @param {string} salt
+ * @returns {string} 32 hex characters
+ */
+function hashIp(ip, salt) {
+  return crypto.createHmac('sha256', salt).update(ip).digest('hex').slice(0, 32);
+}
+
+/**
+ * Form of a parsed address that is hashed, the same for every spelling of it
+ * @param {Object} parsed - { version, value } from parseIp
+ * @returns {string}
+ */
+function canonicalIp(parsed) {
+  return `${parsed.version}:${parsed.value.toString(16)}`;
+}
+
+/**
+ * Salt of the UTC day a click happened on
+ * @param {Date} date
+ * @param {Map} cache - day -> { salt, expiresAt }
+ * @param {boolean} keepExpired - reuse cached salts past their expiry (one migration run)
+ * @returns {Promise<string>}
+ */
+async function saltFor(date, cache = salts, keepExpired = false) {
+  const day = new Date(date).toISOString().slice(0, 10);
+  const cached = cache.get(day);
+  if (cached && (keepExpired || cached.expiresAt > Date.now())) {
+    return cached.salt;
+  }
+
+  // One read per day even when a whole batch asks at once
+  if (!fetching.has(day)) {
+    fetching.set(day, IpSalt.forDay(day).finally(() => fetching.delete(day)));
+  }
+  const { salt, expiresAt } = await fetching.get(day);
+  cache.set(day, { salt, expiresAt: expiresAt.getTime() });
+  return salt;
+}
+
+/**
+ * The value stored for an address under a privacy mode
+ * Values that are not IP addresses ('unknown', earlier hashes) are kept as
+ * they are, except that mode 'none' drops everything.
+ * @param {string} ip
+ * @param {Object} options - { mode, clickedAt, cache, keepExpired }
+ * @returns {Promise<string|null>}
+ */
+async function anonymize(ip, { mode: target = getMode(), clickedAt = new Date(), cache, keepExpired } = {}) {
+  if (target === 'none') return null;
+
+  const parsed = parseIp(ip);
+  if (target === 'full' || !parsed) return ip;
+  if (target === 'truncated') return truncateIp(ip);
+  return hashIp(canonicalIp(parsed), await saltFor(clickedAt, cache, keepExpired));
+}
+
+/**
+ * Apply the privacy mode to a click about to be stored
+ * Runs after GeoIP enrichment, which needs the full address.
+ * @param {Object} entry - Click fields, with ipAddress and clickedAt
+ * @returns {Promise<Object>}
+ */
+async function protectClick(entry) {
+  if (getMode() === 'full') return entry;
+  return { ...entry, ipAddress: await anonymize(entry.ipAddress, { clickedAt: entry.clickedAt }) };
+}
+
+/**
+ * Filters matching the clicks an address may have been stored as
+ * Matches the address itself (modes 'full' and not yet migrated clicks) and
+ * its hash for every day whose salt still exists. Truncated networks are
+ * shared with other visitors and hashes of deleted salts can't be traced
+ * back, so neither is matched.
+ * @param {string} ip
+ * @returns {Promise<Object>} { filters, hashedDays }
+ */
+async function storedForms(ip) {
+  const parsed = parseIp(ip);
+  if (!parsed) return { filters: [{ ipAddress: ip }], hashedDays: [] };
+
+  const spellings = new Set([ip, ip.toLowerCase()]);
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) spellings.add(mapped[1]);
+  else if (parsed.version === 4) spellings.add(`::ffff:${ip}`);
+
+  const filters = [{ ipAddress: { $in: [...spellings] } }];
+  const hashedDays = [];
+  for (const { _id: day, salt } of await IpSalt.find().sort({ _id: 1 }).lean()) {
+    const start = new Date(`${day}T00:00:00Z`);
+    filters.push({
+      ipAddress: hashIp(canonicalIp(parsed), salt),
+      clickedAt: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) }
+    });
+    hashedDays.push(day);
+  }
+
+  return { filters, hashedDays };
+}
+
+/**
+ * Apply a privacy mode to clicks already stored
+ * Safe to run again: clicks already anonymized are left alone. Mode 'full'
+ * changes nothing, as stored addresses can't be restored.
+ * @param {Object} options - { mode, dryRun, batchSize, onProgress }
+ * @returns {Promise<Object>} { mode, scanned, updated }
+ */
+async function anonymizeStoredClicks({ mode: target = getMode(), dryRun = false, batchSize = MIGRATION_BATCH_SIZE, onProgress } = {}) {
+  if (!MODES.includes(target)) {
+    throw new Error(`Unknown privacy mode "${target}" (expected one of: ${MODES.join(', ')})`);
+  }
+
+  const result = { mode: target, scanned: 0, updated: 0 };
+  if (target === 'full') return result;
+
+  // Addresses contain '.' or ':'; hashes and 'unknown' don't
+  const filter = target === 'none' ? { ipAddress: { $ne: null } } : { ipAddress: /[.:]/ };
+  const runSalts = new Map();
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await Analytics.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+    if (onProgress) onProgress({ ...result });
+  };
+
+  const cursor = Analytics.find(filter).select('ipAddress clickedAt').lean().cursor();
+  for await (const click of cursor) {
+    result.scanned++;
+    const ipAddress = await anonymize(click.ipAddress, {
+      mode: target,
+      clickedAt: click.clickedAt,
+      cache: runSalts,
+      keepExpired: true
+    });
+    if (ipAddress === click.ipAddress) continue;
+
+    result.updated++;
+    operations.push({
+      updateOne: {
+        filter: { _id: click._id, ipAddress: click.ipAddress },
+        update: { $set: { ipAddress } }
+      }
+    });
+    if (operations.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return result;
+}
+
+/**
+ * Forget the configured mode and cached salts (used by tests)
+ */
+function reset() {
+  mode = null;
+  salts = new Map();
+}
+
+module.exports = {
+  MODES,
+  getMode,
+  hashIp,
+  anonymize,
+  protectClick,
+  storedForms,
+  anonymizeStoredClicks,
+  reset
+};
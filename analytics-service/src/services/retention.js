@@ -0,0 +1,154 @@
+// src/services/retention.js - Purges raw clicks past the retention period, keeping rollups
+const Analytics = require('../models/Analytics');
+const RollupState = require('../models/RollupState');
+const rollups = require('./rollups');
+const { DAY_MS, bucketStart } = require('../utils/aggregation');
+
+// Purge configuration
+const INTERVAL_MS = parseInt(process.env.CLICK_RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Purges take the rollup lock under their own name, so they never overlap a
+// compaction or a rebuild, not even one of this process
+const owner = `${rollups.instanceId}:retention`;
+
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Days raw clicks are kept (0 = forever)
+ * @returns {number}
+ */
+function getRetentionDays() {
+  return Math.max(parseInt(process.env.CLICK_RETENTION_DAYS, 10) || 0, 0);
+}
+
+/**
+ * First UTC day whose raw clicks are kept
+ * @param {number} days
+ * @param {Date} now
+ * @returns {Date}
+ */
+function retentionCutoff(days, now = new Date()) {
+  return bucketStart(now.getTime() - days * DAY_MS, 'day');
+}
+
+/**
+ * Delete raw clicks from before the retention cutoff
+ * Only clicks already compacted into rollups are deleted; older clicks that
+ * are still raw wait for the next compaction.
+ * @param {Object} options - { days, now }
+ * @returns {Promise<Object>} { leader, cutoff, purged }
+ */
+async function purge({ days = getRetentionDays(), now = new Date() } = {}) {
+  const result = { leader: false, cutoff: null, purged: 0 };
+  if (days <= 0) return result;
+
+  result.leader = await RollupState.acquire(owner, LOCK_TTL_MS);
+  if (!result.leader) return result;
+
+  try {
+    const state = await RollupState.get();
+    if (!state.watermark) return result; // Nothing compacted yet
+
+    result.cutoff = retentionCutoff(days, now);
+
+    // Recorded before deleting, so a rebuild never recounts a purged day from raw clicks
+    if (!state.retainedFrom || state.retainedFrom < result.cutoff) {
+      const recorded = await RollupState.updateAsOwner(owner, { $set: { retainedFrom: result.cutoff } });
+      if (!recorded) throw new Error('Rollup lock lost to another process');
+    }
+
+    const filter = { clickedAt: { $lt: result.cutoff }, _id: { $lt: state.watermark } };
+    for (;;) {
+      const batch = await Analytics.find(filter).select('_id').limit(BATCH_SIZE).lean();
+      if (batch.length === 0) break;
+
+      const { deletedCount } = await Analytics.deleteMany({ _id: { $in: batch.map(click => click._id) } });
+      result.purged += deletedCount;
+
+      if (!(await RollupState.acquire(owner, LOCK_TTL_MS))) {
+        throw new Error('Rollup lock lost to another process'); // Renew the lock
+      }
+    }
+
+    return result;
+  } finally {
+    await RollupState.release(owner);
+  }
+}
+
+/**
+ * Run a purge unless one is already running
+ * @returns {Promise<Object>} { leader, cutoff, purged }
+ */
+function runOnce() {
+  if (running) return running;
+
+  running = (async () => {
+    try {
+      const result = await purge();
+      lastRun = { at: new Date(), ...result };
+      if (result.purged) {
+        console.log(`🧹 Retention: ${result.purged} clicks from before ${result.cutoff.toISOString().slice(0, 10)} purged`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error purging expired clicks:', error.message);
+      return { leader: false, cutoff: null, purged: 0 };
+    } finally {
+      running = null;
+    }
+  })();
+
+  return running;
+}
+
+/**
+ * Retention settings and the last purge, for health checks
+ * @returns {Object}
+ */
+function getStats() {
+  return {
+    retentionDays: getRetentionDays(),
+    purging: Boolean(timer),
+    lastRun
+  };
+}
+
+/**
+ * Start purging expired clicks (does nothing while retention is off)
+ */
+const start = () => {
+  if (timer || getRetentionDays() === 0) return;
+
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for purges
+  console.log(`🧹 Click retention: raw clicks kept for ${getRetentionDays()} days`);
+};
+
+/**
+ * Stop purging and wait for an in-flight purge
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  purge,
+  retentionCutoff,
+  getRetentionDays,
+  getStats
+};
@@ -0,0 +1,570 @@
+// src/services/rollups.js - Hourly/daily click rollups: compaction, queries and rebuilds
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Analytics = require('../models/Analytics');
+const AnalyticsRollup = require('../models/AnalyticsRollup');
+const RollupState = require('../models/RollupState');
+const {
+  DAY_MS,
+  DIMENSIONS,
+  bucketStart,
+  planRange,
+  rangeFilter,
+  buildRollupPipeline,
+  toDailyRows,
+  mergeCounts,
+  toBreakdown,
+  splitKey
+} = require('../utils/aggregation');
+
+// Compaction configuration
+const INTERVAL_MS = parseInt(process.env.ROLLUP_INTERVAL_MS, 10) || 60 * 1000;
+// Clicks younger than this stay raw, so clicks still being inserted are not skipped
+const SETTLE_MS = parseInt(process.env.ROLLUP_SETTLE_MS, 10) || 60 * 1000;
+// Insert time covered by one compaction step (bounds the size of each aggregation)
+const WINDOW_MS = parseInt(process.env.ROLLUP_WINDOW_MS, 10) || 6 * 60 * 60 * 1000;
+const LOCK_TTL_MS = Math.max(INTERVAL_MS * 2, 5 * 60 * 1000);
+// Regions and cities listed in a link summary
+const PLACES_LIMIT = 20;
+
+// Identifies this process in the state document
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let timer = null;
+let running = null;
+
+/**
+ * Error raised when another process took the compaction lock over
+ * @returns {Error}
+ */
+function lockLost() {
+  return new Error('Rollup lock lost to another process');
+}
+
+/**
+ * ObjectId boundary for clicks inserted before a time
+ * @param {Date|number} date
+ * @returns {ObjectId}
+ */
+function idBefore(date) {
+  return mongoose.Types.ObjectId.createFromTime(Math.floor(new Date(date).getTime() / 1000));
+}
+
+/**
+ * Compare ObjectIds by value
+ * @param {ObjectId} a
+ * @param {ObjectId} b
+ * @returns {boolean} Whether a >= b
+ */
+function idAtLeast(a, b) {
+  return a.toHexString() >= b.toHexString();
+}
+
+/**
+ * Pick the next range of raw clicks (by _id, i.e. insert time) to roll up
+ * Empty stretches are skipped in one step.
+ * @param {ObjectId|null} watermark - Clicks below this are rolled up already
+ * @param {ObjectId} cutoff - Clicks at or above this are left for later
+ * @returns {Promise<Object|null>} { from, to }, or null when there is nothing to do
+ */
+async function nextRange(watermark, cutoff) {
+  if (watermark && idAtLeast(watermark, cutoff)) return null;
+
+  const first = await Analytics.findOne({ _id: { ...(watermark && { $gte: watermark }), $lt: cutoff } })
+    .sort({ _id: 1 })
+    .select('_id')
+    .lean();
+
+  if (!first) {
+    return watermark ? { from: watermark, to: cutoff } : null;
+  }
+
+  const windowEnd = idBefore(first._id.getTimestamp().getTime() + WINDOW_MS);
+  return {
+    from: watermark || first._id,
+    to: idAtLeast(windowEnd, cutoff) ? cutoff : windowEnd
+  };
+}
+
+/**
+ * Add the raw clicks of an _id range to the rollups of a generation
+ * Safe to repeat with the same runId: counters remember the runs they contain.
+ * @param {number} generation
+ * @param {Object} run - { runId, from, to }
+ * @param {Object} filter - Further condition on the clicks (default: none)
+ * @returns {Promise<number>} Clicks rolled up
+ */
+async function rollUp(generation, { runId, from, to }, filter = {}) {
+  const hourly = await Analytics.aggregate(buildRollupPipeline({ _id: { $gte: from, $lt: to }, ...filter }))
+    .allowDiskUse(true);
+
+  const rows = [
+    ...hourly.map(row => ({ ...row, granularity: 'hour' })),
+    ...toDailyRows(hourly).map(row => ({ ...row, granularity: 'day' }))
+  ];
+  await AnalyticsRollup.applyRun(rows, generation, runId);
+
+  return hourly
+    .filter(row => row.dimension === 'total')
+    .reduce((sum, row) => sum + row.clicks, 0);
+}
+
+/**
+ * Run one compaction step for the current generation
+ * The range is recorded as pending before it is rolled up, so a process
+ * that dies halfway is finished by the next one with the same run id.
+ * Until the watermark moves, queries can briefly count that range twice.
+ * @param {ObjectId} cutoff
+ * @returns {Promise<Object>} { clicks, caughtUp }
+ */
+async function compactStep(cutoff) {
+  const state = await RollupState.get();
+  let run = state.pending;
+
+  if (!run) {
+    const range = await nextRange(state.watermark, cutoff);
+    if (!range) return { clicks: 0, caughtUp: true };
+
+    run = { runId: crypto.randomUUID(), ...range };
+    if (!(await RollupState.updateAsOwner(instanceId, { $set: { pending: run } }))) throw lockLost();
+  }
+
+  const clicks = await rollUp(state.generation, run);
+
+  const advanced = await RollupState.updateAsOwner(instanceId, {
+    $set: { watermark: run.to, pending: null, lastRunAt: new Date() }
+  });
+  if (!advanced) throw lockLost();
+
+  return { clicks, caughtUp: idAtLeast(run.to, cutoff) };
+}
+
+/**
+ * Roll up every settled raw click (the caller must hold the lock)
+ * @param {Date} until - Clicks inserted from this time on stay raw
+ * @returns {Promise<number>} Clicks rolled up
+ */
+async function compactUntil(until) {
+  const cutoff = idBefore(until);
+  let total = 0;
+
+  for (;;) {
+    if (!(await RollupState.acquire(instanceId, LOCK_TTL_MS))) throw lockLost(); // Renew the lock
+
+    const { clicks, caughtUp } = await compactStep(cutoff);
+    total += clicks;
+    if (caughtUp) return total;
+  }
+}
+
+/**
+ * Compact raw clicks into rollups if no other process is doing so
+ * Concurrent calls share the same run.
+ * @param {Object} options - { until } defaults to now minus ROLLUP_SETTLE_MS
+ * @returns {Promise<Object>} { leader, clicks }
+ */
+function runOnce({ until = new Date(Date.now() - SETTLE_MS) } = {}) {
+  if (running) return running;
+
+  running = (async () => {
+    const totals = { leader: false, clicks: 0 };
+    try {
+      totals.leader = await RollupState.acquire(instanceId, LOCK_TTL_MS);
+      if (!totals.leader) return totals;
+
+      totals.clicks = await compactUntil(until);
+
+      if (totals.clicks) {
+        console.log(`📦 Rollup compaction: ${totals.clicks} clicks rolled up`);
+      }
+    } catch (error) {
+      console.error('Error compacting rollups:', error.message);
+    } finally {
+      // Hand the lock back between runs so a rebuild can take it
+      if (totals.leader) {
+        await RollupState.release(instanceId).catch(error => {
+          console.error('Failed to release rollup lock:', error.message);
+        });
+      }
+      running = null;
+    }
+    return totals;
+  })();
+
+  return running;
+}
+
+/**
+ * Copy the counters of buckets whose raw clicks may be purged to a new generation
+ * @param {number} from - Generation to copy from
+ * @param {number} to - Generation to copy to
+ * @param {Date} retainedFrom - Buckets before this are copied
+ * @returns {Promise<number>} Counters copied
+ */
+async function carryOver(from, to, retainedFrom) {
+  await AnalyticsRollup.aggregate([
+    { $match: { generation: from, bucket: { $lt: retainedFrom } } },
+    { $unset: '_id' },
+    { $set: { generation: to, runs: [] } },
+    { $merge: { into: AnalyticsRollup.collection.name, whenMatched: 'fail', whenNotMatched: 'insert' } }
+  ]).allowDiskUse(true);
+
+  return AnalyticsRollup.countDocuments({ generation: to, bucket: { $lt: retainedFrom } });
+}
+
+/**
+ * Recompute all rollups from raw clicks
+ * The new generation is built next to the current one, which keeps serving
+ * queries until it is swapped in; the old generation is deleted afterwards.
+ * Buckets before the retention cutoff have lost raw clicks, so their
+ * counters are carried over from the current generation instead.
+ * @param {Object} options - { until, waitMs } - waitMs bounds the wait for the lock
+ * @returns {Promise<Object>} { generation, clicks, carried, removed }
+ */
+async function rebuild({ until = new Date(Date.now() - SETTLE_MS), waitMs = LOCK_TTL_MS } = {}) {
+  const deadline = Date.now() + waitMs;
+  while (!(await RollupState.acquire(instanceId, LOCK_TTL_MS))) {
+    if (Date.now() >= deadline) {
+      throw new Error('Rollup lock is held by another process');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  try {
+    const { generation: current, watermark: previous, retainedFrom } = await RollupState.get();
+    const generation = current + 1;
+    const cutoff = idBefore(until);
+
+    // Clear leftovers of an earlier rebuild that did not finish
+    await AnalyticsRollup.deleteMany({ generation });
+
+    // Old clicks still on disk are already in the carried counters, unless
+    // they were inserted after the last compaction
+    let carried = 0;
+    let filter = {};
+    if (retainedFrom) {
+      carried = await carryOver(current, generation, retainedFrom);
+      filter = {
+        $or: [
+          { clickedAt: { $gte: retainedFrom } },
+          ...(previous ? [{ _id: { $gte: previous } }] : [])
+        ]
+      };
+    }
+
+    let watermark = null;
+    let clicks = 0;
+    for (;;) {
+      if (!(await RollupState.acquire(instanceId, LOCK_TTL_MS))) throw lockLost();
+
+      const range = await nextRange(watermark, cutoff);
+      if (!range) break;
+
+      clicks += await rollUp(generation, { runId: crypto.randomUUID(), ...range }, filter);
+      watermark = range.to;
+      if (idAtLeast(watermark, cutoff)) break;
+    }
+
+    const swapped = await RollupState.updateAsOwner(instanceId, {
+      $set: { generation, watermark, pending: null, lastRunAt: new Date(), rebuiltAt: new Date() }
+    });
+    if (!swapped) throw lockLost();
+
+    const { deletedCount } = await AnalyticsRollup.deleteMany({ generation: { $ne: generation } });
+    return { generation, clicks, carried, removed: deletedCount };
+  } finally {
+    await RollupState.release(instanceId);
+  }
+}
+
+/**
+ * Aggregation key of a raw click for a count
+ * @param {string} dimension
+ * @param {string} by - 'value', 'shortCode' or 'day'
+ * @returns {*}
+ */
+function rawKey(dimension, by) {
+  if (by === 'shortCode') return '$shortCode';
+  if (by === 'day') return { $dateTrunc: { date: '$clickedAt', unit: 'day' } };
+  return DIMENSIONS[dimension] ? { $ifNull: [DIMENSIONS[dimension], null] } : null;
+}
+
+/**
+ * Aggregation key of a rollup counter for a count
+ * @param {string} by - 'value', 'shortCode' or 'day'
+ * @returns {*}
+ */
+function rollupKey(by) {
+  if (by === 'shortCode') return '$shortCode';
+  if (by === 'day') return { $dateTrunc: { date: '$bucket', unit: 'day' } };
+  return '$value';
+}
+
+/**
+ * Count clicks, reading rollups where they exist and raw clicks elsewhere
+ * Raw clicks are read for the partial hours at the ends of the range and for
+ * the tail inserted since the last compaction.
+ * @param {Object} query - { dimension, by, shortCode, from, to, includeBots }
+ *   dimension: 'total', 'country', 'device', 'browser', 'os', 'referrer', 'region', 'city',
+ *     'targetingRule' or 'variant'
+ *   by: key of the result - 'value' (default), 'shortCode' or 'day'
+ *   from/to: inclusive start and exclusive end (null = open)
+ *   includeBots: also count clicks of crawlers and scripts (default: false)
+ * @returns {Promise<Map>} key -> clicks (days are keyed by timestamp)
+ */
+async function count({ dimension = 'total', by = 'value', shortCode = null, from = null, to = null, includeBots = false } = {}) {
+  if (!(dimension in DIMENSIONS)) {
+    throw new Error(`Unknown rollup dimension: ${dimension}`);
+  }
+
+  const { generation, watermark } = await RollupState.get();
+  const plan = planRange(from, to);
+  const scope = { ...(shortCode && { shortCode }), ...Analytics.botFilter(includeBots) };
+
+  const rollupClauses = [];
+  if (plan.day) rollupClauses.push({ granularity: 'day', ...rangeFilter('bucket', plan.day) });
+  for (const hours of plan.hours) {
+    rollupClauses.push({ granularity: 'hour', ...rangeFilter('bucket', hours) });
+  }
+
+  const rawClauses = plan.raw.map(range => rangeFilter('clickedAt', range));
+  if (plan.covered) {
+    rawClauses.push({
+      ...rangeFilter('clickedAt', plan.covered),
+      ...(watermark && { _id: { $gte: watermark } })
+    });
+  }
+
+  const sources = [];
+  if (watermark && rollupClauses.length > 0) {
+    sources.push(AnalyticsRollup.aggregate([
+      { $match: { generation, dimension, ...scope, $or: rollupClauses } },
+      { $group: { _id: rollupKey(by), count: { $sum: '$clicks' } } }
+    ]));
+  }
+  if (rawClauses.length > 0) {
+    sources.push(Analytics.aggregate([
+      { $match: { ...scope, $or: rawClauses } },
+      { $group: { _id: rawKey(dimension, by), count: { $sum: 1 } } }
+    ]));
+  }
+
+  const results = await Promise.all(sources);
+  return mergeCounts(...results.map(rows => rows.map(row => ({
+    key: row._id instanceof Date ? row._id.getTime() : row._id,
+    count: row.count
+  }))));
+}
+
+/**
+ * Count clicks in a range
+ * @param {Object} query - { shortCode, from, to, includeBots }
+ * @returns {Promise<number>}
+ */
+async function total(query = {}) {
+  const totals = await count({ ...query, dimension: 'total' });
+  return totals.get(null) || 0;
+}
+
+/**
+ * Break clicks down by the values of a dimension
+ * @param {string} dimension - 'country', 'device', 'browser', 'os' or 'referrer'
+ * @param {string} field - Name of the value field in the output
+ * @param {Object} query - { shortCode, from, to, includeBots, limit }
+ * @returns {Promise<Array>} [{ [field]: value, count }] sorted by count
+ */
+async function breakdown(dimension, field, { limit, ...query } = {}) {
+  return toBreakdown(await count({ ...query, dimension }), field, limit);
+}
+
+/**
+ * Break clicks down by places ('region' or 'city')
+ * Clicks without the place are left out.
+ * @param {string} dimension - 'region' or 'city'
+ * @param {Object} query - { shortCode, from, to, includeBots, limit }
+ * @returns {Promise<Array>} [{ country, region[, city], count }] sorted by count
+ */
+async function placeBreakdown(dimension, { limit, ...query } = {}) {
+  const names = dimension === 'city' ? ['country', 'region', 'city'] : ['country', 'region'];
+  const totals = await count({ ...query, dimension });
+  totals.delete(null);
+
+  return toBreakdown(totals, 'key', limit)
+    .map(({ key, count: clicks }) => ({ ...splitKey(key, names), count: clicks }));
+}
+
+/**
+ * Break clicks down by the targeting rule that matched
+ * @param {Object} query - { shortCode, from, to, includeBots }
+ * @returns {Promise<Array>} [{ rule, count }] sorted by count ('default' = no rule matched)
+ */
+async function targetingBreakdown(query) {
+  const rules = toBreakdown(await count({ ...query, dimension: 'targetingRule' }), 'rule');
+  return rules.map(({ rule, count: clicks }) => ({ rule: rule ?? 'default', count: clicks }));
+}
+
+/**
+ * Compare the A/B variants of a short code
+ * Clicks and shares come from rollups. Unique visitors are not additive and
+ * are read from raw clicks, so they only cover the retained period.
+ * @param {string} shortCode
+ * @param {Object} options - { includeBots }
+ * @returns {Promise<Array>} [{ variant, count, uniqueVisitors, share }] sorted by count
+ */
+async function variantBreakdown(shortCode, { includeBots = false } = {}) {
+  const [totals, raw] = await Promise.all([
+    count({ shortCode, includeBots, dimension: 'variant' }),
+    Analytics.getClicksByVariant(shortCode, { includeBots })
+  ]);
+  totals.delete(null);
+
+  const visitors = new Map(raw.map(entry => [entry.variant, entry.uniqueVisitors]));
+  const clicks = [...totals.values()].reduce((sum, value) => sum + value, 0);
+
+  return toBreakdown(totals, 'variant').map(({ variant, count: variantClicks }) => ({
+    variant,
+    count: variantClicks,
+    uniqueVisitors: visitors.get(variant) || 0,
+    share: clicks > 0 ? Math.round((variantClicks / clicks) * 10000) / 100 : 0
+  }));
+}
+
+/**
+ * Clicks per UTC day for the last few days
+ * @param {string} shortCode
+ * @param {Object} options - { days, includeBots }
+ * @returns {Promise<Array>} [{ date, count }] oldest first
+ */
+async function clicksOverTime(shortCode, { days = 30, includeBots = false } = {}) {
+  const from = bucketStart(Date.now() - days * DAY_MS, 'day');
+  const totals = await count({ shortCode, by: 'day', from, includeBots });
+
+  return [...totals.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([day, clicks]) => ({ date: new Date(day), count: clicks }));
+}
+
+/**
+ * Analytics summary of a short code
+ * Counters come from rollups. Unique visitors are not rolled up and are read
+ * from raw clicks; once a retention purge has run, uniqueVisitorsSince is the
+ * start of the clicks they cover.
+ * @param {string} shortCode
+ * @param {Object} options - { detailed, includeBots } - detailed adds browser and OS breakdowns
+ * @returns {Promise<Object>}
+ */
+async function getLinkSummary(shortCode, { detailed = false, includeBots = false } = {}) {
+  const query = { shortCode, includeBots };
+  const [
+    { retainedFrom },
+    totalClicks,
+    uniqueVisitors,
+    clicksByCountry,
+    clicksByRegion,
+    clicksByCity,
+    clicksByDevice,
+    clicksByBrowser,
+    clicksByOs,
+    topReferrers,
+    clicksOverTimeByDay,
+    clicksByTargetingRule,
+    clicksByVariant
+  ] = await Promise.all([
+    RollupState.get(),
+    total(query),
+    Analytics.getUniqueVisitors(shortCode, { includeBots }),
+    breakdown('country', 'country', query),
+    placeBreakdown('region', { ...query, limit: PLACES_LIMIT }),
+    placeBreakdown('city', { ...query, limit: PLACES_LIMIT }),
+    breakdown('device', 'deviceType', query),
+    detailed ? breakdown('browser', 'browser', query) : null,
+    detailed ? breakdown('os', 'os', query) : null,
+    breakdown('referrer', 'referer', { ...query, limit: 5 }),
+    clicksOverTime(shortCode, { includeBots }),
+    targetingBreakdown(query),
+    variantBreakdown(shortCode, { includeBots })
+  ]);
+
+  return {
+    totalClicks,
+    uniqueVisitors,
+    uniqueVisitorsSince: retainedFrom || null,
+    clicksByCountry,
+    clicksByRegion,
+    clicksByCity,
+    clicksByDevice,
+    ...(detailed && { clicksByBrowser, clicksByOs }),
+    topReferrers,
+    clicksOverTime: clicksOverTimeByDay,
+    clicksByTargetingRule,
+    clicksByVariant
+  };
+}
+
+/**
+ * Drop the rollups of a short code (its raw clicks are deleted by the caller)
+ * @param {string} shortCode
+ * @returns {Promise<number>} Counters removed
+ */
+async function removeShortCode(shortCode) {
+  const { deletedCount } = await AnalyticsRollup.deleteMany({ shortCode });
+  return deletedCount;
+}
+
+/**
+ * Compaction progress for health checks
+ * @returns {Promise<Object>}
+ */
+async function getStats() {
+  const state = await RollupState.get();
+  return {
+    compacting: Boolean(timer),
+    generation: state.generation,
+    compactedThrough: state.watermark ? state.watermark.getTimestamp() : null,
+    lastRunAt: state.lastRunAt || null,
+    rebuiltAt: state.rebuiltAt || null,
+    retainedFrom: state.retainedFrom || null
+  };
+}
+
+/**
+ * Start background compaction
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for compaction
+  console.log(`📦 Rollup compaction started (every ${INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop background compaction and wait for an in-flight run
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  rebuild,
+  count,
+  total,
+  breakdown,
+  placeBreakdown,
+  clicksOverTime,
+  getLinkSummary,
+  removeShortCode,
+  getStats,
+  instanceId
+};
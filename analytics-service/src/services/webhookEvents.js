@@ -0,0 +1,86 @@
+// src/services/webhookEvents.js - Publishes click.tracked events for webhook subscribers
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+
+// How long the set of subscribed event types is reused before it is read again
+const SUBSCRIBED_TTL_MS = parseInt(process.env.WEBHOOK_SUBSCRIPTION_CACHE_MS, 10) || 30000;
+const EVENT_TYPE = 'click.tracked';
+
+let subscribed = null;
+let subscribedAt = 0;
+
+/**
+ * Check whether any active subscription wants click.tracked
+ * Subscriptions live in the redirector's collection of the shared database;
+ * the answer is cached so tracking doesn't write events nobody wants.
+ * @returns {Promise<boolean>}
+ */
+async function hasSubscribers() {
+  if (!subscribed || Date.now() - subscribedAt >= SUBSCRIBED_TTL_MS) {
+    const types = await mongoose.connection.collection('webhooksubscriptions')
+      .distinct('events', { isActive: true });
+    subscribed = new Set(types);
+    subscribedAt = Date.now();
+  }
+  return subscribed.has(EVENT_TYPE) || subscribed.has('*');
+}
+
+/**
+ * Describe a stored click in event data (the IP address is left out)
+ * @param {Object} entry - Analytics document
+ * @returns {Object}
+ */
+function clickData(entry) {
+  return {
+    click: {
+      id: entry._id.toString(),
+      shortCode: entry.shortCode,
+      clickedAt: entry.clickedAt,
+      referer: entry.referer,
+      country: entry.country,
+      region: entry.region,
+      city: entry.city,
+      deviceType: entry.deviceType,
+      browser: entry.browser?.name || null,
+      os: entry.os?.name || null,
+      isBot: Boolean(entry.isBot),
+      botName: entry.botName || null,
+      targetingRule: entry.targetingRule,
+      variant: entry.variant
+    }
+  };
+}
+
+/**
+ * Publish click.tracked for stored clicks
+ * Never throws: tracking must not fail because of webhooks.
+ * @param {Array} entries - Analytics documents
+ * @returns {Promise<void>}
+ */
+const emitClicks = async (entries) => {
+  if (process.env.WEBHOOK_EVENTS_ENABLED === 'false' || entries.length === 0) return;
+
+  try {
+    if (!(await hasSubscribers())) return;
+
+    await WebhookEvent.insertMany(entries.map(entry => ({
+      type: EVENT_TYPE,
+      shortCode: entry.shortCode,
+      data: clickData(entry)
+    })));
+  } catch (error) {
+    console.error('Failed to publish click.tracked events:', error.message);
+  }
+};
+
+/**
+ * Forget the cached subscription check
+ */
+const invalidate = () => {
+  subscribed = null;
+};
+
+module.exports = {
+  emitClicks,
+  invalidate
+};
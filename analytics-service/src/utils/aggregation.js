@@ -0,0 +1,245 @@
+// src/utils/aggregation.js - Rollup buckets, range planning and count merging
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const GRANULARITIES = { hour: HOUR_MS, day: DAY_MS };
+
+const KEY_SEPARATOR = '|';
+
+/**
+ * Expression joining click fields into one "a|b|c" key
+ * The key is null when the last (most specific) field is missing, so a city
+ * is only counted with its country and region in front of it.
+ * @param {Array} fields - Field paths, e.g. ['$country', '$region']
+ * @returns {Object}
+ */
+function compoundKey(fields) {
+  const parts = fields.flatMap((field, i) => [
+    ...(i > 0 ? [KEY_SEPARATOR] : []),
+    { $ifNull: [field, ''] }
+  ]);
+  return {
+    $cond: [{ $gt: [{ $ifNull: [fields[fields.length - 1], null] }, null] }, { $concat: parts }, null]
+  };
+}
+
+/**
+ * Split a compound key back into named fields (empty parts become null)
+ * @param {string} key - e.g. "US|California|San Jose"
+ * @param {Array} names - e.g. ['country', 'region', 'city']
+ * @returns {Object}
+ */
+function splitKey(key, names) {
+  const parts = String(key).split(KEY_SEPARATOR);
+  return Object.fromEntries(names.map((name, i) => [name, parts[i] || null]));
+}
+
+/**
+ * Click fields (or expressions) counted in rollups, by dimension name
+ * 'total' counts every click once. Regions and cities are keyed with their
+ * country so that places with the same name stay apart.
+ */
+const DIMENSIONS = {
+  total: null,
+  country: '$country',
+  device: '$deviceType',
+  browser: '$browser.name',
+  os: '$os.name',
+  referrer: '$referer',
+  region: compoundKey(['$country', '$region']),
+  city: compoundKey(['$country', '$region', '$city']),
+  targetingRule: '$targetingRule',
+  variant: '$variant'
+};
+
+/**
+ * Start of the (UTC) bucket a time falls in
+ * @param {Date|number} date
+ * @param {string} granularity - 'hour' or 'day'
+ * @returns {Date}
+ */
+function bucketStart(date, granularity) {
+  const size = GRANULARITIES[granularity];
+  return new Date(Math.floor(new Date(date).getTime() / size) * size);
+}
+
+/**
+ * Start of the first bucket at or after a time
+ * @param {Date|number} date
+ * @param {string} granularity - 'hour' or 'day'
+ * @returns {Date}
+ */
+function bucketCeil(date, granularity) {
+  const size = GRANULARITIES[granularity];
+  return new Date(Math.ceil(new Date(date).getTime() / size) * size);
+}
+
+/**
+ * Split a time range into the parts each source can answer
+ * Whole days come from daily rollups, whole hours from hourly rollups, and
+ * the partial hours at either end from raw clicks. A missing bound is open.
+ * @param {Date|null} from - Inclusive start
+ * @param {Date|null} to - Exclusive end
+ * @returns {Object} { day, hours, raw, covered } - day/covered are { from, to } or null,
+ *   hours and raw are lists of { from, to }
+ */
+function planRange(from = null, to = null) {
+  const plan = { day: null, hours: [], raw: [], covered: null };
+
+  if (from && to && from >= to) return plan;
+
+  const hourFrom = from && bucketCeil(from, 'hour');
+  const hourTo = to && bucketStart(to, 'hour');
+
+  // Shorter than an hour boundary to boundary: nothing to roll up
+  if (hourFrom && hourTo && hourFrom >= hourTo) {
+    plan.raw.push({ from, to });
+    return plan;
+  }
+
+  if (from && from < hourFrom) plan.raw.push({ from, to: hourFrom });
+  if (to && hourTo < to) plan.raw.push({ from: hourTo, to });
+  plan.covered = { from: hourFrom, to: hourTo };
+
+  const dayFrom = hourFrom && bucketCeil(hourFrom, 'day');
+  const dayTo = hourTo && bucketStart(hourTo, 'day');
+
+  if (dayFrom && dayTo && dayFrom >= dayTo) {
+    plan.hours.push({ from: hourFrom, to: hourTo });
+    return plan;
+  }
+
+  plan.day = { from: dayFrom, to: dayTo };
+  if (hourFrom && hourFrom < dayFrom) plan.hours.push({ from: hourFrom, to: dayFrom });
+  if (hourTo && dayTo < hourTo) plan.hours.push({ from: dayTo, to: hourTo });
+  return plan;
+}
+
+/**
+ * MongoDB filter restricting a field to a { from, to } range
+ * Open ends are left out; a fully open range gives an empty filter.
+ * @param {string} field - Field name
+ * @param {Object} range - { from, to }
+ * @returns {Object}
+ */
+function rangeFilter(field, { from, to }) {
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lt = to;
+  return Object.keys(condition).length > 0 ? { [field]: condition } : {};
+}
+
+/**
+ * Aggregation pipeline counting raw clicks per shortCode, hour, dimension value and bot flag
+ * @param {Object} match - Filter on raw clicks
+ * @returns {Array} Pipeline producing { shortCode, bucket, dimension, value, isBot, clicks }
+ */
+function buildRollupPipeline(match) {
+  const pairs = Object.entries(DIMENSIONS).map(([dimension, field]) => ({
+    dimension,
+    value: field ? { $ifNull: [field, null] } : null
+  }));
+
+  return [
+    { $match: match },
+    {
+      $project: {
+        shortCode: 1,
+        bucket: { $dateTrunc: { date: '$clickedAt', unit: 'hour' } },
+        isBot: { $ifNull: ['$isBot', false] },
+        pairs
+      }
+    },
+    { $unwind: '$pairs' },
+    {
+      $group: {
+        _id: {
+          shortCode: '$shortCode',
+          bucket: '$bucket',
+          dimension: '$pairs.dimension',
+          value: '$pairs.value',
+          isBot: '$isBot'
+        },
+        clicks: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        shortCode: '$_id.shortCode',
+        bucket: '$_id.bucket',
+        dimension: '$_id.dimension',
+        value: '$_id.value',
+        isBot: '$_id.isBot',
+        clicks: 1
+      }
+    }
+  ];
+}
+
+/**
+ * Add hourly counts up into daily counts
+ * @param {Array} rows - { shortCode, bucket, dimension, value, isBot, clicks } per hour
+ * @returns {Array} Same shape per day
+ */
+function toDailyRows(rows) {
+  const daily = new Map();
+  for (const row of rows) {
+    const bucket = bucketStart(row.bucket, 'day');
+    const key = JSON.stringify([row.shortCode, bucket.getTime(), row.dimension, row.value, row.isBot]);
+    const entry = daily.get(key);
+    if (entry) {
+      entry.clicks += row.clicks;
+    } else {
+      daily.set(key, { ...row, bucket });
+    }
+  }
+  return [...daily.values()];
+}
+
+/**
+ * Sum counts from several sources
+ * @param {...Array} lists - Lists of { key, count }
+ * @returns {Map} key -> count
+ */
+function mergeCounts(...lists) {
+  const totals = new Map();
+  for (const list of lists) {
+    for (const { key, count } of list) {
+      totals.set(key, (totals.get(key) || 0) + count);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Turn merged counts into a breakdown sorted by count (ties by key)
+ * @param {Map} totals - key -> count
+ * @param {string} field - Name of the key field in the output (e.g. 'country')
+ * @param {number} limit - Maximum entries (default: all)
+ * @returns {Array} [{ [field]: key, count }]
+ */
+function toBreakdown(totals, field, limit = Infinity) {
+  return [...totals.entries()]
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit)
+    .map(([key, count]) => ({ [field]: key, count }));
+}
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  DIMENSIONS,
+  compoundKey,
+  splitKey,
+  bucketStart,
+  bucketCeil,
+  planRange,
+  rangeFilter,
+  buildRollupPipeline,
+  toDailyRows,
+  mergeCounts,
+  toBreakdown
+};
@@ -0,0 +1,51 @@
+// src/utils/cursor.js - Opaque cursors for click listings (newest first)
+
+/**
+ * Encode the position after a click
+ * @param {Object} click - Last click of the page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(click) {
+  const payload = { t: click.clickedAt.toISOString(), id: String(click._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor
+ * @returns {Object|null} { clickedAt, id } or null when invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const clickedAt = new Date(payload.t);
+
+    if (Number.isNaN(clickedAt.getTime()) || !/^[0-9a-f]{24}$/.test(payload.id)) {
+      return null;
+    }
+    return { clickedAt, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filter for clicks older than the cursor
+ * Clicks in the same millisecond are ordered by _id, so pages never overlap.
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+function buildCursorFilter({ clickedAt, id }) {
+  return {
+    $or: [
+      { clickedAt: { $lt: clickedAt } },
+      { clickedAt, _id: { $lt: id } }
+    ]
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
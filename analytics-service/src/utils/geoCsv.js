@@ -0,0 +1,172 @@
+// src/utils/geoCsv.js - IP range databases in CSV form
+const { parseIp, parseCidr } = require('./ip');
+
+// Accepted header names for each location field
+const COLUMNS = {
+  network: ['network', 'cidr', 'prefix'],
+  start: ['start_ip', 'ip_start', 'range_start', 'first_ip'],
+  end: ['end_ip', 'ip_end', 'range_end', 'last_ip'],
+  country: ['country', 'country_code', 'country_iso_code', 'iso_code'],
+  region: ['region', 'region_name', 'subdivision', 'subdivision_1_name', 'state'],
+  city: ['city', 'city_name'],
+  asn: ['asn', 'as_number', 'autonomous_system_number'],
+  asOrg: ['as_org', 'asn_org', 'as_name', 'organization', 'autonomous_system_organization']
+};
+
+/**
+ * Split one CSV line into fields (RFC 4180 quoting)
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse an AS number ("13335" or "AS13335")
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseAsn(value) {
+  const match = String(value || '').match(/^(?:AS)?(\d+)$/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * In-memory IP range database read from CSV
+ * The first line names the columns. A range is either a `network` in CIDR
+ * notation or a `start_ip`/`end_ip` pair; the other columns are optional.
+ */
+class CsvGeoDatabase {
+  /**
+   * @param {string} text - CSV contents
+   */
+  constructor(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('CSV database is empty');
+    }
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const column = Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => [
+      field,
+      header.findIndex(name => names.includes(name))
+    ]));
+
+    if (column.network === -1 && (column.start === -1 || column.end === -1)) {
+      throw new Error('CSV database needs a network column or start_ip and end_ip columns');
+    }
+
+    this.ranges = { 4: [], 6: [] };
+    this.skipped = 0;
+
+    for (const line of lines.slice(1)) {
+      const fields = splitCsvLine(line);
+      const range = this.readRange(fields, column);
+      if (!range) {
+        this.skipped++;
+        continue;
+      }
+
+      const value = (field) => (column[field] !== -1 && fields[column[field]]) || null;
+      this.ranges[range.version].push({
+        start: range.start,
+        end: range.end,
+        record: {
+          country: value('country'),
+          region: value('region'),
+          city: value('city'),
+          asn: parseAsn(value('asn')),
+          asOrg: value('asOrg')
+        }
+      });
+    }
+
+    for (const list of Object.values(this.ranges)) {
+      list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+  }
+
+  /**
+   * @param {Array<string>} fields - Fields of a line
+   * @param {Object} column - Field name -> column index
+   * @returns {Object|null} { version, start, end }
+   */
+  readRange(fields, column) {
+    if (column.network !== -1 && fields[column.network]) {
+      return parseCidr(fields[column.network]);
+    }
+
+    const start = parseIp(fields[column.start]);
+    const end = parseIp(fields[column.end]);
+    if (!start || !end || start.version !== end.version || start.value > end.value) return null;
+    return { version: start.version, start: start.value, end: end.value };
+  }
+
+  /**
+   * Number of ranges loaded
+   * @returns {number}
+   */
+  get size() {
+    return this.ranges[4].length + this.ranges[6].length;
+  }
+
+  /**
+   * Look an address up (binary search over the sorted ranges)
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {Object|null} { country, region, city, asn, asOrg }
+   */
+  get(address) {
+    const ip = parseIp(address);
+    if (!ip) return null;
+
+    const list = this.ranges[ip.version];
+    let low = 0;
+    let high = list.length - 1;
+    let found = null;
+
+    // Last range starting at or before the address
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].start <= ip.value) {
+        found = list[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found && ip.value <= found.end ? found.record : null;
+  }
+}
+
+module.exports = {
+  CsvGeoDatabase,
+  splitCsvLine,
+  parseAsn
+};
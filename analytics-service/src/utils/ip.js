@@ -0,0 +1,117 @@
+// src/utils/ip.js - IP address parsing for range lookups
+const net = require('net');
+
+/**
+ * Parse an IP address into its numeric value
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4.
+ * @param {string} value
+ * @returns {Object|null} { version: 4|6, value: BigInt }, or null when it is not an IP
+ */
+function parseIp(value) {
+  const address = String(value || '').trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return { version: 4, value: ipv4ToBigInt(address) };
+  }
+  if (version !== 6) return null;
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return { version: 4, value: ipv4ToBigInt(mapped[1]) };
+  }
+
+  return { version: 6, value: ipv6ToBigInt(address) };
+}
+
+/**
+ * @param {string} address - Dotted IPv4 address
+ * @returns {BigInt}
+ */
+function ipv4ToBigInt(address) {
+  return address.split('.').reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+}
+
+/**
+ * @param {string} address - IPv6 address (may end in an embedded IPv4 address)
+ * @returns {BigInt}
+ */
+function ipv6ToBigInt(address) {
+  let text = address;
+
+  // "::1.2.3.4" style tails become two hex groups
+  const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const v4 = ipv4ToBigInt(embedded[1]);
+    text = `${text.slice(0, -embedded[1].length)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups];
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(`0x${group}`), 0n);
+}
+
+/**
+ * Parse a network in CIDR notation
+ * @param {string} value - e.g. "203.0.113.0/24" or "2001:db8::/32"
+ * @returns {Object|null} { version, start: BigInt, end: BigInt }
+ */
+function parseCidr(value) {
+  const [address, prefixText] = String(value || '').trim().split('/');
+  const ip = parseIp(address);
+  if (!ip) return null;
+
+  const bits = ip.version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+  const hostBits = BigInt(bits - prefix);
+  const start = (ip.value >> hostBits) << hostBits;
+  return { version: ip.version, start, end: start | ((1n << hostBits) - 1n) };
+}
+
+/**
+ * Cut an address down to its network: /24 for IPv4, /48 for IPv6
+ * @param {string} value
+ * @returns {string|null} e.g. "203.0.113.0" or "2001:db8:1::", or null when it is not an IP
+ */
+function truncateIp(value) {
+  const ip = parseIp(value);
+  if (!ip) return null;
+
+  if (ip.version === 4) {
+    const network = ip.value >> 8n;
+    return [network >> 16n, (network >> 8n) & 0xffn, network & 0xffn, 0n].join('.');
+  }
+
+  const groups = [112n, 96n, 80n].map(shift => ((ip.value >> shift) & 0xffffn).toString(16));
+  return `${groups.join(':')}::`;
+}
+
+// Networks that are never routed on the public internet
+const PRIVATE_RANGES = {
+  4: ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16', '224.0.0.0/3'].map(parseCidr),
+  6: ['::/127', 'fc00::/7', 'fe80::/10', 'ff00::/8'].map(parseCidr)
+};
+
+/**
+ * Whether an address can't be located (private, loopback, link-local, ...)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPrivateIp(value) {
+  const ip = parseIp(value);
+  if (!ip) return true;
+  return PRIVATE_RANGES[ip.version].some(({ start, end }) => ip.value >= start && ip.value <= end);
+}
+
+module.exports = {
+  parseIp,
+  parseCidr,
+  truncateIp,
+  isPrivateIp
+};
@@ -0,0 +1,249 @@
+// src/utils/mmdb.js - Reader for MaxMind DB (MMDB) files such as GeoLite2
+// Format: https://maxmind.github.io/MaxMind-DB/
+const { parseIp } = require('./ip');
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEF"MaxMind.com"
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SEPARATOR_SIZE = 16;
+
+// Data field types
+const TYPES = {
+  POINTER: 1,
+  STRING: 2,
+  DOUBLE: 3,
+  BYTES: 4,
+  UINT16: 5,
+  UINT32: 6,
+  MAP: 7,
+  INT32: 8,
+  UINT64: 9,
+  UINT128: 10,
+  ARRAY: 11,
+  BOOLEAN: 14,
+  FLOAT: 15
+};
+
+/**
+ * Decoder for the MMDB data section format
+ */
+class Decoder {
+  /**
+   * @param {Buffer} buffer - Whole file
+   * @param {number} base - Offset pointers are relative to
+   */
+  constructor(buffer, base) {
+    this.buffer = buffer;
+    this.base = base;
+  }
+
+  /**
+   * Decode the field at an offset
+   * @param {number} offset - Absolute offset in the buffer
+   * @returns {Array} [value, offset after the field]
+   */
+  decode(offset) {
+    const ctrl = this.buffer[offset++];
+    let type = ctrl >> 5;
+
+    if (type === TYPES.POINTER) {
+      const [pointer, next] = this.readPointer(ctrl, offset);
+      // A pointer's target is decoded in place; reading continues after the pointer
+      return [this.decode(this.base + pointer)[0], next];
+    }
+
+    if (type === 0) {
+      type = 7 + this.buffer[offset++];
+    }
+
+    let size = ctrl & 0x1f;
+    if (size === 29) {
+      size = 29 + this.buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + this.buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + this.buffer.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    return this.decodeValue(type, size, offset);
+  }
+
+  /**
+   * @param {number} ctrl - Control byte
+   * @param {number} offset - Offset after the control byte
+   * @returns {Array} [pointer, offset after the pointer]
+   */
+  readPointer(ctrl, offset) {
+    const size = (ctrl >> 3) & 0x3;
+    const high = ctrl & 0x7;
+    const b = this.buffer;
+
+    switch (size) {
+      case 0: return [(high << 8) | b[offset], offset + 1];
+      case 1: return [((high << 16) | b.readUInt16BE(offset)) + 2048, offset + 2];
+      case 2: return [((high << 24) | b.readUIntBE(offset, 3)) + 526336, offset + 3];
+      default: return [b.readUInt32BE(offset), offset + 4];
+    }
+  }
+
+  /**
+   * @param {number} type
+   * @param {number} size - Payload size (entries for maps and arrays)
+   * @param {number} offset - Offset of the payload
+   * @returns {Array} [value, offset after the value]
+   */
+  decodeValue(type, size, offset) {
+    const b = this.buffer;
+
+    switch (type) {
+      case TYPES.STRING:
+        return [b.toString('utf8', offset, offset + size), offset + size];
+      case TYPES.DOUBLE:
+        return [b.readDoubleBE(offset), offset + 8];
+      case TYPES.FLOAT:
+        return [b.readFloatBE(offset), offset + 4];
+      case TYPES.BYTES:
+        return [b.subarray(offset, offset + size), offset + size];
+      case TYPES.UINT16:
+      case TYPES.UINT32:
+      case TYPES.UINT64:
+      case TYPES.UINT128:
+        return [this.readUnsigned(offset, size), offset + size];
+      case TYPES.INT32:
+        return [size === 0 ? 0 : b.readIntBE(offset, size), offset + size];
+      case TYPES.BOOLEAN:
+        return [size !== 0, offset];
+      case TYPES.MAP: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = this.decode(offset);
+          const [value, afterValue] = this.decode(afterKey);
+          map[key] = value;
+          offset = afterValue;
+        }
+        return [map, offset];
+      }
+      case TYPES.ARRAY: {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, next] = this.decode(offset);
+          array.push(value);
+          offset = next;
+        }
+        return [array, offset];
+      }
+      default:
+        throw new Error(`Unsupported MMDB data type ${type}`);
+    }
+  }
+
+  /**
+   * Big-endian unsigned integer (a Number when it fits, otherwise a BigInt)
+   * @param {number} offset
+   * @param {number} size - Bytes (0-16)
+   * @returns {number|BigInt}
+   */
+  readUnsigned(offset, size) {
+    if (size <= 6) {
+      return size === 0 ? 0 : this.buffer.readUIntBE(offset, size);
+    }
+    let value = 0n;
+    for (let i = 0; i < size; i++) {
+      value = (value << 8n) | BigInt(this.buffer[offset + i]);
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+}
+
+/**
+ * In-memory MMDB database
+ */
+class MmdbReader {
+  /**
+   * @param {Buffer} buffer - Contents of an .mmdb file
+   */
+  constructor(buffer) {
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER, buffer.length - 1);
+    if (markerAt === -1 || markerAt < buffer.length - METADATA_MAX_SIZE - METADATA_MARKER.length) {
+      throw new Error('Not a MaxMind DB file (metadata not found)');
+    }
+
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    this.metadata = new Decoder(buffer, metadataStart).decode(metadataStart)[0];
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new Error(`Unsupported MMDB record size ${recordSize}`);
+    }
+
+    this.buffer = buffer;
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.ipVersion = ipVersion;
+    this.nodeBytes = recordSize / 4;
+    this.treeSize = this.nodeBytes * nodeCount;
+    this.decoder = new Decoder(buffer, this.treeSize + DATA_SEPARATOR_SIZE);
+    this.ipv4Start = ipVersion === 6 ? this.findIpv4Start() : 0;
+  }
+
+  /**
+   * Read the left (0) or right (1) record of a node
+   * @param {number} node
+   * @param {number} bit
+   * @returns {number}
+   */
+  readRecord(node, bit) {
+    const b = this.buffer;
+    const offset = node * this.nodeBytes;
+
+    switch (this.recordSize) {
+      case 24:
+        return b.readUIntBE(offset + bit * 3, 3);
+      case 28:
+        return bit === 0
+          ? ((b[offset + 3] & 0xf0) << 20) | b.readUIntBE(offset, 3)
+          : ((b[offset + 3] & 0x0f) << 24) | b.readUIntBE(offset + 4, 3);
+      default:
+        return b.readUInt32BE(offset + bit * 4);
+    }
+  }
+
+  /**
+   * Node where IPv4 addresses start in an IPv6 tree (the ::/96 subtree)
+   * @returns {number}
+   */
+  findIpv4Start() {
+    let node = 0;
+    for (let i = 0; i < 96 && node < this.nodeCount; i++) {
+      node = this.readRecord(node, 0);
+    }
+    return node;
+  }
+
+  /**
+   * Look an address up
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {Object|null} The data record of the network containing the address
+   */
+  get(address) {
+    const ip = parseIp(address);
+    if (!ip || (ip.version === 6 && this.ipVersion === 4)) return null;
+
+    const bits = ip.version === 4 ? 32 : 128;
+    let node = ip.version === 4 ? this.ipv4Start : 0;
+
+    for (let i = bits - 1; i >= 0 && node < this.nodeCount; i--) {
+      node = this.readRecord(node, Number((ip.value >> BigInt(i)) & 1n));
+    }
+
+    if (node <= this.nodeCount) return null; // Equal to nodeCount means "no data"
+
+    const offset = this.treeSize + (node - this.nodeCount);
+    return this.decoder.decode(offset)[0];
+  }
+}
+
+module.exports = {
+  MmdbReader
+};
@@ -0,0 +1,203 @@
+// src/utils/userAgent.js - User agent parsing: browser, OS, device and bot detection
+
+// Known crawlers, link-preview fetchers and HTTP clients, checked in order
+// (Telegram's fetcher says "TelegramBot (like TwitterBot)", so it goes first)
+const BOTS = [
+  [/TelegramBot/i, 'TelegramBot'],
+  [/Slackbot/i, 'Slackbot'],
+  [/facebookexternalhit|Facebot|meta-externalagent/i, 'Facebook'],
+  [/Twitterbot/i, 'Twitterbot'],
+  [/LinkedInBot/i, 'LinkedInBot'],
+  [/WhatsApp/i, 'WhatsApp'],
+  [/Discordbot/i, 'Discordbot'],
+  [/SkypeUriPreview/i, 'Skype'],
+  [/redditbot/i, 'Redditbot'],
+  [/Pinterest(?:bot)?\//i, 'Pinterest'],
+  [/vkShare/i, 'VK'],
+  [/Viber/i, 'Viber'],
+  [/Embedly/i, 'Embedly'],
+  [/Iframely/i, 'Iframely'],
+  [/Google-InspectionTool|Googlebot|AdsBot-Google|Mediapartners-Google|APIs-Google/i, 'Googlebot'],
+  [/bingbot|BingPreview|adidxbot/i, 'Bingbot'],
+  [/Applebot/i, 'Applebot'],
+  [/DuckDuckBot/i, 'DuckDuckBot'],
+  [/YandexBot|YandexMobileBot/i, 'YandexBot'],
+  [/Baiduspider/i, 'Baiduspider'],
+  [/GPTBot|ChatGPT-User|OAI-SearchBot/i, 'OpenAI'],
+  [/ClaudeBot|Claude-User/i, 'ClaudeBot'],
+  [/HeadlessChrome/i, 'Headless Chrome'],
+  [/PhantomJS/i, 'PhantomJS'],
+  [/^curl\//i, 'curl'],
+  [/^Wget\//i, 'Wget'],
+  [/python-requests|python-urllib|aiohttp|httpx/i, 'Python'],
+  [/Go-http-client/i, 'Go'],
+  [/^axios\//i, 'axios'],
+  [/node-fetch|undici/i, 'Node.js'],
+  [/^Java\/|Apache-HttpClient/i, 'Java'],
+  [/libwww-perl/i, 'Perl'],
+  [/PostmanRuntime/i, 'Postman']
+];
+
+// Anything else that calls itself a bot, crawler or spider
+const GENERIC_BOT = /([\w.-]*(?:bot|crawler|spider))\b|\b(crawler|spider|scraper|preview)\b/i;
+// Device names containing "bot" that are phones
+const NOT_BOTS = /cubot/i;
+
+// Checked in order: rebranded Chromium browsers mention Chrome (and Safari) too
+const BROWSERS = [
+  [/Edg(?:e|A|iOS)?\/([\d.]+)/, 'Edge'],
+  [/OPR\/([\d.]+)|OPiOS\/([\d.]+)|Opera.*Version\/([\d.]+)/, 'Opera'],
+  [/SamsungBrowser\/([\d.]+)/, 'Samsung Internet'],
+  [/YaBrowser\/([\d.]+)/, 'Yandex'],
+  [/Vivaldi\/([\d.]+)/, 'Vivaldi'],
+  [/UCBrowser\/([\d.]+)/, 'UC Browser'],
+  [/FBAV\/([\d.]+)/, 'Facebook'],
+  [/Instagram ([\d.]+)/, 'Instagram'],
+  [/(?:Firefox|FxiOS)\/([\d.]+)/, 'Firefox'],
+  [/CriOS\/([\d.]+)/, 'Chrome'],
+  [/Chromium\/([\d.]+)/, 'Chromium'],
+  [/; wv\).*Chrome\/([\d.]+)/, 'Chrome WebView'],
+  [/Chrome\/([\d.]+)/, 'Chrome'],
+  [/Version\/([\d.]+).*Safari\//, 'Safari'],
+  [/MSIE ([\d.]+)|Trident\/.*rv:([\d.]+)/, 'Internet Explorer']
+];
+
+// Windows NT kernel versions by marketing name (Windows 11 still reports 10.0)
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7',
+  '6.0': 'Vista',
+  '5.2': 'XP',
+  '5.1': 'XP'
+};
+
+const OPERATING_SYSTEMS = [
+  [/Windows Phone(?: OS)? ([\d.]+)/, 'Windows Phone'],
+  [/Windows NT ([\d.]+)/, 'Windows', version => WINDOWS_VERSIONS[version] || version],
+  [/(?:iPhone|iPad|iPod)(?:.*? OS ([\d_]+))?/, 'iOS'],
+  [/Android(?: ([\d.]+))?/, 'Android'],
+  [/CrOS \S+ ([\d.]+)/, 'Chrome OS'],
+  [/Mac OS X(?: ([\d_.]+))?/, 'macOS'],
+  [/Linux|X11/, 'Linux']
+];
+
+// Android model prefixes by vendor
+const ANDROID_VENDORS = [
+  [/^(?:SM-|GT-|SC-|SCH-|SGH-|Galaxy)/i, 'Samsung'],
+  [/^(?:Pixel|Nexus)/i, 'Google'],
+  [/^(?:Redmi|Mi |MI |POCO|Xiaomi|M2\d{3})/i, 'Xiaomi'],
+  [/^(?:ONEPLUS|OnePlus)/, 'OnePlus'],
+  [/^(?:CPH|OPPO)/i, 'OPPO'],
+  [/^(?:HUAWEI|Huawei)/, 'Huawei'],
+  [/^HONOR/i, 'Honor'],
+  [/^(?:moto|Moto|XT\d{4})/, 'Motorola'],
+  [/^Nokia/i, 'Nokia'],
+  [/^(?:LG-|LM-)/, 'LG'],
+  [/^(?:vivo|V\d{4})/i, 'vivo'],
+  [/^(?:KF[A-Z]{2,}|Kindle)/, 'Amazon'],
+  [/^CUBOT/i, 'Cubot']
+];
+
+/**
+ * First match of a list of [pattern, name, mapVersion] rules
+ * @param {string} ua
+ * @param {Array} rules
+ * @returns {Object|null} { name, version }
+ */
+function matchRule(ua, rules) {
+  for (const [pattern, name, mapVersion] of rules) {
+    const match = ua.match(pattern);
+    if (!match) continue;
+
+    // Rules with alternatives capture the version in whichever group matched
+    const raw = match.slice(1).find(Boolean);
+    const version = raw ? raw.replace(/_/g, '.') : null;
+    return { name, version: version && mapVersion ? mapVersion(version) : version };
+  }
+  return null;
+}
+
+/**
+ * Bot name of a user agent
+ * @param {string} ua
+ * @returns {string|null} null for browsers
+ */
+function detectBot(ua) {
+  for (const [pattern, name] of BOTS) {
+    if (pattern.test(ua)) return name;
+  }
+  if (NOT_BOTS.test(ua)) return null;
+
+  const generic = ua.match(GENERIC_BOT);
+  return generic ? (generic[1] || generic[2]) : null;
+}
+
+/**
+ * Device vendor and model
+ * @param {string} ua
+ * @returns {Object} { vendor, model } (null when unknown)
+ */
+function detectDevice(ua) {
+  const apple = ua.match(/iPhone|iPad|iPod|Macintosh/);
+  if (apple) {
+    return { vendor: 'Apple', model: apple[0] === 'Macintosh' ? 'Mac' : apple[0] };
+  }
+
+  // "Android 13; SM-S918B Build/TP1A" - language tags and reduced UAs ("K") carry no model
+  const android = ua.match(/Android[^;)]*;(?: [a-z]{2}[-_][a-z]{2};)? ([^;)]+?)(?: Build\/[^;)]*)?[;)]/i);
+  if (android && android[1].length > 1) {
+    const model = android[1].trim();
+    const vendor = ANDROID_VENDORS.find(([pattern]) => pattern.test(model));
+    return { vendor: vendor ? vendor[1] : null, model };
+  }
+
+  return { vendor: null, model: null };
+}
+
+/**
+ * Device type (mobile, tablet, desktop or unknown)
+ * @param {string} ua
+ * @param {string|null} osName
+ * @returns {string}
+ */
+function detectDeviceType(ua, osName) {
+  if (/iPad|Tablet|Kindle|Silk|PlayBook|KF[A-Z]{2,}/.test(ua)) return 'tablet';
+  if (osName === 'Android') return /Mobile/.test(ua) ? 'mobile' : 'tablet';
+  if (/iPhone|iPod|Mobile|Windows Phone|BlackBerry|Opera Mini/.test(ua)) return 'mobile';
+  if (['Windows', 'macOS', 'Linux', 'Chrome OS'].includes(osName)) return 'desktop';
+  return 'unknown';
+}
+
+/**
+ * Parse a user agent string
+ * @param {string} userAgent
+ * @returns {Object} { browser: { name, version }, os: { name, version }, deviceType,
+ *   device: { vendor, model }, isBot, botName }
+ */
+function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '').trim();
+  const os = matchRule(ua, OPERATING_SYSTEMS) || { name: 'Other', version: null };
+
+  let browser = matchRule(ua, BROWSERS);
+  if (!browser && os.name === 'iOS' && /AppleWebKit/.test(ua)) {
+    // In-app browsers on iOS are Safari without the Safari token
+    browser = { name: 'Safari WebView', version: null };
+  }
+
+  const botName = detectBot(ua);
+
+  return {
+    browser: browser || { name: 'Other', version: null },
+    os,
+    deviceType: detectDeviceType(ua, os.name),
+    device: detectDevice(ua),
+    isBot: Boolean(botName),
+    botName
+  };
+}
+
+module.exports = {
+  parseUserAgent
+};
@@ -3,10 +3,27 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const Analytics = require('../src/models/Analytics');
+const AnalyticsRollup = require('../src/models/AnalyticsRollup');
+const RollupState = require('../src/models/RollupState');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const webhookEvents = require('../src/services/webhookEvents');
+const rollups = require('../src/services/rollups');
+const geoip = require('../src/services/geoip');
+const ipPrivacy = require('../src/services/ipPrivacy');
+const IpSalt = require('../src/models/IpSalt');
+const ErasureReceipt = require('../src/models/ErasureReceipt');
+const retention = require('../src/services/retention');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Test database connection
 const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/urlshortener_test';
 
+// Admin key used by the erasure and GeoIP reload tests
+process.env.ADMIN_API_KEY = 'test-admin-key';
+const ADMIN_KEY = 'test-admin-key';
+
 beforeAll(async () => {
   await mongoose.connect(TEST_MONGODB_URI, {
     useNewUrlParser: true,
@@ -21,6 +38,8 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await Analytics.deleteMany({});
+  await AnalyticsRollup.deleteMany({});
+  await RollupState.deleteMany({});
 });
 
 describe('Analytics Service API Tests', () => {
@@ -81,6 +100,20 @@ describe('Analytics Service API Tests', () => {
       expect(analytics.deviceType).toBe('mobile');
     });
 
+
+    test('should flag link-preview crawlers as bots', async () => {
+      await request(app)
+        .post('/api/track')
+        .send({
+          shortCode: 'test123',
+          userAgent: 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)'
+        })
+        .expect(201);
+
+      const analytics = await Analytics.findOne({ shortCode: 'test123' });
+      expect(analytics.isBot).toBe(true);
+      expect(analytics.botName).toBe('Slackbot');
+    });
   });
 
   describe('POST /api/track/batch', () => {
@@ -104,6 +137,48 @@ describe('Analytics Service API Tests', () => {
       expect(count).toBe(3);
     });
 
+    test('should parse user agents of batched clicks', async () => {
+      await request(app)
+        .post('/api/track/batch')
+        .send({
+          clicks: [
+            { shortCode: 'test1', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1' },
+            { shortCode: 'test1', userAgent: 'facebookexternalhit/1.1' }
+          ]
+        })
+        .expect(201);
+
+      const [iphone, crawler] = await Analytics.find({ shortCode: 'test1' }).sort({ _id: 1 });
+      expect(iphone.os).toMatchObject({ name: 'iOS', version: '17.2' });
+      expect(iphone.browser).toMatchObject({ name: 'Safari', version: '17.2' });
+      expect(iphone.device).toMatchObject({ vendor: 'Apple', model: 'iPhone' });
+      expect(iphone.isBot).toBe(false);
+      expect(crawler).toMatchObject({ isBot: true, botName: 'Facebook' });
+    });
+
+    test('should store a batch sent again only once', async () => {
+      await Analytics.init(); // The unique event id index drops the repeats
+      const clicks = [
+        { shortCode: 'test1', userAgent: 'User Agent 1', eventId: 'evt-1' },
+        { shortCode: 'test1', userAgent: 'User Agent 2', eventId: 'evt-2' }
+      ];
+
+      await request(app).post('/api/track/batch').send({ clicks: clicks.slice(0, 1) }).expect(201);
+      const response = await request(app)
+        .post('/api/track/batch')
+        .send({ clicks })
+        .expect(201);
+
+      expect(response.body.data).toEqual({ tracked: 2, duplicates: 1 });
+      expect(await Analytics.countDocuments({ shortCode: 'test1' })).toBe(2);
+
+      await request(app)
+        .post('/api/track')
+        .send({ shortCode: 'test1', eventId: 'evt-2' })
+        .expect(200);
+      expect(await Analytics.countDocuments({ shortCode: 'test1' })).toBe(2);
+    });
+
     test('should reject empty clicks array', async () => {
       const response = await request(app)
         .post('/api/track/batch')
@@ -174,6 +249,133 @@ describe('Analytics Service API Tests', () => {
       expect(response.body.data).toHaveProperty('recentClicks');
     });
 
+    test('should break clicks down by targeting rule', async () => {
+      await request(app)
+        .post('/api/track')
+        .send({ shortCode: 'targeted', targetingRule: 'dach' })
+        .expect(201);
+
+      await Analytics.create([
+        { shortCode: 'targeted', targetingRule: 'dach' },
+        { shortCode: 'targeted' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/analytics/targeted')
+        .expect(200);
+
+      const targeting = response.body.data.targeting;
+      expect(targeting.find(entry => entry.rule === 'dach').count).toBe(2);
+      expect(targeting.find(entry => entry.rule === 'default').count).toBe(1);
+    });
+
+    test('should compare A/B variants', async () => {
+      await request(app)
+        .post('/api/track/batch')
+        .send({
+          clicks: [
+            { shortCode: 'splitab', variant: 'control', ipAddress: '10.0.0.1' },
+            { shortCode: 'splitab', variant: 'control', ipAddress: '10.0.0.1' },
+            { shortCode: 'splitab', variant: 'control', ipAddress: '10.0.0.2' },
+            { shortCode: 'splitab', variant: 'new-hero', ipAddress: '10.0.0.3' }
+          ]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/analytics/splitab')
+        .expect(200);
+
+      const [control, newHero] = response.body.data.variants;
+      expect(control).toEqual({ variant: 'control', count: 3, uniqueVisitors: 2, share: 75 });
+      expect(newHero).toEqual({ variant: 'new-hero', count: 1, uniqueVisitors: 1, share: 25 });
+    });
+
+
+    test('should leave bot clicks out unless includeBots is set', async () => {
+      await Analytics.create([
+        { shortCode: 'botty', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36', ipAddress: '1.1.1.1' },
+        { shortCode: 'botty', userAgent: 'Slackbot-LinkExpanding 1.0', ipAddress: '2.2.2.2' },
+        { shortCode: 'botty', userAgent: 'Mozilla/5.0 (compatible; Discordbot/2.0)', ipAddress: '3.3.3.3' }
+      ]);
+
+      const humans = (await request(app).get('/api/analytics/botty?detailed=true').expect(200)).body.data;
+      expect(humans.summary).toEqual({ totalClicks: 1, uniqueVisitors: 1 });
+      expect(humans.demographics.browsers).toEqual([{ browser: 'Chrome', count: 1 }]);
+      expect(humans.demographics.operatingSystems).toEqual([{ os: 'Windows', count: 1 }]);
+      expect(humans.recentClicks).toHaveLength(1);
+
+      const all = (await request(app).get('/api/analytics/botty?includeBots=true').expect(200)).body.data;
+      expect(all.summary).toEqual({ totalClicks: 3, uniqueVisitors: 3 });
+
+      const clicks = await request(app).get('/api/analytics/botty/clicks?fields=isBot,botName&includeTotal=true').expect(200);
+      expect(clicks.body.data.pagination.total).toBe(1);
+      const withBots = await request(app).get('/api/analytics/botty/clicks?includeBots=true&includeTotal=true').expect(200);
+      expect(withBots.body.data.pagination.total).toBe(3);
+
+      const aggregate = await request(app).get('/api/analytics/aggregate').expect(200);
+      expect(aggregate.body.data.totalClicks).toBe(1);
+      const top = await request(app).get('/api/analytics/top?includeBots=true').expect(200);
+      expect(top.body.data.topUrls[0]).toMatchObject({ shortCode: 'botty', clicks: 3, uniqueVisitors: 3 });
+    });
+  });
+
+  describe('GET /api/analytics/:shortCode/clicks', () => {
+
+    beforeEach(async () => {
+      const base = new Date('2024-01-01T00:00:00Z').getTime();
+      await Analytics.create(
+        Array.from({ length: 5 }, (_, i) => ({
+          shortCode: 'paged1',
+          country: `C${i}`,
+          // Two clicks share a timestamp to check the _id tie-break
+          clickedAt: new Date(base + Math.min(i, 3) * 1000)
+        }))
+      );
+    });
+
+    test('should page through clicks newest first without overlap', async () => {
+      const seen = [];
+      let after;
+
+      do {
+        const response = await request(app)
+          .get('/api/analytics/paged1/clicks')
+          .query({ limit: 2, ...(after && { after }) })
+          .expect(200);
+
+        const { clicks, pagination } = response.body.data;
+        expect(clicks.length).toBeLessThanOrEqual(2);
+        seen.push(...clicks.map(click => click.country));
+        after = pagination.nextCursor;
+      } while (after);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+      expect(seen.slice(2)).toEqual(['C2', 'C1', 'C0']);
+    });
+
+    test('should select fields and include totals on request', async () => {
+      const response = await request(app)
+        .get('/api/analytics/paged1/clicks?fields=country&includeTotal=true&limit=1')
+        .expect(200);
+
+      const [click] = response.body.data.clicks;
+      expect(Object.keys(click).sort()).toEqual(['_id', 'clickedAt', 'country']);
+      expect(response.body.data.pagination.total).toBe(5);
+      expect(response.body.data.pagination.hasMore).toBe(true);
+    });
+
+    test('should reject invalid cursors and fields', async () => {
+      await request(app)
+        .get('/api/analytics/paged1/clicks?after=garbage')
+        .expect(400);
+
+      await request(app)
+        .get('/api/analytics/paged1/clicks?fields=ipAddress')
+        .expect(400);
+    });
+
   });
 
   describe('GET /api/analytics/aggregate', () => {
@@ -283,6 +485,575 @@ describe('Analytics Service API Tests', () => {
 
   });
 
+  describe('Webhook events', () => {
+
+    const subscriptions = () => mongoose.connection.collection('webhooksubscriptions');
+
+    // emitClicks runs after the response; give it a moment to write
+    const waitForEvents = async (count) => {
+      for (let i = 0; i < 20; i++) {
+        if (await WebhookEvent.countDocuments() >= count) return;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+    };
+
+    beforeEach(async () => {
+      await WebhookEvent.deleteMany({});
+      await subscriptions().deleteMany({});
+      webhookEvents.invalidate();
+    });
+
+    test('should publish click.tracked for tracked clicks when someone subscribed', async () => {
+      await subscriptions().insertOne({ owner: 'team-a', url: 'https://hooks.example.com', events: ['click.tracked'], isActive: true });
+
+      await request(app)
+        .post('/api/track')
+        .send({ shortCode: 'hook01', ipAddress: '203.0.113.9', country: 'DE' })
+        .expect(201);
+      await request(app)
+        .post('/api/track/batch')
+        .send({ clicks: [{ shortCode: 'hook01' }, { shortCode: 'hook02' }] })
+        .expect(201);
+
+      await waitForEvents(3);
+      const events = await WebhookEvent.find().sort({ occurredAt: 1 });
+
+      expect(events).toHaveLength(3);
+      expect(events[0].type).toBe('click.tracked');
+      expect(events[0].status).toBe('pending');
+      expect(events[0].data.click.country).toBe('DE');
+      expect(events[0].data.click).not.toHaveProperty('ipAddress');
+    });
+
+    test('should not publish events without subscribers', async () => {
+      await subscriptions().insertOne({ owner: 'team-a', url: 'https://hooks.example.com', events: ['link.created'], isActive: true });
+
+      await request(app)
+        .post('/api/track')
+        .send({ shortCode: 'hook01' })
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(await WebhookEvent.countDocuments()).toBe(0);
+    });
+
+  });
+
+  describe('Rollups', () => {
+
+    // Compact everything inserted so far without waiting for clicks to settle.
+    // Compaction cuts at whole seconds (ObjectId time), so move past the current one first.
+    const compact = async () => {
+      await new Promise(resolve => setTimeout(resolve, 1010 - (Date.now() % 1000)));
+      return rollups.runOnce({ until: new Date() });
+    };
+
+    const seed = () => Analytics.create([
+      { shortCode: 'roll01', country: 'US', deviceType: 'desktop', referer: 'https://news.example', clickedAt: new Date('2024-03-10T08:15:00Z') },
+      { shortCode: 'roll01', country: 'US', deviceType: 'mobile', clickedAt: new Date('2024-03-10T09:30:00Z') },
+      { shortCode: 'roll01', country: 'DE', deviceType: 'mobile', clickedAt: new Date('2024-03-11T12:00:00Z') },
+      { shortCode: 'roll02', country: 'DE', deviceType: 'desktop', clickedAt: new Date('2024-03-12T23:59:00Z') }
+    ]);
+
+    test('should roll clicks up into hourly and daily counters', async () => {
+      await seed();
+
+      const result = await compact();
+      expect(result).toMatchObject({ leader: true, clicks: 4 });
+
+      const state = await RollupState.get();
+      expect(state.watermark).not.toBeNull();
+      expect(state.pending).toBeNull();
+      expect(state.owner).toBeNull(); // Lock handed back after the run
+
+      const daily = await AnalyticsRollup.findOne({ shortCode: 'roll01', granularity: 'day', dimension: 'country', value: 'US' });
+      expect(daily.bucket).toEqual(new Date('2024-03-10T00:00:00Z'));
+      expect(daily.clicks).toBe(2);
+      expect(await AnalyticsRollup.countDocuments({ shortCode: 'roll01', granularity: 'hour', dimension: 'total' })).toBe(3);
+    });
+
+    test('should answer queries from rollups plus the raw tail', async () => {
+      await seed();
+      const before = (await request(app).get('/api/analytics/roll01?detailed=true').expect(200)).body.data;
+
+      await compact();
+      const after = (await request(app).get('/api/analytics/roll01?detailed=true').expect(200)).body.data;
+      expect(after.summary).toEqual(before.summary);
+      expect(after.demographics).toEqual(before.demographics);
+      expect(after.referrers).toEqual(before.referrers);
+
+      // Clicks tracked after compaction are read from raw documents
+      await request(app)
+        .post('/api/track/batch')
+        .send({ clicks: [{ shortCode: 'roll01', country: 'US' }, { shortCode: 'roll01', country: 'FR' }] })
+        .expect(201);
+
+      const latest = (await request(app).get('/api/analytics/roll01').expect(200)).body.data;
+      expect(latest.summary.totalClicks).toBe(5);
+      expect(latest.demographics.countries[0]).toEqual({ country: 'US', count: 3 });
+      expect(latest.clicksOverTime.reduce((sum, day) => sum + day.count, 0)).toBe(2);
+    });
+
+    test('should cut date ranges at hour boundaries and in between', async () => {
+      await seed();
+      await compact();
+
+      const aggregate = async (startDate, endDate) => (await request(app)
+        .get(`/api/analytics/aggregate?startDate=${startDate}&endDate=${endDate}`)
+        .expect(200)).body.data;
+
+      const range = await aggregate('2024-03-10T09:00:00.000Z', '2024-03-12T23:59:00.000Z');
+      expect(range.totalClicks).toBe(3);
+      expect(range.uniqueUrls).toBe(2);
+
+      const partial = await aggregate('2024-03-10T08:20:00.000Z', '2024-03-11T11:59:59.999Z');
+      expect(partial.totalClicks).toBe(1);
+
+      const top = (await request(app).get('/api/analytics/top').expect(200)).body.data.topUrls;
+      expect(top[0]).toMatchObject({ shortCode: 'roll01', clicks: 3, uniqueVisitors: 1 });
+      expect(new Date(top[0].lastClick)).toEqual(new Date('2024-03-11T12:00:00Z'));
+    });
+
+    test('should keep bot clicks apart in rollups', async () => {
+      await Analytics.create([
+        { shortCode: 'roll03', userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0' },
+        { shortCode: 'roll03', userAgent: 'Twitterbot/1.0' }
+      ]);
+      await compact();
+
+      expect(await AnalyticsRollup.countDocuments({ shortCode: 'roll03', dimension: 'total', isBot: true })).toBe(2);
+      expect(await rollups.total({ shortCode: 'roll03' })).toBe(1);
+      expect(await rollups.total({ shortCode: 'roll03', includeBots: true })).toBe(2);
+    });
+
+    test('should not count a retried compaction run twice', async () => {
+      await AnalyticsRollup.init(); // The unique index rejects the repeated run
+      const row = { granularity: 'hour', shortCode: 'roll01', bucket: new Date('2024-03-10T08:00:00Z'), dimension: 'total', value: null, clicks: 2 };
+
+      await AnalyticsRollup.applyRun([row], 1, 'run-1');
+      await AnalyticsRollup.applyRun([row], 1, 'run-1');
+      await AnalyticsRollup.applyRun([row], 1, 'run-2');
+
+      const counter = await AnalyticsRollup.findOne({ shortCode: 'roll01' });
+      expect(counter.clicks).toBe(4);
+      expect(counter.runs).toEqual(['run-1', 'run-2']);
+    });
+
+    test('should rebuild rollups from raw clicks into a new generation', async () => {
+      await seed();
+      await compact();
+      await AnalyticsRollup.updateMany({}, { $set: { clicks: 999 } });
+
+      const result = await rollups.rebuild({ until: new Date() });
+      expect(result).toMatchObject({ generation: 2, clicks: 4 });
+      expect(result.removed).toBeGreaterThan(0);
+      expect(await AnalyticsRollup.countDocuments({ generation: 1 })).toBe(0);
+
+      expect(await rollups.total({ shortCode: 'roll01' })).toBe(3);
+      expect((await RollupState.get()).generation).toBe(2);
+    });
+
+    test('should delete the rollups of deleted analytics', async () => {
+      await seed();
+      await compact();
+
+      await request(app).delete('/api/analytics/roll01').expect(200);
+
+      expect(await AnalyticsRollup.countDocuments({ shortCode: 'roll01' })).toBe(0);
+      expect(await AnalyticsRollup.countDocuments({ shortCode: 'roll02' })).toBeGreaterThan(0);
+
+      const response = await request(app).get('/api/analytics/roll01').expect(200);
+      expect(response.body.data.summary.totalClicks).toBe(0);
+    });
+
+  });
+
+  describe('GeoIP enrichment', () => {
+    let dir;
+    let file;
+
+    const writeDatabase = (rows) => fs.writeFileSync(file, ['network,country,region,city,asn,as_org', ...rows].join('\n'));
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+      file = path.join(dir, 'ranges.csv');
+    });
+
+    beforeEach(() => {
+      writeDatabase([
+        '203.0.113.0/24,US,California,San Jose,64500,Example Net',
+        '198.51.100.0/24,US,Texas,Austin,,',
+        '2001:db8::/32,DE,Bavaria,Munich,,'
+      ]);
+      process.env.GEOIP_DATABASE_PATHS = file;
+      geoip.reset();
+    });
+
+    afterAll(() => {
+      delete process.env.GEOIP_DATABASE_PATHS;
+      geoip.reset();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should locate clicks from the local database', async () => {
+      await request(app)
+        .post('/api/track')
+        .send({ shortCode: 'geo001', ipAddress: '203.0.113.9' })
+        .expect(201);
+
+      const click = await Analytics.findOne({ shortCode: 'geo001' });
+      expect(click).toMatchObject({ country: 'US', region: 'California', city: 'San Jose', asn: 64500, asOrg: 'Example Net' });
+    });
+
+    test('should keep locations sent by the caller and skip private addresses', async () => {
+      await request(app)
+        .post('/api/track/batch')
+        .send({
+          clicks: [
+            { shortCode: 'geo002', ipAddress: '2001:db8::1', country: 'AT' },
+            { shortCode: 'geo002', ipAddress: '192.168.1.10' }
+          ]
+        })
+        .expect(201);
+
+      const [fromHeader, internal] = await Analytics.find({ shortCode: 'geo002' }).sort({ _id: 1 });
+      expect(fromHeader).toMatchObject({ country: 'AT', region: 'Bavaria', city: 'Munich' });
+      expect(internal).toMatchObject({ country: null, region: null, city: null, asn: null });
+    });
+
+    test('should break analytics down by region and city', async () => {
+      await request(app)
+        .post('/api/track/batch')
+        .send({
+          clicks: [
+            { shortCode: 'geo003', ipAddress: '203.0.113.1' },
+            { shortCode: 'geo003', ipAddress: '203.0.113.2' },
+            { shortCode: 'geo003', ipAddress: '198.51.100.7' },
+            { shortCode: 'geo003', ipAddress: '10.0.0.1' }
+          ]
+        })
+        .expect(201);
+
+      const before = (await request(app).get('/api/analytics/geo003').expect(200)).body.data.demographics;
+      expect(before.regions).toEqual([
+        { country: 'US', region: 'California', count: 2 },
+        { country: 'US', region: 'Texas', count: 1 }
+      ]);
+      expect(before.cities[0]).toEqual({ country: 'US', region: 'California', city: 'San Jose', count: 2 });
+
+      // Same answer once the clicks are compacted into rollups
+      await new Promise(resolve => setTimeout(resolve, 1010 - (Date.now() % 1000)));
+      await rollups.runOnce({ until: new Date() });
+      const after = (await request(app).get('/api/analytics/geo003').expect(200)).body.data.demographics;
+      expect(after.regions).toEqual(before.regions);
+      expect(after.cities).toEqual(before.cities);
+    });
+
+    test('should pick up a new database on reload', async () => {
+      await request(app).post('/api/track').send({ shortCode: 'geo004', ipAddress: '203.0.113.9' }).expect(201);
+
+      writeDatabase(['203.0.113.0/24,CA,Ontario,Toronto,,']);
+      const response = await request(app).post('/api/geoip/reload').set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.databases[0]).toMatchObject({ path: file, type: 'csv', entries: 1, error: null });
+
+      await request(app).post('/api/track').send({ shortCode: 'geo004', ipAddress: '203.0.113.9' }).expect(201);
+      const clicks = await Analytics.find({ shortCode: 'geo004' }).sort({ _id: 1 });
+      expect(clicks.map(click => click.city)).toEqual(['San Jose', 'Toronto']);
+    });
+
+    test('should only reload for the admin key', async () => {
+      await request(app).post('/api/geoip/reload').expect(401);
+      await request(app).post('/api/geoip/reload').set('X-API-Key', 'not-the-key').expect(403);
+    });
+
+    test('should keep the previous database when a reload fails', async () => {
+      await request(app).post('/api/geoip/reload').set('X-API-Key', ADMIN_KEY).expect(200);
+
+      fs.writeFileSync(file, 'not,a,database\n');
+      const response = await request(app).post('/api/geoip/reload').set('X-API-Key', ADMIN_KEY).expect(500);
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.databases[0].error).toBeTruthy();
+
+      await request(app).post('/api/track').send({ shortCode: 'geo005', ipAddress: '203.0.113.9' }).expect(201);
+      expect((await Analytics.findOne({ shortCode: 'geo005' })).city).toBe('San Jose');
+    });
+
+  });
+
+  describe('IP privacy', () => {
+
+    const useMode = (mode) => {
+      process.env.IP_PRIVACY_MODE = mode;
+      ipPrivacy.reset();
+    };
+
+    const track = (shortCode, ips) => request(app)
+      .post('/api/track/batch')
+      .send({ clicks: ips.map(ipAddress => ({ shortCode, ipAddress })) })
+      .expect(201);
+
+    afterEach(async () => {
+      delete process.env.IP_PRIVACY_MODE;
+      ipPrivacy.reset();
+      await IpSalt.deleteMany({});
+    });
+
+    test('should store truncated networks', async () => {
+      useMode('truncated');
+      await track('priv01', ['203.0.113.7', '203.0.113.99', '2001:db8:1:2::3']);
+      await request(app).post('/api/track').send({ shortCode: 'priv01', ipAddress: '198.51.100.1' }).expect(201);
+
+      const stored = await Analytics.find({ shortCode: 'priv01' }).sort({ _id: 1 });
+      expect(stored.map(click => click.ipAddress)).toEqual(['203.0.113.0', '203.0.113.0', '2001:db8:1::', '198.51.100.0']);
+
+      const response = await request(app).get('/api/analytics/priv01').expect(200);
+      expect(response.body.data.summary.uniqueVisitors).toBe(3);
+    });
+
+    test('should store daily-salted hashes that still count unique visitors', async () => {
+      useMode('hash');
+      await track('priv02', ['203.0.113.7', '203.0.113.7', '203.0.113.8']);
+
+      const stored = await Analytics.find({ shortCode: 'priv02' }).sort({ _id: 1 });
+      expect(stored[0].ipAddress).toMatch(/^[0-9a-f]{32}$/);
+      expect(stored[1].ipAddress).toBe(stored[0].ipAddress);
+      expect(stored[2].ipAddress).not.toBe(stored[0].ipAddress);
+
+      const salt = await IpSalt.findById(new Date().toISOString().slice(0, 10));
+      expect(salt.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const top = await request(app).get('/api/analytics/top?includeBots=true').expect(200);
+      expect(top.body.data.topUrls.find(entry => entry.shortCode === 'priv02').uniqueVisitors).toBe(2);
+    });
+
+    test('should store no address in mode none', async () => {
+      useMode('none');
+      await track('priv03', ['203.0.113.7', '203.0.113.8']);
+
+      const stored = await Analytics.find({ shortCode: 'priv03' });
+      expect(stored.map(click => click.ipAddress)).toEqual([null, null]);
+
+      const response = await request(app).get('/api/analytics/priv03').expect(200);
+      expect(response.body.data.summary).toEqual({ totalClicks: 2, uniqueVisitors: 0 });
+    });
+
+    test('should locate clicks before anonymizing them', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+      const file = path.join(dir, 'ranges.csv');
+      fs.writeFileSync(file, 'network,country,city\n203.0.113.0/24,US,San Jose\n');
+      process.env.GEOIP_DATABASE_PATHS = file;
+      geoip.reset();
+      useMode('none');
+
+      try {
+        await track('priv04', ['203.0.113.7']);
+        expect(await Analytics.findOne({ shortCode: 'priv04' })).toMatchObject({ ipAddress: null, city: 'San Jose' });
+      } finally {
+        delete process.env.GEOIP_DATABASE_PATHS;
+        geoip.reset();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should anonymize stored clicks with the migration', async () => {
+      await Analytics.create([
+        { shortCode: 'priv05', ipAddress: '203.0.113.7', clickedAt: new Date('2024-03-10T08:00:00Z') },
+        { shortCode: 'priv05', ipAddress: '203.0.113.7', clickedAt: new Date('2024-03-10T20:00:00Z') },
+        { shortCode: 'priv05', ipAddress: '203.0.113.7', clickedAt: new Date('2024-03-11T08:00:00Z') },
+        { shortCode: 'priv05', ipAddress: 'unknown' }
+      ]);
+
+      const dryRun = await ipPrivacy.anonymizeStoredClicks({ mode: 'hash', dryRun: true });
+      expect(dryRun).toEqual({ mode: 'hash', scanned: 3, updated: 3 });
+      expect(await Analytics.countDocuments({ ipAddress: '203.0.113.7' })).toBe(3);
+
+      expect(await ipPrivacy.anonymizeStoredClicks({ mode: 'hash' })).toMatchObject({ updated: 3 });
+      const stored = await Analytics.find({ shortCode: 'priv05' }).sort({ clickedAt: 1 });
+      expect(stored[0].ipAddress).toBe(stored[1].ipAddress); // Same day, same salt
+      expect(stored[2].ipAddress).not.toBe(stored[0].ipAddress);
+      expect(stored[3].ipAddress).toBe('unknown');
+
+      // Running it again finds nothing left to do
+      expect(await ipPrivacy.anonymizeStoredClicks({ mode: 'hash' })).toMatchObject({ scanned: 0, updated: 0 });
+      expect(await ipPrivacy.anonymizeStoredClicks({ mode: 'none' })).toMatchObject({ updated: 4 });
+      expect(await Analytics.countDocuments({ shortCode: 'priv05', ipAddress: null })).toBe(4);
+    });
+
+  });
+
+  describe('Retention', () => {
+
+    const compact = async () => {
+      await new Promise(resolve => setTimeout(resolve, 1010 - (Date.now() % 1000)));
+      return rollups.runOnce({ until: new Date() });
+    };
+
+    const seed = () => Analytics.create([
+      { shortCode: 'keep01', country: 'US', clickedAt: new Date('2024-01-05T10:00:00Z') },
+      { shortCode: 'keep01', country: 'DE', clickedAt: new Date('2024-01-20T10:00:00Z') },
+      { shortCode: 'keep01', country: 'DE', clickedAt: new Date('2024-03-09T10:00:00Z') }
+    ]);
+    const now = new Date('2024-03-10T12:00:00Z');
+
+    test('should purge compacted clicks past the retention period and keep their counts', async () => {
+      await seed();
+      await compact();
+
+      const result = await retention.purge({ days: 30, now });
+      expect(result).toEqual({ leader: true, cutoff: new Date('2024-02-09T00:00:00Z'), purged: 2 });
+      expect(await Analytics.countDocuments({ shortCode: 'keep01' })).toBe(1);
+      expect((await RollupState.get()).retainedFrom).toEqual(new Date('2024-02-09T00:00:00Z'));
+
+      expect(await rollups.total({ shortCode: 'keep01' })).toBe(3);
+      const response = await request(app).get('/api/analytics/keep01').expect(200);
+      expect(response.body.data.demographics.countries).toEqual([{ country: 'DE', count: 2 }, { country: 'US', count: 1 }]);
+    });
+
+    test('should keep targeting and variant counts of purged clicks and date unique visitors', async () => {
+      await Analytics.create([
+        { shortCode: 'keep02', targetingRule: 'eu', variant: 'a', ipAddress: '10.0.0.1', clickedAt: new Date('2024-01-05T10:00:00Z') },
+        { shortCode: 'keep02', variant: 'b', ipAddress: '10.0.0.2', clickedAt: new Date('2024-01-20T10:00:00Z') },
+        { shortCode: 'keep02', targetingRule: 'eu', variant: 'a', ipAddress: '10.0.0.3', clickedAt: new Date('2024-03-09T10:00:00Z') }
+      ]);
+      await compact();
+
+      const before = await request(app).get('/api/analytics/keep02').expect(200);
+      expect(before.body.data.summary).toEqual({ totalClicks: 3, uniqueVisitors: 3 });
+
+      await retention.purge({ days: 30, now });
+      const response = await request(app).get('/api/analytics/keep02').expect(200);
+
+      expect(response.body.data.summary).toEqual({
+        totalClicks: 3,
+        uniqueVisitors: 1,
+        uniqueVisitorsSince: '2024-02-09T00:00:00.000Z'
+      });
+      expect(response.body.data.targeting).toEqual([{ rule: 'eu', count: 2 }, { rule: 'default', count: 1 }]);
+      expect(response.body.data.variants).toEqual([
+        { variant: 'a', count: 2, uniqueVisitors: 1, share: 66.67 },
+        { variant: 'b', count: 1, uniqueVisitors: 0, share: 33.33 }
+      ]);
+    });
+
+    test('should keep old clicks until they are compacted', async () => {
+      await seed();
+      expect(await retention.purge({ days: 30, now })).toMatchObject({ purged: 0 });
+
+      await compact();
+      await Analytics.create({ shortCode: 'keep01', clickedAt: new Date('2024-01-06T10:00:00Z') });
+      expect(await retention.purge({ days: 30, now })).toMatchObject({ purged: 2 });
+      expect(await Analytics.countDocuments({ shortCode: 'keep01' })).toBe(2);
+      expect(await rollups.total({ shortCode: 'keep01' })).toBe(4);
+    });
+
+    test('should not purge anything while retention is off', async () => {
+      await seed();
+      await compact();
+      expect(await retention.purge({ days: 0, now })).toMatchObject({ leader: false, purged: 0 });
+      expect(await Analytics.countDocuments()).toBe(3);
+    });
+
+    test('should carry purged days over when rollups are rebuilt', async () => {
+      await seed();
+      await compact();
+      await retention.purge({ days: 30, now });
+      await Analytics.create({ shortCode: 'keep01', country: 'FR', clickedAt: new Date('2024-01-07T10:00:00Z') });
+      await new Promise(resolve => setTimeout(resolve, 1010 - (Date.now() % 1000)));
+
+      const result = await rollups.rebuild({ until: new Date() });
+      expect(result.carried).toBeGreaterThan(0);
+      expect(result.clicks).toBe(2); // The retained click and the late one
+
+      expect(await rollups.total({ shortCode: 'keep01' })).toBe(4);
+      expect(await rollups.total({ shortCode: 'keep01', from: new Date('2024-01-01T00:00:00Z'), to: new Date('2024-02-01T00:00:00Z') })).toBe(3);
+    });
+
+  });
+
+  describe('POST /api/erasure', () => {
+
+    afterEach(async () => {
+      delete process.env.IP_PRIVACY_MODE;
+      ipPrivacy.reset();
+      await IpSalt.deleteMany({});
+      await ErasureReceipt.deleteMany({});
+    });
+
+    const track = (clicks) => request(app).post('/api/track/batch').send({ clicks }).expect(201);
+
+    test('should erase a visitor\'s clicks across short codes and return a receipt', async () => {
+      await track([
+        { shortCode: 'erase01', ipAddress: '203.0.113.7' },
+        { shortCode: 'erase01', ipAddress: '203.0.113.8' },
+        { shortCode: 'erase02', ipAddress: '203.0.113.7' },
+        { shortCode: 'erase02', ipAddress: '198.51.100.1', visitorId: 'v-123' }
+      ]);
+      await request(app).post('/api/track').send({ shortCode: 'erase03', ipAddress: '::ffff:203.0.113.7' }).expect(201);
+
+      const response = await request(app)
+        .post('/api/erasure')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ ipAddress: '203.0.113.7', requestedBy: 'privacy@example.com', reference: 'DSR-42' })
+        .expect(201);
+
+      const receipt = response.body.data;
+      expect(receipt).toMatchObject({ deletedClicks: 3, requestedBy: 'privacy@example.com', reference: 'DSR-42' });
+      expect(receipt.shortCodes.map(entry => [entry.shortCode, entry.clicks])).toEqual([['erase01', 1], ['erase02', 1], ['erase03', 1]]);
+      expect(receipt.subjects).toEqual([{ type: 'ipAddress', fingerprint: expect.stringMatching(/^[0-9a-f]{64}$/) }]);
+      expect(JSON.stringify(receipt)).not.toContain('203.0.113.7');
+
+      expect(await Analytics.countDocuments({ shortCode: /^erase/ })).toBe(2);
+
+      const byVisitor = await request(app).post('/api/erasure').set('X-API-Key', ADMIN_KEY).send({ visitorId: 'v-123' }).expect(201);
+      expect(byVisitor.body.data.deletedClicks).toBe(1);
+      expect(await Analytics.countDocuments({ shortCode: /^erase/ })).toBe(1);
+    });
+
+    test('should erase hashed addresses while their salt exists', async () => {
+      process.env.IP_PRIVACY_MODE = 'hash';
+      ipPrivacy.reset();
+      await track([{ shortCode: 'erase04', ipAddress: '203.0.113.7' }, { shortCode: 'erase04', ipAddress: '203.0.113.9' }]);
+
+      const response = await request(app).post('/api/erasure').set('X-API-Key', ADMIN_KEY).send({ ipAddress: '203.0.113.7' }).expect(201);
+      expect(response.body.data.deletedClicks).toBe(1);
+      expect(response.body.data.hashedDays).toContain(new Date().toISOString().slice(0, 10));
+      expect(await Analytics.countDocuments({ shortCode: 'erase04' })).toBe(1);
+    });
+
+    test('should keep verifiable receipts', async () => {
+      await track([{ shortCode: 'erase05', ipAddress: '203.0.113.7' }]);
+      const { body } = await request(app).post('/api/erasure').set('X-API-Key', ADMIN_KEY).send({ ipAddress: '203.0.113.7' }).expect(201);
+
+      const stored = await request(app).get(`/api/erasure/${body.data._id}`).set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(stored.body.data).toMatchObject({ deletedClicks: 1, digest: body.data.digest, intact: true });
+
+      await ErasureReceipt.updateOne({ _id: body.data._id }, { $set: { deletedClicks: 0 } });
+      const tampered = await request(app).get(`/api/erasure/${body.data._id}`).set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(tampered.body.data.intact).toBe(false);
+
+      await request(app).get('/api/erasure/not-an-id').set('X-API-Key', ADMIN_KEY).expect(404);
+      await request(app).get(`/api/erasure/${new mongoose.Types.ObjectId()}`).set('X-API-Key', ADMIN_KEY).expect(404);
+    });
+
+    test('should require the admin API key', async () => {
+      await track([{ shortCode: 'erase06', ipAddress: '203.0.113.7' }]);
+
+      await request(app).post('/api/erasure').send({ ipAddress: '203.0.113.7' }).expect(401);
+      await request(app).post('/api/erasure').set('X-API-Key', 'not-the-key').send({ ipAddress: '203.0.113.7' }).expect(403);
+      await request(app).get(`/api/erasure/${new mongoose.Types.ObjectId()}`).expect(401);
+      expect(await Analytics.countDocuments({ shortCode: 'erase06' })).toBe(1);
+    });
+
+    test('should require an IP address or visitor id', async () => {
+      const response = await request(app).post('/api/erasure').set('X-API-Key', ADMIN_KEY).send({ reference: 'DSR-43' }).expect(400);
+      expect(response.body.errors[0].message).toBe('ipAddress or visitorId is required');
+
+      await request(app).post('/api/erasure').set('X-API-Key', ADMIN_KEY).send({ ipAddress: 'not-an-ip' }).expect(400);
+    });
+
+  });
+
   describe('GET /health', () => {
     
     test('should return healthy status', async () => {
@@ -348,6 +1119,20 @@ describe('Analytics Model Tests', () => {
     expect(analytics.deviceType).toBe('mobile');
   });
 
+  test('should tell Edge from Chrome and iPhones from Macs', async () => {
+    const edge = await Analytics.create({
+      shortCode: 'test',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91'
+    });
+    const iphone = await Analytics.create({
+      shortCode: 'test',
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) Mobile'
+    });
+
+    expect(edge.browser).toMatchObject({ name: 'Edge', version: '120.0.2210.91' });
+    expect(iphone.os).toMatchObject({ name: 'iOS', version: '14.0' });
+  });
+
   test('should get click count for short code', async () => {
     await Analytics.create([
       { shortCode: 'count-test' },
@@ -0,0 +1,131 @@
+// tests/unit/aggregation.test.js - Unit tests for rollup range planning and merging
+const {
+  bucketStart,
+  bucketCeil,
+  planRange,
+  rangeFilter,
+  buildRollupPipeline,
+  toDailyRows,
+  mergeCounts,
+  toBreakdown,
+  splitKey
+} = require('../../src/utils/aggregation');
+
+const at = (iso) => new Date(iso);
+
+describe('rollup buckets', () => {
+
+  test('should align times to UTC hours and days', () => {
+    expect(bucketStart(at('2024-03-10T17:42:05Z'), 'hour')).toEqual(at('2024-03-10T17:00:00Z'));
+    expect(bucketStart(at('2024-03-10T17:42:05Z'), 'day')).toEqual(at('2024-03-10T00:00:00Z'));
+    expect(bucketCeil(at('2024-03-10T17:42:05Z'), 'hour')).toEqual(at('2024-03-10T18:00:00Z'));
+    expect(bucketCeil(at('2024-03-10T00:00:00Z'), 'day')).toEqual(at('2024-03-10T00:00:00Z'));
+  });
+
+});
+
+describe('planRange', () => {
+
+  test('should read whole days, whole hours and raw edges from the right source', () => {
+    const plan = planRange(at('2024-03-10T17:42:00Z'), at('2024-03-13T05:15:00Z'));
+
+    expect(plan.raw).toEqual([
+      { from: at('2024-03-10T17:42:00Z'), to: at('2024-03-10T18:00:00Z') },
+      { from: at('2024-03-13T05:00:00Z'), to: at('2024-03-13T05:15:00Z') }
+    ]);
+    expect(plan.hours).toEqual([
+      { from: at('2024-03-10T18:00:00Z'), to: at('2024-03-11T00:00:00Z') },
+      { from: at('2024-03-13T00:00:00Z'), to: at('2024-03-13T05:00:00Z') }
+    ]);
+    expect(plan.day).toEqual({ from: at('2024-03-11T00:00:00Z'), to: at('2024-03-13T00:00:00Z') });
+    expect(plan.covered).toEqual({ from: at('2024-03-10T18:00:00Z'), to: at('2024-03-13T05:00:00Z') });
+  });
+
+  test('should use hourly rollups when no whole day fits', () => {
+    const plan = planRange(at('2024-03-10T08:00:00Z'), at('2024-03-10T20:30:00Z'));
+
+    expect(plan.day).toBeNull();
+    expect(plan.hours).toEqual([{ from: at('2024-03-10T08:00:00Z'), to: at('2024-03-10T20:00:00Z') }]);
+    expect(plan.raw).toEqual([{ from: at('2024-03-10T20:00:00Z'), to: at('2024-03-10T20:30:00Z') }]);
+  });
+
+  test('should read ranges within one hour from raw clicks only', () => {
+    const plan = planRange(at('2024-03-10T08:10:00Z'), at('2024-03-10T08:50:00Z'));
+
+    expect(plan).toEqual({
+      day: null,
+      hours: [],
+      raw: [{ from: at('2024-03-10T08:10:00Z'), to: at('2024-03-10T08:50:00Z') }],
+      covered: null
+    });
+    expect(planRange(at('2024-03-10T09:00:00Z'), at('2024-03-10T08:00:00Z')).covered).toBeNull();
+  });
+
+  test('should leave missing bounds open', () => {
+    expect(planRange()).toEqual({ day: { from: null, to: null }, hours: [], raw: [], covered: { from: null, to: null } });
+
+    const plan = planRange(at('2024-03-10T17:42:00Z'), null);
+    expect(plan.day).toEqual({ from: at('2024-03-11T00:00:00Z'), to: null });
+    expect(plan.hours).toEqual([{ from: at('2024-03-10T18:00:00Z'), to: at('2024-03-11T00:00:00Z') }]);
+    expect(plan.raw).toEqual([{ from: at('2024-03-10T17:42:00Z'), to: at('2024-03-10T18:00:00Z') }]);
+  });
+
+  test('should build filters without empty conditions', () => {
+    expect(rangeFilter('bucket', { from: null, to: null })).toEqual({});
+    expect(rangeFilter('clickedAt', { from: at('2024-03-10T00:00:00Z'), to: null }))
+      .toEqual({ clickedAt: { $gte: at('2024-03-10T00:00:00Z') } });
+  });
+
+});
+
+describe('rollup rows', () => {
+
+  test('should count every dimension of a click', () => {
+    const pipeline = buildRollupPipeline({ shortCode: 'abc' });
+    const { pairs } = pipeline[1].$project;
+
+    expect(pipeline[0]).toEqual({ $match: { shortCode: 'abc' } });
+    expect(pairs.map(pair => pair.dimension)).toEqual(['total', 'country', 'device', 'browser', 'os', 'referrer', 'region', 'city', 'targetingRule', 'variant']);
+  });
+
+  test('should split place keys back into fields', () => {
+    expect(splitKey('US|California|San Jose', ['country', 'region', 'city']))
+      .toEqual({ country: 'US', region: 'California', city: 'San Jose' });
+    expect(splitKey('|Bavaria', ['country', 'region'])).toEqual({ country: null, region: 'Bavaria' });
+  });
+
+  test('should add hourly rows up into days, keeping bots apart', () => {
+    const row = (bucket, value, clicks, isBot = false) => ({ shortCode: 'abc', bucket: at(bucket), dimension: 'country', value, isBot, clicks });
+    const rows = [
+      row('2024-03-10T08:00:00Z', 'DE', 2),
+      row('2024-03-10T21:00:00Z', 'DE', 3),
+      row('2024-03-10T21:00:00Z', 'DE', 7, true),
+      row('2024-03-10T21:00:00Z', null, 1),
+      row('2024-03-11T01:00:00Z', 'DE', 4)
+    ];
+
+    expect(toDailyRows(rows)).toEqual([
+      row('2024-03-10T00:00:00Z', 'DE', 5),
+      row('2024-03-10T00:00:00Z', 'DE', 7, true),
+      row('2024-03-10T00:00:00Z', null, 1),
+      row('2024-03-11T00:00:00Z', 'DE', 4)
+    ]);
+    // Input rows are left untouched
+    expect(rows[0].clicks).toBe(2);
+  });
+
+  test('should merge sources into a sorted breakdown', () => {
+    const totals = mergeCounts(
+      [{ key: 'US', count: 10 }, { key: 'DE', count: 4 }],
+      [{ key: 'DE', count: 6 }, { key: null, count: 1 }, { key: 'FR', count: 0 }]
+    );
+
+    expect(toBreakdown(totals, 'country')).toEqual([
+      { country: 'DE', count: 10 },
+      { country: 'US', count: 10 },
+      { country: null, count: 1 }
+    ]);
+    expect(toBreakdown(totals, 'country', 1)).toEqual([{ country: 'DE', count: 10 }]);
+  });
+
+});
@@ -0,0 +1,52 @@
+// tests/unit/erasure.test.js - Unit tests for retention cutoffs and erasure receipts
+const { retentionCutoff } = require('../../src/services/retention');
+const { fingerprint, receiptDigest } = require('../../src/services/erasure');
+
+describe('retentionCutoff', () => {
+
+  test('should keep whole UTC days', () => {
+    const now = new Date('2024-03-10T17:42:00Z');
+    expect(retentionCutoff(30, now)).toEqual(new Date('2024-02-09T00:00:00Z'));
+    expect(retentionCutoff(1, now)).toEqual(new Date('2024-03-09T00:00:00Z'));
+  });
+
+});
+
+describe('erasure receipts', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const receipt = {
+    subjects: [{ type: 'ipAddress', fingerprint: 'abc' }],
+    requestedBy: 'privacy@example.com',
+    reference: 'DSR-42',
+    requestedAt: new Date('2024-03-10T08:00:00Z'),
+    completedAt: new Date('2024-03-10T08:00:01Z'),
+    deletedClicks: 3,
+    shortCodes: [{ shortCode: 'abc123', clicks: 3, firstClick: new Date('2024-03-01T00:00:00Z'), lastClick: new Date('2024-03-09T00:00:00Z') }],
+    hashedDays: ['2024-03-09', '2024-03-10']
+  };
+
+  test('should fingerprint identifiers without storing them', () => {
+    delete process.env.ERASURE_FINGERPRINT_KEY;
+    const plain = fingerprint('ipAddress', '203.0.113.7');
+    expect(plain).toMatch(/^[0-9a-f]{64}$/);
+    expect(plain).not.toContain('203.0.113.7');
+    expect(fingerprint('visitorId', '203.0.113.7')).not.toBe(plain);
+
+    process.env.ERASURE_FINGERPRINT_KEY = 'secret';
+    expect(fingerprint('ipAddress', '203.0.113.7')).not.toBe(plain);
+  });
+
+  test('should detect changed receipts', () => {
+    const digest = receiptDigest(receipt);
+
+    expect(receiptDigest({ ...receipt, requestedAt: receipt.requestedAt.toISOString() })).toBe(digest);
+    expect(receiptDigest({ ...receipt, deletedClicks: 2 })).not.toBe(digest);
+    expect(receiptDigest({ ...receipt, shortCodes: [] })).not.toBe(digest);
+  });
+
+});
@@ -0,0 +1,272 @@
+// tests/unit/geoip.test.js - Unit tests for the MMDB and CSV GeoIP databases
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MmdbReader } = require('../../src/utils/mmdb');
+const { CsvGeoDatabase, splitCsvLine } = require('../../src/utils/geoCsv');
+const { parseCidr } = require('../../src/utils/ip');
+const geoip = require('../../src/services/geoip');
+
+/**
+ * Encode a value in the MMDB data format (the subset the tests need)
+ * Strings listed in `pointers` are written as pointers to their offset.
+ */
+function encode(value, pointers = {}) {
+  const control = (type, size) => (type <= 7 ? [(type << 5) | size] : [size, type - 7]);
+
+  if (typeof value === 'string') {
+    if (value in pointers) {
+      return Buffer.from([(1 << 5) | (pointers[value] >> 8), pointers[value] & 0xff]);
+    }
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([Buffer.from(control(2, bytes.length)), bytes]);
+  }
+  if (typeof value === 'boolean') {
+    return Buffer.from(control(14, value ? 1 : 0));
+  }
+  if (typeof value === 'number') {
+    const bytes = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+    return Buffer.from([...control(6, bytes.length), ...bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(control(11, value.length)), ...value.map(item => encode(item, pointers))]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([
+    Buffer.from(control(7, entries.length)),
+    ...entries.flatMap(([key, item]) => [encode(key), encode(item, pointers)])
+  ]);
+}
+
+/**
+ * Build an IPv6 MMDB file (IPv4 networks live under ::/96)
+ * @param {Array} networks - [cidr, record]
+ * @param {number} recordSize - 24, 28 or 32
+ * @returns {Buffer}
+ */
+function buildMmdb(networks, recordSize = 24) {
+  // Shared strings go first so records can point at them
+  const shared = Buffer.concat([encode('US')]);
+  const pointers = { US: 0 };
+  const records = [];
+  let dataSize = shared.length;
+  const nodes = [[null, null]];
+
+  for (const [cidr, record] of networks) {
+    const network = parseCidr(cidr);
+    const value = network.start;
+    const prefix = network.version === 4
+      ? 96 + Number(cidr.split('/')[1] || 32)
+      : Number(cidr.split('/')[1] || 128);
+
+    const data = encode(record, pointers);
+    records.push(data);
+    const marker = { data: dataSize };
+    dataSize += data.length;
+
+    let node = 0;
+    for (let i = 0; i < prefix; i++) {
+      const bit = Number((value >> BigInt(127 - i)) & 1n);
+      if (i === prefix - 1) {
+        nodes[node][bit] = marker;
+      } else {
+        if (nodes[node][bit] === null) {
+          nodes.push([null, null]);
+          nodes[node][bit] = nodes.length - 1;
+        }
+        node = nodes[node][bit];
+      }
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const nodeBytes = recordSize / 4;
+  const tree = Buffer.alloc(nodeCount * nodeBytes);
+  const resolve = (record) => {
+    if (record === null) return nodeCount;
+    if (typeof record === 'number') return record;
+    return nodeCount + 16 + record.data;
+  };
+
+  nodes.forEach(([left, right], i) => {
+    const offset = i * nodeBytes;
+    const [l, r] = [resolve(left), resolve(right)];
+    if (recordSize === 24) {
+      tree.writeUIntBE(l, offset, 3);
+      tree.writeUIntBE(r, offset + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(l & 0xffffff, offset, 3);
+      tree[offset + 3] = ((l >> 24) << 4) | (r >> 24);
+      tree.writeUIntBE(r & 0xffffff, offset + 4, 3);
+    } else {
+      tree.writeUInt32BE(l, offset);
+      tree.writeUInt32BE(r, offset + 4);
+    }
+  });
+
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: recordSize,
+    ip_version: 6,
+    database_type: 'Test-City',
+    languages: ['en'],
+    binary_format_major_version: 2
+  });
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    shared,
+    ...records,
+    Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'),
+    metadata
+  ]);
+}
+
+const CITY_RECORD = {
+  city: { names: { en: 'San Jose' } },
+  country: { iso_code: 'US' },
+  subdivisions: [{ iso_code: 'CA', names: { en: 'California' } }],
+  location: { latitude_known: true }
+};
+
+const NETWORKS = [
+  ['203.0.113.0/24', CITY_RECORD],
+  ['198.51.100.0/25', { registered_country: { iso_code: 'DE' } }],
+  ['2001:db8::/32', { country: { iso_code: 'FR' }, city: { names: { en: 'Paris' } } }],
+  ['192.0.2.0/24', { autonomous_system_number: 64500, autonomous_system_organization: 'Example Net' }]
+];
+
+describe('MmdbReader', () => {
+
+  test.each([24, 28, 32])('should find IPv4 and IPv6 networks with %i-bit records', (recordSize) => {
+    const reader = new MmdbReader(buildMmdb(NETWORKS, recordSize));
+
+    expect(reader.metadata).toMatchObject({ database_type: 'Test-City', languages: ['en'] });
+    expect(reader.get('203.0.113.200')).toEqual(CITY_RECORD);
+    expect(reader.get('::ffff:203.0.113.1')).toEqual(CITY_RECORD);
+    expect(reader.get('198.51.100.127')).toEqual({ registered_country: { iso_code: 'DE' } });
+    expect(reader.get('2001:db8:1::5').city.names.en).toBe('Paris');
+  });
+
+  test('should return null outside the known networks', () => {
+    const reader = new MmdbReader(buildMmdb(NETWORKS));
+
+    expect(reader.get('198.51.100.128')).toBeNull();
+    expect(reader.get('8.8.8.8')).toBeNull();
+    expect(reader.get('2001:db9::1')).toBeNull();
+    expect(reader.get('not an ip')).toBeNull();
+  });
+
+  test('should reject files without metadata', () => {
+    expect(() => new MmdbReader(Buffer.from('hello'))).toThrow('Not a MaxMind DB file');
+  });
+
+});
+
+describe('CsvGeoDatabase', () => {
+
+  test('should split quoted fields', () => {
+    expect(splitCsvLine('a,"b, c","say ""hi""",')).toEqual(['a', 'b, c', 'say "hi"', '']);
+  });
+
+  test('should look up CIDR networks', () => {
+    const db = new CsvGeoDatabase([
+      'network,country_code,region,city,asn,as_org',
+      '203.0.113.0/24,US,California,"San Jose",AS64500,"Example, Inc."',
+      '2001:db8::/32,FR,Île-de-France,Paris,,',
+      'garbage,XX,,,,'
+    ].join('\n'));
+
+    expect(db.size).toBe(2);
+    expect(db.skipped).toBe(1);
+    expect(db.get('203.0.113.9')).toEqual({
+      country: 'US', region: 'California', city: 'San Jose', asn: 64500, asOrg: 'Example, Inc.'
+    });
+    expect(db.get('2001:db8::1')).toMatchObject({ country: 'FR', city: 'Paris', asn: null });
+    expect(db.get('203.0.114.1')).toBeNull();
+  });
+
+  test('should look up start/end ranges', () => {
+    const db = new CsvGeoDatabase([
+      'start_ip,end_ip,country',
+      '10.0.0.0,10.0.0.255,AA',
+      '1.0.0.0,1.0.0.99,BB',
+      '1.0.0.200,1.0.0.255,CC'
+    ].join('\r\n'));
+
+    expect(db.get('1.0.0.50').country).toBe('BB');
+    expect(db.get('1.0.0.150')).toBeNull();
+    expect(db.get('1.0.0.255').country).toBe('CC');
+    expect(db.get('10.0.0.1').country).toBe('AA');
+  });
+
+  test('should need a range column', () => {
+    expect(() => new CsvGeoDatabase('country,city\nUS,Boston')).toThrow('network column');
+  });
+
+});
+
+describe('geoip service', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+    fs.writeFileSync(path.join(dir, 'city.mmdb'), buildMmdb(NETWORKS));
+    fs.writeFileSync(path.join(dir, 'asn.csv'), 'network,asn,as_org\n203.0.113.0/24,64501,Other Net\n');
+  });
+
+  afterEach(() => {
+    geoip.reset();
+    delete process.env.GEOIP_DATABASE_PATHS;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should normalize GeoIP2 records', () => {
+    expect(geoip.normalizeMmdbRecord(CITY_RECORD)).toEqual({
+      country: 'US', region: 'California', city: 'San Jose', asn: null, asOrg: null
+    });
+    expect(geoip.normalizeMmdbRecord({ asn: 'AS13335', as_org: 'Cloudflare', country: 'US' })).toMatchObject({
+      country: 'US', asn: 13335, asOrg: 'Cloudflare'
+    });
+  });
+
+  test('should combine databases and keep fields already set', async () => {
+    process.env.GEOIP_DATABASE_PATHS = `${path.join(dir, 'city.mmdb')}, ${path.join(dir, 'asn.csv')}`;
+
+    expect(await geoip.lookup('203.0.113.5')).toEqual({
+      country: 'US', region: 'California', city: 'San Jose', asn: 64501, asOrg: 'Other Net'
+    });
+    expect(await geoip.lookup('10.0.0.1')).toBeNull();
+
+    const entry = await geoip.enrich({ ipAddress: '203.0.113.5', country: 'CA', city: null });
+    expect(entry).toMatchObject({ country: 'CA', region: 'California', city: 'San Jose', asn: 64501 });
+  });
+
+  test('should keep the last good copy when a reload fails', async () => {
+    const file = path.join(dir, 'reload.csv');
+    fs.writeFileSync(file, 'network,country\n203.0.113.0/24,US\n');
+    process.env.GEOIP_DATABASE_PATHS = file;
+
+    expect((await geoip.lookup('203.0.113.5')).country).toBe('US');
+
+    fs.writeFileSync(file, 'network,country\n203.0.113.0/24,NL\n');
+    await geoip.reload();
+    expect((await geoip.lookup('203.0.113.5')).country).toBe('NL');
+
+    fs.writeFileSync(file, 'no ranges here\n');
+    const stats = await geoip.reload();
+    expect(stats.databases[0].error).toMatch('network column');
+    expect((await geoip.lookup('203.0.113.5')).country).toBe('NL');
+  });
+
+  test('should do nothing without databases', async () => {
+    expect(geoip.getStats()).toEqual({ enabled: false, databases: [] });
+    expect(await geoip.enrich({ ipAddress: '203.0.113.5', country: null })).toEqual({ ipAddress: '203.0.113.5', country: null });
+  });
+
+});
@@ -0,0 +1,71 @@
+// tests/unit/ip.test.js - Unit tests for IP address parsing
+const { parseIp, parseCidr, truncateIp, isPrivateIp } = require('../../src/utils/ip');
+
+describe('parseIp', () => {
+
+  test('should read IPv4 and IPv6 addresses', () => {
+    expect(parseIp('203.0.113.7')).toEqual({ version: 4, value: 0xcb007107n });
+    expect(parseIp('2001:db8::1')).toEqual({ version: 6, value: (0x20010db8n << 96n) | 1n });
+    expect(parseIp('::')).toEqual({ version: 6, value: 0n });
+    expect(parseIp('[2001:db8::1]')).toEqual(parseIp('2001:db8::1'));
+    expect(parseIp('fe80::1%eth0')).toEqual(parseIp('fe80::1'));
+  });
+
+  test('should treat IPv4-mapped addresses as IPv4', () => {
+    expect(parseIp('::ffff:203.0.113.7')).toEqual(parseIp('203.0.113.7'));
+    expect(parseIp('64:ff9b::203.0.113.7').value).toBe((0x64ff9bn << 96n) | 0xcb007107n);
+  });
+
+  test('should reject anything else', () => {
+    for (const value of ['unknown', '', null, undefined, '256.1.1.1', '1.2.3', 'example.com']) {
+      expect(parseIp(value)).toBeNull();
+    }
+  });
+
+});
+
+describe('parseCidr', () => {
+
+  test('should give the first and last address of a network', () => {
+    expect(parseCidr('203.0.113.77/24')).toEqual({ version: 4, start: 0xcb007100n, end: 0xcb0071ffn });
+    expect(parseCidr('203.0.113.7')).toEqual({ version: 4, start: 0xcb007107n, end: 0xcb007107n });
+    expect(parseCidr('2001:db8::/32')).toEqual({
+      version: 6,
+      start: 0x20010db8n << 96n,
+      end: (0x20010db8n << 96n) | ((1n << 96n) - 1n)
+    });
+  });
+
+  test('should reject bad prefixes', () => {
+    expect(parseCidr('10.0.0.0/33')).toBeNull();
+    expect(parseCidr('10.0.0.0/x')).toBeNull();
+    expect(parseCidr('nope/8')).toBeNull();
+  });
+
+});
+
+describe('isPrivateIp', () => {
+
+  test('should only pass public addresses', () => {
+    for (const ip of ['10.1.2.3', '172.16.0.1', '192.168.1.1', '127.0.0.1', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:192.168.1.1', 'unknown']) {
+      expect(isPrivateIp(ip)).toBe(true);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+      expect(isPrivateIp(ip)).toBe(false);
+    }
+  });
+
+});
+
+describe('truncateIp', () => {
+
+  test('should keep the /24 or /48 network', () => {
+    expect(truncateIp('203.0.113.77')).toBe('203.0.113.0');
+    expect(truncateIp('::ffff:203.0.113.77')).toBe('203.0.113.0');
+    expect(truncateIp('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::');
+    expect(truncateIp('2001:db8::1')).toBe('2001:db8:0::');
+    expect(truncateIp(truncateIp('203.0.113.77'))).toBe('203.0.113.0');
+    expect(truncateIp('unknown')).toBeNull();
+  });
+
+});
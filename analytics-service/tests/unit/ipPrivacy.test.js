@@ -0,0 +1,72 @@
+// tests/unit/ipPrivacy.test.js - Unit tests for IP privacy modes
+const IpSalt = require('../../src/models/IpSalt');
+const ipPrivacy = require('../../src/services/ipPrivacy');
+
+describe('ipPrivacy', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    ipPrivacy.reset();
+    jest.spyOn(IpSalt, 'forDay').mockImplementation(async (day) => ({
+      salt: `salt-${day}`,
+      expiresAt: new Date(Date.now() + 60000)
+    }));
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test('should default to truncation in production only', () => {
+    delete process.env.IP_PRIVACY_MODE;
+    process.env.NODE_ENV = 'production';
+    expect(ipPrivacy.getMode()).toBe('truncated');
+
+    ipPrivacy.reset();
+    process.env.NODE_ENV = 'development';
+    expect(ipPrivacy.getMode()).toBe('full');
+
+    ipPrivacy.reset();
+    process.env.IP_PRIVACY_MODE = 'Hash';
+    expect(ipPrivacy.getMode()).toBe('hash');
+  });
+
+  test('should fall back to truncation for unknown modes', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.IP_PRIVACY_MODE = 'partial';
+    expect(ipPrivacy.getMode()).toBe('truncated');
+  });
+
+  test('should store as much as each mode allows', async () => {
+    expect(await ipPrivacy.anonymize('203.0.113.77', { mode: 'full' })).toBe('203.0.113.77');
+    expect(await ipPrivacy.anonymize('203.0.113.77', { mode: 'truncated' })).toBe('203.0.113.0');
+    expect(await ipPrivacy.anonymize('2001:db8:1:2::3', { mode: 'truncated' })).toBe('2001:db8:1::');
+    expect(await ipPrivacy.anonymize('203.0.113.77', { mode: 'none' })).toBeNull();
+    expect(await ipPrivacy.anonymize('unknown', { mode: 'truncated' })).toBe('unknown');
+  });
+
+  test('should hash with the salt of the click day', async () => {
+    const monday = new Date('2024-03-11T08:00:00Z');
+    const hash = await ipPrivacy.anonymize('203.0.113.77', { mode: 'hash', clickedAt: monday });
+
+    expect(hash).toMatch(/^[0-9a-f]{32}$/);
+    expect(await ipPrivacy.anonymize('::ffff:203.0.113.77', { mode: 'hash', clickedAt: new Date('2024-03-11T23:00:00Z') })).toBe(hash);
+    expect(await ipPrivacy.anonymize('203.0.113.78', { mode: 'hash', clickedAt: monday })).not.toBe(hash);
+    expect(await ipPrivacy.anonymize('203.0.113.77', { mode: 'hash', clickedAt: new Date('2024-03-12T08:00:00Z') })).not.toBe(hash);
+
+    // Cached: one salt read per day
+    expect(IpSalt.forDay.mock.calls.map(([day]) => day)).toEqual(['2024-03-11', '2024-03-12']);
+  });
+
+  test('should read a salt once for a whole batch', async () => {
+    const clickedAt = new Date('2024-03-11T08:00:00Z');
+    process.env.IP_PRIVACY_MODE = 'hash';
+
+    const entries = await Promise.all(['1.1.1.1', '2.2.2.2', '3.3.3.3'].map(ipAddress => ipPrivacy.protectClick({ ipAddress, clickedAt })));
+
+    expect(new Set(entries.map(entry => entry.ipAddress)).size).toBe(3);
+    expect(IpSalt.forDay).toHaveBeenCalledTimes(1);
+  });
+
+});
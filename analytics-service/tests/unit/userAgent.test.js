@@ -0,0 +1,99 @@
+// tests/unit/userAgent.test.js - Unit tests for user agent parsing
+const { parseUserAgent } = require('../../src/utils/userAgent');
+
+const UA = {
+  edge: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+  opera: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/106.0.0.0',
+  samsung: 'Mozilla/5.0 (Linux; Android 13; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+  chromeAndroid: 'Mozilla/5.0 (Linux; Android 14; Pixel 8 Build/UD1A.230803.041) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36',
+  reducedAndroid: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  iphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  chromeIos: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1',
+  ipadApp: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+  firefoxLinux: 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  ie: 'Mozilla/5.0 (Windows NT 6.1; WOW64; Trident/7.0; rv:11.0) like Gecko'
+};
+
+describe('parseUserAgent', () => {
+
+  test('should tell Chromium-based browsers apart', () => {
+    expect(parseUserAgent(UA.edge).browser).toEqual({ name: 'Edge', version: '120.0.2210.91' });
+    expect(parseUserAgent(UA.opera).browser).toEqual({ name: 'Opera', version: '106.0.0.0' });
+    expect(parseUserAgent(UA.samsung).browser).toEqual({ name: 'Samsung Internet', version: '23.0' });
+    expect(parseUserAgent(UA.chromeAndroid).browser).toEqual({ name: 'Chrome', version: '120.0.6099.144' });
+    expect(parseUserAgent(UA.chromeIos).browser).toEqual({ name: 'Chrome', version: '120.0.6099.119' });
+  });
+
+  test('should recognise iOS before macOS', () => {
+    const iphone = parseUserAgent(UA.iphone);
+    expect(iphone.os).toEqual({ name: 'iOS', version: '17.2.1' });
+    expect(iphone.browser).toEqual({ name: 'Safari', version: '17.2' });
+    expect(iphone.deviceType).toBe('mobile');
+    expect(iphone.device).toEqual({ vendor: 'Apple', model: 'iPhone' });
+
+    const ipad = parseUserAgent(UA.ipadApp);
+    expect(ipad.os).toEqual({ name: 'iOS', version: '16.6' });
+    expect(ipad.browser.name).toBe('Safari WebView');
+    expect(ipad.deviceType).toBe('tablet');
+
+    expect(parseUserAgent(UA.safariMac).os).toEqual({ name: 'macOS', version: '10.15.7' });
+  });
+
+  test('should name desktop operating systems and versions', () => {
+    expect(parseUserAgent(UA.edge).os).toEqual({ name: 'Windows', version: '10' });
+    expect(parseUserAgent(UA.ie)).toMatchObject({
+      browser: { name: 'Internet Explorer', version: '11.0' },
+      os: { name: 'Windows', version: '7' },
+      deviceType: 'desktop'
+    });
+    expect(parseUserAgent(UA.firefoxLinux)).toMatchObject({
+      browser: { name: 'Firefox', version: '121.0' },
+      os: { name: 'Linux', version: null },
+      deviceType: 'desktop'
+    });
+  });
+
+  test('should read Android device vendors and models', () => {
+    expect(parseUserAgent(UA.samsung).device).toEqual({ vendor: 'Samsung', model: 'SM-S918B' });
+    expect(parseUserAgent(UA.chromeAndroid).device).toEqual({ vendor: 'Google', model: 'Pixel 8' });
+    expect(parseUserAgent(UA.reducedAndroid).device).toEqual({ vendor: null, model: null });
+    expect(parseUserAgent(UA.reducedAndroid).os).toEqual({ name: 'Android', version: '10' });
+  });
+
+  test('should flag link-preview crawlers, search bots and scripts', () => {
+    const bots = {
+      'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)': 'Slackbot',
+      'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)': 'Facebook',
+      'WhatsApp/2.23.20.0 A': 'WhatsApp',
+      'Mozilla/5.0 (compatible; Discordbot/2.0; +https://discordapp.com)': 'Discordbot',
+      'TelegramBot (like TwitterBot)': 'TelegramBot',
+      'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)': 'Googlebot',
+      'Mozilla/5.0 (compatible; SemrushBot/7~bl; +http://www.semrush.com/bot.html)': 'SemrushBot',
+      'curl/8.4.0': 'curl',
+      'python-requests/2.31.0': 'Python'
+    };
+
+    for (const [ua, botName] of Object.entries(bots)) {
+      expect(parseUserAgent(ua)).toMatchObject({ isBot: true, botName });
+    }
+  });
+
+  test('should not flag browsers or phones named like bots', () => {
+    for (const ua of [...Object.values(UA), 'Mozilla/5.0 (Linux; Android 9; CUBOT X19) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0 Mobile Safari/537.36']) {
+      expect(parseUserAgent(ua)).toMatchObject({ isBot: false, botName: null });
+    }
+  });
+
+  test('should fall back for unknown user agents', () => {
+    expect(parseUserAgent('')).toEqual({
+      browser: { name: 'Other', version: null },
+      os: { name: 'Other', version: null },
+      deviceType: 'unknown',
+      device: { vendor: null, model: null },
+      isBot: false,
+      botName: null
+    });
+  });
+
+});
@@ -6,11 +6,29 @@ const cors = require('cors');
 
 // Import routes (we'll create these next)
 const urlRoutes = require('./src/routes/urlRoutes');
+const apiKeyRoutes = require('./src/routes/apiKeyRoutes');
+const domainRoutes = require('./src/routes/domainRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const clickDispatcher = require('./src/services/clickDispatcher');
+const clickCounter = require('./src/services/clickCounter');
+const urlCache = require('./src/services/urlCache');
+const bulkImporter = require('./src/services/bulkImporter');
+const linkHealthChecker = require('./src/services/linkHealthChecker');
+const expirySweeper = require('./src/services/expirySweeper');
+const webhookDispatcher = require('./src/services/webhookDispatcher');
+const destinationPolicy = require('./src/services/destinationPolicy');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (rate limits, click IPs)
+// TRUST_PROXY is a hop count, "true", or a list of trusted proxy addresses
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : (Number.isNaN(hops) ? process.env.TRUST_PROXY : hops));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -35,6 +53,26 @@ const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Start delivering queued clicks once the outbox is reachable
+    if (process.env.CLICK_DISPATCHER_ENABLED !== 'false') {
+      clickDispatcher.start();
+    }
+    clickCounter.start();
+    if (process.env.LINK_HEALTH_ENABLED !== 'false') {
+      linkHealthChecker.start();
+    }
+    if (process.env.EXPIRY_SWEEPER_ENABLED !== 'false') {
+      expirySweeper.start();
+    }
+    if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+      webhookDispatcher.start();
+    }
+    bulkImporter.failStaleJobs().then(count => {
+      if (count) console.log(`📦 Marked ${count} interrupted bulk import job(s) as failed`);
+    }).catch(error => {
+      console.error('Failed to check for interrupted bulk import jobs:', error.message);
+    });
   } catch (error) {
     console.error('Database connection failed:', error.message);
     setTimeout(connectDB, 5000);
@@ -44,6 +82,14 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// Threat feeds are local files, loaded now and re-read when they change
+try {
+  destinationPolicy.start();
+} catch (error) {
+  console.error('Invalid destination policy:', error.message);
+  process.exit(1);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -51,11 +97,15 @@ app.get('/health', (req, res) => {
     service: 'redirector-service',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    cache: urlCache.getStats()
   });
 });
 
 // API Routes
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api', urlRoutes);
 
 // Root endpoint
@@ -65,7 +115,28 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /api/shorten': 'Create short URL',
+      'POST /api/shorten/bulk': 'Create many short URLs (JSON array or CSV)',
+      'GET /api/shorten/bulk/:jobId': 'Bulk import job status',
       'GET /api/:shortCode': 'Redirect to original URL',
+      'GET /api/urls': 'List your URLs (API key)',
+      'GET /api/links/broken': 'List links with failing destinations (API key)',
+      'PATCH /api/:shortCode': 'Edit a URL (API key)',
+      'DELETE /api/:shortCode': 'Deactivate a URL (API key)',
+      'GET /api/info/:shortCode/history': 'URL revision history (API key)',
+      'GET /api/qr/:shortCode': 'QR code for a short URL (PNG or SVG)',
+      'POST /api/:shortCode/unlock': 'Unlock a password-protected URL',
+      'POST /api/keys': 'Issue an API key (admin)',
+      'GET /api/keys': 'List API keys',
+      'DELETE /api/keys/:id': 'Revoke an API key',
+      'POST /api/domains': 'Register a branded domain',
+      'GET /api/domains': 'List branded domains',
+      'POST /api/domains/:id/verify': 'Verify a branded domain',
+      'DELETE /api/domains/:id': 'Remove a branded domain',
+      'POST /api/webhooks': 'Subscribe to link and click events',
+      'GET /api/webhooks': 'List webhook subscriptions',
+      'PATCH /api/webhooks/:id': 'Edit a webhook subscription',
+      'DELETE /api/webhooks/:id': 'Remove a webhook subscription',
+      'GET /api/webhooks/:id/deliveries': 'Webhook delivery log',
       'GET /health': 'Service health check'
     }
   });
@@ -120,7 +191,14 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    await bulkImporter.drain();
+    await clickDispatcher.stop();
+    await clickCounter.stop();
+    await linkHealthChecker.stop();
+    await expirySweeper.stop();
+    await webhookDispatcher.stop();
+    destinationPolicy.stop();
     console.log('✅ Process terminated');
     mongoose.connection.close();
   });
@@ -128,7 +206,14 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    await bulkImporter.drain();
+    await clickDispatcher.stop();
+    await clickCounter.stop();
+    await linkHealthChecker.stop();
+    await expirySweeper.stop();
+    await webhookDispatcher.stop();
+    destinationPolicy.stop();
     console.log('✅ Process terminated');
     mongoose.connection.close();
   });
@@ -0,0 +1,122 @@
+// src/controllers/apiKeyController.js - API key management
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Issue a new API key
+ * POST /api/keys
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, owner } = req.body;
+
+    const { apiKey, rawKey } = await ApiKey.issue({ name, owner });
+
+    // The raw key is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      data: {
+        id: apiKey._id,
+        name: apiKey.name,
+        owner: apiKey.owner,
+        keyPreview: apiKey.keyPreview,
+        createdAt: apiKey.createdAt,
+        apiKey: rawKey
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List API keys (admin sees all, owners see their own)
+ * GET /api/keys
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const filter = req.user.isAdmin
+      ? (req.query.owner ? { owner: req.query.owner } : {})
+      : { owner: req.user.id };
+
+    const keys = await ApiKey.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-keyHash -__v');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        keys,
+        count: keys.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in listApiKeys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving API keys'
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key id'
+      });
+    }
+
+    const apiKey = await ApiKey.findById(id);
+
+    // Hide keys belonging to other owners
+    if (!apiKey || (!req.user.isAdmin && apiKey.owner !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    await apiKey.revoke();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in revokeApiKey:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,149 @@
+// src/controllers/bulkController.js - Bulk link creation and CSV import
+const mongoose = require('mongoose');
+const BulkImportJob = require('../models/BulkImportJob');
+const bulkImporter = require('../services/bulkImporter');
+const { parseCsvRecords } = require('../utils/csv');
+
+/**
+ * Read the rows of a bulk import from a JSON array or a CSV document
+ * Runs before the bulk_rows rate limit, which charges every row.
+ * Sets req.bulkRows.
+ */
+const parseBulkRows = (req, res, next) => {
+  let rows;
+
+  if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else if (typeof req.body === 'string') {
+    try {
+      rows = parseCsvRecords(req.body, bulkImporter.CSV_COLUMNS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`
+      });
+    }
+  } else {
+    return res.status(400).json({
+      success: false,
+      message: 'Send a JSON array of links or a CSV document with Content-Type: text/csv'
+    });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one link is required'
+    });
+  }
+
+  if (rows.length > bulkImporter.MAX_ROWS) {
+    return res.status(413).json({
+      success: false,
+      message: `A bulk import cannot exceed ${bulkImporter.MAX_ROWS} links`
+    });
+  }
+
+  req.bulkRows = rows;
+  next();
+};
+
+/**
+ * Create many short URLs from the rows read by parseBulkRows
+ * Small batches are answered with per-row results; larger ones run as a
+ * background job whose progress is available from the status endpoint.
+ * POST /api/shorten/bulk
+ */
+const bulkShorten = async (req, res) => {
+  try {
+    const rows = req.bulkRows;
+    const createdBy = req.user?.id || 'anonymous';
+
+    if (rows.length > bulkImporter.SYNC_MAX_ROWS) {
+      const { job, token } = await bulkImporter.startJob(rows, createdBy);
+      const statusUrl = token
+        ? `/api/shorten/bulk/${job._id}?token=${token}`
+        : `/api/shorten/bulk/${job._id}`;
+
+      res.set('Location', statusUrl);
+      return res.status(202).json({
+        success: true,
+        message: 'Bulk import queued',
+        data: {
+          jobId: job._id,
+          status: job.status,
+          total: job.total,
+          token: token || undefined,
+          statusUrl
+        }
+      });
+    }
+
+    const results = await bulkImporter.importRows(rows, createdBy);
+    const summary = bulkImporter.summarize(results);
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.created} created, ${summary.existing} existing, ${summary.failed} failed`,
+      data: {
+        ...summary,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in bulkShorten:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing bulk import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the progress and results of a bulk import job
+ * GET /api/shorten/bulk/:jobId
+ */
+const getBulkJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    let job = null;
+    if (mongoose.isValidObjectId(jobId)) {
+      // A job orphaned by a restart is reported as failed, not as running forever
+      await bulkImporter.failStaleJobs({ _id: jobId });
+      job = await BulkImportJob.findById(jobId);
+    }
+
+    // Other owners' jobs are reported as missing; anonymous jobs need the
+    // token handed to their creator, as every anonymous caller shares one owner
+    const allowed = job && (req.user
+      ? req.user.isAdmin || job.createdBy === req.user.id
+      : job.createdBy === 'anonymous' && job.matchesToken(req.query.token));
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk import job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error in getBulkJob:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bulk import job'
+    });
+  }
+};
+
+module.exports = {
+  parseBulkRows,
+  bulkShorten,
+  getBulkJob
+};
@@ -0,0 +1,218 @@
+// src/controllers/domainController.js - Branded domain registration and verification
+const mongoose = require('mongoose');
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const domainRegistry = require('../services/domainRegistry');
+const { getVerificationInstructions, checkDomain } = require('../utils/domainVerification');
+
+/**
+ * Load a domain by id, hiding domains of other owners
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Domain document or null
+ */
+async function findOwnDomain(req) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const domain = await Domain.findById(id);
+  if (!domain || (!req.user.isAdmin && domain.owner !== req.user.id)) return null;
+  return domain;
+}
+
+/**
+ * Format a domain for API responses
+ * @param {Object} domain - Domain document
+ * @returns {Object}
+ */
+function formatDomain(domain) {
+  return {
+    id: domain._id,
+    hostname: domain.hostname,
+    owner: domain.owner,
+    status: domain.status,
+    verificationMethod: domain.verificationMethod,
+    verifiedAt: domain.verifiedAt,
+    lastCheckedAt: domain.lastCheckedAt,
+    lastError: domain.lastError,
+    createdAt: domain.createdAt,
+    // Instructions stay available so ownership can be re-proven
+    verification: getVerificationInstructions(domain)
+  };
+}
+
+/**
+ * Register a branded domain (pending until verified)
+ * POST /api/domains
+ */
+const createDomain = async (req, res) => {
+  try {
+    const { hostname } = req.body;
+
+    if (hostname === domainRegistry.getDefaultHostname()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The service domain cannot be registered as a branded domain'
+      });
+    }
+
+    if (await Domain.findVerified(hostname)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Domain is already registered'
+      });
+    }
+
+    const domain = await Domain.register({ hostname, owner: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain registered. Publish the verification token, then call the verify endpoint.',
+      data: formatDomain(domain)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already registered this domain'
+      });
+    }
+
+    console.error('Error in createDomain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering domain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List branded domains (admin sees all or ?owner=, others see their own)
+ * GET /api/domains
+ */
+const listDomains = async (req, res) => {
+  try {
+    const filter = req.user.isAdmin
+      ? (req.query.owner ? { owner: req.query.owner } : {})
+      : { owner: req.user.id };
+
+    const domains = await Domain.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domains: domains.map(formatDomain),
+        count: domains.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in listDomains:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving domains'
+    });
+  }
+};
+
+/**
+ * Check that the owner published the verification token
+ * POST /api/domains/:id/verify
+ */
+const verifyDomain = async (req, res) => {
+  try {
+    const domain = await findOwnDomain(req);
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    const { method } = req.body;
+    const error = await checkDomain(domain, method);
+
+    // A failed re-check keeps an already verified domain verified
+    try {
+      await domain.recordVerification(method, error);
+    } catch (saveError) {
+      // Another owner's claim on the hostname was verified first
+      if (saveError.code !== 11000) throw saveError;
+      return res.status(409).json({
+        success: false,
+        message: 'Domain is already verified by another owner'
+      });
+    }
+    domainRegistry.invalidate(domain.hostname);
+
+    if (error && !domain.isVerified) {
+      return res.status(422).json({
+        success: false,
+        message: error,
+        data: formatDomain(domain)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: error ? `Domain remains verified, but the check failed: ${error}` : 'Domain verified successfully',
+      data: formatDomain(domain)
+    });
+
+  } catch (error) {
+    console.error('Error in verifyDomain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying domain'
+    });
+  }
+};
+
+/**
+ * Remove a branded domain that no active link uses
+ * DELETE /api/domains/:id
+ */
+const deleteDomain = async (req, res) => {
+  try {
+    const domain = await findOwnDomain(req);
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    const activeLinks = await Url.countDocuments({ domain: domain.hostname, isActive: true });
+    if (activeLinks > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Domain is used by ${activeLinks} active link(s); deactivate them first`
+      });
+    }
+
+    await domain.deleteOne();
+    domainRegistry.invalidate(domain.hostname);
+
+    res.status(200).json({
+      success: true,
+      message: 'Domain removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in deleteDomain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing domain'
+    });
+  }
+};
+
+module.exports = {
+  createDomain,
+  listDomains,
+  verifyDomain,
+  deleteDomain
+};
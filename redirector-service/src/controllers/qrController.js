@@ -0,0 +1,70 @@
+// src/controllers/qrController.js - QR code generation for short links
+const crypto = require('crypto');
+const Url = require('../models/Url');
+const domainRegistry = require('../services/domainRegistry');
+const { encodeQr } = require('../utils/qrCode');
+const { renderPng, renderSvg } = require('../utils/qrImage');
+
+/**
+ * Render a short link as a QR code
+ * GET /api/qr/:shortCode
+ */
+const getQrCode = async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const { format, size, ecLevel, margin, foreground, background } = req.query;
+
+    const domain = await domainRegistry.resolveRequestDomain(req, { allowOverride: true });
+    const url = await Url.findByCode(shortCode, domain);
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Short URL not found'
+      });
+    }
+
+    // Scheduled links get their code before launch, so it can be printed early
+    if (!url.isValidForRedirect() && url.lifecycleState !== 'scheduled') {
+      return res.status(410).json({
+        success: false,
+        message: 'This short URL has expired or is inactive'
+      });
+    }
+
+    // The image is fully determined by the link and the render options
+    const shortUrl = url.shortUrl;
+    const etag = '"' + crypto.createHash('sha1')
+      .update([shortUrl, format, size, ecLevel, margin, foreground, background].join('|'))
+      .digest('hex') + '"';
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'public, max-age=86400');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const qr = encodeQr(shortUrl, { ecLevel });
+    const renderOptions = { size, margin, foreground, background };
+
+    if (format === 'svg') {
+      res.type('image/svg+xml');
+      return res.status(200).send(renderSvg(qr, renderOptions));
+    }
+
+    res.type('image/png');
+    res.status(200).send(renderPng(qr, renderOptions));
+
+  } catch (error) {
+    console.error('Error in getQrCode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating QR code'
+    });
+  }
+};
+
+module.exports = {
+  getQrCode
+};
@@ -1,7 +1,35 @@
 // src/controllers/urlController.js - URL business logic
 const Url = require('../models/Url');
-const { generateShortCode } = require('../utils/shortCodeGenerator');
-const analyticsService = require('../services/analyticsService');
+const UrlRevision = require('../models/UrlRevision');
+const { validateCustomCode } = require('../utils/shortCodeGenerator');
+const ClickOutbox = require('../models/ClickOutbox');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const urlCache = require('../services/urlCache');
+const clickCounter = require('../services/clickCounter');
+const unlockAttempts = require('../services/unlockAttempts');
+const { createShortUrl } = require('../services/urlCreation');
+const domainRegistry = require('../services/domainRegistry');
+const webhookEvents = require('../services/webhookEvents');
+const destinationPolicy = require('../services/destinationPolicy');
+const { renderUnlockPage } = require('../utils/unlockPage');
+const { canManageUrl } = require('../middleware/auth');
+const { resolveRedirectType, buildCacheControl } = require('../utils/redirect');
+const { detectDeviceType, getRequestCountry, matchTargetingRule } = require('../utils/targeting');
+const { selectVariant, setVariantCookie } = require('../utils/variants');
+const { resolveVisitorId } = require('../utils/visitors');
+const { encodeCursor, decodeCursor, buildCursorFilter, buildCursorSort } = require('../utils/cursor');
+
+// Responses for links that exist but can't redirect, by lifecycle state
+const UNAVAILABLE_RESPONSES = {
+  inactive: { statusCode: 410, message: 'This short URL has expired or is inactive' },
+  scheduled: { statusCode: 403, message: 'This short URL is not active yet' },
+  expired: { statusCode: 410, message: 'This short URL has expired' },
+  limit_reached: { statusCode: 410, message: 'This short URL has reached its click limit' },
+  blocked: { statusCode: 403, message: 'This short URL points to a blocked destination' }
+};
+
+// Fields that hold a destination, checked again when edited
+const DESTINATION_FIELDS = ['originalUrl', 'fallbackUrl', 'targetingRules', 'variants'];
 
 /**
  * Create a shortened URL
@@ -9,7 +37,7 @@ const analyticsService = require('../services/analyticsService');
  */
 const shortenUrl = async (req, res) => {
   try {
-    const { originalUrl, customAlias, expiresInDays } = req.body;
+    const { originalUrl } = req.body;
 
     // Validate original URL is provided
     if (!originalUrl) {
@@ -19,44 +47,22 @@ const shortenUrl = async (req, res) => {
       });
     }
 
-    // Check if URL already exists (optional: return existing short code)
-    const existingUrl = await Url.findOne({ originalUrl, isActive: true });
-    if (existingUrl && !customAlias) {
+    const { url: newUrl, isExisting, isCustom, codeStrategy } = await createShortUrl(req.body, req.user?.id || 'anonymous');
+
+    if (isExisting) {
       return res.status(200).json({
         success: true,
         message: 'URL already shortened',
         data: {
-          shortCode: existingUrl.shortCode,
-          shortUrl: existingUrl.shortUrl,
-          originalUrl: existingUrl.originalUrl,
-          createdAt: existingUrl.createdAt,
+          shortCode: newUrl.shortCode,
+          shortUrl: newUrl.shortUrl,
+          originalUrl: newUrl.originalUrl,
+          createdAt: newUrl.createdAt,
           isExisting: true
         }
       });
     }
 
-    // Generate short code (or use custom alias)
-    const { shortCode, isCustom } = await generateShortCode(customAlias);
-
-    // Calculate expiration date if specified
-    let expiresAt = null;
-    if (expiresInDays && expiresInDays > 0) {
-      expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + expiresInDays);
-    }
-
-    // Create new URL document
-    const newUrl = new Url({
-      originalUrl,
-      shortCode,
-      customAlias: isCustom ? shortCode : null,
-      expiresAt,
-      createdBy: req.user?.id || 'anonymous' // For future auth implementation
-    });
-
-    // Save to database
-    await newUrl.save();
-
     // Return success response
     res.status(201).json({
       success: true,
@@ -66,8 +72,14 @@ const shortenUrl = async (req, res) => {
         shortUrl: newUrl.shortUrl,
         originalUrl: newUrl.originalUrl,
         createdAt: newUrl.createdAt,
+        activatesAt: newUrl.activatesAt,
         expiresAt: newUrl.expiresAt,
-        isCustom
+        maxClicks: newUrl.maxClicks,
+        redirectType: resolveRedirectType(newUrl),
+        isProtected: newUrl.isProtected,
+        domain: newUrl.domain,
+        isCustom,
+        codeStrategy
       }
     });
 
@@ -75,13 +87,22 @@ const shortenUrl = async (req, res) => {
     console.error('Error in shortenUrl:', error);
     
     // Handle specific errors
-    if (error.message.includes('Custom alias')) {
+    if (error.message.includes('Custom alias') || error.message.startsWith('Domain ')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
 
+    if (error.message.startsWith('Destination ')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        field: error.field,
+        reason: error.reason
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error creating short URL',
@@ -106,13 +127,9 @@ const redirectUrl = async (req, res) => {
       });
     }
 
-    // Find URL by short code or custom alias
-    const url = await Url.findOne({
-      $or: [
-        { shortCode },
-        { customAlias: shortCode }
-      ]
-    });
+    // Short links are resolved by the Host they were requested on
+    const domain = await domainRegistry.resolveRequestDomain(req);
+    const url = await findUrlForRedirect(shortCode, domain);
 
     // URL not found
     if (!url) {
@@ -122,39 +139,44 @@ const redirectUrl = async (req, res) => {
       });
     }
 
-    // Check if URL is still valid
+    // Not started, expired, capped or switched off - each gets its own answer
     if (!url.isValidForRedirect()) {
-      return res.status(410).json({
-        success: false,
-        message: 'This short URL has expired or is inactive'
-      });
+      return await respondUnavailable(res, url);
     }
 
-    // Collect metadata for analytics
-    const clickMetadata = {
-      shortCode: url.shortCode,
-      timestamp: new Date(),
-      userAgent: req.headers['user-agent'] || 'unknown',
-      referer: req.headers['referer'] || req.headers['referrer'] || 'direct',
-      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
-      country: req.headers['cf-ipcountry'] || null, // Cloudflare header
-      acceptLanguage: req.headers['accept-language'] || 'unknown'
-    };
+    // Protected links show the unlock form; the click is recorded on unlock
+    if (url.isProtected) {
+      res.set('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+      return res.status(200).type('html').send(renderUnlockPage({ shortCode }));
+    }
 
-    // Track click asynchronously (don't wait for response)
-    // This ensures redirect happens quickly even if analytics service is slow
-    analyticsService.trackClick(clickMetadata).catch(err => {
-      console.error('Failed to track click:', err.message);
-      // Don't fail the redirect if analytics fails
-    });
+    // Destinations are checked again here, so newly blocklisted domains stop working
+    const { destination, targetingRule, variant, fallback } = resolveDestination(req, res, url);
+    if (!(await isDestinationAllowed(url, destination))) {
+      return await respondUnavailable(res, url, 'blocked');
+    }
 
-    // Increment click count locally (backup tracking)
-    url.incrementClick().catch(err => {
-      console.error('Failed to increment click count:', err.message);
-    });
+    // Capped links count the click before redirecting, so the cap is exact
+    if (!(await claimCappedClick(url))) {
+      return await respondUnavailable(res, url, 'limit_reached');
+    }
+
+    const newVisitor = recordClick(req, res, url, { targetingRule, variant });
 
-    // Perform redirect
-    res.redirect(301, url.originalUrl);
+    // Perform redirect with cache headers matching the redirect type
+    // (a fallback is temporary, so it is never sent as a cacheable redirect;
+    // a new visitor's id cookie must not be stored by shared caches)
+    const statusCode = fallback ? 302 : resolveRedirectType(url);
+    const personalized = url.targetingRules.length > 0 || url.variants.length > 0 || newVisitor;
+    if (url.targetingRules.length > 0) {
+      res.vary('User-Agent');
+      res.vary('CF-IPCountry');
+    }
+    if (url.variants.length > 0) {
+      res.vary('Cookie');
+    }
+    res.set('Cache-Control', buildCacheControl(statusCode, url.expiresAt, { personalized, capped: url.maxClicks != null }));
+    res.redirect(statusCode, destination);
 
   } catch (error) {
     console.error('Error in redirectUrl:', error);
@@ -165,6 +187,81 @@ const redirectUrl = async (req, res) => {
   }
 };
 
+/**
+ * Check the password of a protected link, then redirect and track the click
+ * POST /api/:shortCode/unlock
+ */
+const unlockUrl = async (req, res) => {
+  const { shortCode } = req.params;
+  const wantsJson = req.is('application/json');
+
+  const respondError = (statusCode, message) => {
+    if (wantsJson) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+    return res.status(statusCode).type('html').send(renderUnlockPage({ shortCode, error: message }));
+  };
+
+  try {
+    const ip = req.ip || req.connection.remoteAddress || 'unknown';
+
+    // Short links are resolved by the Host they were requested on
+    const domain = await domainRegistry.resolveRequestDomain(req);
+    const url = await findUrlForRedirect(shortCode, domain);
+
+    if (!url) {
+      return respondError(404, 'Short URL not found');
+    }
+
+    if (!url.isValidForRedirect()) {
+      const { statusCode, message } = UNAVAILABLE_RESPONSES[url.lifecycleState];
+      return respondError(statusCode, message);
+    }
+
+    if (!url.isProtected) {
+      return respondError(400, 'This short URL is not password protected');
+    }
+
+    // The attempt is counted before the (slow) password check, so parallel
+    // guesses can't all get through before the first failure is recorded
+    const attempt = await unlockAttempts.reserve(ip);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfter));
+      return respondError(429, 'Too many incorrect passwords. Please try again later.');
+    }
+
+    if (!(await url.verifyPassword(req.body.password))) {
+      return respondError(401, attempt.attemptsLeft > 0
+        ? `Incorrect password. ${attempt.attemptsLeft} attempt(s) left.`
+        : 'Incorrect password. Please try again later.');
+    }
+
+    await unlockAttempts.release(ip, attempt);
+
+    const { destination, targetingRule, variant } = resolveDestination(req, res, url);
+    if (!(await isDestinationAllowed(url, destination))) {
+      const { statusCode, message } = UNAVAILABLE_RESPONSES.blocked;
+      return respondError(statusCode, message);
+    }
+
+    if (!(await claimCappedClick(url))) {
+      const { statusCode, message } = UNAVAILABLE_RESPONSES.limit_reached;
+      return respondError(statusCode, message);
+    }
+
+    recordClick(req, res, url, { targetingRule, variant });
+
+    // 303 so the browser follows with a GET and never re-posts the password;
+    // never cache, otherwise the unlock would be skipped next time
+    res.set('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+    res.redirect(303, destination);
+
+  } catch (error) {
+    console.error('Error in unlockUrl:', error);
+    respondError(500, 'Error unlocking URL');
+  }
+};
+
 /**
  * Get URL information
  * GET /api/info/:shortCode
@@ -173,12 +270,8 @@ const getUrlInfo = async (req, res) => {
   try {
     const { shortCode } = req.params;
 
-    const url = await Url.findOne({
-      $or: [
-        { shortCode },
-        { customAlias: shortCode }
-      ]
-    });
+    const domain = await domainRegistry.resolveRequestDomain(req, { allowOverride: true });
+    const url = await Url.findByCode(shortCode, domain);
 
     if (!url) {
       return res.status(404).json({
@@ -188,19 +281,38 @@ const getUrlInfo = async (req, res) => {
     }
 
     // Return URL information (without sensitive data)
+    const info = {
+      shortCode: url.shortCode,
+      shortUrl: url.shortUrl,
+      originalUrl: url.originalUrl,
+      createdAt: url.createdAt,
+      activatesAt: url.activatesAt,
+      expiresAt: url.expiresAt,
+      maxClicks: url.maxClicks,
+      redirectType: resolveRedirectType(url),
+      isActive: url.isActive,
+      isExpired: url.isExpired,
+      state: url.lifecycleState,
+      clickCount: url.clickCount,
+      customAlias: url.customAlias,
+      domain: url.domain,
+      isProtected: url.isProtected,
+      targetingRules: url.targetingRules,
+      variants: url.variants,
+      stickyVariants: url.stickyVariants,
+      fallbackUrl: url.fallbackUrl,
+      health: formatHealth(url.health)
+    };
+
+    // Where a protected link goes (health includes its redirect chain) is
+    // only shown to those who can manage it
+    if (url.isProtected && !canManageUrl(req.user, url)) {
+      for (const field of [...DESTINATION_FIELDS, 'health']) delete info[field];
+    }
+
     res.status(200).json({
       success: true,
-      data: {
-        shortCode: url.shortCode,
-        shortUrl: url.shortUrl,
-        originalUrl: url.originalUrl,
-        createdAt: url.createdAt,
-        expiresAt: url.expiresAt,
-        isActive: url.isActive,
-        isExpired: url.isExpired,
-        clickCount: url.clickCount,
-        customAlias: url.customAlias
-      }
+      data: info
     });
 
   } catch (error) {
@@ -220,12 +332,8 @@ const deleteUrl = async (req, res) => {
   try {
     const { shortCode } = req.params;
 
-    const url = await Url.findOne({
-      $or: [
-        { shortCode },
-        { customAlias: shortCode }
-      ]
-    });
+    const domain = await domainRegistry.resolveRequestDomain(req, { allowOverride: true });
+    const url = await Url.findByCode(shortCode, domain);
 
     if (!url) {
       return res.status(404).json({
@@ -234,9 +342,18 @@ const deleteUrl = async (req, res) => {
       });
     }
 
+    if (!canManageUrl(req.user, url)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this URL'
+      });
+    }
+
     // Soft delete - just mark as inactive
     url.isActive = false;
     await url.save();
+    urlCache.invalidate(url);
+    webhookEvents.emit('link.deleted', url, { deletedBy: req.user.id });
 
     res.status(200).json({
       success: true,
@@ -253,42 +370,364 @@ const deleteUrl = async (req, res) => {
 };
 
 /**
- * Get all URLs (with pagination)
+ * Edit a short URL and record the change in its revision history
+ * PATCH /api/:shortCode
+ */
+const updateUrl = async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    let updates = req.body;
+
+    const domain = await domainRegistry.resolveRequestDomain(req, { allowOverride: true });
+    const url = await Url.findByCode(shortCode, domain);
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!canManageUrl(req.user, url)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this URL'
+      });
+    }
+
+    // Aliases are stored lowercase, so compare and check availability lowercase too
+    if (updates.customAlias) {
+      const validation = validateCustomCode(updates.customAlias);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.message
+        });
+      }
+
+      updates.customAlias = updates.customAlias.toLowerCase();
+
+      const taken = await Url.exists({
+        _id: { $ne: url._id },
+        domain: url.domain,
+        $or: [
+          { shortCode: updates.customAlias },
+          { customAlias: updates.customAlias }
+        ]
+      });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom alias is already taken'
+        });
+      }
+    }
+
+    // Apply the edit and collect a field-level diff
+    const previousAlias = url.customAlias;
+    const changes = [];
+
+    // Passwords are hashed and never written to the history
+    if (updates.password !== undefined) {
+      const { password, ...rest } = updates;
+      if (password || url.isProtected) {
+        changes.push({
+          field: 'password',
+          from: url.isProtected ? '[redacted]' : null,
+          to: password ? '[redacted]' : null
+        });
+        await url.setPassword(password);
+      }
+      updates = rest;
+    }
+
+    for (const [field, to] of Object.entries(updates)) {
+      const current = url[field];
+      const from = typeof current?.toObject === 'function' ? current.toObject() : current ?? null;
+      if (!valuesDiffer(from, to)) continue;
+
+      changes.push({ field, from, to });
+      url[field] = to;
+    }
+
+    // New destinations must pass the policy; unchanged ones are left alone
+    const editedDestinations = {};
+    for (const change of changes) {
+      if (DESTINATION_FIELDS.includes(change.field)) {
+        editedDestinations[change.field] = change.to;
+      }
+    }
+    await destinationPolicy.assertAllowed(editedDestinations);
+
+    if (changes.length > 0) {
+      // A new destination has not been checked yet
+      if (changes.some(change => change.field === 'originalUrl')) {
+        url.health = {};
+      }
+
+      await url.save();
+      await UrlRevision.record(url, changes, req.user.id);
+
+      // Drop cached copies under the short code, the old alias and the new alias
+      urlCache.invalidate(url);
+      urlCache.invalidateCode(previousAlias, url.domain);
+      webhookEvents.emit('link.updated', url, { changes, changedBy: req.user.id });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0 ? 'Short URL updated successfully' : 'No changes to apply',
+      data: {
+        shortCode: url.shortCode,
+        shortUrl: url.shortUrl,
+        originalUrl: url.originalUrl,
+        customAlias: url.customAlias,
+        domain: url.domain,
+        activatesAt: url.activatesAt,
+        expiresAt: url.expiresAt,
+        maxClicks: url.maxClicks,
+        isActive: url.isActive,
+        state: url.lifecycleState,
+        redirectType: resolveRedirectType(url),
+        isProtected: url.isProtected,
+        targetingRules: url.targetingRules,
+        variants: url.variants,
+        stickyVariants: url.stickyVariants,
+        tags: url.tags,
+        folder: url.folder,
+        title: url.title,
+        notes: url.notes,
+        fallbackUrl: url.fallbackUrl,
+        health: formatHealth(url.health),
+        updatedAt: url.updatedAt,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in updateUrl:', error);
+
+    if (error.name === 'ValidationError' || error.message.includes('Custom alias')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Destination ')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        field: error.field,
+        reason: error.reason
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating URL'
+    });
+  }
+};
+
+/**
+ * Get the revision history of a short URL
+ * GET /api/info/:shortCode/history
+ */
+const getUrlHistory = async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+
+    const domain = await domainRegistry.resolveRequestDomain(req, { allowOverride: true });
+    const url = await Url.findByCode(shortCode, domain);
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!canManageUrl(req.user, url)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this URL history'
+      });
+    }
+
+    const revisions = await UrlRevision.getHistory(url._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shortCode: url.shortCode,
+        revisions,
+        count: revisions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getUrlHistory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving URL history'
+    });
+  }
+};
+
+/**
+ * Get all URLs owned by the caller (with pagination)
  * GET /api/urls
  */
 const getAllUrls = async (req, res) => {
   try {
-    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = 'createdAt',
+      order = 'desc',
+      owner,
+      after,
+      fields,
+      includeTotal
+    } = req.query;
 
-    const skip = (page - 1) * limit;
-    const sortOrder = order === 'desc' ? -1 : 1;
+    // Admin keys see every link (or one owner's), other keys only their own
+    if (owner && !req.user.isAdmin && owner !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admin keys can list links of other owners'
+      });
+    }
 
-    const urls = await Url.find({ isActive: true })
-      .sort({ [sortBy]: sortOrder })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .select('-__v');
+    const filter = buildUrlListFilter(req.query);
+    if (!req.user.isAdmin) {
+      filter.createdBy = req.user.id;
+    } else if (owner) {
+      filter.createdBy = owner;
+    }
 
-    const total = await Url.countDocuments({ isActive: true });
+    // Keyset pagination: a cursor continues after the last link of the previous
+    // page, so deep pages cost the same as the first one
+    let query = filter;
+    if (after) {
+      const cursor = decodeCursor(after, sortBy, order);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor for this sort order'
+        });
+      }
+      query = { ...filter, $and: [...(filter.$and || []), buildCursorFilter(cursor, sortBy, order)] };
+    }
+
+    // The sort field and _id are always selected so the next cursor can be built
+    const projection = fields
+      ? [...new Set([...fields, sortBy])].join(' ')
+      : '-__v';
+
+    // Fetch one extra link to know whether another page exists
+    const found = await Url.find(query)
+      .sort(buildCursorSort(sortBy, order))
+      .skip(after ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
+      .select(projection);
+
+    const hasMore = found.length > limit;
+    const urls = hasMore ? found.slice(0, limit) : found;
+
+    const pagination = {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(urls[urls.length - 1], sortBy, order) : null
+    };
+
+    if (!after) {
+      pagination.page = page;
+    }
+
+    // Counting is the expensive part of deep listings, so cursor requests skip it
+    // unless asked; page requests keep returning totals by default
+    if (includeTotal ?? !after) {
+      pagination.total = await Url.countDocuments(filter);
+      if (!after) {
+        pagination.pages = Math.ceil(pagination.total / limit);
+      }
+    }
 
     res.status(200).json({
       success: true,
       data: {
         urls,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getAllUrls:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving URLs'
+    });
+  }
+};
+
+/**
+ * List active links whose destination failed its recent health checks
+ * GET /api/links/broken
+ */
+const getBrokenLinks = async (req, res) => {
+  try {
+    const { page, limit, owner } = req.query;
+
+    if (owner && !req.user.isAdmin && owner !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admin keys can list links of other owners'
+      });
+    }
+
+    const filter = { isActive: true, 'health.status': 'broken' };
+    if (!req.user.isAdmin) {
+      filter.createdBy = req.user.id;
+    } else if (owner) {
+      filter.createdBy = owner;
+    }
+
+    const [urls, total] = await Promise.all([
+      Url.find(filter)
+        .sort({ 'health.checkedAt': -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Url.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        links: urls.map(url => ({
+          shortCode: url.shortCode,
+          shortUrl: url.shortUrl,
+          originalUrl: url.originalUrl,
+          domain: url.domain,
+          createdBy: url.createdBy,
+          fallbackUrl: url.fallbackUrl,
+          health: formatHealth(url.health)
+        })),
         pagination: {
+          page,
+          limit,
           total,
-          page: parseInt(page),
-          pages: Math.ceil(total / limit),
-          limit: parseInt(limit)
+          pages: Math.ceil(total / limit)
         }
       }
     });
 
   } catch (error) {
-    console.error('Error in getAllUrls:', error);
+    console.error('Error in getBrokenLinks:', error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving URLs'
+      message: 'Error retrieving broken links'
     });
   }
 };
@@ -305,6 +744,8 @@ const healthCheck = async (req, res) => {
     // Get basic stats
     const totalUrls = await Url.countDocuments();
     const activeUrls = await Url.countDocuments({ isActive: true });
+    const clickOutbox = await ClickOutbox.getStats();
+    const webhooks = await WebhookDelivery.getStats();
 
     res.status(200).json({
       success: true,
@@ -316,6 +757,10 @@ const healthCheck = async (req, res) => {
         totalUrls,
         activeUrls
       },
+      clickOutbox,
+      webhooks,
+      threatFeeds: destinationPolicy.getStats(),
+      cache: urlCache.getStats(),
       uptime: process.uptime(),
       memory: {
         used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -333,11 +778,264 @@ const healthCheck = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to build the MongoDB filter for link listings
+ * Without a status only deactivated links are hidden, as before.
+ * @param {Object} query - Validated listing query (listUrlsQuerySchema)
+ * @returns {Object} MongoDB filter (owner scoping is added by the caller)
+ */
+function buildUrlListFilter({ q, tag, folder, domain, status, createdFrom, createdTo }) {
+  const now = new Date();
+  const filter = {};
+
+  switch (status) {
+    case 'active':
+      Object.assign(filter, Url.redirectableFilter(now));
+      break;
+    case 'scheduled':
+      filter.isActive = true;
+      filter.activatesAt = { $gt: now };
+      break;
+    case 'expired':
+      // Includes links the expiry sweeper already switched off
+      filter.expiresAt = { $lte: now };
+      break;
+    case 'inactive':
+      filter.isActive = false;
+      break;
+    case 'all':
+      break;
+    default:
+      filter.isActive = true;
+  }
+
+  if (tag) {
+    filter.tags = { $all: tag.split(',') };
+  }
+
+  if (folder) {
+    filter.folder = folder;
+  }
+
+  if (domain) {
+    filter.domain = domain;
+  }
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) filter.createdAt.$gte = createdFrom;
+    if (createdTo) filter.createdAt.$lte = createdTo;
+  }
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+
+  return filter;
+}
+
+/**
+ * Helper function to find a link for redirecting, serving hot codes from memory
+ * @param {string} shortCode - Short code or custom alias
+ * @param {string|null} domain - Branded domain the request came in on
+ * @returns {Promise<Object|null>} Url document or null
+ */
+async function findUrlForRedirect(shortCode, domain) {
+  let url = urlCache.get(shortCode, domain);
+  if (url !== undefined) return url;
+
+  url = await Url.findByCode(shortCode, domain);
+
+  if (url) {
+    urlCache.set(shortCode, url);
+  } else {
+    urlCache.setMissing(shortCode, domain);
+  }
+  return url;
+}
+
+/**
+ * Helper function to format the last health check for responses
+ * @param {Object} health - Url health subdocument
+ * @returns {Object} Public health fields
+ */
+function formatHealth(health) {
+  return {
+    status: health?.status || 'unknown',
+    statusCode: health?.statusCode ?? null,
+    latencyMs: health?.latencyMs ?? null,
+    redirectChain: health?.redirectChain || [],
+    error: health?.error || null,
+    consecutiveFailures: health?.consecutiveFailures || 0,
+    checkedAt: health?.checkedAt || null
+  };
+}
+
+/**
+ * Helper function to pick the destination for a visitor
+ * Targeting rules win; otherwise an A/B variant is chosen, falling back to originalUrl
+ * (or its fallback URL while originalUrl is known to be down).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (receives the sticky variant cookie)
+ * @param {Object} url - Url document
+ * @returns {Object} { destination, targetingRule, variant, fallback } with the matched rule label and variant id, or null
+ */
+function resolveDestination(req, res, url) {
+  const match = matchTargetingRule(url.targetingRules, {
+    country: getRequestCountry(req),
+    deviceType: detectDeviceType(req.headers['user-agent'])
+  });
+
+  if (match) {
+    return { destination: match.rule.destination, targetingRule: match.label, variant: null };
+  }
+
+  const selection = selectVariant(req, url);
+  if (selection) {
+    if (selection.assigned) {
+      setVariantCookie(res, url, selection.variant);
+    }
+    return { destination: selection.variant.destination, targetingRule: null, variant: selection.variant.id };
+  }
+
+  // The health checker found originalUrl down - use the fallback when there is one
+  const fallbackUrl = url.fallbackUrl || process.env.LINK_HEALTH_FALLBACK_URL;
+  if (url.isBroken && fallbackUrl) {
+    return { destination: fallbackUrl, targetingRule: null, variant: null, fallback: true };
+  }
+
+  return { destination: url.originalUrl, targetingRule: null, variant: null };
+}
+
+/**
+ * Helper function to record a click for analytics and the local click count
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (receives the cookie of a new visitor id)
+ * @param {Object} url - Url document
+ * @param {Object} details - Extra click fields (e.g. targetingRule, variant)
+ * @returns {boolean} True when the visitor was given a new id cookie
+ */
+function recordClick(req, res, url, details = {}) {
+  // Stable across the visitor's clicks, so analytics can erase them on request
+  const visitor = resolveVisitorId(req, res);
+
+  // Collect metadata for analytics
+  const clickMetadata = {
+    shortCode: url.shortCode,
+    timestamp: new Date(),
+    userAgent: req.headers['user-agent'] || 'unknown',
+    referer: req.headers['referer'] || req.headers['referrer'] || 'direct',
+    ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+    country: req.headers['cf-ipcountry'] || null, // Cloudflare header
+    acceptLanguage: req.headers['accept-language'] || 'unknown',
+    visitorId: visitor ? visitor.visitorId : null,
+    ...details
+  };
+
+  // Persist the click to the outbox; the click dispatcher delivers it to
+  // analytics-service in batches, so the redirect never waits on analytics
+  ClickOutbox.enqueue(clickMetadata).catch(err => {
+    console.error('Failed to enqueue click:', err.message);
+    // Don't fail the redirect if the outbox write fails
+  });
+
+  // The visitor's IP address and id stay out of webhook payloads
+  const { ipAddress, visitorId, ...click } = clickMetadata;
+  webhookEvents.emit('link.clicked', url, { click });
+
+  // Increment click count locally (backup tracking), flushed in bulk;
+  // capped links were already counted by claimCappedClick
+  if (url.maxClicks == null) {
+    clickCounter.increment(url);
+  }
+
+  return Boolean(visitor && visitor.assigned);
+}
+
+/**
+ * Helper function to count a click on a capped link before redirecting
+ * @param {Object} url - Url document
+ * @returns {Promise<boolean>} False when the cap has been reached
+ */
+async function claimCappedClick(url) {
+  if (url.maxClicks == null) return true;
+
+  const claimed = await clickCounter.claim(url);
+  if (!claimed) {
+    // The cached copy still has the old count
+    urlCache.invalidate(url);
+  }
+  return claimed;
+}
+
+/**
+ * Helper function to check a destination just before redirecting to it
+ * @param {Object} url - Url document
+ * @param {string} destination - Where the visitor would be sent
+ * @returns {Promise<boolean>}
+ */
+async function isDestinationAllowed(url, destination) {
+  const verdict = await destinationPolicy.evaluate(destination);
+  if (!verdict.allowed) {
+    console.warn(`Blocked redirect of ${url.shortCode}: ${verdict.message}`);
+  }
+  return verdict.allowed;
+}
+
+/**
+ * Helper function to answer a link that can't redirect right now
+ * Links with a fallbackUrl send visitors there instead (except when switched
+ * off or blocked, or when the fallback itself is blocked).
+ * @param {Object} res - Express response
+ * @param {Object} url - Url document
+ * @param {string} state - Lifecycle state (default: the link's current state)
+ */
+async function respondUnavailable(res, url, state = url.lifecycleState) {
+  res.set('Cache-Control', 'private, no-cache, no-store, must-revalidate');
+
+  if (state !== 'inactive' && state !== 'blocked' && url.fallbackUrl
+    && await isDestinationAllowed(url, url.fallbackUrl)) {
+    return res.redirect(302, url.fallbackUrl);
+  }
+
+  const { statusCode, message } = UNAVAILABLE_RESPONSES[state];
+  const body = { success: false, message, reason: state };
+
+  if (state === 'scheduled') {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((url.activatesAt - Date.now()) / 1000))));
+    body.activatesAt = url.activatesAt;
+  }
+
+  return res.status(statusCode).json(body);
+}
+
+/**
+ * Helper function to compare a stored value with an edited value
+ * @param {*} from - Current value
+ * @param {*} to - New value
+ * @returns {boolean} True if the values differ
+ */
+function valuesDiffer(from, to) {
+  if (Array.isArray(from) || Array.isArray(to)) {
+    return JSON.stringify(from) !== JSON.stringify(to);
+  }
+  if (from instanceof Date || to instanceof Date) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    return fromTime !== toTime;
+  }
+  return from !== to;
+}
+
 module.exports = {
   shortenUrl,
   redirectUrl,
   getUrlInfo,
   deleteUrl,
+  updateUrl,
+  getUrlHistory,
+  unlockUrl,
   getAllUrls,
+  getBrokenLinks,
   healthCheck
 };
\ No newline at end of file
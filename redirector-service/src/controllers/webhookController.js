@@ -0,0 +1,373 @@
+// src/controllers/webhookController.js - Webhook subscriptions and their delivery log
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookEvents = require('../services/webhookEvents');
+const { generateSecret } = require('../utils/webhooks');
+const { assertPublicUrl } = require('../utils/outbound');
+
+/**
+ * Load a subscription by id, hiding subscriptions of other owners
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} WebhookSubscription document or null
+ */
+async function findOwnSubscription(req) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const subscription = await WebhookSubscription.findById(id);
+  if (!subscription || (!req.user.isAdmin && subscription.owner !== req.user.id)) return null;
+  return subscription;
+}
+
+/**
+ * Refuse endpoints on private networks, which would turn deliveries into
+ * signed requests against internal services
+ * @param {string} url - Webhook endpoint URL
+ * @returns {Promise<string|null>} Error message, or null when allowed
+ */
+async function checkWebhookUrl(url) {
+  try {
+    await assertPublicUrl(url, { resolve: true });
+    return null;
+  } catch (error) {
+    if (error.code !== 'EPRIVATEADDRESS' && error.code !== 'EINVALIDURL') throw error;
+    return `Webhook URL ${url} points to a private or local network address`;
+  }
+}
+
+/**
+ * Format a subscription for API responses
+ * @param {Object} subscription - WebhookSubscription document
+ * @param {Object} options
+ * @param {boolean} options.includeSecret - Only when the secret is created or rotated
+ * @returns {Object}
+ */
+function formatSubscription(subscription, { includeSecret = false } = {}) {
+  return {
+    id: subscription._id,
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    owner: subscription.owner,
+    isActive: subscription.isActive,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt,
+    ...(includeSecret ? { secret: subscription.secret } : {})
+  };
+}
+
+/**
+ * Format a delivery for the delivery log
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Object}
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery._id,
+    eventId: delivery.event,
+    event: delivery.type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    lastStatusCode: delivery.lastStatusCode,
+    lastError: delivery.lastError,
+    lastResponseMs: delivery.lastResponseMs,
+    lastAttemptAt: delivery.lastAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+    payload: delivery.payload
+  };
+}
+
+/**
+ * Create a webhook subscription
+ * POST /api/webhooks
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const refused = await checkWebhookUrl(url);
+    if (refused) {
+      return res.status(400).json({
+        success: false,
+        message: refused,
+        field: 'url',
+        reason: 'private_network'
+      });
+    }
+
+    const subscription = await WebhookSubscription.register({
+      owner: req.user.id,
+      url,
+      events,
+      description: description || null
+    });
+    webhookEvents.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it is not shown again.',
+      data: formatSubscription(subscription, { includeSecret: true })
+    });
+
+  } catch (error) {
+    console.error('Error in createWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List webhook subscriptions (admin sees all or ?owner=, others see their own)
+ * GET /api/webhooks
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const filter = req.user.isAdmin
+      ? (req.query.owner ? { owner: req.query.owner } : {})
+      : { owner: req.user.id };
+
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        webhooks: subscriptions.map(subscription => formatSubscription(subscription)),
+        count: subscriptions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in listWebhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving webhooks'
+    });
+  }
+};
+
+/**
+ * Get one webhook subscription
+ * GET /api/webhooks/:id
+ */
+const getWebhook = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSubscription(subscription)
+    });
+
+  } catch (error) {
+    console.error('Error in getWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving webhook'
+    });
+  }
+};
+
+/**
+ * Edit a webhook subscription (URL, events, description, pause, secret rotation)
+ * PATCH /api/webhooks/:id
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { rotateSecret, ...changes } = req.body;
+
+    const refused = changes.url !== undefined ? await checkWebhookUrl(changes.url) : null;
+    if (refused) {
+      return res.status(400).json({
+        success: false,
+        message: refused,
+        field: 'url',
+        reason: 'private_network'
+      });
+    }
+
+    for (const field of ['url', 'events', 'description', 'isActive']) {
+      if (changes[field] !== undefined) {
+        subscription[field] = field === 'description' ? (changes[field] || null) : changes[field];
+      }
+    }
+    if (rotateSecret) {
+      subscription.secret = generateSecret();
+    }
+
+    await subscription.save();
+    webhookEvents.invalidate();
+
+    res.status(200).json({
+      success: true,
+      message: rotateSecret ? 'Webhook updated. Store the new secret now; it is not shown again.' : 'Webhook updated successfully',
+      data: formatSubscription(subscription, { includeSecret: Boolean(rotateSecret) })
+    });
+
+  } catch (error) {
+    console.error('Error in updateWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+};
+
+/**
+ * Remove a webhook subscription and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await subscription.deleteOne();
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+    webhookEvents.invalidate();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in deleteWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing webhook'
+    });
+  }
+};
+
+/**
+ * Delivery log of a subscription, newest first
+ * GET /api/webhooks/:id/deliveries
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { status, event, page, limit } = req.query;
+    const filter = { subscription: subscription._id };
+    if (status) filter.status = status;
+    if (event) filter.type = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(formatDelivery),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getWebhookDeliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving webhook deliveries'
+    });
+  }
+};
+
+/**
+ * Queue a dead-lettered delivery again with a fresh set of attempts
+ * POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ */
+const retryWebhookDelivery = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    const { deliveryId } = req.params;
+
+    if (!subscription || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, subscription: subscription._id, status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedBy: null, lockedUntil: null } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: deliveryId, subscription: subscription._id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only dead deliveries can be retried' : 'Delivery not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery queued for retry',
+      data: formatDelivery(delivery)
+    });
+
+  } catch (error) {
+    console.error('Error in retryWebhookDelivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying webhook delivery'
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+};
@@ -0,0 +1,145 @@
+// src/middleware/auth.js - API key authentication middleware
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Extract the API key from the request
+ * Accepts "X-API-Key: <key>" or "Authorization: Bearer <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw API key
+ */
+function extractApiKey(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return headerKey.trim();
+
+  const authorization = req.headers['authorization'];
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Constant-time comparison against the configured admin key
+ * @param {string} rawKey - Key sent by the client
+ * @returns {boolean} True if it is the admin key
+ */
+function isAdminKey(rawKey) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+
+  const a = crypto.createHash('sha256').update(rawKey).digest();
+  const b = crypto.createHash('sha256').update(adminKey).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Resolve a raw key to the user it represents
+ * @param {string} rawKey - Key sent by the client
+ * @returns {Promise<Object|null>} User object for req.user, or null if invalid
+ */
+async function resolveUser(rawKey) {
+  if (isAdminKey(rawKey)) {
+    return { id: 'admin', keyId: null, isAdmin: true };
+  }
+
+  const apiKey = await ApiKey.findActiveByRawKey(rawKey);
+  if (!apiKey) return null;
+
+  // Record usage without delaying the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(err => {
+    console.error('Failed to update key usage:', err.message);
+  });
+
+  return { id: apiKey.owner, keyId: apiKey._id, isAdmin: false };
+}
+
+/**
+ * Whether links may be created without an API key
+ * @returns {boolean}
+ */
+function isAnonymousShortenAllowed() {
+  return process.env.ALLOW_ANONYMOUS_SHORTEN !== 'false';
+}
+
+/**
+ * Middleware factory for API key authentication
+ * @param {Object} options
+ * @param {boolean} options.optional - Continue without req.user when no key is sent
+ */
+const authenticate = ({ optional = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const rawKey = extractApiKey(req);
+
+      if (!rawKey) {
+        if (optional) return next();
+
+        return res.status(401).json({
+          success: false,
+          message: 'API key is required'
+        });
+      }
+
+      const user = await resolveUser(rawKey);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key'
+        });
+      }
+
+      req.user = user;
+      next();
+
+    } catch (error) {
+      console.error('Error in authenticate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error authenticating request'
+      });
+    }
+  };
+};
+
+/**
+ * Authenticate link creation, honouring ALLOW_ANONYMOUS_SHORTEN
+ */
+const authenticateShorten = (req, res, next) => {
+  return authenticate({ optional: isAnonymousShortenAllowed() })(req, res, next);
+};
+
+/**
+ * Middleware to restrict a route to the admin key
+ * Must run after authenticate()
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin API key required'
+    });
+  }
+  next();
+};
+
+/**
+ * Check whether the current user may manage a link
+ * @param {Object} user - req.user
+ * @param {Object} url - Url document
+ * @returns {boolean} True if user is admin or created the link
+ */
+function canManageUrl(user, url) {
+  if (!user) return false;
+  return user.isAdmin || url.createdBy === user.id;
+}
+
+module.exports = {
+  authenticate,
+  authenticateShorten,
+  requireAdmin,
+  canManageUrl,
+  extractApiKey,
+  isAnonymousShortenAllowed
+};
@@ -0,0 +1,56 @@
+// src/middleware/rateLimit.js - Rate limiting middleware
+const rateLimiter = require('../services/rateLimiter');
+const { setRateLimitHeaders } = require('../utils/rateLimit');
+
+/**
+ * Middleware factory limiting a route per IP and per API key
+ * Runs after authentication so API keys are counted on their own budget.
+ * Limiting fails open: if the store is unreachable the request goes through.
+ * @param {string} route - Route name from the rate limiter configuration
+ * @param {Object} options
+ * @param {Function} options.cost - (req) => requests this one counts as (default 1)
+ */
+const rateLimit = (route, { cost = () => 1 } = {}) => {
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+    try {
+      const weight = cost(req);
+      const verdict = await rateLimiter.check(route, {
+        ip: req.ip || req.connection.remoteAddress,
+        user: req.user
+      }, weight);
+      if (!verdict) return next();
+
+      const { policy, result } = verdict;
+      setRateLimitHeaders(res, policy, result);
+
+      // Waiting would never help a request bigger than the whole budget
+      if (!result.allowed && weight > policy.limit) {
+        res.removeHeader('Retry-After');
+        return res.status(413).json({
+          success: false,
+          message: `This request counts as ${weight} against a limit of ${policy.limit}; send it in smaller parts`
+        });
+      }
+
+      if (!result.allowed) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests, please try again later',
+          retryAfter: Math.ceil(result.retryAfterMs / 1000)
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      console.error(`Rate limiting failed for ${route}:`, error.message);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit
+};
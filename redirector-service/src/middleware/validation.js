@@ -1,5 +1,9 @@
 // src/middleware/validation.js - Input validation middleware
 const Joi = require('joi');
+const { REDIRECT_TYPES } = require('../utils/redirect');
+const { DEVICE_TYPES } = require('../utils/targeting');
+const { hasStrategy, getStrategyNames } = require('../utils/shortCodeStrategies');
+const { EVENT_TYPES } = require('../utils/webhooks');
 
 /**
  * URL validation regex
@@ -7,8 +11,183 @@ const Joi = require('joi');
  */
 const urlPattern = /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
 
+/**
+ * Schema for ordered geo/device targeting rules
+ */
+const targetingRulesSchema = Joi.array()
+  .items(Joi.object({
+    name: Joi.string().trim().max(50).optional(),
+    countries: Joi.array()
+      .items(Joi.string().uppercase().pattern(/^[A-Z]{2}$/))
+      .max(250)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Countries must be 2-letter ISO codes'
+      }),
+    devices: Joi.array()
+      .items(Joi.string().valid(...DEVICE_TYPES))
+      .optional()
+      .messages({
+        'any.only': `Devices must be one of: ${DEVICE_TYPES.join(', ')}`
+      }),
+    destination: Joi.string()
+      .pattern(urlPattern)
+      .required()
+      .messages({
+        'string.pattern.base': 'Rule destination must be a valid URL (must include http:// or https://)',
+        'any.required': 'Rule destination is required'
+      })
+  })
+    .or('countries', 'devices')
+    .messages({
+      'object.missing': 'Each rule needs countries or devices'
+    }))
+  .max(20)
+  .messages({
+    'array.max': 'A link cannot have more than 20 targeting rules'
+  });
+
+/**
+ * Schema for weighted A/B variants
+ * An empty list turns the split off.
+ */
+const variantsSchema = Joi.array()
+  .items(Joi.object({
+    id: Joi.string()
+      .pattern(/^[a-zA-Z0-9_-]{1,32}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Variant id can only contain letters, numbers, hyphens and underscores (max 32)',
+        'any.required': 'Variant id is required'
+      }),
+    destination: Joi.string()
+      .pattern(urlPattern)
+      .required()
+      .messages({
+        'string.pattern.base': 'Variant destination must be a valid URL (must include http:// or https://)',
+        'any.required': 'Variant destination is required'
+      }),
+    weight: Joi.number()
+      .min(0)
+      .max(1000)
+      .default(1)
+      .messages({
+        'number.min': 'Variant weight cannot be negative',
+        'number.max': 'Variant weight cannot exceed 1000'
+      })
+  }))
+  .max(10)
+  .unique('id')
+  .custom((variants, helpers) => {
+    if (variants.length === 0) return variants;
+    if (variants.length < 2) return helpers.error('variants.count');
+    if (!variants.some(variant => variant.weight > 0)) return helpers.error('variants.weight');
+    return variants;
+  })
+  .messages({
+    'array.max': 'A link cannot have more than 10 variants',
+    'array.unique': 'Variant ids must be unique',
+    'variants.count': 'A split link needs at least 2 variants',
+    'variants.weight': 'At least one variant needs a weight above 0'
+  });
+
+/**
+ * Schemas for organising links (tags, folder, title, notes)
+ */
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const FOLDER_PATTERN = /^[\w -]+(\/[\w -]+)*$/;
+
+const tagsSchema = Joi.array()
+  .items(Joi.string().trim().lowercase().pattern(TAG_PATTERN))
+  .max(20)
+  .unique()
+  .messages({
+    'string.pattern.base': 'Tags can only contain letters, numbers, hyphens and underscores (max 30)',
+    'array.max': 'A link cannot have more than 20 tags',
+    'array.unique': 'Tags must be unique'
+  });
+
+const folderSchema = Joi.string()
+  .trim()
+  .max(100)
+  .pattern(FOLDER_PATTERN)
+  .messages({
+    'string.max': 'Folder cannot exceed 100 characters',
+    'string.pattern.base': 'Folder can only contain letters, numbers, spaces, hyphens, underscores and / separators'
+  });
+
+const titleSchema = Joi.string()
+  .trim()
+  .max(200)
+  .messages({
+    'string.max': 'Title cannot exceed 200 characters'
+  });
+
+const notesSchema = Joi.string()
+  .trim()
+  .max(2000)
+  .messages({
+    'string.max': 'Notes cannot exceed 2000 characters'
+  });
+
+/**
+ * Schema for a branded domain hostname (e.g. go.brand.com)
+ */
+const domainSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .domain({ tlds: false })
+  .messages({
+    'string.domain': 'Domain must be a valid hostname like go.example.com'
+  });
+
+/**
+ * Schema for the URL used while the destination is known to be down
+ */
+const fallbackUrlSchema = Joi.string()
+  .pattern(urlPattern)
+  .messages({
+    'string.empty': 'Fallback URL cannot be empty',
+    'string.pattern.base': 'Please provide a valid fallback URL (must include http:// or https://)'
+  });
+
+/**
+ * Schemas for the link lifecycle: activation time, absolute expiry and click cap
+ */
+const activatesAtSchema = Joi.date()
+  .iso()
+  .messages({
+    'date.base': 'Activation must be a valid date',
+    'date.format': 'Activation must be an ISO 8601 date'
+  });
+
+const expiresAtSchema = Joi.date()
+  .iso()
+  .greater('now')
+  .when('activatesAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('activatesAt'))
+  })
+  .messages({
+    'date.base': 'Expiration must be a valid date',
+    'date.format': 'Expiration must be an ISO 8601 date',
+    'date.greater': 'Expiration must be in the future and after activation'
+  });
+
+const maxClicksSchema = Joi.number()
+  .integer()
+  .min(1)
+  .max(1000000000)
+  .messages({
+    'number.base': 'maxClicks must be a number',
+    'number.integer': 'maxClicks must be a whole number',
+    'number.min': 'maxClicks must be at least 1',
+    'number.max': 'maxClicks cannot exceed 1000000000'
+  });
+
 /**
  * Schema for URL shortening request
+ * expiresInDays and expiresAt are alternatives
  */
 const shortenUrlSchema = Joi.object({
   originalUrl: Joi.string()
@@ -40,8 +219,140 @@ const shortenUrlSchema = Joi.object({
       'number.base': 'Expiration must be a number',
       'number.min': 'Expiration must be at least 1 day',
       'number.max': 'Expiration cannot exceed 365 days'
+    }),
+
+  redirectType: Joi.number()
+    .valid(...REDIRECT_TYPES)
+    .optional()
+    .messages({
+      'any.only': 'Redirect type must be one of 301, 302, 307 or 308'
+    }),
+
+  password: Joi.string()
+    .min(4)
+    .max(128)
+    .optional()
+    .messages({
+      'string.min': 'Password must be at least 4 characters',
+      'string.max': 'Password cannot exceed 128 characters'
+    }),
+
+  targetingRules: targetingRulesSchema.optional(),
+
+  variants: variantsSchema.optional(),
+
+  stickyVariants: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'stickyVariants must be true or false'
+    }),
+
+  tags: tagsSchema.optional(),
+
+  folder: folderSchema.optional(),
+
+  title: titleSchema.optional(),
+
+  notes: notesSchema.optional(),
+
+  domain: domainSchema.optional(),
+
+  fallbackUrl: fallbackUrlSchema.optional(),
+
+  activatesAt: activatesAtSchema.optional(),
+
+  expiresAt: expiresAtSchema.optional(),
+
+  maxClicks: maxClicksSchema.optional(),
+
+  // Strategy for the generated code (ignored with customAlias)
+  codeStrategy: Joi.string()
+    .trim()
+    .custom((value, helpers) => (hasStrategy(value) ? value : helpers.error('any.only')))
+    .optional()
+    .messages({
+      'any.only': `codeStrategy must be one of: ${getStrategyNames().join(', ')}`
     })
-});
+})
+  .oxor('expiresInDays', 'expiresAt')
+  .messages({
+    'object.oxor': 'Use either expiresInDays or expiresAt, not both'
+  });
+
+/**
+ * Schema for editing an existing short URL
+ * customAlias: null removes the alias, expiresAt: null removes the expiry,
+ * activatesAt: null activates immediately, maxClicks: null removes the cap
+ */
+const updateUrlSchema = Joi.object({
+  originalUrl: Joi.string()
+    .pattern(urlPattern)
+    .messages({
+      'string.empty': 'URL cannot be empty',
+      'string.pattern.base': 'Please provide a valid URL (must include http:// or https://)'
+    }),
+
+  customAlias: Joi.string()
+    .min(3)
+    .max(20)
+    .pattern(/^[a-zA-Z0-9-]+$/)
+    .allow(null)
+    .messages({
+      'string.min': 'Custom alias must be at least 3 characters',
+      'string.max': 'Custom alias cannot exceed 20 characters',
+      'string.pattern.base': 'Custom alias can only contain letters, numbers, and hyphens'
+    }),
+
+  activatesAt: activatesAtSchema.allow(null),
+
+  expiresAt: expiresAtSchema.allow(null),
+
+  maxClicks: maxClicksSchema.allow(null),
+
+  isActive: Joi.boolean()
+    .messages({
+      'boolean.base': 'isActive must be true or false'
+    }),
+
+  redirectType: Joi.number()
+    .valid(...REDIRECT_TYPES)
+    .allow(null)
+    .messages({
+      'any.only': 'Redirect type must be one of 301, 302, 307 or 308'
+    }),
+
+  password: Joi.string()
+    .min(4)
+    .max(128)
+    .allow(null)
+    .messages({
+      'string.min': 'Password must be at least 4 characters',
+      'string.max': 'Password cannot exceed 128 characters'
+    }),
+
+  targetingRules: targetingRulesSchema,
+
+  variants: variantsSchema,
+
+  stickyVariants: Joi.boolean()
+    .messages({
+      'boolean.base': 'stickyVariants must be true or false'
+    }),
+
+  tags: tagsSchema,
+
+  folder: folderSchema.allow(null),
+
+  title: titleSchema.allow(null),
+
+  notes: notesSchema.allow(null),
+
+  fallbackUrl: fallbackUrlSchema.allow(null)
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
 
 /**
  * Schema for short code parameter validation
@@ -61,6 +372,36 @@ const shortCodeSchema = Joi.object({
     })
 });
 
+/**
+ * Schema for issuing an API key
+ */
+const createApiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Key name is required',
+      'string.max': 'Key name cannot exceed 100 characters',
+      'any.required': 'Key name is required'
+    }),
+
+  owner: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .pattern(/^[a-zA-Z0-9._@-]+$/)
+    .invalid('admin', 'anonymous')
+    .required()
+    .messages({
+      'string.empty': 'Key owner is required',
+      'string.pattern.base': 'Owner can only contain letters, numbers, dots, underscores, @ and hyphens',
+      'any.invalid': 'This owner name is reserved',
+      'any.required': 'Key owner is required'
+    })
+});
+
 /**
  * Middleware to validate URL shortening request
  */
@@ -142,16 +483,307 @@ const validateQueryParams = (schema) => {
   };
 };
 
+/**
+ * Middleware factory to validate a request body against a schema
+ */
+const validateBody = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+/**
+ * Middleware to validate API key creation request
+ */
+const validateCreateApiKey = validateBody(createApiKeySchema);
+
+/**
+ * Schema for unlocking a password-protected link
+ */
+const unlockUrlSchema = Joi.object({
+  password: Joi.string()
+    .max(128)
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required'
+    })
+});
+
+/**
+ * Middleware to validate unlock request
+ */
+const validateUnlockUrl = validateBody(unlockUrlSchema);
+
+/**
+ * Schema for registering a branded domain
+ */
+const createDomainSchema = Joi.object({
+  hostname: domainSchema
+    .max(253)
+    .required()
+    .messages({
+      'string.empty': 'Hostname is required',
+      'any.required': 'Hostname is required'
+    })
+});
+
+/**
+ * Schema for requesting a domain verification check
+ */
+const verifyDomainSchema = Joi.object({
+  method: Joi.string()
+    .valid('txt', 'file')
+    .default('txt')
+    .messages({
+      'any.only': 'Verification method must be txt or file'
+    })
+});
+
+/**
+ * Middleware to validate domain registration request
+ */
+const validateCreateDomain = validateBody(createDomainSchema);
+
+/**
+ * Middleware to validate domain verification request
+ */
+const validateVerifyDomain = validateBody(verifyDomainSchema);
+
+/**
+ * Middleware to validate short URL edit request
+ */
+const validateUpdateUrl = validateBody(updateUrlSchema);
+
 /**
  * Schema for pagination query parameters
+ * after is an opaque cursor from a previous page and takes precedence over page;
+ * fields is a comma-separated projection checked against LISTABLE_URL_FIELDS.
  */
+const LISTABLE_URL_FIELDS = [
+  'shortCode', 'originalUrl', 'customAlias', 'domain', 'createdAt', 'updatedAt',
+  'activatesAt', 'expiresAt', 'maxClicks', 'isActive', 'clickCount', 'createdBy',
+  'redirectType', 'targetingRules', 'variants', 'stickyVariants', 'tags', 'folder',
+  'title', 'notes', 'fallbackUrl', 'health'
+];
+
 const paginationSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
   sortBy: Joi.string().valid('createdAt', 'clickCount', 'originalUrl').default('createdAt'),
-  order: Joi.string().valid('asc', 'desc').default('desc')
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  after: Joi.string().max(512).pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.pattern.base': 'after must be a cursor returned by a previous page'
+    }),
+  fields: Joi.string()
+    .custom((value, helpers) => {
+      const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = fields.filter(field => !LISTABLE_URL_FIELDS.includes(field));
+      if (fields.length === 0 || unknown.length > 0) {
+        return helpers.error('fields.unknown', { unknown: unknown.join(', ') });
+      }
+      return fields;
+    })
+    .messages({
+      'fields.unknown': `fields must be a comma-separated list of: ${LISTABLE_URL_FIELDS.join(', ')}`
+    }),
+  includeTotal: Joi.boolean()
+});
+
+/**
+ * Schema for link listing filters (combined with pagination)
+ * tag accepts a comma-separated list; links must carry every listed tag.
+ */
+const URL_STATUSES = ['active', 'scheduled', 'expired', 'inactive', 'all'];
+
+const listUrlsQuerySchema = paginationSchema.keys({
+  q: Joi.string().trim().min(1).max(200)
+    .messages({
+      'string.max': 'Search text cannot exceed 200 characters'
+    }),
+  tag: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+(,[a-z0-9_-]+)*$/)
+    .messages({
+      'string.pattern.base': 'tag must be a tag or a comma-separated list of tags'
+    }),
+  folder: folderSchema,
+  domain: domainSchema,
+  owner: Joi.string().trim().max(100),
+  status: Joi.string().valid(...URL_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${URL_STATUSES.join(', ')}`
+    }),
+  createdFrom: Joi.date().iso()
+    .messages({
+      'date.format': 'createdFrom must be an ISO 8601 date'
+    }),
+  createdTo: Joi.date().iso()
+    .when('createdFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('createdFrom')) })
+    .messages({
+      'date.format': 'createdTo must be an ISO 8601 date',
+      'date.min': 'createdTo must not be before createdFrom'
+    })
 });
 
+/**
+ * Schema for QR code rendering options
+ */
+const hexColorPattern = /^#?[0-9a-fA-F]{6}$/;
+
+const qrCodeQuerySchema = Joi.object({
+  format: Joi.string().valid('png', 'svg').default('png'),
+  size: Joi.number().integer().min(64).max(2048).default(256)
+    .messages({
+      'number.min': 'Size must be at least 64 pixels',
+      'number.max': 'Size cannot exceed 2048 pixels'
+    }),
+  ecLevel: Joi.string().uppercase().valid('L', 'M', 'Q', 'H').default('M')
+    .messages({
+      'any.only': 'Error correction level must be one of: L, M, Q, H'
+    }),
+  margin: Joi.number().integer().min(0).max(16).default(4)
+    .messages({
+      'number.max': 'Margin cannot exceed 16 modules'
+    }),
+  foreground: Joi.string().pattern(hexColorPattern).default('#000000')
+    .messages({
+      'string.pattern.base': 'Foreground must be a hex colour like 000000'
+    }),
+  background: Joi.string().pattern(hexColorPattern).default('#ffffff')
+    .messages({
+      'string.pattern.base': 'Background must be a hex colour like ffffff'
+    }),
+  domain: domainSchema
+});
+
+/**
+ * Middleware to validate QR code query parameters
+ */
+const validateQrCodeQuery = validateQueryParams(qrCodeQuerySchema);
+
+/**
+ * Middleware to validate link listing query parameters
+ */
+const validateListUrls = validateQueryParams(listUrlsQuerySchema);
+
+/**
+ * Schema for broken link listing query parameters
+ */
+const brokenLinksQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  owner: Joi.string().trim().max(100)
+});
+
+/**
+ * Middleware to validate broken link listing query parameters
+ */
+const validateBrokenLinks = validateQueryParams(brokenLinksQuerySchema);
+
+/**
+ * Schema for a webhook event filter
+ */
+const webhookEventsSchema = Joi.array()
+  .items(Joi.string().valid(...EVENT_TYPES, '*'))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Events must be '*' or one of: ${EVENT_TYPES.join(', ')}`,
+    'array.min': 'Subscribe to at least one event',
+    'array.unique': 'Events must not repeat'
+  });
+
+/**
+ * Schema for a webhook endpoint URL
+ */
+const webhookUrlSchema = Joi.string()
+  .pattern(urlPattern)
+  .max(2048)
+  .messages({
+    'string.pattern.base': 'Webhook URL must be a valid URL (must include http:// or https://)',
+    'any.required': 'Webhook URL is required'
+  });
+
+/**
+ * Schema for creating a webhook subscription
+ */
+const createWebhookSchema = Joi.object({
+  url: webhookUrlSchema.required(),
+  events: webhookEventsSchema.default(['*']),
+  description: Joi.string().trim().max(200).allow(null, '')
+});
+
+/**
+ * Schema for editing a webhook subscription
+ */
+const updateWebhookSchema = Joi.object({
+  url: webhookUrlSchema,
+  events: webhookEventsSchema,
+  description: Joi.string().trim().max(200).allow(null, ''),
+  isActive: Joi.boolean(),
+  rotateSecret: Joi.boolean()
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+/**
+ * Schema for the webhook delivery log query parameters
+ */
+const webhookDeliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'dead'),
+  event: Joi.string().valid(...EVENT_TYPES),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * Schema for webhook subscription listing query parameters
+ */
+const listWebhooksQuerySchema = Joi.object({
+  owner: Joi.string().trim().max(100)
+});
+
+/**
+ * Middleware to validate webhook subscription creation
+ */
+const validateCreateWebhook = validateBody(createWebhookSchema);
+
+/**
+ * Middleware to validate webhook subscription edits
+ */
+const validateUpdateWebhook = validateBody(updateWebhookSchema);
+
+/**
+ * Middleware to validate webhook delivery log query parameters
+ */
+const validateWebhookDeliveries = validateQueryParams(webhookDeliveriesQuerySchema);
+
+/**
+ * Middleware to validate webhook subscription listing query parameters
+ */
+const validateListWebhooks = validateQueryParams(listWebhooksQuerySchema);
+
 /**
  * Middleware to sanitize user input
  */
@@ -198,9 +830,36 @@ module.exports = {
   validateShortenUrl,
   validateShortCode,
   validateQueryParams,
+  validateBody,
+  validateCreateApiKey,
+  validateUpdateUrl,
+  validateQrCodeQuery,
+  validateListUrls,
+  validateBrokenLinks,
+  validateUnlockUrl,
+  validateCreateDomain,
+  validateVerifyDomain,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookDeliveries,
+  validateListWebhooks,
   sanitizeInput,
   handleValidationError,
   paginationSchema,
+  LISTABLE_URL_FIELDS,
+  listUrlsQuerySchema,
+  brokenLinksQuerySchema,
   shortenUrlSchema,
-  shortCodeSchema
+  updateUrlSchema,
+  shortCodeSchema,
+  createApiKeySchema,
+  qrCodeQuerySchema,
+  unlockUrlSchema,
+  createDomainSchema,
+  verifyDomainSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookDeliveriesQuerySchema,
+  targetingRulesSchema,
+  variantsSchema
 };
\ No newline at end of file
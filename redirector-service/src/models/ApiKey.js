@@ -0,0 +1,99 @@
+// src/models/ApiKey.js - MongoDB schema for API keys
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefix makes keys recognisable in logs and secret scanners
+const KEY_PREFIX = 'usk_';
+
+const apiKeySchema = new mongoose.Schema({
+  // Human readable label (e.g. "marketing-dashboard")
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+
+  // Owner identity - becomes req.user.id and Url.createdBy
+  owner: {
+    type: String,
+    required: [true, 'Key owner is required'],
+    trim: true,
+    index: true
+  },
+
+  // SHA-256 of the raw key - the raw key is never stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // First characters of the raw key, shown in listings to identify a key
+  keyPreview: {
+    type: String,
+    required: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Hash a raw key for storage and lookup
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Issue a new key - returns the document and the raw key (shown only once)
+apiKeySchema.statics.issue = async function({ name, owner }) {
+  const rawKey = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const apiKey = await this.create({
+    name,
+    owner,
+    keyHash: this.hashKey(rawKey),
+    keyPreview: rawKey.slice(0, KEY_PREFIX.length + 6)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Find an active key from the raw value sent by a client
+apiKeySchema.statics.findActiveByRawKey = function(rawKey) {
+  return this.findOne({
+    keyHash: this.hashKey(rawKey),
+    isActive: true
+  });
+};
+
+// Instance method to revoke a key
+apiKeySchema.methods.revoke = function() {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
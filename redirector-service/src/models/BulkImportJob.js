@@ -0,0 +1,140 @@
+// src/models/BulkImportJob.js - MongoDB schema for background bulk link imports
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Finished jobs are kept for a while so clients can fetch their results
+const JOB_RETENTION_SECONDS = (parseInt(process.env.BULK_JOB_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60;
+
+// Outcome of one imported row
+const rowResultSchema = new mongoose.Schema({
+  // Position of the row in the request (1-based, CSV header excluded)
+  row: Number,
+
+  // created, existing or error
+  status: String,
+
+  shortCode: String,
+  shortUrl: String,
+  originalUrl: String,
+
+  // Validation or creation errors: [{ field, message }]
+  errors: {
+    type: [{ _id: false, field: String, message: String }],
+    default: undefined
+  }
+}, { _id: false, suppressReservedKeysWarning: true });
+
+const bulkImportJobSchema = new mongoose.Schema({
+  // queued -> running -> completed, or failed if the job itself crashed
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  // Owner of the imported links
+  createdBy: {
+    type: String,
+    default: 'anonymous'
+  },
+
+  // SHA-256 of the token an anonymous creator reads the job with
+  tokenHash: {
+    type: String,
+    default: null
+  },
+
+  total: {
+    type: Number,
+    required: true
+  },
+
+  processed: {
+    type: Number,
+    default: 0
+  },
+
+  created: {
+    type: Number,
+    default: 0
+  },
+
+  existing: {
+    type: Number,
+    default: 0
+  },
+
+  failed: {
+    type: Number,
+    default: 0
+  },
+
+  results: {
+    type: [rowResultSchema],
+    default: []
+  },
+
+  // Set when the job stops unexpectedly
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+bulkImportJobSchema.index({ createdBy: 1, createdAt: -1 });
+bulkImportJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+// Hash a raw job token for storage and comparison
+bulkImportJobSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Method to check the token sent for an anonymous job
+bulkImportJobSchema.methods.matchesToken = function(rawToken) {
+  if (!this.tokenHash || typeof rawToken !== 'string' || !rawToken) return false;
+
+  const expected = Buffer.from(this.tokenHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashToken(rawToken), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to append a chunk of row results and update the counters
+bulkImportJobSchema.methods.recordResults = function(results) {
+  const count = status => results.filter(result => result.status === status).length;
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: { results: { $each: results } },
+      $inc: {
+        processed: results.length,
+        created: count('created'),
+        existing: count('existing'),
+        failed: count('error')
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('BulkImportJob', bulkImportJobSchema);
@@ -0,0 +1,84 @@
+// src/models/ClickOutbox.js - MongoDB schema for click events awaiting delivery
+const mongoose = require('mongoose');
+
+// Delivered events are kept briefly for debugging, then removed by a TTL index
+const DELIVERED_RETENTION_SECONDS = (parseInt(process.env.CLICK_OUTBOX_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60;
+
+const clickOutboxSchema = new mongoose.Schema({
+  // Click metadata exactly as it is sent to POST /api/track/batch
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending -> delivered, or failed when analytics rejects the event outright
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Earliest time the dispatcher may try again (backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Claim held by a dispatcher while a batch is in flight
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Dispatcher query: oldest due pending events first
+clickOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+clickOutboxSchema.index({ lockedBy: 1 });
+clickOutboxSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: DELIVERED_RETENTION_SECONDS });
+
+// Static method to persist a click for later delivery
+clickOutboxSchema.statics.enqueue = function(clickMetadata) {
+  return this.create({ payload: clickMetadata });
+};
+
+// Static method to get outbox counts for monitoring
+clickOutboxSchema.statics.getStats = async function() {
+  const [pending, failed] = await Promise.all([
+    this.countDocuments({ status: 'pending' }),
+    this.countDocuments({ status: 'failed' })
+  ]);
+
+  return { pending, failed };
+};
+
+const ClickOutbox = mongoose.model('ClickOutbox', clickOutboxSchema);
+
+module.exports = ClickOutbox;
@@ -0,0 +1,45 @@
+// src/models/Counter.js - MongoDB schema for named sequence counters
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Counter name (e.g. "shortCode")
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Highest value handed out so far
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Reserve the next block of values atomically
+ * Each replica reserves its own block, so values are never handed out twice.
+ * @param {string} name - Counter name
+ * @param {number} size - Number of values to reserve
+ * @param {number} start - Value of a counter that does not exist yet
+ * @returns {Promise<Object>} { from, to } - from inclusive, to exclusive
+ */
+counterSchema.statics.reserveBlock = async function(name, size, start = 0) {
+  // Create the counter at its start value first (a no-op when it exists)
+  await this.updateOne({ _id: name }, { $setOnInsert: { value: start } }, { upsert: true })
+    .catch(error => {
+      // Two replicas creating the counter at once - the other one won
+      if (error.code !== 11000) throw error;
+    });
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { value: size } },
+    { new: true }
+  );
+
+  return { from: counter.value - size, to: counter.value };
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,106 @@
+// src/models/Domain.js - MongoDB schema for branded short link domains
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { VERIFICATION_METHODS } = require('../utils/domainVerification');
+
+const domainSchema = new mongoose.Schema({
+  // Hostname links are served from (e.g. "go.brand.com")
+  hostname: {
+    type: String,
+    required: [true, 'Hostname is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters']
+  },
+
+  // Owner identity (API key owner) - only the owner can bind links to it
+  owner: {
+    type: String,
+    required: [true, 'Domain owner is required'],
+    index: true
+  },
+
+  // Secret the owner publishes in DNS or on the domain to prove control
+  verificationToken: {
+    type: String,
+    required: true
+  },
+
+  // pending until a verification check succeeds
+  status: {
+    type: String,
+    enum: ['pending', 'verified'],
+    default: 'pending'
+  },
+
+  verificationMethod: {
+    type: String,
+    enum: [...VERIFICATION_METHODS, null],
+    default: null
+  },
+
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Why the last verification attempt failed
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A hostname belongs to whoever verifies it first. Pending claims don't block
+// anyone, so registering someone else's domain can't lock its real owner out;
+// each owner holds at most one claim per hostname.
+domainSchema.index({ hostname: 1 }, { unique: true, name: 'hostname_verified', partialFilterExpression: { status: 'verified' } });
+domainSchema.index({ hostname: 1, owner: 1 }, { unique: true });
+
+// Virtual for checking if links can be bound to the domain
+domainSchema.virtual('isVerified').get(function() {
+  return this.status === 'verified';
+});
+
+// Static method to create a domain with a fresh verification token
+domainSchema.statics.register = function({ hostname, owner }) {
+  return this.create({
+    hostname,
+    owner,
+    verificationToken: crypto.randomBytes(16).toString('hex')
+  });
+};
+
+// Static method to find a verified domain by hostname
+domainSchema.statics.findVerified = function(hostname) {
+  return this.findOne({ hostname: String(hostname).toLowerCase(), status: 'verified' });
+};
+
+// Method to record the outcome of a verification check
+domainSchema.methods.recordVerification = function(method, error = null) {
+  this.lastCheckedAt = new Date();
+  this.lastError = error;
+
+  if (!error) {
+    this.status = 'verified';
+    this.verificationMethod = method;
+    this.verifiedAt = this.lastCheckedAt;
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Domain', domainSchema);
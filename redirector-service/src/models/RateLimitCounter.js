@@ -0,0 +1,33 @@
+// src/models/RateLimitCounter.js - MongoDB schema for shared rate limit state
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<route>:<ip|key>:<id>", plus ":<window start>" for sliding windows
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Sliding window: requests allowed in this fixed window
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Token bucket: tokens left and when they were last topped up (ms)
+  tokens: Number,
+  refilledAt: Number,
+  allowed: Boolean,
+
+  // Removed by the TTL index once the state no longer matters
+  expireAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,61 @@
+// src/models/SchedulerLock.js - MongoDB schema for leader election between replicas
+const mongoose = require('mongoose');
+
+const schedulerLockSchema = new mongoose.Schema({
+  // Job name (e.g. "expirySweeper")
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Replica currently holding the lock
+  owner: {
+    type: String,
+    required: true
+  },
+
+  // The lock is free for others once this passes (the holder renews it)
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Take or renew a lock
+ * Succeeds when the lock is free, expired or already held by the caller.
+ * @param {string} name - Job name
+ * @param {string} owner - Replica identifier
+ * @param {number} ttlMs - How long the lock is held without renewal
+ * @returns {Promise<boolean>} Whether the caller holds the lock
+ */
+schedulerLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and another replica holds it - the upsert hit its _id
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Give up a lock so another replica can take over without waiting
+ * @param {string} name - Job name
+ * @param {string} owner - Replica identifier
+ * @returns {Promise<void>}
+ */
+schedulerLockSchema.statics.release = async function(name, owner) {
+  await this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
@@ -1,9 +1,135 @@
 // src/models/Url.js - MongoDB schema for URL storage
+const crypto = require('crypto');
+const util = require('util');
 const mongoose = require('mongoose');
+const { REDIRECT_TYPES } = require('../utils/redirect');
+const { DEVICE_TYPES } = require('../utils/targeting');
+
+const scrypt = util.promisify(crypto.scrypt);
+const PASSWORD_KEY_LENGTH = 64;
 
 // URL validation regex
 const urlRegex = /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
 
+// Targeting rule - evaluated in order, first match wins
+const targetingRuleSchema = new mongoose.Schema({
+  // Label recorded in analytics (defaults to rule-<position>)
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Rule name cannot exceed 50 characters']
+  },
+
+  // ISO 3166-1 alpha-2 country codes (empty = any country)
+  countries: {
+    type: [{ type: String, uppercase: true, trim: true, match: [/^[A-Z]{2}$/, 'Country must be a 2-letter code'] }],
+    default: []
+  },
+
+  // Device types (empty = any device)
+  devices: {
+    type: [{ type: String, enum: DEVICE_TYPES }],
+    default: []
+  },
+
+  destination: {
+    type: String,
+    required: [true, 'Rule destination is required'],
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return urlRegex.test(url);
+      },
+      message: 'Please provide a valid URL (must include http:// or https://)'
+    }
+  }
+}, { _id: false });
+
+// A/B variant - one weighted arm of a split link
+const variantSchema = new mongoose.Schema({
+  // Identifier recorded in analytics
+  id: {
+    type: String,
+    required: [true, 'Variant id is required'],
+    trim: true,
+    match: [/^[a-zA-Z0-9_-]{1,32}$/, 'Variant id can only contain letters, numbers, hyphens and underscores']
+  },
+
+  destination: {
+    type: String,
+    required: [true, 'Variant destination is required'],
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return urlRegex.test(url);
+      },
+      message: 'Please provide a valid URL (must include http:// or https://)'
+    }
+  },
+
+  // Relative share of traffic (0 pauses the arm)
+  weight: {
+    type: Number,
+    min: [0, 'Variant weight cannot be negative'],
+    max: [1000, 'Variant weight cannot exceed 1000'],
+    default: 1
+  }
+}, { _id: false });
+
+// Result of the background destination check (see services/linkHealthChecker)
+const healthSchema = new mongoose.Schema({
+  // unknown until checked; broken after repeated failures
+  status: {
+    type: String,
+    enum: ['unknown', 'healthy', 'broken'],
+    default: 'unknown'
+  },
+
+  // Final HTTP status (null when the request itself failed)
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  latencyMs: {
+    type: Number,
+    default: null
+  },
+
+  // Redirects the destination answered with, in order
+  redirectChain: {
+    type: [{ url: String, statusCode: Number, _id: false }],
+    default: []
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+
+  checkedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the checker should look at the link again (null = as soon as possible)
+  nextCheckAt: {
+    type: Date,
+    default: null
+  },
+
+  // Checker run that claimed the link (prevents replicas checking it twice)
+  claimedBy: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const urlSchema = new mongoose.Schema({
   originalUrl: {
     type: String,
@@ -17,14 +143,14 @@ const urlSchema = new mongoose.Schema({
     }
   },
   
+  // Unique per domain (see indexes below) - generated or a custom alias
   shortCode: {
     type: String,
     required: [true, 'Short code is required'],
-    unique: true,
     trim: true,
-    minlength: [6, 'Short code must be at least 6 characters'],
-    maxlength: [8, 'Short code must not exceed 8 characters'],
-    match: [/^[a-zA-Z0-9]+$/, 'Short code can only contain alphanumeric characters']
+    minlength: [3, 'Short code must be at least 3 characters'],
+    maxlength: [20, 'Short code must not exceed 20 characters'],
+    match: [/^[a-zA-Z0-9-]+$/, 'Short code can only contain letters, numbers and hyphens']
   },
 
   createdAt: {
@@ -32,16 +158,45 @@ const urlSchema = new mongoose.Schema({
     default: Date.now
   },
 
+  // Redirects start at this time (null means immediately)
+  activatesAt: {
+    type: Date,
+    default: null
+  },
+
   expiresAt: {
     type: Date,
     default: null // null means never expires
   },
 
+  // Redirects stop once clickCount reaches this cap (null means unlimited)
+  maxClicks: {
+    type: Number,
+    min: [1, 'maxClicks must be at least 1'],
+    default: null
+  },
+
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // When the link was last switched off (drives the retention purge)
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // HTTP status used for the redirect (null uses DEFAULT_REDIRECT_TYPE)
+  redirectType: {
+    type: Number,
+    enum: {
+      values: [...REDIRECT_TYPES, null],
+      message: 'Redirect type must be one of 301, 302, 307 or 308'
+    },
+    default: null
+  },
+
   // Optional: Track basic stats (could be moved to analytics service)
   clickCount: {
     type: Number,
@@ -54,28 +209,128 @@ const urlSchema = new mongoose.Schema({
     default: 'anonymous'
   },
 
-  // Custom alias (optional feature)
+  // Ordered geo/device rules; no match falls back to originalUrl
+  targetingRules: {
+    type: [targetingRuleSchema],
+    default: []
+  },
+
+  // Weighted A/B destinations used when no targeting rule matches
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: {
+      validator: function(variants) {
+        if (variants.length === 0) return true;
+        const ids = new Set(variants.map(variant => variant.id));
+        return variants.length >= 2
+          && ids.size === variants.length
+          && variants.some(variant => variant.weight > 0);
+      },
+      message: 'A split link needs at least 2 variants with unique ids and a non-zero total weight'
+    }
+  },
+
+  // Keep returning visitors on the same variant (cookie based)
+  stickyVariants: {
+    type: Boolean,
+    default: true
+  },
+
+  // Organisation: free-form tags and a single folder (e.g. "campaigns/spring")
+  tags: {
+    type: [{ type: String, lowercase: true, trim: true, maxlength: [30, 'Tags cannot exceed 30 characters'] }],
+    default: []
+  },
+
+  folder: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Folder cannot exceed 100 characters'],
+    default: null
+  },
+
+  // Human-readable description, searchable together with the URL and alias
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+    default: null
+  },
+
+  // Optional password (scrypt hash) - protected links show an unlock page
+  passwordHash: {
+    type: String,
+    default: null
+  },
+
+  // Custom alias (optional feature) - unique per domain
   customAlias: {
     type: String,
+    default: null
+  },
+
+  // Verified branded domain the link is served from (null = BASE_URL)
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Where visitors go while the destination is known to be down
+  fallbackUrl: {
+    type: String,
+    trim: true,
     default: null,
-    unique: true,
-    sparse: true // Allows multiple null values
+    validate: {
+      validator: function(url) {
+        return url === null || urlRegex.test(url);
+      },
+      message: 'Please provide a valid fallback URL (must include http:// or https://)'
+    }
+  },
+
+  health: {
+    type: healthSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
   toJSON: { 
     transform: function(doc, ret) {
       delete ret.__v;
+      delete ret.passwordHash;
       return ret;
     }
   }
 });
 
 // Indexes for better performance
-urlSchema.index({ shortCode: 1 }); // Primary lookup index
+urlSchema.index({ shortCode: 1, domain: 1 }, { unique: true }); // Primary lookup index
 urlSchema.index({ createdAt: -1 }); // For recent URLs
 urlSchema.index({ expiresAt: 1 }); // For cleanup operations
-urlSchema.index({ customAlias: 1 }, { sparse: true }); // For custom aliases
+urlSchema.index(
+  { customAlias: 1, domain: 1 },
+  { unique: true, partialFilterExpression: { customAlias: { $type: 'string' } } }
+); // For custom aliases (the same alias may exist on different domains)
+urlSchema.index({ createdBy: 1, createdAt: -1 }); // For per-owner listings
+urlSchema.index({ isActive: 1, 'health.nextCheckAt': 1 }); // For the link health checker
+urlSchema.index({ isActive: 1, deactivatedAt: 1 }); // For the expiry sweeper's retention purge
+urlSchema.index({ 'health.status': 1, createdBy: 1 }); // For broken link listings
+urlSchema.index({ createdBy: 1, tags: 1, createdAt: -1 }); // For tag filters
+urlSchema.index({ createdBy: 1, folder: 1, createdAt: -1 }); // For folder filters
+urlSchema.index(
+  { title: 'text', originalUrl: 'text', customAlias: 'text', notes: 'text' },
+  { name: 'url_text_search', weights: { title: 10, customAlias: 5, originalUrl: 3, notes: 1 } }
+); // For free-text search in listings
 
 // Virtual for checking if URL is expired
 urlSchema.virtual('isExpired').get(function() {
@@ -85,59 +340,154 @@ urlSchema.virtual('isExpired').get(function() {
 
 // Virtual for full short URL
 urlSchema.virtual('shortUrl').get(function() {
-  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+  const baseUrl = this.domain
+    ? `${process.env.BRANDED_DOMAIN_PROTOCOL || 'https'}://${this.domain}`
+    : process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
   return `${baseUrl}/api/${this.shortCode}`;
 });
 
+// Virtual for checking if URL requires a password
+urlSchema.virtual('isProtected').get(function() {
+  return !!this.passwordHash;
+});
+
+// Instance method to set or clear the password (null removes protection)
+urlSchema.methods.setPassword = async function(password) {
+  if (!password) {
+    this.passwordHash = null;
+    return;
+  }
+
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  this.passwordHash = `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+// Instance method to check a password against the stored hash
+urlSchema.methods.verifyPassword = async function(password) {
+  if (!this.passwordHash || typeof password !== 'string') return false;
+
+  const [, saltHex, hashHex] = this.passwordHash.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Virtual for links scheduled to start later
+urlSchema.virtual('isScheduled').get(function() {
+  if (!this.activatesAt) return false;
+  return new Date() < this.activatesAt;
+});
+
+// Virtual for links that used up their click cap
+urlSchema.virtual('isLimitReached').get(function() {
+  return this.maxClicks != null && this.clickCount >= this.maxClicks;
+});
+
+// Virtual for why a link does or does not redirect
+// inactive (switched off), scheduled, expired, limit_reached or active
+urlSchema.virtual('lifecycleState').get(function() {
+  // Expiry comes first: the expiry sweeper switches expired links off,
+  // and they should keep answering as expired (fallbackUrl included)
+  if (this.isExpired) return 'expired';
+  if (!this.isActive) return 'inactive';
+  if (this.isScheduled) return 'scheduled';
+  if (this.isLimitReached) return 'limit_reached';
+  return 'active';
+});
+
 // Instance method to check if URL is valid and active
 urlSchema.methods.isValidForRedirect = function() {
-  return this.isActive && !this.isExpired;
+  return this.lifecycleState === 'active';
 };
 
+// Virtual for links whose destination failed its recent health checks
+urlSchema.virtual('isBroken').get(function() {
+  return this.health?.status === 'broken';
+});
+
 // Instance method to increment click count
 urlSchema.methods.incrementClick = async function() {
   this.clickCount += 1;
   return this.save();
 };
 
+// Static helper: filter for links that redirect right now
+// (active, started, not expired and under their click cap)
+urlSchema.statics.redirectableFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ activatesAt: null }, { activatesAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ maxClicks: null }, { $expr: { $lt: ['$clickCount', '$maxClicks'] } }] }
+    ]
+  };
+};
+
 // Static method to find active URL by short code
 urlSchema.statics.findActiveByShortCode = function(shortCode) {
   return this.findOne({
     shortCode,
-    isActive: true,
+    ...this.redirectableFilter()
+  });
+};
+
+// Static method to find a link by short code or alias on a domain (any state)
+urlSchema.statics.findByCode = function(code, domain = null) {
+  return this.findOne({
+    domain,
     $or: [
-      { expiresAt: null },
-      { expiresAt: { $gt: new Date() } }
+      { shortCode: code },
+      { customAlias: code }
     ]
   });
 };
 
 // Static method to find by short code or custom alias
 urlSchema.statics.findByCodeOrAlias = function(code) {
-  return this.findOne({
+  const filter = this.redirectableFilter();
+  filter.$and.push({
     $or: [
       { shortCode: code },
       { customAlias: code }
-    ],
-    isActive: true,
-    $or: [
-      { expiresAt: null },
-      { expiresAt: { $gt: new Date() } }
     ]
   });
+  return this.findOne(filter);
 };
 
 // Static method to cleanup expired URLs
 urlSchema.statics.cleanupExpired = function() {
+  const now = new Date();
   return this.updateMany(
     {
-      expiresAt: { $lt: new Date() },
+      expiresAt: { $lt: now },
       isActive: true
     },
-    { isActive: false }
+    { isActive: false, deactivatedAt: now }
   );
 };
 
+// Static helper: filter for switched-off links past their retention period
+// Links deactivated before deactivatedAt existed fall back to updatedAt
+urlSchema.statics.purgeableFilter = function(cutoff) {
+  return {
+    isActive: false,
+    $or: [
+      { deactivatedAt: { $lte: cutoff } },
+      { deactivatedAt: null, updatedAt: { $lte: cutoff } }
+    ]
+  };
+};
+
+// Activation window must not be empty (checked whichever end was edited)
+urlSchema.pre('validate', function(next) {
+  if (this.activatesAt && this.expiresAt && this.expiresAt <= this.activatesAt) {
+    this.invalidate('expiresAt', 'Expiration must be after activation');
+  }
+  next();
+});
+
 // Pre-save middleware to ensure URL format
 urlSchema.pre('save', function(next) {
   // Ensure originalUrl has protocol
@@ -148,6 +498,14 @@ urlSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to record when a link is switched off or back on
+urlSchema.pre('save', function(next) {
+  if (this.isModified('isActive')) {
+    this.deactivatedAt = this.isActive ? null : new Date();
+  }
+  next();
+});
+
 // Pre-save middleware for custom alias validation
 urlSchema.pre('save', function(next) {
   if (this.customAlias) {
@@ -164,15 +522,20 @@ urlSchema.pre('save', function(next) {
 });
 
 // Error handling for unique constraint violations
+// The code is kept so callers can still tell a collision from other failures
 urlSchema.post('save', function(error, doc, next) {
   if (error.name === 'MongoServerError' && error.code === 11000) {
+    let duplicate;
     if (error.keyValue.shortCode) {
-      next(new Error('Short code already exists'));
+      duplicate = new Error('Short code already exists');
     } else if (error.keyValue.customAlias) {
-      next(new Error('Custom alias already exists'));
+      duplicate = new Error('Custom alias already exists');
     } else {
-      next(new Error('Duplicate value error'));
+      duplicate = new Error('Duplicate value error');
     }
+    duplicate.code = error.code;
+    duplicate.keyValue = error.keyValue;
+    next(duplicate);
   } else {
     next(error);
   }
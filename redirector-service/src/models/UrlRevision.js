@@ -0,0 +1,80 @@
+// src/models/UrlRevision.js - MongoDB schema for link edit history
+const mongoose = require('mongoose');
+
+const urlRevisionSchema = new mongoose.Schema({
+  // Link this revision belongs to
+  url: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+
+  // Stable short code at the time of the edit (for lookups after alias changes)
+  shortCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Sequential revision number per link, starting at 1
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  // Identity of the API key owner who made the change
+  changedBy: {
+    type: String,
+    default: 'anonymous'
+  },
+
+  // Field-level diff of the edit
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One revision number per link
+urlRevisionSchema.index({ url: 1, revision: -1 }, { unique: true });
+urlRevisionSchema.index({ shortCode: 1, changedAt: -1 });
+
+// Static method to record an edit with the next revision number
+urlRevisionSchema.statics.record = async function(url, changes, changedBy) {
+  const latest = await this.findOne({ url: url._id })
+    .sort({ revision: -1 })
+    .select('revision');
+
+  return this.create({
+    url: url._id,
+    shortCode: url.shortCode,
+    revision: (latest?.revision || 0) + 1,
+    changedBy,
+    changes
+  });
+};
+
+// Static method to get the history of a link, newest first
+urlRevisionSchema.statics.getHistory = function(urlId) {
+  return this.find({ url: urlId })
+    .sort({ revision: -1 })
+    .select('-__v');
+};
+
+const UrlRevision = mongoose.model('UrlRevision', urlRevisionSchema);
+
+module.exports = UrlRevision;
@@ -0,0 +1,114 @@
+// src/models/WebhookDelivery.js - MongoDB schema for webhook delivery attempts
+const mongoose = require('mongoose');
+
+// Delivered requests stay in the delivery log for this long; dead ones stay until retried or removed
+const DELIVERED_RETENTION_SECONDS = (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+
+  // Event being delivered (also sent as X-Webhook-Id so receivers can dedupe)
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true
+  },
+
+  // JSON body POSTed to the subscription URL
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending -> delivered, or dead after WEBHOOK_MAX_ATTEMPTS failures (the dead-letter store)
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Earliest time the dispatcher may try again (backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Claim held by a dispatcher while the request is in flight
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Outcome of the latest attempt
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  lastResponseMs: {
+    type: Number,
+    default: null
+  },
+
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One delivery per event and subscription, so a repeated fan-out is harmless
+webhookDeliverySchema.index({ event: 1, subscription: 1 }, { unique: true });
+// Dispatcher query: oldest due pending deliveries first
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ lockedBy: 1 });
+// Delivery log, newest first
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ deliveredAt: 1 }, { expireAfterSeconds: DELIVERED_RETENTION_SECONDS });
+
+// Static method to get delivery counts for monitoring
+webhookDeliverySchema.statics.getStats = async function() {
+  const [pending, dead] = await Promise.all([
+    this.countDocuments({ status: 'pending' }),
+    this.countDocuments({ status: 'dead' })
+  ]);
+
+  return { pending, dead };
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,80 @@
+// src/models/WebhookEvent.js - MongoDB schema for events awaiting fan-out to webhooks
+const mongoose = require('mongoose');
+
+// Dispatched events are kept briefly for debugging, then removed by a TTL index
+const DISPATCHED_RETENTION_SECONDS = (parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60;
+
+// analytics-service writes click.tracked events into the same collection,
+// so keep this schema in step with analytics-service/src/models/WebhookEvent.js
+const webhookEventSchema = new mongoose.Schema({
+  // One of EVENT_TYPES (src/utils/webhooks.js)
+  type: {
+    type: String,
+    required: true
+  },
+
+  // Link owner; resolved from the short code at fan-out when unknown
+  owner: {
+    type: String,
+    default: null
+  },
+
+  shortCode: {
+    type: String,
+    default: null
+  },
+
+  domain: {
+    type: String,
+    default: null
+  },
+
+  // Event-specific body sent as "data"
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // pending -> dispatched once a delivery exists for every matching subscription
+  status: {
+    type: String,
+    enum: ['pending', 'dispatched'],
+    default: 'pending'
+  },
+
+  // Claim held by a dispatcher while a batch is fanned out
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  dispatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'webhookevents',
+  versionKey: false
+});
+
+// Dispatcher query: oldest pending events first
+webhookEventSchema.index({ status: 1, occurredAt: 1 });
+webhookEventSchema.index({ lockedBy: 1 });
+webhookEventSchema.index({ dispatchedAt: 1 }, { expireAfterSeconds: DISPATCHED_RETENTION_SECONDS });
+
+// Static method to record an event for fan-out
+webhookEventSchema.statics.enqueue = function(type, { owner = null, shortCode = null, domain = null, data = {} } = {}) {
+  return this.create({ type, owner, shortCode, domain, data });
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,91 @@
+// src/models/WebhookSubscription.js - MongoDB schema for webhook endpoints
+const mongoose = require('mongoose');
+const { EVENT_TYPES, generateSecret } = require('../utils/webhooks');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // API key owner; receives events for their own links (admin: every link)
+  owner: {
+    type: String,
+    required: [true, 'Subscription owner is required'],
+    index: true
+  },
+
+  // Endpoint deliveries are POSTed to
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters']
+  },
+
+  // Event filter: types from EVENT_TYPES, or '*' for all
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: [...EVENT_TYPES, '*'],
+        message: 'Unknown webhook event: {VALUE}'
+      }
+    }],
+    default: ['*']
+  },
+
+  // HMAC key for X-Webhook-Signature
+  secret: {
+    type: String,
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: null
+  },
+
+  // Paused subscriptions get no new deliveries
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+// Fan-out query: active subscriptions by owner and event
+webhookSubscriptionSchema.index({ isActive: 1, owner: 1, events: 1 });
+
+// Instance method to check the event filter
+webhookSubscriptionSchema.methods.matches = function(type) {
+  return this.events.includes('*') || this.events.includes(type);
+};
+
+// Static method to create a subscription with a fresh secret
+webhookSubscriptionSchema.statics.register = function({ owner, url, events, description }) {
+  return this.create({
+    owner,
+    url,
+    events,
+    description,
+    secret: generateSecret()
+  });
+};
+
+// Static method to find the subscriptions an event goes to
+// Admin subscriptions see events for every link
+webhookSubscriptionSchema.statics.findMatching = function(type, owner) {
+  return this.find({
+    isActive: true,
+    events: { $in: [type, '*'] },
+    owner: { $in: owner ? [owner, 'admin'] : ['admin'] }
+  });
+};
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
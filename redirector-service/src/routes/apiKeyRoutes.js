@@ -0,0 +1,38 @@
+// src/routes/apiKeyRoutes.js - API key management routes
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Import middleware
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateCreateApiKey } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/keys
+ * @desc    Issue a new API key for an owner
+ * @access  Admin
+ * @body    { name: string, owner: string }
+ */
+router.post('/', authenticate(), requireAdmin, validateCreateApiKey, createApiKey);
+
+/**
+ * @route   GET /api/keys
+ * @desc    List API keys (admin: all or ?owner=, others: own keys)
+ * @access  API key
+ */
+router.get('/', authenticate(), listApiKeys);
+
+/**
+ * @route   DELETE /api/keys/:id
+ * @desc    Revoke an API key
+ * @access  API key (owner of the key or admin)
+ */
+router.delete('/:id', authenticate(), revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// src/routes/domainRoutes.js - Branded domain management routes
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  createDomain,
+  listDomains,
+  verifyDomain,
+  deleteDomain
+} = require('../controllers/domainController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { validateCreateDomain, validateVerifyDomain } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/domains
+ * @desc    Register a branded domain and get its verification token
+ * @access  API key
+ * @body    { hostname: string }
+ */
+router.post('/', authenticate(), validateCreateDomain, createDomain);
+
+/**
+ * @route   GET /api/domains
+ * @desc    List branded domains (admin: all or ?owner=, others: own domains)
+ * @access  API key
+ */
+router.get('/', authenticate(), listDomains);
+
+/**
+ * @route   POST /api/domains/:id/verify
+ * @desc    Check the published verification token and mark the domain verified
+ * @access  API key (owner of the domain or admin)
+ * @body    { method?: 'txt'|'file' }
+ */
+router.post('/:id/verify', authenticate(), validateVerifyDomain, verifyDomain);
+
+/**
+ * @route   DELETE /api/domains/:id
+ * @desc    Remove a branded domain that no active link uses
+ * @access  API key (owner of the domain or admin)
+ */
+router.delete('/:id', authenticate(), deleteDomain);
+
+module.exports = router;
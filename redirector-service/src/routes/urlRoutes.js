@@ -8,52 +8,104 @@ const {
   redirectUrl,
   getUrlInfo,
   deleteUrl,
+  updateUrl,
+  getUrlHistory,
+  unlockUrl,
   getAllUrls,
+  getBrokenLinks,
   healthCheck
 } = require('../controllers/urlController');
+const { getQrCode } = require('../controllers/qrController');
+const { parseBulkRows, bulkShorten, getBulkJob } = require('../controllers/bulkController');
 
 // Import middleware
-const { validateShortenUrl, validateShortCode } = require('../middleware/validation');
+const {
+  validateShortenUrl,
+  validateShortCode,
+  validateUpdateUrl,
+  validateQrCodeQuery,
+  validateUnlockUrl,
+  validateListUrls,
+  validateBrokenLinks
+} = require('../middleware/validation');
+const { authenticate, authenticateShorten } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/shorten
  * @desc    Create a shortened URL
- * @access  Public
- * @body    { originalUrl: string, customAlias?: string, expiresInDays?: number }
+ * @access  Public when ALLOW_ANONYMOUS_SHORTEN is enabled, otherwise API key
+ * @body    { originalUrl: string, customAlias?: string, expiresInDays?: number, redirectType?: 301|302|307|308, password?: string, targetingRules?: Array, variants?: Array, stickyVariants?: boolean, tags?: string[], folder?: string, title?: string, notes?: string, domain?: string, codeStrategy?: string, fallbackUrl?: string, activatesAt?: date, expiresAt?: date, maxClicks?: number }
  */
-router.post('/shorten', validateShortenUrl, shortenUrl);
+router.post('/shorten', authenticateShorten, rateLimit('shorten'), validateShortenUrl, shortenUrl);
 
 /**
- * @route   GET /api/:shortCode
- * @desc    Redirect to original URL
- * @access  Public
- * @params  shortCode - The short code or custom alias
+ * @route   POST /api/shorten/bulk
+ * @desc    Create many shortened URLs; large imports run as a background job
+ * @access  Public when ALLOW_ANONYMOUS_SHORTEN is enabled, otherwise API key
+ * @body    JSON array of /api/shorten bodies, or CSV (Content-Type: text/csv) with columns originalUrl,customAlias,expiresInDays
  */
-router.get('/:shortCode', validateShortCode, redirectUrl);
+router.post(
+  '/shorten/bulk',
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  authenticateShorten,
+  rateLimit('bulk'),
+  parseBulkRows,
+  rateLimit('bulk_rows', { cost: req => req.bulkRows.length }),
+  bulkShorten
+);
+
+/**
+ * @route   GET /api/shorten/bulk/:jobId
+ * @desc    Get the progress and per-row results of a bulk import job
+ * @access  Owner of the job (same access as POST /api/shorten/bulk)
+ * @params  jobId - Id returned when the import was queued
+ * @query   token - Token returned with an anonymous job (required without an API key)
+ */
+router.get('/shorten/bulk/:jobId', authenticateShorten, getBulkJob);
 
 /**
  * @route   GET /api/info/:shortCode
  * @desc    Get information about a short URL
- * @access  Public
+ * @access  Public (destinations of protected links only for their owner or an admin)
  * @params  shortCode - The short code or custom alias
+ * @query   domain - Branded domain the link belongs to (default: service domain)
  */
-router.get('/info/:shortCode', validateShortCode, getUrlInfo);
+router.get('/info/:shortCode', authenticate({ optional: true }), rateLimit('lookup'), validateShortCode, getUrlInfo);
 
 /**
- * @route   DELETE /api/:shortCode
- * @desc    Deactivate a short URL
- * @access  Public (should be protected in production)
+ * @route   GET /api/info/:shortCode/history
+ * @desc    Get the revision history of a short URL
+ * @access  API key (owner of the link or admin)
+ * @params  shortCode - The short code or custom alias
+ * @query   domain - Branded domain the link belongs to (default: service domain)
+ */
+router.get('/info/:shortCode/history', authenticate(), validateShortCode, getUrlHistory);
+
+/**
+ * @route   GET /api/qr/:shortCode
+ * @desc    Render the short URL as a QR code image
+ * @access  Public
  * @params  shortCode - The short code or custom alias
+ * @query   format (png, svg), size, ecLevel (L, M, Q, H), margin, foreground, background, domain
  */
-router.delete('/:shortCode', validateShortCode, deleteUrl);
+router.get('/qr/:shortCode', rateLimit('lookup'), validateShortCode, validateQrCodeQuery, getQrCode);
 
 /**
  * @route   GET /api/urls
- * @desc    Get all URLs with pagination
- * @access  Public (should be protected in production)
- * @query   page, limit, sortBy, order
+ * @desc    Get the caller's URLs with pagination, filters and search (admin sees all)
+ * @access  API key
+ * @query   page | after (cursor), limit, sortBy, order, fields, includeTotal, q, tag, folder, domain, owner (admin), status, createdFrom, createdTo
  */
-router.get('/urls', getAllUrls);
+router.get('/urls', authenticate(), validateListUrls, getAllUrls);
+
+/**
+ * @route   GET /api/links/broken
+ * @desc    Get the caller's active links whose destination is failing health checks (admin sees all)
+ * @access  API key
+ * @query   page, limit, owner (admin)
+ */
+router.get('/links/broken', authenticate(), validateBrokenLinks, getBrokenLinks);
 
 /**
  * @route   GET /api/health
@@ -62,4 +114,41 @@ router.get('/urls', getAllUrls);
  */
 router.get('/health', healthCheck);
 
+/**
+ * @route   DELETE /api/:shortCode
+ * @desc    Deactivate a short URL
+ * @access  API key (owner of the link or admin)
+ * @params  shortCode - The short code or custom alias
+ * @query   domain - Branded domain the link belongs to (default: service domain)
+ */
+router.delete('/:shortCode', authenticate(), validateShortCode, deleteUrl);
+
+/**
+ * @route   PATCH /api/:shortCode
+ * @desc    Edit a short URL (destination, expiry, status or alias)
+ * @access  API key (owner of the link or admin)
+ * @params  shortCode - The short code or custom alias
+ * @body    { originalUrl?: string, expiresAt?: date|null, isActive?: boolean, customAlias?: string|null, redirectType?: number|null, password?: string|null, targetingRules?: Array, variants?: Array, stickyVariants?: boolean, tags?: string[], folder?: string|null, title?: string|null, notes?: string|null, fallbackUrl?: string|null, activatesAt?: date|null, maxClicks?: number|null }
+ * @query   domain - Branded domain the link belongs to (default: service domain)
+ */
+router.patch('/:shortCode', authenticate(), validateShortCode, validateUpdateUrl, updateUrl);
+
+/**
+ * @route   POST /api/:shortCode/unlock
+ * @desc    Unlock a password-protected short URL and redirect
+ * @access  Public (wrong attempts are rate limited per IP)
+ * @params  shortCode - The short code or custom alias
+ * @body    { password: string } (form or JSON)
+ */
+router.post('/:shortCode/unlock', validateShortCode, validateUnlockUrl, unlockUrl);
+
+/**
+ * @route   GET /api/:shortCode
+ * @desc    Redirect to original URL (branded domains are resolved from the Host header)
+ * @access  Public
+ * @params  shortCode - The short code or custom alias
+ * @note    Registered last so it does not shadow the static routes above
+ */
+router.get('/:shortCode', rateLimit('redirect'), validateShortCode, redirectUrl);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,77 @@
+// src/routes/webhookRoutes.js - Webhook subscription routes
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+} = require('../controllers/webhookController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookDeliveries,
+  validateListWebhooks
+} = require('../middleware/validation');
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe an endpoint to link and click events (the response holds the signing secret)
+ * @access  API key
+ * @body    { url: string, events?: string[], description?: string }
+ */
+router.post('/', authenticate(), validateCreateWebhook, createWebhook);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions (admin: all or ?owner=, others: own subscriptions)
+ * @access  API key
+ */
+router.get('/', authenticate(), validateListWebhooks, listWebhooks);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook subscription
+ * @access  API key (owner of the subscription or admin)
+ */
+router.get('/:id', authenticate(), getWebhook);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Edit, pause or resume a subscription, or rotate its secret
+ * @access  API key (owner of the subscription or admin)
+ * @body    { url?: string, events?: string[], description?: string|null, isActive?: boolean, rotateSecret?: boolean }
+ */
+router.patch('/:id', authenticate(), validateUpdateWebhook, updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Remove a subscription and its delivery log
+ * @access  API key (owner of the subscription or admin)
+ */
+router.delete('/:id', authenticate(), deleteWebhook);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log, newest first
+ * @access  API key (owner of the subscription or admin)
+ * @query   status?: 'pending'|'delivered'|'dead', event?: string, page?: number, limit?: number
+ */
+router.get('/:id/deliveries', authenticate(), validateWebhookDeliveries, getWebhookDeliveries);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ * @desc    Queue a dead-lettered delivery again
+ * @access  API key (owner of the subscription or admin)
+ */
+router.post('/:id/deliveries/:deliveryId/retry', authenticate(), retryWebhookDelivery);
+
+module.exports = router;
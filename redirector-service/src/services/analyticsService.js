@@ -143,6 +143,7 @@ const trackClicksBatch = async (clicksData) => {
     console.error('Batch tracking failed:', error.message);
     return {
       success: false,
+      status: error.response?.status || null,
       error: error.message
     };
   }
@@ -174,6 +175,31 @@ const getTopUrls = async (limit = 10, period = 'all') => {
   }
 };
 
+/**
+ * Delete all analytics for a short code
+ * Used when a link is purged for good.
+ * @param {string} shortCode - The short code
+ * @returns {Promise<Object>} Result with success status
+ */
+const deleteAnalytics = async (shortCode) => {
+  try {
+    const response = await analyticsClient.delete(`/api/analytics/${encodeURIComponent(shortCode)}`);
+
+    return {
+      success: true,
+      data: response.data
+    };
+
+  } catch (error) {
+    console.error(`Error deleting analytics for ${shortCode}:`, error.message);
+    return {
+      success: false,
+      status: error.response?.status,
+      error: error.response?.data?.message || error.message
+    };
+  }
+};
+
 /**
  * Helper function to determine if error is retryable
  * @param {Error} error - The error object
@@ -250,6 +276,7 @@ module.exports = {
   checkHealth,
   trackClicksBatch,
   getTopUrls,
+  deleteAnalytics,
   initialize,
   analyticsClient
 };
\ No newline at end of file
@@ -0,0 +1,218 @@
+// src/services/bulkImporter.js - Creates many short URLs from one request
+const crypto = require('crypto');
+const BulkImportJob = require('../models/BulkImportJob');
+const { shortenUrlSchema } = require('../middleware/validation');
+const { createShortUrl } = require('./urlCreation');
+
+// Requests up to this size are answered inline, larger ones become a job
+const SYNC_MAX_ROWS = parseInt(process.env.BULK_SYNC_MAX_ROWS, 10) || 100;
+const MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS, 10) || 5000;
+
+// Job progress is written to MongoDB after every chunk of rows
+const PROGRESS_CHUNK_SIZE = 50;
+
+// A job without progress for this long has lost the process that ran it
+const STALE_JOB_MS = parseInt(process.env.BULK_JOB_STALE_MS, 10) || 10 * 60 * 1000;
+
+// Columns accepted in CSV uploads, in their default order
+const CSV_COLUMNS = ['originalUrl', 'customAlias', 'expiresInDays', 'codeStrategy'];
+
+// Jobs running in this process (awaited on shutdown)
+const runningJobs = new Set();
+
+/**
+ * Turn a creation error into row errors
+ * @param {Error} error
+ * @returns {Array<Object>} [{ field, message }]
+ */
+function describeError(error) {
+  if (error.name === 'ValidationError' && error.errors) {
+    return Object.values(error.errors).map(e => ({ field: e.path, message: e.message }));
+  }
+  if (error.code === 11000) {
+    return [{ field: 'customAlias', message: 'Custom alias is already taken' }];
+  }
+  if (/^(Custom|This custom code)/.test(error.message)) {
+    return [{ field: 'customAlias', message: error.message }];
+  }
+  if (error.message.startsWith('Domain ')) {
+    return [{ field: 'domain', message: error.message }];
+  }
+  if (error.message.startsWith('Destination ')) {
+    return [{ field: error.field, message: error.message }];
+  }
+  return [{ field: null, message: error.message }];
+}
+
+/**
+ * Validate and create one row
+ * Never throws: problems are reported in the row result.
+ * @param {*} row - Raw row from the request
+ * @param {number} index - 0-based row position
+ * @param {string} createdBy - Owner id
+ * @returns {Promise<Object>} Row result
+ */
+async function importRow(row, index, createdBy) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return {
+      row: index + 1,
+      status: 'error',
+      errors: [{ field: null, message: 'Each link must be an object' }]
+    };
+  }
+
+  const { error, value } = shortenUrlSchema.validate(row, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return {
+      row: index + 1,
+      status: 'error',
+      originalUrl: typeof row.originalUrl === 'string' ? row.originalUrl : undefined,
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.') || null,
+        message: detail.message
+      }))
+    };
+  }
+
+  try {
+    const { url, isExisting } = await createShortUrl(value, createdBy);
+    return {
+      row: index + 1,
+      status: isExisting ? 'existing' : 'created',
+      shortCode: url.shortCode,
+      shortUrl: url.shortUrl,
+      originalUrl: url.originalUrl
+    };
+  } catch (err) {
+    return {
+      row: index + 1,
+      status: 'error',
+      originalUrl: value.originalUrl,
+      errors: describeError(err)
+    };
+  }
+}
+
+/**
+ * Import rows one after another
+ * Rows run in order so a repeated alias in the same batch fails on its second use.
+ * @param {Array} rows - Raw rows
+ * @param {string} createdBy - Owner id
+ * @param {number} offset - Index of the first row (for job chunks)
+ * @returns {Promise<Array<Object>>} Row results
+ */
+async function importRows(rows, createdBy, offset = 0) {
+  const results = [];
+  for (let i = 0; i < rows.length; i++) {
+    results.push(await importRow(rows[i], offset + i, createdBy));
+  }
+  return results;
+}
+
+/**
+ * Count row outcomes
+ * @param {Array<Object>} results
+ * @returns {Object} { total, created, existing, failed }
+ */
+function summarize(results) {
+  return {
+    total: results.length,
+    created: results.filter(r => r.status === 'created').length,
+    existing: results.filter(r => r.status === 'existing').length,
+    failed: results.filter(r => r.status === 'error').length
+  };
+}
+
+/**
+ * Work through a job's rows, saving progress after every chunk
+ * @param {Object} job - BulkImportJob document
+ * @param {Array} rows - Raw rows
+ */
+async function runJob(job, rows) {
+  try {
+    await BulkImportJob.updateOne({ _id: job._id }, { status: 'running', startedAt: new Date() });
+
+    for (let offset = 0; offset < rows.length; offset += PROGRESS_CHUNK_SIZE) {
+      const chunk = rows.slice(offset, offset + PROGRESS_CHUNK_SIZE);
+      const results = await importRows(chunk, job.createdBy, offset);
+      await job.recordResults(results);
+    }
+
+    await BulkImportJob.updateOne({ _id: job._id }, { status: 'completed', completedAt: new Date() });
+  } catch (error) {
+    console.error(`Bulk import job ${job._id} failed:`, error.message);
+    await BulkImportJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, completedAt: new Date() }
+    ).catch(() => {});
+  }
+}
+
+/**
+ * Queue rows as a background job
+ * Anonymous callers share one owner, so their job is read back with a token
+ * that only its creator gets (shown once, stored as a hash).
+ * @param {Array} rows - Raw rows
+ * @param {string} createdBy - Owner id
+ * @returns {Promise<Object>} { job, token } with token null for API key owners
+ */
+async function startJob(rows, createdBy) {
+  const token = createdBy === 'anonymous' ? crypto.randomBytes(24).toString('base64url') : null;
+  const job = await BulkImportJob.create({
+    total: rows.length,
+    createdBy,
+    tokenHash: token && BulkImportJob.hashToken(token)
+  });
+
+  const running = runJob(job, rows).finally(() => runningJobs.delete(running));
+  runningJobs.add(running);
+
+  return { job, token };
+}
+
+/**
+ * Mark jobs whose process went away (restart or crash) as failed
+ * A job's rows live only in the process running it, so an orphaned job can't
+ * be resumed; without this it would stay queued or running forever. Jobs
+ * still running elsewhere save progress (and updatedAt) after every chunk.
+ * @param {Object} filter - Narrows the jobs checked (e.g. { _id })
+ * @returns {Promise<number>} Jobs marked failed
+ */
+async function failStaleJobs(filter = {}) {
+  const { modifiedCount } = await BulkImportJob.updateMany(
+    {
+      ...filter,
+      status: { $in: ['queued', 'running'] },
+      updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) }
+    },
+    {
+      status: 'failed',
+      error: 'The import was interrupted; rows after the processed ones were not imported',
+      completedAt: new Date()
+    }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Wait for jobs running in this process to finish
+ */
+async function drain() {
+  await Promise.all([...runningJobs]);
+}
+
+module.exports = {
+  importRow,
+  importRows,
+  summarize,
+  startJob,
+  failStaleJobs,
+  drain,
+  CSV_COLUMNS,
+  SYNC_MAX_ROWS,
+  MAX_ROWS
+};
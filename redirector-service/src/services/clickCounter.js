@@ -0,0 +1,100 @@
+// src/services/clickCounter.js - Coalesces click count increments into bulk $inc writes
+const Url = require('../models/Url');
+
+// Flush configuration
+const FLUSH_INTERVAL_MS = parseInt(process.env.CLICK_COUNT_FLUSH_INTERVAL_MS, 10) || 5000;
+
+// Url id -> clicks not yet written
+let pending = new Map();
+let timer = null;
+
+/**
+ * Count a click for a link (written on the next flush)
+ * @param {Object} url - Url document
+ */
+const increment = (url) => {
+  const id = url._id.toString();
+  pending.set(id, (pending.get(id) || 0) + 1);
+};
+
+/**
+ * Count a click for a link with a click cap, atomically
+ * Capped links can't wait for the next flush - the count decides whether
+ * the visitor is still let through.
+ * @param {Object} url - Url document with maxClicks
+ * @returns {Promise<boolean>} False when the cap was already reached
+ */
+const claim = async (url) => {
+  const result = await Url.updateOne(
+    { _id: url._id, $expr: { $lt: ['$clickCount', '$maxClicks'] } },
+    { $inc: { clickCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Write all pending increments with a single bulkWrite
+ * Failed increments are merged back so they are retried on the next flush.
+ * @returns {Promise<number>} Number of links updated
+ */
+const flush = async () => {
+  if (pending.size === 0) return 0;
+
+  const batch = pending;
+  pending = new Map();
+
+  const operations = Array.from(batch, ([id, count]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { clickCount: count } }
+    }
+  }));
+
+  try {
+    await Url.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  } catch (error) {
+    console.error('Failed to flush click counts:', error.message);
+    for (const [id, count] of batch) {
+      pending.set(id, (pending.get(id) || 0) + count);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Start periodic flushing
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(flush, FLUSH_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for the counter
+};
+
+/**
+ * Stop periodic flushing and write what is left
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  await flush();
+};
+
+/**
+ * Number of links with unwritten clicks
+ * @returns {number}
+ */
+const getPendingCount = () => pending.size;
+
+module.exports = {
+  increment,
+  claim,
+  flush,
+  start,
+  stop,
+  getPendingCount
+};
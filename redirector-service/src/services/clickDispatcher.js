@@ -0,0 +1,162 @@
+// src/services/clickDispatcher.js - Drains the click outbox to analytics-service
+const crypto = require('crypto');
+const ClickOutbox = require('../models/ClickOutbox');
+const analyticsService = require('./analyticsService');
+
+// Dispatcher configuration
+const INTERVAL_MS = parseInt(process.env.CLICK_DISPATCH_INTERVAL_MS, 10) || 2000;
+const BATCH_SIZE = Math.min(parseInt(process.env.CLICK_DISPATCH_BATCH_SIZE, 10) || 500, 1000); // analytics accepts 1000 max
+const LOCK_MS = 30000; // Claim expires if a replica dies mid-batch
+const MAX_BACKOFF_MS = 5 * 60 * 1000; // 5 minutes
+
+let timer = null;
+let draining = null;
+
+/**
+ * Backoff before the next attempt for an event
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(1000 * Math.pow(2, attempts), MAX_BACKOFF_MS);
+}
+
+/**
+ * Claim a batch of due events so other replicas skip them
+ * @returns {Promise<Object>} { batchId, events }
+ */
+async function claimBatch() {
+  const now = new Date();
+  const batchId = crypto.randomUUID();
+
+  const candidates = await ClickOutbox.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  if (candidates.length === 0) {
+    return { batchId, events: [] };
+  }
+
+  // Conditional update: only rows still unclaimed become ours
+  await ClickOutbox.updateMany(
+    {
+      _id: { $in: candidates.map(c => c._id) },
+      status: 'pending',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { lockedBy: batchId, lockedUntil: new Date(now.getTime() + LOCK_MS) } }
+  );
+
+  const events = await ClickOutbox.find({ lockedBy: batchId }).sort({ nextAttemptAt: 1 });
+  return { batchId, events };
+}
+
+/**
+ * Deliver one batch from the outbox
+ * @returns {Promise<Object>} { claimed, delivered }
+ */
+async function dispatchBatch() {
+  const { batchId, events } = await claimBatch();
+  if (events.length === 0) {
+    return { claimed: 0, delivered: 0 };
+  }
+
+  // The outbox id travels as the event id, so analytics drops a batch it
+  // already stored when a timed-out request is sent again
+  const result = await analyticsService.trackClicksBatch(events.map(e => ({ ...e.payload, eventId: e._id.toString() })));
+  const acknowledged = result.success && result.data?.data?.tracked === events.length;
+
+  if (acknowledged) {
+    await ClickOutbox.updateMany(
+      { lockedBy: batchId },
+      { $set: { status: 'delivered', deliveredAt: new Date(), lockedBy: null, lockedUntil: null, lastError: null } }
+    );
+    return { claimed: events.length, delivered: events.length };
+  }
+
+  // A 4xx means analytics will never accept these events; park them for inspection
+  const rejected = result.status >= 400 && result.status < 500;
+  const lastError = result.error || 'Batch not acknowledged';
+
+  await Promise.all(events.map(event => ClickOutbox.updateOne(
+    { _id: event._id, lockedBy: batchId },
+    {
+      $set: {
+        status: rejected ? 'failed' : 'pending',
+        nextAttemptAt: new Date(Date.now() + backoffDelay(event.attempts)),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError
+      },
+      $inc: { attempts: 1 }
+    }
+  )));
+
+  console.error(`Click dispatch failed for ${events.length} events: ${lastError}`);
+  return { claimed: events.length, delivered: 0 };
+}
+
+/**
+ * Drain the outbox until no full batch is left or a batch fails
+ * Concurrent calls share the same run.
+ * @returns {Promise<number>} Number of events delivered
+ */
+function drain() {
+  if (draining) return draining;
+
+  draining = (async () => {
+    let total = 0;
+    try {
+      for (;;) {
+        const { claimed, delivered } = await dispatchBatch();
+        total += delivered;
+        if (claimed < BATCH_SIZE || delivered < claimed) break;
+      }
+    } catch (error) {
+      console.error('Error draining click outbox:', error.message);
+    } finally {
+      draining = null;
+    }
+    return total;
+  })();
+
+  return draining;
+}
+
+/**
+ * Start the background dispatcher
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(drain, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for the dispatcher
+  console.log(`📨 Click dispatcher started (every ${INTERVAL_MS}ms, batch ${BATCH_SIZE})`);
+};
+
+/**
+ * Stop the background dispatcher and wait for an in-flight batch
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (draining) {
+    await draining;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  drain,
+  dispatchBatch,
+  backoffDelay
+};
@@ -0,0 +1,267 @@
+// src/services/destinationPolicy.js - Decides which destinations short links may point to
+const fs = require('fs/promises');
+const domainRegistry = require('./domainRegistry');
+const {
+  parseDestination,
+  parseDomainList,
+  matchDomain,
+  isPrivateHost,
+  parseThreatFeed
+} = require('../utils/destinations');
+
+// Threat feeds are local files, re-read when they change on disk
+const RELOAD_INTERVAL_MS = parseInt(process.env.THREAT_FEED_RELOAD_INTERVAL_MS, 10) || 60000;
+
+// Why a destination was refused, as shown to API clients
+const BLOCK_MESSAGES = {
+  invalid: 'is not a valid http(s) URL',
+  private_network: 'points to a private or local network address',
+  redirect_loop: 'points back to this URL shortener',
+  denylist: 'is on the deny list',
+  threat_feed: 'is listed in a threat feed'
+};
+
+let config = null;
+let feeds = new Map(); // path -> { mtimeMs, domains, urls, invalid, loadedAt, error }
+let threats = { domains: new Set(), urls: new Set() };
+let loading = null;
+let timer = null;
+
+/**
+ * Domain list from an environment variable
+ * @param {string} name - Variable name
+ * @returns {Set<string>}
+ * @throws {Error} "<name>: Invalid domain list entry: ..."
+ */
+function readDomainList(name) {
+  try {
+    return parseDomainList(process.env[name] || '');
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Policy configuration from the environment
+ * @returns {Object} { enabled, blockPrivate, deny, allow, feedPaths }
+ * @throws {Error} When a deny or allow list entry is not a domain or IP
+ */
+function getConfig() {
+  if (!config) {
+    config = {
+      enabled: process.env.DESTINATION_POLICY_ENABLED !== 'false',
+      blockPrivate: process.env.DESTINATION_BLOCK_PRIVATE !== 'false',
+      deny: readDomainList('DESTINATION_DENYLIST'),
+      allow: readDomainList('DESTINATION_ALLOWLIST'),
+      feedPaths: (process.env.THREAT_FEED_PATHS || '').split(',').map(p => p.trim()).filter(Boolean)
+    };
+  }
+  return config;
+}
+
+/**
+ * Read threat feeds that are new or changed since the last load
+ * A feed that can't be read keeps its last good entries.
+ * @returns {Promise<Object>} { feeds, domains, urls }
+ */
+async function loadFeeds() {
+  const { feedPaths } = getConfig();
+  const next = new Map();
+
+  for (const path of feedPaths) {
+    const previous = feeds.get(path);
+    try {
+      const { mtimeMs } = await fs.stat(path);
+      if (previous && !previous.error && previous.mtimeMs === mtimeMs) {
+        next.set(path, previous);
+        continue;
+      }
+
+      const { domains, urls, invalid } = parseThreatFeed(await fs.readFile(path, 'utf8'));
+      next.set(path, { mtimeMs, domains, urls, invalid, loadedAt: new Date(), error: null });
+      console.log(`Loaded threat feed ${path}: ${domains.size} domains, ${urls.size} URLs`);
+
+    } catch (error) {
+      console.error(`Failed to load threat feed ${path}:`, error.message);
+      next.set(path, {
+        mtimeMs: null,
+        domains: previous?.domains || new Set(),
+        urls: previous?.urls || new Set(),
+        invalid: previous?.invalid || 0,
+        loadedAt: previous?.loadedAt || null,
+        error: error.message
+      });
+    }
+  }
+
+  const merged = { domains: new Set(), urls: new Set() };
+  for (const feed of next.values()) {
+    feed.domains.forEach(domain => merged.domains.add(domain));
+    feed.urls.forEach(url => merged.urls.add(url));
+  }
+
+  feeds = next;
+  threats = merged;
+  return getStats();
+}
+
+/**
+ * Load the feeds once before the first check
+ * @returns {Promise<void>}
+ */
+function ensureFeeds() {
+  if (!loading) {
+    loading = loadFeeds();
+  }
+  return loading;
+}
+
+/**
+ * Decide whether a destination is allowed
+ * Order: malformed, private network, redirect loop, then the deny list and
+ * threat feeds (which the allow list overrides).
+ * @param {string} destination - Destination URL
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, reason, rule, message }
+ */
+async function evaluate(destination) {
+  const { enabled, blockPrivate, deny, allow } = getConfig();
+  if (!enabled) return { allowed: true };
+
+  const block = (reason, rule = null) => ({
+    allowed: false,
+    reason,
+    rule,
+    message: `Destination ${destination} ${BLOCK_MESSAGES[reason]}`
+  });
+
+  const parsed = parseDestination(destination);
+  if (!parsed) return block('invalid');
+  const { hostname, key } = parsed;
+
+  if (blockPrivate && isPrivateHost(hostname)) {
+    return block('private_network', hostname);
+  }
+
+  // A link to ourselves would redirect to another short link, or to itself
+  if (hostname === domainRegistry.getDefaultHostname() || await domainRegistry.resolveHost(hostname)) {
+    return block('redirect_loop', hostname);
+  }
+
+  if (matchDomain(hostname, allow)) return { allowed: true };
+
+  const denied = matchDomain(hostname, deny);
+  if (denied) return block('denylist', denied);
+
+  await ensureFeeds();
+  const listed = matchDomain(hostname, threats.domains) || (threats.urls.has(key) ? key : null);
+  if (listed) return block('threat_feed', listed);
+
+  return { allowed: true };
+}
+
+/**
+ * Every destination a link can send visitors to
+ * @param {Object} link - Url document or creation input (missing fields are skipped)
+ * @returns {Array<Object>} [{ field, destination }]
+ */
+function collectDestinations(link) {
+  const destinations = [];
+  if (link.originalUrl) {
+    destinations.push({ field: 'originalUrl', destination: link.originalUrl });
+  }
+  if (link.fallbackUrl) {
+    destinations.push({ field: 'fallbackUrl', destination: link.fallbackUrl });
+  }
+  (link.targetingRules || []).forEach((rule, i) => {
+    destinations.push({ field: `targetingRules.${i}.destination`, destination: rule.destination });
+  });
+  (link.variants || []).forEach((variant, i) => {
+    destinations.push({ field: `variants.${i}.destination`, destination: variant.destination });
+  });
+  return destinations;
+}
+
+/**
+ * Reject a link that sends visitors anywhere the policy does not allow
+ * @param {Object} link - Url document or creation input
+ * @throws {Error} "Destination ..." with field and reason set
+ */
+async function assertAllowed(link) {
+  for (const { field, destination } of collectDestinations(link)) {
+    const verdict = await evaluate(destination);
+    if (!verdict.allowed) {
+      const error = new Error(verdict.message);
+      error.field = field;
+      error.reason = verdict.reason;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Loaded threat feeds, for the health endpoint
+ * @returns {Object} { feeds: [{ path, domains, urls, invalid, loadedAt, error }], domains, urls }
+ */
+function getStats() {
+  return {
+    feeds: [...feeds.entries()].map(([path, feed]) => ({
+      path,
+      domains: feed.domains.size,
+      urls: feed.urls.size,
+      invalid: feed.invalid,
+      loadedAt: feed.loadedAt,
+      error: feed.error
+    })),
+    domains: threats.domains.size,
+    urls: threats.urls.size
+  };
+}
+
+/**
+ * Read the configuration, then load the threat feeds and keep them up to date
+ * Called at startup so a bad deny or allow list stops the service there
+ * instead of failing every shorten and redirect.
+ * @throws {Error} When a deny or allow list entry is not a domain or IP
+ */
+function start() {
+  const { feedPaths } = getConfig();
+  if (timer || feedPaths.length === 0) return;
+
+  ensureFeeds();
+  timer = setInterval(() => {
+    loading = loadFeeds();
+  }, RELOAD_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Stop watching the threat feeds
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Re-read configuration and feeds on next use (used by tests)
+ */
+function reset() {
+  stop();
+  config = null;
+  feeds = new Map();
+  threats = { domains: new Set(), urls: new Set() };
+  loading = null;
+}
+
+module.exports = {
+  evaluate,
+  assertAllowed,
+  collectDestinations,
+  loadFeeds,
+  getStats,
+  start,
+  stop,
+  reset
+};
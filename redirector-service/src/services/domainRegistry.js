@@ -0,0 +1,96 @@
+// src/services/domainRegistry.js - Maps request hosts to verified branded domains
+const LruCache = require('../utils/lruCache');
+const Domain = require('../models/Domain');
+
+// Host lookups happen on every redirect, so results are cached briefly
+const TTL_MS = parseInt(process.env.DOMAIN_CACHE_TTL_MS, 10) || 60000; // 1 minute
+
+const cache = new LruCache({ maxSize: 1000, ttlMs: TTL_MS });
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * Normalise a hostname (lowercase, no port, no trailing dot)
+ * @param {string} value - Hostname or Host header
+ * @returns {string|null} Hostname, or null when it is not a valid hostname
+ */
+function normalizeHostname(value) {
+  if (typeof value !== 'string') return null;
+
+  const hostname = value.trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  return HOSTNAME_PATTERN.test(hostname) ? hostname : null;
+}
+
+/**
+ * Hostname of BASE_URL - links on it have no branded domain
+ * @returns {string|null}
+ */
+function getDefaultHostname() {
+  try {
+    return new URL(process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a request host to a verified branded domain
+ * @param {string} host - Hostname from the request
+ * @returns {Promise<string|null>} Branded hostname, or null for the default domain
+ */
+async function resolveHost(host) {
+  const hostname = normalizeHostname(host);
+  if (!hostname || hostname === getDefaultHostname()) return null;
+
+  const cached = cache.get(hostname);
+  if (cached !== undefined) return cached;
+
+  const domain = await Domain.findVerified(hostname);
+  const resolved = domain ? domain.hostname : null;
+  cache.set(hostname, resolved);
+  return resolved;
+}
+
+/**
+ * Work out which domain a request is about
+ * Short links are resolved by Host header. Management endpoints are called on
+ * the API host, so they may name the domain with ?domain= instead.
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {boolean} options.allowOverride - Honour the domain query parameter
+ * @returns {Promise<string|null>} Branded hostname, or null for the default domain
+ */
+async function resolveRequestDomain(req, { allowOverride = false } = {}) {
+  if (allowOverride && req.query.domain) {
+    const hostname = normalizeHostname(req.query.domain);
+    if (hostname === getDefaultHostname()) return null;
+    // An invalid name must not fall back to the default domain - it matches nothing
+    return hostname || String(req.query.domain).toLowerCase();
+  }
+  return resolveHost(req.hostname);
+}
+
+/**
+ * Forget a cached host (after verification or removal)
+ * @param {string} hostname
+ */
+function invalidate(hostname) {
+  const normalized = normalizeHostname(hostname);
+  if (normalized) cache.delete(normalized);
+}
+
+/**
+ * Remove every cached host (used by tests)
+ */
+function clear() {
+  cache.clear();
+}
+
+module.exports = {
+  normalizeHostname,
+  getDefaultHostname,
+  resolveHost,
+  resolveRequestDomain,
+  invalidate,
+  clear
+};
@@ -0,0 +1,205 @@
+// src/services/expirySweeper.js - Switches off expired links and purges long-inactive ones
+const crypto = require('crypto');
+const os = require('os');
+const Url = require('../models/Url');
+const UrlRevision = require('../models/UrlRevision');
+const SchedulerLock = require('../models/SchedulerLock');
+const urlCache = require('./urlCache');
+const analyticsService = require('./analyticsService');
+const webhookEvents = require('./webhookEvents');
+
+// Sweeper configuration
+const INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.EXPIRY_PURGE_BATCH_SIZE, 10) || 100;
+const LOCK_NAME = 'expirySweeper';
+const LOCK_TTL_MS = INTERVAL_MS * 2; // A dead leader is replaced after at most two intervals
+
+// Identifies this replica in the lock document
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let timer = null;
+let running = null;
+let holdsLock = false;
+
+/**
+ * Days a switched-off link is kept before it is purged (LINK_RETENTION_DAYS)
+ * Purging deletes links and their analytics for good, so it is opt-in.
+ * @returns {number} 0 keeps inactive links forever
+ */
+function getRetentionDays() {
+  const configured = parseInt(process.env.LINK_RETENTION_DAYS, 10);
+  return configured > 0 ? configured : 0;
+}
+
+/**
+ * Switch off links past their expiry, one batch at a time
+ * Each batch is marked inactive by _id and announced before the next one is
+ * read, so the backlog after a long outage never has to fit in memory.
+ * @returns {Promise<number>} Links deactivated
+ */
+async function deactivateExpired() {
+  let deactivated = 0;
+
+  for (;;) {
+    const now = new Date();
+    const expired = { isActive: true, expiresAt: { $lt: now } };
+    const batch = await Url.find(expired).sort({ expiresAt: 1 }).limit(BATCH_SIZE).select('_id');
+    if (batch.length === 0) break;
+
+    // Conditional update: a link extended meanwhile stays active
+    const ids = batch.map(url => url._id);
+    const { modifiedCount } = await Url.updateMany(
+      { _id: { $in: ids }, ...expired },
+      { isActive: false, deactivatedAt: now }
+    );
+    deactivated += modifiedCount;
+
+    // Subscribers are told about the links this batch switched off
+    const links = await Url.find({ _id: { $in: ids }, isActive: false, deactivatedAt: now });
+    await Promise.all(links.map(url => webhookEvents.emit('link.expired', url)));
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  return deactivated;
+}
+
+/**
+ * Purge one link together with its edit history and analytics
+ * Analytics go first: if the analytics service is down the link stays and
+ * the next sweep tries again.
+ * @param {Object} url - Url document
+ * @param {Date} cutoff - Links deactivated after this are kept
+ * @returns {Promise<boolean>} Whether the link was purged
+ */
+async function purgeLink(url, cutoff) {
+  // Analytics are keyed by short code alone, so they stay while another
+  // domain still has a link with the same code
+  const shared = await Url.exists({ _id: { $ne: url._id }, shortCode: url.shortCode });
+
+  if (!shared) {
+    const result = await analyticsService.deleteAnalytics(url.shortCode);
+    if (!result.success && result.status !== 404) {
+      return false;
+    }
+  }
+
+  // Conditional delete: a link switched back on meanwhile is left alone
+  const { deletedCount } = await Url.deleteOne({ _id: url._id, ...Url.purgeableFilter(cutoff) });
+  if (deletedCount === 0) return false;
+
+  await UrlRevision.deleteMany({ url: url._id });
+  urlCache.invalidate(url);
+  return true;
+}
+
+/**
+ * Hard-delete links that have been inactive for longer than LINK_RETENTION_DAYS
+ * @returns {Promise<Object>} { purged, failed }
+ */
+async function purgeInactive() {
+  const totals = { purged: 0, failed: 0 };
+  const retentionDays = getRetentionDays();
+  if (retentionDays === 0) return totals;
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const skipped = [];
+
+  for (;;) {
+    const links = await Url.find({ ...Url.purgeableFilter(cutoff), _id: { $nin: skipped } })
+      .sort({ deactivatedAt: 1 })
+      .limit(BATCH_SIZE)
+      .select('shortCode customAlias domain');
+
+    for (const url of links) {
+      try {
+        if (await purgeLink(url, cutoff)) {
+          totals.purged++;
+          continue;
+        }
+      } catch (error) {
+        console.error(`Failed to purge ${url.shortCode}:`, error.message);
+      }
+      totals.failed++;
+      skipped.push(url._id);
+    }
+
+    if (links.length < BATCH_SIZE) break;
+  }
+
+  return totals;
+}
+
+/**
+ * Run one sweep if this replica holds the lock
+ * Concurrent calls share the same run.
+ * @returns {Promise<Object>} { leader, deactivated, purged, failed }
+ */
+function runOnce() {
+  if (running) return running;
+
+  running = (async () => {
+    const totals = { leader: false, deactivated: 0, purged: 0, failed: 0 };
+    try {
+      totals.leader = await SchedulerLock.acquire(LOCK_NAME, instanceId, LOCK_TTL_MS);
+      holdsLock = totals.leader;
+      if (!totals.leader) return totals;
+
+      totals.deactivated = await deactivateExpired();
+      Object.assign(totals, await purgeInactive());
+
+      if (totals.deactivated || totals.purged || totals.failed) {
+        console.log(`🧹 Expiry sweep: ${totals.deactivated} expired, ${totals.purged} purged, ${totals.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error running expiry sweep:', error.message);
+    } finally {
+      running = null;
+    }
+    return totals;
+  })();
+
+  return running;
+}
+
+/**
+ * Start the background sweeper
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for the sweeper
+  const retentionDays = getRetentionDays();
+  console.log(`🧹 Expiry sweeper started (every ${INTERVAL_MS}ms, retention ${retentionDays > 0 ? `${retentionDays} days` : 'forever'})`);
+};
+
+/**
+ * Stop the background sweeper, wait for an in-flight run and hand the lock back
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+  if (holdsLock) {
+    holdsLock = false;
+    await SchedulerLock.release(LOCK_NAME, instanceId).catch(error => {
+      console.error('Failed to release expiry sweeper lock:', error.message);
+    });
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  deactivateExpired,
+  purgeInactive,
+  instanceId,
+  getRetentionDays
+};
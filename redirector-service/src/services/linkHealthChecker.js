@@ -0,0 +1,189 @@
+// src/services/linkHealthChecker.js - Periodically checks that link destinations respond
+const crypto = require('crypto');
+const Url = require('../models/Url');
+const urlCache = require('./urlCache');
+const { probe } = require('../utils/linkProbe');
+
+// Checker configuration
+const INTERVAL_MS = parseInt(process.env.LINK_HEALTH_RUN_INTERVAL_MS, 10) || 60000; // How often due links are picked up
+const RECHECK_MS = parseInt(process.env.LINK_HEALTH_RECHECK_MS, 10) || 6 * 60 * 60 * 1000; // Healthy links: every 6 hours
+const BATCH_SIZE = parseInt(process.env.LINK_HEALTH_BATCH_SIZE, 10) || 50;
+const CONCURRENCY = parseInt(process.env.LINK_HEALTH_CONCURRENCY, 10) || 5;
+const FAILURE_THRESHOLD = parseInt(process.env.LINK_HEALTH_FAILURE_THRESHOLD, 10) || 2; // Failures before a link counts as broken
+const RETRY_BASE_MS = 60000; // First retry after a failure
+const CLAIM_MS = 5 * 60 * 1000; // Claim expires if a replica dies mid-run
+
+let timer = null;
+let running = null;
+
+/**
+ * Delay before checking a failing link again
+ * @param {number} failures - Consecutive failures so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(failures) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(failures - 1, 0)), RECHECK_MS);
+}
+
+/**
+ * Claim a batch of active links that are due for a check
+ * @returns {Promise<Array>} Claimed links
+ */
+async function claimBatch() {
+  const now = new Date();
+  const runId = crypto.randomUUID();
+  const due = { $or: [{ 'health.nextCheckAt': null }, { 'health.nextCheckAt': { $lte: now } }] };
+
+  const candidates = await Url.find({ isActive: true, ...due })
+    .sort({ 'health.nextCheckAt': 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  if (candidates.length === 0) return [];
+
+  // Conditional update: pushing nextCheckAt forward hides the links from other replicas
+  await Url.updateMany(
+    { _id: { $in: candidates.map(c => c._id) }, ...due },
+    { $set: { 'health.nextCheckAt': new Date(now.getTime() + CLAIM_MS), 'health.claimedBy': runId } }
+  );
+
+  return Url.find({ 'health.claimedBy': runId }).select('originalUrl shortCode customAlias domain health');
+}
+
+/**
+ * Check one link and store the outcome
+ * The outcome is dropped if the destination was edited during the probe: the
+ * edit reset the link's health, and the new destination gets its own check.
+ * @param {Object} url - Url document
+ * @returns {Promise<Object>} Probe result, with status null when dropped
+ */
+async function checkLink(url) {
+  const result = await probe(url.originalUrl);
+  const failures = result.ok ? 0 : (url.health?.consecutiveFailures || 0) + 1;
+  const previousStatus = url.health?.status;
+
+  let status = 'healthy';
+  if (!result.ok) {
+    // A single failure keeps the previous verdict; flaky hosts are not flagged at once
+    status = failures >= FAILURE_THRESHOLD ? 'broken' : (previousStatus || 'unknown');
+  }
+
+  const now = new Date();
+  const { matchedCount } = await Url.updateOne(
+    { _id: url._id, originalUrl: url.originalUrl },
+    {
+      $set: {
+        health: {
+          status,
+          statusCode: result.statusCode,
+          latencyMs: result.latencyMs,
+          redirectChain: result.redirectChain,
+          error: result.error,
+          consecutiveFailures: failures,
+          checkedAt: now,
+          nextCheckAt: new Date(now.getTime() + (result.ok ? RECHECK_MS : backoffDelay(failures))),
+          claimedBy: null
+        }
+      }
+    }
+  );
+  if (matchedCount === 0) {
+    return { ...result, status: null };
+  }
+
+  // Redirects read the verdict from the cache, so drop stale copies
+  if (status !== previousStatus) {
+    urlCache.invalidate(url);
+  }
+
+  return { ...result, status };
+}
+
+/**
+ * Run checks with at most CONCURRENCY requests in flight
+ * @param {Array} links - Url documents
+ * @returns {Promise<number>} Number of broken links found
+ */
+async function checkAll(links) {
+  let index = 0;
+  let broken = 0;
+
+  const worker = async () => {
+    while (index < links.length) {
+      const url = links[index++];
+      try {
+        const { status } = await checkLink(url);
+        if (status === 'broken') broken++;
+      } catch (error) {
+        console.error(`Health check failed for ${url.shortCode}:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, links.length) }, worker));
+  return broken;
+}
+
+/**
+ * Check every due link, one batch at a time
+ * Concurrent calls share the same run.
+ * @returns {Promise<Object>} { checked, broken }
+ */
+function runOnce() {
+  if (running) return running;
+
+  running = (async () => {
+    const totals = { checked: 0, broken: 0 };
+    try {
+      for (;;) {
+        const links = await claimBatch();
+        if (links.length === 0) break;
+
+        totals.broken += await checkAll(links);
+        totals.checked += links.length;
+        if (links.length < BATCH_SIZE) break;
+      }
+    } catch (error) {
+      console.error('Error running link health checks:', error.message);
+    } finally {
+      running = null;
+    }
+    return totals;
+  })();
+
+  return running;
+}
+
+/**
+ * Start the background checker
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for the checker
+  console.log(`🩺 Link health checker started (every ${INTERVAL_MS}ms, concurrency ${CONCURRENCY})`);
+};
+
+/**
+ * Stop the background checker and wait for an in-flight run
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  checkLink,
+  backoffDelay,
+  FAILURE_THRESHOLD
+};
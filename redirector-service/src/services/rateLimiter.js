@@ -0,0 +1,307 @@
+// src/services/rateLimiter.js - Per-route rate limit policies and their stores
+const LruCache = require('../utils/lruCache');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const {
+  parsePolicy,
+  slidingWindow,
+  slidingWindowResult,
+  tokenBucket,
+  tokenBucketResult,
+  parseAllowlist
+} = require('../utils/rateLimit');
+
+/**
+ * Built-in route limits, overridable with RATE_LIMIT_<ROUTE>_IP,
+ * RATE_LIMIT_<ROUTE>_KEY and RATE_LIMIT_<ROUTE>_ALGORITHM.
+ * ip applies to requests without an API key, key to each API key.
+ * bulk_rows counts the links of bulk imports, at the same hourly rate as shorten.
+ */
+const ROUTE_DEFAULTS = {
+  shorten: { algorithm: 'sliding', ip: '30/1m', key: '300/1m' },
+  bulk: { algorithm: 'sliding', ip: '5/1m', key: '30/1m' },
+  bulk_rows: { algorithm: 'sliding', ip: '1800/1h', key: '18000/1h' },
+  redirect: { algorithm: 'token', ip: '300/1m', key: null },
+  lookup: { algorithm: 'sliding', ip: '120/1m', key: null }
+};
+
+const MEMORY_MAX_KEYS = parseInt(process.env.RATE_LIMIT_MEMORY_MAX_KEYS, 10) || 100000;
+
+/**
+ * Keeps counters in this process (each replica limits on its own)
+ */
+class MemoryStore {
+  constructor({ maxSize = MEMORY_MAX_KEYS } = {}) {
+    this.states = new LruCache({ maxSize });
+  }
+
+  async hit(key, policy, now = Date.now(), cost = 1) {
+    const algorithm = policy.algorithm === 'token' ? tokenBucket : slidingWindow;
+    const { state, result } = algorithm(this.states.get(key), policy, now, cost);
+    // State older than two windows no longer affects any verdict
+    this.states.set(key, state, policy.windowMs * 2);
+    return result;
+  }
+
+  async release(key, policy, now = Date.now()) {
+    const state = this.states.get(key);
+    if (!state) return;
+
+    if (policy.algorithm === 'token') {
+      state.tokens = Math.min(policy.limit, state.tokens + 1);
+    } else if (state.windowStart === Math.floor(now / policy.windowMs) * policy.windowMs && state.current > 0) {
+      state.current--;
+    }
+  }
+
+  async reset() {
+    this.states.clear();
+  }
+}
+
+/**
+ * Keeps counters in MongoDB so every replica enforces one shared limit
+ */
+class MongoStore {
+  async hit(key, policy, now = Date.now(), cost = 1) {
+    return withUpsertRetry(() => (policy.algorithm === 'token'
+      ? this.takeToken(key, policy, now, cost)
+      : this.countInWindow(key, policy, now, cost)));
+  }
+
+  async countInWindow(key, policy, now, cost) {
+    const { windowMs } = policy;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const id = `${key}:${windowStart}`;
+
+    const [current, previous] = await Promise.all([
+      RateLimitCounter.collection.findOneAndUpdate(
+        { _id: id },
+        { $inc: { count: cost }, $setOnInsert: { expireAt: new Date(windowStart + 2 * windowMs) } },
+        { upsert: true, returnDocument: 'after' }
+      ),
+      RateLimitCounter.collection.findOne({ _id: `${key}:${windowStart - windowMs}` }, { projection: { count: 1 } })
+    ]);
+
+    const result = slidingWindowResult({ current: current.count - cost, previous: previous?.count || 0 }, policy, now, cost);
+    if (!result.allowed) {
+      // Refused requests don't use up the window
+      await RateLimitCounter.collection.updateOne({ _id: id }, { $inc: { count: -cost } });
+    }
+    return result;
+  }
+
+  async takeToken(key, policy, now, cost) {
+    const { limit, windowMs } = policy;
+    const rate = limit / windowMs;
+
+    // Refill, check and charge in one atomic pipeline update
+    const bucket = await RateLimitCounter.collection.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [limit, {
+                $add: [
+                  { $ifNull: ['$tokens', limit] },
+                  { $multiply: [{ $max: [0, { $subtract: [now, { $ifNull: ['$refilledAt', now] }] }] }, rate] }
+                ]
+              }]
+            },
+            refilledAt: now
+          }
+        },
+        { $set: { allowed: { $gte: ['$tokens', cost] } } },
+        {
+          $set: {
+            tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] },
+            expireAt: new Date(now + 2 * windowMs)
+          }
+        }
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    return tokenBucketResult(bucket.tokens, bucket.allowed, policy, cost);
+  }
+
+  async release(key, policy, now = Date.now()) {
+    if (policy.algorithm === 'token') {
+      await RateLimitCounter.collection.updateOne(
+        { _id: key },
+        [{ $set: { tokens: { $min: [policy.limit, { $add: ['$tokens', 1] }] } } }]
+      );
+      return;
+    }
+
+    const windowStart = Math.floor(now / policy.windowMs) * policy.windowMs;
+    await RateLimitCounter.collection.updateOne(
+      { _id: `${key}:${windowStart}`, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  async reset() {
+    await RateLimitCounter.deleteMany({});
+  }
+}
+
+/**
+ * Run an upsert again when a concurrent request created the same document first
+ * @param {Function} operation
+ * @returns {Promise<*>}
+ */
+async function withUpsertRetry(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return operation();
+  }
+}
+
+const storeFactories = new Map([
+  ['memory', () => new MemoryStore()],
+  ['mongo', () => new MongoStore()]
+]);
+
+let store = null;
+const routeOverrides = {};
+let routes = null;
+let allowlist = null;
+
+/**
+ * Add a store type selectable with RATE_LIMIT_STORE
+ * @param {string} name
+ * @param {Function} factory - Returns an object with hit(key, policy, now, cost), reset() and
+ *   optionally release(key, policy, now), which gives back a request counted at now
+ */
+function registerStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+/**
+ * The store in use (RATE_LIMIT_STORE, default memory)
+ * @returns {Object}
+ */
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+/**
+ * Replace the store (e.g. with a custom implementation)
+ * @param {Object|null} custom - null goes back to RATE_LIMIT_STORE
+ */
+function setStore(custom) {
+  store = custom;
+}
+
+/**
+ * Resolved policies for every route
+ * @returns {Object} route -> { ip, key } policies (null means unlimited)
+ */
+function getRoutes() {
+  if (!routes) {
+    routes = {};
+    const names = new Set([...Object.keys(ROUTE_DEFAULTS), ...Object.keys(routeOverrides)]);
+
+    for (const name of names) {
+      // configureRoute wins over the environment, which wins over the defaults
+      const config = { algorithm: 'sliding', ip: null, key: null, ...ROUTE_DEFAULTS[name] };
+      for (const field of ['algorithm', 'ip', 'key']) {
+        const fromEnv = process.env[`RATE_LIMIT_${name.toUpperCase()}_${field.toUpperCase()}`];
+        if (fromEnv !== undefined) config[field] = fromEnv;
+      }
+      Object.assign(config, routeOverrides[name]);
+
+      routes[name] = {
+        ip: parsePolicy(config.ip, config.algorithm),
+        key: parsePolicy(config.key, config.algorithm)
+      };
+    }
+  }
+  return routes;
+}
+
+/**
+ * Override a route's limits at runtime
+ * @param {string} name - Route name (shorten, bulk, redirect, lookup or a new one)
+ * @param {Object|null} config - { algorithm?, ip?, key? } as policy strings; null restores the defaults
+ */
+function configureRoute(name, config) {
+  if (config) {
+    routeOverrides[name] = config;
+  } else {
+    delete routeOverrides[name];
+  }
+  routes = null;
+}
+
+/**
+ * Callers that are never limited (RATE_LIMIT_ALLOWLIST)
+ * @returns {Object} { has(ip, keyId) }
+ */
+function getAllowlist() {
+  if (!allowlist) {
+    allowlist = parseAllowlist(process.env.RATE_LIMIT_ALLOWLIST || '');
+  }
+  return allowlist;
+}
+
+/**
+ * Decide whether a request may proceed
+ * @param {string} route - Route name
+ * @param {Object} caller - { ip, user } (user is req.user when authenticated)
+ * @param {number} cost - Requests this one counts as (e.g. rows of a bulk import)
+ * @returns {Promise<Object|null>} { policy, result }, or null when the caller is not limited
+ */
+async function check(route, { ip, user }, cost = 1) {
+  if (user?.isAdmin || getAllowlist().has(ip, user?.keyId)) return null;
+
+  const policies = getRoutes()[route];
+  if (!policies) {
+    throw new Error(`Unknown rate limit route: ${route}`);
+  }
+
+  // API keys get their own budget; anonymous callers share one per IP
+  const byKey = Boolean(user?.keyId && policies.key);
+  const policy = byKey ? policies.key : policies.ip;
+  if (!policy) return null;
+
+  const key = byKey ? `${route}:key:${user.keyId}` : `${route}:ip:${ip}`;
+  const result = await getStore().hit(key, policy, Date.now(), cost);
+  return { policy, result };
+}
+
+/**
+ * Forget all counters and cached configuration
+ * @returns {Promise<void>}
+ */
+async function reset() {
+  routes = null;
+  allowlist = null;
+  if (store) {
+    await store.reset();
+  }
+}
+
+module.exports = {
+  ROUTE_DEFAULTS,
+  MemoryStore,
+  MongoStore,
+  registerStore,
+  getStore,
+  setStore,
+  getRoutes,
+  configureRoute,
+  check,
+  reset
+};
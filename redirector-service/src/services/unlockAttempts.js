@@ -0,0 +1,56 @@
+// src/services/unlockAttempts.js - Limits unlock password attempts per IP
+const rateLimiter = require('./rateLimiter');
+
+// Limiter configuration
+const MAX_ATTEMPTS = parseInt(process.env.UNLOCK_MAX_ATTEMPTS, 10) || 5;
+const WINDOW_MS = parseInt(process.env.UNLOCK_WINDOW_MS, 10) || 15 * 60 * 1000; // 15 minutes
+
+const POLICY = { limit: MAX_ATTEMPTS, windowMs: WINDOW_MS, algorithm: 'sliding' };
+
+/**
+ * Counter key of an IP in the rate limit store
+ * @param {string} ip
+ * @returns {string}
+ */
+function keyFor(ip) {
+  return `unlock:ip:${ip}`;
+}
+
+/**
+ * Take one attempt from an IP's budget before its password is checked
+ * Counted up front in the shared rate limit store (RATE_LIMIT_STORE), so
+ * guesses sent in parallel or to other replicas use up the same budget.
+ * @param {string} ip
+ * @returns {Promise<Object>} { allowed, retryAfter, attemptsLeft, reservedAt } with retryAfter in seconds
+ */
+const reserve = async (ip) => {
+  const reservedAt = Date.now();
+  const result = await rateLimiter.getStore().hit(keyFor(ip), POLICY, reservedAt);
+  return {
+    allowed: result.allowed,
+    retryAfter: Math.ceil(result.retryAfterMs / 1000),
+    attemptsLeft: result.remaining,
+    reservedAt
+  };
+};
+
+/**
+ * Give back the attempt of a correct password
+ * Earlier wrong attempts stay counted, so knowing one link's password doesn't
+ * buy more guesses at another.
+ * @param {string} ip
+ * @param {Object} attempt - Result of reserve()
+ * @returns {Promise<void>}
+ */
+const release = async (ip, attempt) => {
+  const store = rateLimiter.getStore();
+  if (store.release) {
+    await store.release(keyFor(ip), POLICY, attempt.reservedAt);
+  }
+};
+
+module.exports = {
+  reserve,
+  release,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,136 @@
+// src/services/urlCache.js - In-memory cache for short code lookups
+const LruCache = require('../utils/lruCache');
+const Url = require('../models/Url');
+
+// Cache configuration
+const MAX_SIZE = parseInt(process.env.URL_CACHE_MAX_SIZE, 10) || 10000;
+const TTL_MS = parseInt(process.env.URL_CACHE_TTL_MS, 10) || 60000; // 1 minute
+const NEGATIVE_TTL_MS = parseInt(process.env.URL_CACHE_NEGATIVE_TTL_MS, 10) || 10000; // 10 seconds
+
+// Marker stored for codes known not to exist
+const MISSING = Symbol('missing');
+
+const cache = new LruCache({ maxSize: MAX_SIZE, ttlMs: TTL_MS });
+
+const stats = {
+  hits: 0,
+  negativeHits: 0,
+  misses: 0
+};
+
+/**
+ * Cache key for a code on a domain (the same alias may exist on several domains)
+ * @param {string} code - Short code or custom alias
+ * @param {string|null} domain - Branded domain, null for the default domain
+ * @returns {string}
+ */
+function cacheKey(code, domain) {
+  return `${domain || ''}/${code}`;
+}
+
+/**
+ * Look up a short code or alias
+ * Entries are scoped to this process; other replicas converge within TTL_MS.
+ * @param {string} code - Short code or custom alias
+ * @param {string|null} domain - Branded domain, null for the default domain
+ * @returns {Object|null|undefined} Url document, null for a cached 404, undefined on a miss
+ */
+const get = (code, domain = null) => {
+  const value = cache.get(cacheKey(code, domain));
+
+  if (value === undefined) {
+    stats.misses++;
+    return undefined;
+  }
+
+  if (value === MISSING) {
+    stats.negativeHits++;
+    return null;
+  }
+
+  stats.hits++;
+  return Url.hydrate(value);
+};
+
+/**
+ * Cache a resolved link under the code it was requested by
+ * The entry never outlives the link's own expiry.
+ * @param {string} code - Requested short code or alias
+ * @param {Object} url - Url document
+ */
+const set = (code, url) => {
+  let ttl = TTL_MS;
+  if (url.expiresAt) {
+    ttl = Math.min(ttl, new Date(url.expiresAt).getTime() - Date.now());
+  }
+  cache.set(cacheKey(code, url.domain), url.toObject(), ttl);
+};
+
+/**
+ * Remember that a code does not exist
+ * @param {string} code - Requested short code or alias
+ * @param {string|null} domain - Branded domain, null for the default domain
+ */
+const setMissing = (code, domain = null) => {
+  cache.set(cacheKey(code, domain), MISSING, NEGATIVE_TTL_MS);
+};
+
+/**
+ * Drop every cached entry for a link (by short code and alias)
+ * @param {Object} url - Url document or { shortCode, customAlias, domain }
+ */
+const invalidate = (url) => {
+  if (!url) return;
+  if (url.shortCode) cache.delete(cacheKey(url.shortCode, url.domain));
+  if (url.customAlias) cache.delete(cacheKey(url.customAlias, url.domain));
+};
+
+/**
+ * Drop a single code (e.g. a newly created code that may be negatively cached)
+ * @param {string} code
+ * @param {string|null} domain - Branded domain, null for the default domain
+ */
+const invalidateCode = (code, domain = null) => {
+  if (code) cache.delete(cacheKey(code, domain));
+};
+
+/**
+ * Remove every entry and reset counters
+ */
+const clear = () => {
+  cache.clear();
+  stats.hits = 0;
+  stats.negativeHits = 0;
+  stats.misses = 0;
+  cache.evictions = 0;
+};
+
+/**
+ * Get cache statistics for the health endpoints
+ * @returns {Object} Cache statistics
+ */
+const getStats = () => {
+  const lookups = stats.hits + stats.negativeHits + stats.misses;
+
+  return {
+    size: cache.size,
+    maxSize: MAX_SIZE,
+    hits: stats.hits,
+    negativeHits: stats.negativeHits,
+    misses: stats.misses,
+    evictions: cache.evictions,
+    hitRate: lookups > 0
+      ? Math.round(((stats.hits + stats.negativeHits) / lookups) * 10000) / 100 // Percentage with 2 decimals
+      : 0
+  };
+};
+
+module.exports = {
+  get,
+  set,
+  setMissing,
+  invalidate,
+  invalidateCode,
+  clear,
+  getStats
+};
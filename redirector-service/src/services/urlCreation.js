@@ -0,0 +1,103 @@
+// src/services/urlCreation.js - Creates short URLs for single and bulk requests
+const Url = require('../models/Url');
+const Domain = require('../models/Domain');
+const { saveWithUniqueCode } = require('../utils/shortCodeGenerator');
+const urlCache = require('./urlCache');
+const destinationPolicy = require('./destinationPolicy');
+const webhookEvents = require('./webhookEvents');
+
+/**
+ * Create a short URL from validated input (shortenUrlSchema)
+ * Without special options, an active link the owner already made for the same
+ * URL is returned instead of creating a duplicate.
+ * @param {Object} input - Validated shorten request body
+ * @param {string} createdBy - Owner id ('anonymous' without an API key)
+ * @returns {Promise<Object>} { url, isExisting, isCustom, codeStrategy }
+ */
+async function createShortUrl(input, createdBy) {
+  const {
+    originalUrl,
+    customAlias,
+    expiresInDays,
+    redirectType,
+    password,
+    targetingRules,
+    variants,
+    stickyVariants,
+    tags,
+    folder,
+    title,
+    notes,
+    domain = null,
+    codeStrategy,
+    fallbackUrl,
+    activatesAt,
+    expiresAt: absoluteExpiry,
+    maxClicks
+  } = input;
+
+  // Links can only be bound to a verified domain of the same owner
+  if (domain) {
+    const registered = await Domain.findVerified(domain);
+    if (!registered || (registered.owner !== createdBy && createdBy !== 'admin')) {
+      throw new Error(`Domain ${domain} is not a verified domain of this account`);
+    }
+  }
+
+  // Every place the link can send visitors must pass the destination policy
+  await destinationPolicy.assertAllowed({ originalUrl, fallbackUrl, targetingRules, variants });
+
+  // Check if this owner already shortened the URL (return existing short code);
+  // any option the existing link may not have gets a new link instead
+  const hasOptions = customAlias || password || targetingRules?.length || variants?.length
+    || tags?.length || folder || title || notes || fallbackUrl
+    || activatesAt || absoluteExpiry || expiresInDays || maxClicks
+    || redirectType || codeStrategy;
+  if (!hasOptions) {
+    const existingUrl = await Url.findOne({ originalUrl, createdBy, domain, isActive: true });
+    if (existingUrl && !existingUrl.isProtected) {
+      return { url: existingUrl, isExisting: true, isCustom: !!existingUrl.customAlias, codeStrategy: null };
+    }
+  }
+
+  // Calculate expiration date if specified (absolute or in days)
+  let expiresAt = absoluteExpiry || null;
+  if (!expiresAt && expiresInDays && expiresInDays > 0) {
+    expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+  }
+
+  const url = new Url({
+    originalUrl,
+    activatesAt: activatesAt || null,
+    expiresAt,
+    maxClicks: maxClicks || null,
+    redirectType: redirectType || null,
+    targetingRules: targetingRules || [],
+    variants: variants || [],
+    stickyVariants: stickyVariants !== false,
+    tags: tags || [],
+    folder: folder || null,
+    title: title || null,
+    notes: notes || null,
+    fallbackUrl: fallbackUrl || null,
+    domain,
+    createdBy
+  });
+  await url.setPassword(password);
+
+  // Pick the short code (or use custom alias) and insert
+  const { isCustom, strategy } = await saveWithUniqueCode(url, { customAlias, strategy: codeStrategy });
+
+  // The new code may have been cached as a 404
+  urlCache.invalidate(url);
+
+  // Every new link is announced, whether from a single or a bulk request
+  webhookEvents.emit('link.created', url, { codeStrategy: strategy });
+
+  return { url, isExisting: false, isCustom, codeStrategy: strategy };
+}
+
+module.exports = {
+  createShortUrl
+};
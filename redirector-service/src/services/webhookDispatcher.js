@@ -0,0 +1,296 @@
+// src/services/webhookDispatcher.js - Fans events out to subscriptions and delivers them
+const crypto = require('crypto');
+const axios = require('axios');
+const Url = require('../models/Url');
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload } = require('../utils/webhooks');
+const { assertPublicUrl, requestOptions } = require('../utils/outbound');
+
+// Dispatcher configuration
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS, 10) || 2000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 100;
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8; // Then the delivery is dead-lettered
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 60000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LOCK_MS = 60000; // Claim expires if a replica dies mid-batch
+const USER_AGENT = 'url-shortener-webhooks/1.0';
+
+let timer = null;
+let draining = null;
+
+/**
+ * Backoff before the next attempt for a delivery
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Claim a batch of documents so other replicas skip them
+ * @param {Object} Model - WebhookEvent or WebhookDelivery
+ * @param {Object} due - Filter for documents ready to process
+ * @param {Object} sort - Processing order
+ * @returns {Promise<Array>} Claimed documents
+ */
+async function claimBatch(Model, due, sort) {
+  const now = new Date();
+  const batchId = crypto.randomUUID();
+  const unclaimed = { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] };
+
+  const candidates = await Model.find({ ...due, ...unclaimed })
+    .sort(sort)
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  if (candidates.length === 0) return [];
+
+  // Conditional update: only rows still unclaimed become ours
+  await Model.updateMany(
+    { _id: { $in: candidates.map(c => c._id) }, ...due, ...unclaimed },
+    { $set: { lockedBy: batchId, lockedUntil: new Date(now.getTime() + LOCK_MS) } }
+  );
+
+  return Model.find({ lockedBy: batchId }).sort(sort);
+}
+
+/**
+ * Find the owner of the link an event is about
+ * Events from analytics-service only know the short code.
+ * @param {Object} event - WebhookEvent document
+ * @returns {Promise<string|null>}
+ */
+async function resolveOwner(event) {
+  if (event.owner || !event.shortCode) return event.owner;
+
+  const url = await Url.findOne({ shortCode: event.shortCode, ...(event.domain ? { domain: event.domain } : {}) })
+    .sort({ domain: 1 }) // Prefer the default domain when the code exists on several
+    .select('createdBy');
+  return url ? url.createdBy : null;
+}
+
+/**
+ * Create a delivery for every subscription that wants an event
+ * @param {Object} event - WebhookEvent document
+ * @returns {Promise<number>} Deliveries created
+ */
+async function fanOut(event) {
+  const subscriptions = await WebhookSubscription.findMatching(event.type, await resolveOwner(event));
+
+  const payload = {
+    id: event._id.toString(),
+    type: event.type,
+    createdAt: event.occurredAt.toISOString(),
+    data: event.data
+  };
+
+  let created = 0;
+  if (subscriptions.length > 0) {
+    try {
+      const result = await WebhookDelivery.insertMany(
+        subscriptions.map(subscription => ({
+          subscription: subscription._id,
+          event: event._id,
+          type: event.type,
+          payload
+        })),
+        { ordered: false }
+      );
+      created = result.length;
+    } catch (error) {
+      // Deliveries left over from an interrupted fan-out already exist
+      if (error.code !== 11000) throw error;
+      created = error.insertedDocs?.length || 0;
+    }
+  }
+
+  await WebhookEvent.updateOne(
+    { _id: event._id },
+    { $set: { status: 'dispatched', dispatchedAt: new Date(), lockedBy: null, lockedUntil: null } }
+  );
+  return created;
+}
+
+/**
+ * POST one delivery to its subscription and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object|null} subscription - WebhookSubscription document
+ * @returns {Promise<boolean>} True if the endpoint accepted it
+ */
+async function deliver(delivery, subscription) {
+  const now = new Date();
+
+  if (!subscription || !subscription.isActive) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'dead', lastError: 'Subscription is paused', lastAttemptAt: now, lockedBy: null, lockedUntil: null } }
+    );
+    return false;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    // Checked again on every attempt, down to the address connected to, in
+    // case the endpoint's DNS now points at an internal service
+    await assertPublicUrl(subscription.url);
+    const response = await axios.post(subscription.url, body, {
+      ...requestOptions(),
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Signature': signPayload(subscription.secret, Math.floor(startedAt / 1000), body)
+      }
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.code || requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: error,
+    lastResponseMs: Date.now() - startedAt,
+    lastAttemptAt: now,
+    lockedBy: null,
+    lockedUntil: null
+  };
+
+  if (!error) {
+    update.status = 'delivered';
+    update.deliveredAt = new Date();
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update.status = 'dead';
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  return !error;
+}
+
+/**
+ * Deliver a batch with at most CONCURRENCY requests in flight
+ * @param {Array} deliveries - WebhookDelivery documents
+ * @returns {Promise<number>} Deliveries accepted
+ */
+async function deliverAll(deliveries) {
+  const ids = [...new Set(deliveries.map(d => d.subscription.toString()))];
+  const subscriptions = new Map(
+    (await WebhookSubscription.find({ _id: { $in: ids } })).map(s => [s._id.toString(), s])
+  );
+
+  let index = 0;
+  let delivered = 0;
+
+  const worker = async () => {
+    while (index < deliveries.length) {
+      const delivery = deliveries[index++];
+      try {
+        if (await deliver(delivery, subscriptions.get(delivery.subscription.toString()))) delivered++;
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery._id} failed:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, deliveries.length) }, worker));
+  return delivered;
+}
+
+/**
+ * Fan out pending events, then send due deliveries, one batch at a time
+ * Concurrent calls share the same run.
+ * @returns {Promise<Object>} { events, delivered, failed }
+ */
+function drain() {
+  if (draining) return draining;
+
+  draining = (async () => {
+    const totals = { events: 0, delivered: 0, failed: 0 };
+    try {
+      for (;;) {
+        const events = await claimBatch(WebhookEvent, { status: 'pending' }, { occurredAt: 1 });
+        for (const event of events) {
+          await fanOut(event);
+        }
+        totals.events += events.length;
+        if (events.length < BATCH_SIZE) break;
+      }
+
+      for (;;) {
+        const deliveries = await claimBatch(
+          WebhookDelivery,
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { nextAttemptAt: 1 }
+        );
+        if (deliveries.length === 0) break;
+
+        const delivered = await deliverAll(deliveries);
+        totals.delivered += delivered;
+        totals.failed += deliveries.length - delivered;
+        if (deliveries.length < BATCH_SIZE) break;
+      }
+    } catch (error) {
+      console.error('Error dispatching webhooks:', error.message);
+    } finally {
+      draining = null;
+    }
+    return totals;
+  })();
+
+  return draining;
+}
+
+/**
+ * Start the background dispatcher
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(drain, INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive for the dispatcher
+  console.log(`🪝 Webhook dispatcher started (every ${INTERVAL_MS}ms, concurrency ${CONCURRENCY})`);
+};
+
+/**
+ * Stop the background dispatcher and wait for an in-flight run
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (draining) {
+    await draining;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  drain,
+  deliver,
+  backoffDelay,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,88 @@
+// src/services/webhookEvents.js - Records link events for webhook subscribers
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookSubscription = require('../models/WebhookSubscription');
+
+// How long the set of subscribed event types is reused before it is read again
+const SUBSCRIBED_TTL_MS = parseInt(process.env.WEBHOOK_SUBSCRIPTION_CACHE_MS, 10) || 30000;
+
+let subscribed = null;
+let subscribedAt = 0;
+let loading = null;
+
+/**
+ * Event types at least one active subscription listens to
+ * Cached so redirects don't write events nobody wants; other replicas pick up
+ * new subscriptions within SUBSCRIBED_TTL_MS.
+ * @returns {Promise<Set<string>>}
+ */
+async function getSubscribedTypes() {
+  if (subscribed && Date.now() - subscribedAt < SUBSCRIBED_TTL_MS) return subscribed;
+
+  if (!loading) {
+    loading = WebhookSubscription.distinct('events', { isActive: true })
+      .then(types => {
+        subscribed = new Set(types);
+        subscribedAt = Date.now();
+        return subscribed;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+/**
+ * Forget the cached event types (after a subscription changes)
+ */
+const invalidate = () => {
+  subscribed = null;
+};
+
+/**
+ * Describe a link in event data
+ * @param {Object} url - Url document
+ * @returns {Object}
+ */
+function linkData(url) {
+  return {
+    shortCode: url.shortCode,
+    shortUrl: url.shortUrl,
+    customAlias: url.customAlias || null,
+    domain: url.domain || null,
+    originalUrl: url.originalUrl,
+    createdBy: url.createdBy,
+    createdAt: url.createdAt,
+    expiresAt: url.expiresAt || null
+  };
+}
+
+/**
+ * Record a link event for delivery
+ * Never throws: the request that caused the event must not fail because of it.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} url - Url document the event is about
+ * @param {Object} extra - Additional event data
+ * @returns {Promise<void>}
+ */
+const emit = async (type, url, extra = {}) => {
+  try {
+    const types = await getSubscribedTypes();
+    if (!types.has(type) && !types.has('*')) return;
+
+    await WebhookEvent.enqueue(type, {
+      owner: url.createdBy || null,
+      shortCode: url.shortCode,
+      domain: url.domain || null,
+      data: { link: linkData(url), ...extra }
+    });
+  } catch (error) {
+    console.error(`Failed to record ${type} webhook event:`, error.message);
+  }
+};
+
+module.exports = {
+  emit,
+  invalidate,
+  linkData
+};
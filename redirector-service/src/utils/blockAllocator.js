@@ -0,0 +1,62 @@
+// src/utils/blockAllocator.js - Hands out counter values from reserved blocks
+
+/**
+ * Sequence allocator that reserves values in blocks
+ * Only one database round-trip is made per block; values left in a block when
+ * the process stops are skipped, so sequences have gaps but no duplicates.
+ */
+class BlockAllocator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.reserve - async (size) => { from, to } reserving a block
+   * @param {number} options.blockSize - Values reserved per round-trip
+   */
+  constructor({ reserve, blockSize = 1000 }) {
+    this.reserve = reserve;
+    this.blockSize = blockSize;
+    this.next = 0;
+    this.end = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Take the next value, reserving a new block when the current one is used up
+   * @returns {Promise<number>}
+   */
+  async take() {
+    while (this.next >= this.end) {
+      // Concurrent callers share one reservation instead of each reserving a block
+      if (!this.pending) {
+        this.pending = this.reserve(this.blockSize)
+          .then(({ from, to }) => {
+            this.next = from;
+            this.end = to;
+          })
+          .finally(() => {
+            this.pending = null;
+          });
+      }
+      await this.pending;
+    }
+
+    return this.next++;
+  }
+
+  /**
+   * Values left in the current block
+   * @returns {number}
+   */
+  get remaining() {
+    return this.end - this.next;
+  }
+
+  /**
+   * Drop the current block (used by tests)
+   */
+  reset() {
+    this.next = 0;
+    this.end = 0;
+  }
+}
+
+module.exports = BlockAllocator;
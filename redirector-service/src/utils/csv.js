@@ -0,0 +1,102 @@
+// src/utils/csv.js - Minimal RFC 4180 CSV parsing for link imports
+
+/**
+ * Split CSV text into rows of cells
+ * Supports quoted cells with embedded commas, newlines and doubled quotes,
+ * and both LF and CRLF line endings. Blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows
+ * @throws {Error} On an unterminated quoted cell
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Turn CSV rows into objects
+ * When the first row contains one of the column names it is used as the
+ * header; otherwise the columns are assumed to be in the given order.
+ * Empty cells are left out so optional fields stay optional.
+ * @param {string} text - CSV document
+ * @param {Array<string>} columns - Expected column names, in default order
+ * @returns {Array<Object>} One object per data row
+ */
+function parseCsvRecords(text, columns) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const firstRow = rows[0].map(cell => cell.trim());
+  const hasHeader = firstRow.some(cell => columns.some(column => column.toLowerCase() === cell.toLowerCase()));
+
+  const header = hasHeader
+    ? firstRow.map(cell => columns.find(column => column.toLowerCase() === cell.toLowerCase()) || null)
+    : columns;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map(cells => {
+    const record = {};
+    header.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (column && value !== '') {
+        record[column] = value;
+      }
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
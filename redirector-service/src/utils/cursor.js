@@ -0,0 +1,121 @@
+// src/utils/cursor.js - Opaque cursors for keyset pagination
+
+// Type of each sortable field's value in a cursor; a value of another type
+// (or an object smuggling in an operator) never reaches a filter
+const SORT_FIELD_TYPES = {
+  createdAt: 'date',
+  clickCount: 'number',
+  originalUrl: 'string'
+};
+
+/**
+ * Encode the position after a document
+ * The cursor remembers the sort it was issued for, so it cannot be replayed
+ * against a different ordering.
+ * @param {Object} doc - Last document of the page
+ * @param {string} sortBy - Sort field
+ * @param {string} order - asc or desc
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(doc, sortBy, order) {
+  const value = doc[sortBy];
+  const payload = {
+    s: sortBy,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor
+ * @param {string} sortBy - Sort of the current request
+ * @param {string} order - Order of the current request
+ * @returns {Object|null} { value, id } or null when invalid or issued for another sort
+ */
+function decodeCursor(cursor, sortBy, order) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || payload.s !== sortBy || payload.o !== order || !/^[0-9a-f]{24}$/.test(payload.id)) {
+    return null;
+  }
+
+  // _id sorts page on the id alone
+  if (sortBy === '_id') {
+    return { value: null, id: payload.id };
+  }
+
+  const value = decodeValue(payload, SORT_FIELD_TYPES[sortBy]);
+  return value === undefined ? null : { value, id: payload.id };
+}
+
+/**
+ * Sort value of a cursor payload, checked against the field's type
+ * @param {Object} payload - Decoded cursor payload
+ * @param {string} type - date, number or string
+ * @returns {Date|number|string|undefined} undefined when the value does not fit
+ */
+function decodeValue({ v, d }, type) {
+  switch (type) {
+    case 'date': {
+      if (d !== true || typeof v !== 'string') return undefined;
+      const date = new Date(v);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'number':
+      return !d && Number.isFinite(v) ? v : undefined;
+    case 'string':
+      return !d && typeof v === 'string' ? v : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Build the filter for documents after a cursor
+ * Ties on the sort field are broken by _id, so ordering is stable.
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} sortBy - Sort field
+ * @param {string} order - asc or desc
+ * @returns {Object} MongoDB filter
+ */
+function buildCursorFilter({ value, id }, sortBy, order) {
+  const op = order === 'desc' ? '$lt' : '$gt';
+
+  if (sortBy === '_id') {
+    return { _id: { [op]: id } };
+  }
+
+  return {
+    $or: [
+      { [sortBy]: { [op]: value } },
+      { [sortBy]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+/**
+ * Sort specification matching buildCursorFilter
+ * @param {string} sortBy - Sort field
+ * @param {string} order - asc or desc
+ * @returns {Object} MongoDB sort
+ */
+function buildCursorSort(sortBy, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  return sortBy === '_id' ? { _id: direction } : { [sortBy]: direction, _id: direction };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildCursorSort
+};
@@ -0,0 +1,174 @@
+// src/utils/destinations.js - Destination URL parsing, domain lists and threat feeds
+const net = require('net');
+
+// Addresses a public short link has no business pointing at
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local (and cloud metadata endpoints)
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 3, 'ipv4'], // Multicast, reserved and broadcast
+  ['::', 127, 'ipv6'], // Unspecified and loopback
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// Names that only resolve inside a host or private network
+const PRIVATE_SUFFIXES = ['localhost', 'local', 'internal', 'home.arpa'];
+
+// Hosts-file entries that are not threats
+const HOSTS_FILE_NAMES = new Set(['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback', '0.0.0.0']);
+
+const DOMAIN_PATTERN = /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)*$/;
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix, type] of PRIVATE_RANGES) {
+  privateRanges.addSubnet(address, prefix, type);
+}
+
+/**
+ * Parse a destination into its parts
+ * The WHATWG parser normalises tricks like http://2130706433 to 127.0.0.1.
+ * @param {string} value - Destination URL
+ * @returns {Object|null} { hostname, key }, or null when it is not an http(s) URL
+ */
+function parseDestination(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return { hostname, key: urlKey(hostname, url.pathname) };
+}
+
+/**
+ * Key used to match URL entries of threat feeds (host and path, any scheme or query)
+ * @param {string} hostname
+ * @param {string} pathname
+ * @returns {string}
+ */
+function urlKey(hostname, pathname) {
+  return `${hostname}${pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Normalise a domain list entry ("Evil.com", "*.evil.com", ".evil.com")
+ * @param {string} value
+ * @returns {string|null} Lowercase domain, or null when it is not a domain or IP
+ */
+function normalizeDomain(value) {
+  const domain = String(value).trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+  if (net.isIP(domain)) return domain;
+  return DOMAIN_PATTERN.test(domain) && domain.includes('.') ? domain : null;
+}
+
+/**
+ * Parse a comma-separated domain list
+ * @param {string} value
+ * @returns {Set<string>}
+ */
+function parseDomainList(value = '') {
+  const domains = new Set();
+  for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+    const domain = normalizeDomain(entry);
+    if (!domain) {
+      throw new Error(`Invalid domain list entry: ${entry}`);
+    }
+    domains.add(domain);
+  }
+  return domains;
+}
+
+/**
+ * Find the entry of a domain set that covers a hostname
+ * An entry covers the domain itself and every subdomain of it; IP entries only match exactly.
+ * @param {string} hostname - Normalised hostname
+ * @param {Set<string>} domains
+ * @returns {string|null} Matching entry
+ */
+function matchDomain(hostname, domains) {
+  if (domains.size === 0) return null;
+  if (net.isIP(hostname)) return domains.has(hostname) ? hostname : null;
+
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (domains.has(suffix) && !net.isIP(suffix)) return suffix;
+  }
+  return null;
+}
+
+/**
+ * Whether a hostname is a loopback, private-network or otherwise local address
+ * @param {string} hostname - Normalised hostname
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const type = net.isIP(hostname);
+  if (type) {
+    return privateRanges.check(hostname, type === 6 ? 'ipv6' : 'ipv4');
+  }
+  return PRIVATE_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith(`.${suffix}`));
+}
+
+/**
+ * Parse a threat feed file
+ * Accepts one entry per line: domains, IP addresses, hosts-file lines
+ * ("0.0.0.0 evil.com") or full URLs. Lines starting with # or ! are comments.
+ * @param {string} text - File contents
+ * @returns {Object} { domains: Set, urls: Set, invalid } - invalid counts skipped lines
+ */
+function parseThreatFeed(text) {
+  const domains = new Set();
+  const urls = new Set();
+  let invalid = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s#.*$/, '').trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+    if (line.includes('://')) {
+      const destination = parseDestination(line);
+      if (destination) {
+        urls.add(destination.key);
+      } else {
+        invalid++;
+      }
+      continue;
+    }
+
+    // Hosts files list "<sinkhole address> <domain> [<domain>...]"
+    const tokens = line.split(/\s+/);
+    const names = tokens.length > 1 && net.isIP(tokens[0]) ? tokens.slice(1) : tokens;
+    for (const name of names) {
+      if (HOSTS_FILE_NAMES.has(name.toLowerCase())) continue;
+      const domain = normalizeDomain(name);
+      if (domain) {
+        domains.add(domain);
+      } else {
+        invalid++;
+      }
+    }
+  }
+
+  return { domains, urls, invalid };
+}
+
+module.exports = {
+  parseDestination,
+  normalizeDomain,
+  parseDomainList,
+  matchDomain,
+  isPrivateHost,
+  parseThreatFeed
+};
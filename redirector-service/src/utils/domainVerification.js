@@ -0,0 +1,114 @@
+// src/utils/domainVerification.js - Proof that a branded domain belongs to its owner
+const dns = require('dns');
+const axios = require('axios');
+const { assertPublicUrl, requestOptions } = require('./outbound');
+
+/**
+ * Supported verification methods
+ * txt:  TXT record "<TXT_PREFIX><token>" on _shortener-challenge.<hostname>
+ * file: token served at http://<hostname>/.well-known/shortener-verification.txt
+ */
+const VERIFICATION_METHODS = ['txt', 'file'];
+const TXT_RECORD_LABEL = '_shortener-challenge';
+const TXT_PREFIX = 'shortener-verification=';
+const FILE_PATH = '/.well-known/shortener-verification.txt';
+const MAX_REDIRECTS = 3;
+
+/**
+ * Fetch the verification file, following redirects by hand
+ * The hostname is user input, so neither it nor any redirect target may be a
+ * private or local address.
+ * @param {string} url
+ * @returns {Promise<string>} Response body
+ */
+async function fetchText(url) {
+  let current = url;
+
+  for (let hops = 0; ; hops++) {
+    await assertPublicUrl(current);
+    const response = await axios.get(current, {
+      ...requestOptions(),
+      timeout: 5000,
+      maxRedirects: 0,
+      validateStatus: status => status < 400,
+      responseType: 'text',
+      maxContentLength: 4096
+    });
+
+    const { location } = response.headers;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return String(response.data);
+    }
+    if (hops >= MAX_REDIRECTS) {
+      throw new Error('Too many redirects');
+    }
+    current = new URL(location, current).toString();
+  }
+}
+
+// Network lookups used by the checks (replaceable with a local stub in tests)
+const defaultResolver = {
+  resolveTxt: (name) => dns.promises.resolveTxt(name),
+  fetchText
+};
+
+let resolver = defaultResolver;
+
+/**
+ * Replace the network resolver (tests) - call without arguments to restore it
+ * @param {Object} custom - { resolveTxt(name), fetchText(url) }
+ */
+function setResolver(custom = null) {
+  resolver = custom ? { ...defaultResolver, ...custom } : defaultResolver;
+}
+
+/**
+ * Instructions shown to the owner after registering a domain
+ * @param {Object} domain - Domain document
+ * @returns {Object} What to publish for each method
+ */
+function getVerificationInstructions(domain) {
+  return {
+    txt: {
+      name: `${TXT_RECORD_LABEL}.${domain.hostname}`,
+      value: `${TXT_PREFIX}${domain.verificationToken}`
+    },
+    file: {
+      url: `http://${domain.hostname}${FILE_PATH}`,
+      content: domain.verificationToken
+    }
+  };
+}
+
+/**
+ * Check that the owner published the domain's token
+ * @param {Object} domain - Domain document
+ * @param {string} method - txt or file
+ * @returns {Promise<string|null>} Error message, or null when verified
+ */
+async function checkDomain(domain, method) {
+  const instructions = getVerificationInstructions(domain);
+
+  try {
+    if (method === 'txt') {
+      // resolveTxt returns each record as an array of chunks
+      const records = await resolver.resolveTxt(instructions.txt.name);
+      const found = records.some(chunks => [].concat(chunks).join('').trim() === instructions.txt.value);
+      return found ? null : `TXT record ${instructions.txt.name} does not contain the verification token`;
+    }
+
+    const body = await resolver.fetchText(instructions.file.url);
+    return body.trim() === domain.verificationToken
+      ? null
+      : `${instructions.file.url} does not contain the verification token`;
+  } catch (error) {
+    return `Verification lookup failed: ${error.code || error.message}`;
+  }
+}
+
+module.exports = {
+  VERIFICATION_METHODS,
+  setResolver,
+  getVerificationInstructions,
+  checkDomain
+};
@@ -0,0 +1,93 @@
+// src/utils/linkProbe.js - Checks whether a destination URL is reachable
+const axios = require('axios');
+const { assertPublicUrl, requestOptions } = require('./outbound');
+
+const TIMEOUT_MS = parseInt(process.env.LINK_HEALTH_TIMEOUT_MS, 10) || 5000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'url-shortener-link-checker/1.0';
+
+// Servers that refuse HEAD are asked again with GET
+const HEAD_UNSUPPORTED = [403, 405, 501];
+
+/**
+ * Send one request without following redirects
+ * @param {string} method - HEAD or GET
+ * @param {string} target - Absolute URL
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<Object>} axios response
+ */
+async function send(method, target, timeout) {
+  const response = await axios.request({
+    ...requestOptions(),
+    method,
+    url: target,
+    timeout,
+    maxRedirects: 0,
+    validateStatus: () => true,
+    // GET bodies are not needed - close the stream instead of downloading it
+    responseType: method === 'GET' ? 'stream' : 'json',
+    headers: { 'User-Agent': USER_AGENT }
+  });
+
+  if (method === 'GET' && response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+  return response;
+}
+
+/**
+ * Probe a destination, following redirects by hand to record the chain
+ * No hop may lead to a private or local address: the chain is shown to the
+ * link owner, so it must not describe internal services.
+ * @param {string} target - URL to check
+ * @param {Object} options
+ * @param {number} options.timeout - Per-request timeout in milliseconds
+ * @returns {Promise<Object>} { ok, statusCode, latencyMs, redirectChain, finalUrl, error }
+ */
+async function probe(target, { timeout = TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  const redirectChain = [];
+  let current = target;
+
+  const result = (ok, statusCode, error) => ({
+    ok,
+    statusCode,
+    latencyMs: Date.now() - startedAt,
+    redirectChain,
+    finalUrl: current,
+    error
+  });
+
+  try {
+    await assertPublicUrl(current);
+    for (;;) {
+      let response = await send('HEAD', current, timeout);
+      if (HEAD_UNSUPPORTED.includes(response.status)) {
+        response = await send('GET', current, timeout);
+      }
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirectChain.push({ url: current, statusCode: response.status });
+
+        if (redirectChain.length > MAX_REDIRECTS) {
+          return result(false, response.status, 'Too many redirects');
+        }
+        const next = new URL(location, current).toString();
+        await assertPublicUrl(next);
+        current = next;
+        continue;
+      }
+
+      const ok = response.status < 400;
+      return result(ok, response.status, ok ? null : `HTTP ${response.status}`);
+    }
+  } catch (error) {
+    return result(false, null, error.code || error.message);
+  }
+}
+
+module.exports = {
+  probe,
+  MAX_REDIRECTS
+};
@@ -0,0 +1,82 @@
+// src/utils/lruCache.js - Bounded in-memory LRU cache with per-entry TTL
+
+/**
+ * LRU cache backed by a Map (insertion order = recency order)
+ */
+class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSize - Maximum number of entries
+   * @param {number} options.ttlMs - Default time-to-live per entry
+   */
+  constructor({ maxSize = 1000, ttlMs = 60000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a value and mark it most recently used
+   * @param {string} key
+   * @returns {*} Cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlMs - Optional TTL override
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    if (ttlMs <= 0) {
+      this.entries.delete(key);
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
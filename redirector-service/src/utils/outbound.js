@@ -0,0 +1,100 @@
+// src/utils/outbound.js - Keeps the service's own HTTP requests off private networks
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { parseDestination, isPrivateHost } = require('./destinations');
+
+/**
+ * Whether outbound requests are kept off private networks
+ * Follows DESTINATION_BLOCK_PRIVATE, read on every request so tests can flip it.
+ * @returns {boolean}
+ */
+function isGuarded() {
+  return process.env.DESTINATION_BLOCK_PRIVATE !== 'false';
+}
+
+/**
+ * Error for a request that would reach a private or local address
+ * @param {string} message
+ * @returns {Error} with code EPRIVATEADDRESS
+ */
+function privateAddressError(message) {
+  const error = new Error(message);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+/**
+ * dns.lookup that refuses names resolving to a private or local address
+ * Runs when the connection is opened, so a name that passed an earlier check
+ * can't be re-pointed at an internal address in between.
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateHost(address));
+    if (blocked) {
+      return callback(privateAddressError(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents whose connections go through publicLookup
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check a URL the service is about to request
+ * IP literals and local names are refused here; names are checked again when
+ * the connection is opened (see requestOptions).
+ * @param {string} target - Absolute URL
+ * @param {Object} options
+ * @param {boolean} options.resolve - Also resolve the name now (DNS failures pass)
+ * @throws {Error} EPRIVATEADDRESS, or EINVALIDURL for anything but http(s)
+ */
+async function assertPublicUrl(target, { resolve = false } = {}) {
+  const parsed = parseDestination(target);
+  if (!parsed) {
+    const error = new Error(`${target} is not a valid http(s) URL`);
+    error.code = 'EINVALIDURL';
+    throw error;
+  }
+  if (!isGuarded()) return;
+
+  if (isPrivateHost(parsed.hostname)) {
+    throw privateAddressError(`${parsed.hostname} is a private or local address`);
+  }
+
+  if (resolve) {
+    await new Promise((done, fail) => publicLookup(parsed.hostname, {}, error => (
+      error && error.code === 'EPRIVATEADDRESS' ? fail(error) : done()
+    )));
+  }
+}
+
+/**
+ * axios options that re-check every resolved address at connect time
+ * @returns {Object} { httpAgent, httpsAgent }, or {} while the guard is off
+ */
+function requestOptions() {
+  return isGuarded() ? guardedAgents : {};
+}
+
+module.exports = {
+  publicLookup,
+  assertPublicUrl,
+  requestOptions
+};
@@ -0,0 +1,484 @@
+// src/utils/qrCode.js - QR code encoder (ISO/IEC 18004, byte mode, versions 1-40)
+
+/**
+ * Error correction levels with the bits used in the format information
+ * L ~7%, M ~15%, Q ~25%, H ~30% of codewords can be restored
+ */
+const EC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Error correction codewords per block, indexed [ecLevel ordinal][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, indexed [ecLevel ordinal][version]
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Penalty weights used when choosing a mask
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+/**
+ * Number of data + ECC bits available in a version (excluding function patterns)
+ * @param {number} version
+ * @returns {number}
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Number of 8-bit data codewords for a version and error correction level
+ * @param {number} version
+ * @param {Object} ecLevel
+ * @returns {number}
+ */
+function getNumDataCodewords(version, ecLevel) {
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecLevel.ordinal][version]
+    * NUM_ERROR_CORRECTION_BLOCKS[ecLevel.ordinal][version];
+}
+
+/**
+ * Centre positions of the alignment patterns for a version
+ * @param {number} version
+ * @returns {number[]}
+ */
+function getAlignmentPatternPositions(version) {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of the given degree
+ * @param {number} degree
+ * @returns {number[]} Coefficients, highest power first (leading 1 omitted)
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords for a block of data
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Append the low `length` bits of `value` to a bit array
+ * @param {number} value
+ * @param {number} length
+ * @param {number[]} bits
+ */
+function appendBits(value, length, bits) {
+  for (let i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+/**
+ * Whether bit i of x is set
+ * @param {number} x
+ * @param {number} i
+ * @returns {boolean}
+ */
+function getBit(x, i) {
+  return ((x >>> i) & 1) !== 0;
+}
+
+/**
+ * Encode bytes into data codewords for the smallest version that fits
+ * @param {Buffer} bytes
+ * @param {Object} ecLevel
+ * @returns {Object} { version, codewords }
+ */
+function encodeDataCodewords(bytes, ecLevel) {
+  let version;
+  let capacityBits;
+  let countBits;
+
+  for (version = MIN_VERSION; ; version++) {
+    if (version > MAX_VERSION) {
+      throw new Error('Data too long to fit in a QR code');
+    }
+    countBits = version <= 9 ? 8 : 16; // Byte mode character count width
+    capacityBits = getNumDataCodewords(version, ecLevel) * 8;
+    if (4 + countBits + bytes.length * 8 <= capacityBits) break;
+  }
+
+  const bits = [];
+  appendBits(0x4, 4, bits); // Byte mode indicator
+  appendBits(bytes.length, countBits, bits);
+  for (const b of bytes) appendBits(b, 8, bits);
+
+  // Terminator, then pad to a byte boundary
+  appendBits(0, Math.min(4, capacityBits - bits.length), bits);
+  appendBits(0, (8 - bits.length % 8) % 8, bits);
+
+  // Alternating pad bytes up to capacity
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(pad, 8, bits);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let byte = 0;
+    for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+    codewords.push(byte);
+  }
+
+  return { version, codewords };
+}
+
+/**
+ * Split data into blocks, add ECC to each and interleave the result
+ * @param {number[]} data
+ * @param {number} version
+ * @param {Object} ecLevel
+ * @returns {number[]}
+ */
+function addEccAndInterleave(data, version, ecLevel) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecLevel.ordinal][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecLevel.ordinal][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0); // Placeholder so all blocks align
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Module grid being built for one symbol
+ */
+class QrMatrix {
+  constructor(version, ecLevel) {
+    this.version = version;
+    this.ecLevel = ecLevel;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunctionModule(x, y, isDark) {
+    this.modules[y][x] = isDark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (with separators) in three corners
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    // Alignment patterns, skipping the three finder corners
+    const positions = getAlignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    // Reserve format areas now, real bits are drawn per mask
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (this.ecLevel.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const size = this.size;
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    this.setFunctionModule(8, size - 8, true); // Always-dark module
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, bit);
+      this.setFunctionModule(b, a, bit);
+    }
+  }
+
+  drawCodewords(data) {
+    const size = this.size;
+    let i = 0;
+
+    // Zigzag through two-module columns from the bottom-right corner
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing column
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR the data area with a mask pattern (applying twice undoes it)
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  getPenaltyScore() {
+    const size = this.size;
+    const modules = this.modules;
+    let result = 0;
+
+    const lineAt = (i, horizontal) => Array.from({ length: size }, (_, k) => (horizontal ? modules[i][k] : modules[k][i]));
+    const finderLike = [true, false, true, true, true, false, true];
+
+    for (let i = 0; i < size; i++) {
+      for (const horizontal of [true, false]) {
+        const line = lineAt(i, horizontal);
+
+        // N1: runs of five or more same-coloured modules
+        let runLength = 1;
+        for (let k = 1; k <= size; k++) {
+          if (k < size && line[k] === line[k - 1]) {
+            runLength++;
+          } else {
+            if (runLength >= 5) result += PENALTY_N1 + (runLength - 5);
+            runLength = 1;
+          }
+        }
+
+        // N3: finder-like 1:1:3:1:1 patterns with four light modules on one side
+        for (let k = 0; k + 7 <= size; k++) {
+          if (!finderLike.every((dark, d) => line[k + d] === dark)) continue;
+          const lightBefore = k >= 4 && [1, 2, 3, 4].every(d => !line[k - d]);
+          const lightAfter = k + 11 <= size && [7, 8, 9, 10].every(d => !line[k + d]);
+          if (lightBefore || lightAfter) result += PENALTY_N3;
+        }
+      }
+    }
+
+    // N2: 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          result += PENALTY_N2;
+        }
+      }
+    }
+
+    // N4: deviation of the dark module ratio from 50%
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += Math.max(0, k) * PENALTY_N4;
+
+    return result;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {Object} options
+ * @param {string} options.ecLevel - Error correction level: L, M, Q or H
+ * @returns {Object} { version, size, ecLevel, mask, modules } where modules[y][x] is true for dark
+ */
+function encodeQr(text, { ecLevel = 'M' } = {}) {
+  const level = EC_LEVELS[ecLevel];
+  if (!level) {
+    throw new Error(`Invalid error correction level: ${ecLevel}`);
+  }
+
+  const { version, codewords } = encodeDataCodewords(Buffer.from(text, 'utf8'), level);
+  const matrix = new QrMatrix(version, level);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addEccAndInterleave(codewords, version, level));
+
+  // Choose the mask with the lowest penalty
+  let bestMask = 0;
+  let minPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const penalty = matrix.getPenaltyScore();
+    if (penalty < minPenalty) {
+      bestMask = mask;
+      minPenalty = penalty;
+    }
+    matrix.applyMask(mask); // Undo
+  }
+
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(bestMask);
+
+  return {
+    version,
+    size: matrix.size,
+    ecLevel,
+    mask: bestMask,
+    modules: matrix.modules
+  };
+}
+
+module.exports = {
+  encodeQr,
+  EC_LEVELS
+};
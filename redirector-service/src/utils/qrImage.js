@@ -0,0 +1,150 @@
+// src/utils/qrImage.js - Render QR module grids as PNG or SVG
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-character chunk type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Parse a hex colour into RGB components
+ * @param {string} hex - "#RRGGBB" or "RRGGBB"
+ * @returns {number[]} [r, g, b]
+ */
+function parseHexColor(hex) {
+  const value = hex.replace(/^#/, '');
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+/**
+ * Normalise a hex colour to "#rrggbb"
+ * @param {string} hex
+ * @returns {string}
+ */
+function normalizeHexColor(hex) {
+  return `#${hex.replace(/^#/, '').toLowerCase()}`;
+}
+
+/**
+ * Pixels per module so the image is at most `size` pixels wide
+ * @param {Object} qr - Result of encodeQr
+ * @param {number} size - Requested image width in pixels
+ * @param {number} margin - Quiet zone in modules
+ * @returns {number}
+ */
+function getScale(qr, size, margin) {
+  return Math.max(1, Math.floor(size / (qr.size + margin * 2)));
+}
+
+/**
+ * Render a QR code as a PNG image (8-bit, two-colour palette)
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - { size, margin, foreground, background }
+ * @returns {Buffer} PNG file contents
+ */
+function renderPng(qr, { size = 256, margin = 4, foreground = '#000000', background = '#ffffff' } = {}) {
+  const scale = getScale(qr, size, margin);
+  const dimension = (qr.size + margin * 2) * scale;
+
+  // One filter byte (0 = none) followed by one palette index per pixel
+  const rowLength = dimension + 1;
+  const raw = Buffer.alloc(rowLength * dimension);
+  for (let py = 0; py < dimension; py++) {
+    const y = Math.floor(py / scale) - margin;
+    const rowOffset = py * rowLength;
+    for (let px = 0; px < dimension; px++) {
+      const x = Math.floor(px / scale) - margin;
+      const dark = y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x];
+      raw[rowOffset + 1 + px] = dark ? 1 : 0;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(dimension, 0);
+  header.writeUInt32BE(dimension, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 3; // Colour type: palette
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  const palette = Buffer.from([...parseHexColor(background), ...parseHexColor(foreground)]);
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('PLTE', palette),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Render a QR code as an SVG document
+ * Dark modules are drawn as a single path, one run of modules per segment.
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - { size, margin, foreground, background }
+ * @returns {string} SVG markup
+ */
+function renderSvg(qr, { size = 256, margin = 4, foreground = '#000000', background = '#ffffff' } = {}) {
+  const dimension = qr.size + margin * 2;
+  const segments = [];
+
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.modules[y][x]) continue;
+      let run = 1;
+      while (x + run < qr.size && qr.modules[y][x + run]) run++;
+      segments.push(`M${x + margin},${y + margin}h${run}v1h-${run}z`);
+      x += run - 1;
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`,
+    `<rect width="100%" height="100%" fill="${normalizeHexColor(background)}"/>`,
+    `<path fill="${normalizeHexColor(foreground)}" d="${segments.join('')}"/>`,
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  renderPng,
+  renderSvg,
+  crc32
+};
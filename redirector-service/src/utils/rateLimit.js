@@ -0,0 +1,210 @@
+// src/utils/rateLimit.js - Rate limit policies, algorithms and response headers
+const net = require('net');
+
+const ALGORITHMS = ['sliding', 'token'];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "500ms", "30s", "1m", "1h" (bare numbers are seconds)
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null when invalid
+ */
+function parseDuration(value) {
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Parse a policy like "30/1m" (30 requests per minute)
+ * "off" or "0" means no limit.
+ * @param {string|null} value
+ * @param {string} algorithm - 'sliding' or 'token'
+ * @returns {Object|null} { limit, windowMs, algorithm }, or null for no limit
+ */
+function parsePolicy(value, algorithm = 'sliding') {
+  if (value == null || value === '' || value === 'off' || value === '0') return null;
+
+  const [count, window = '1m'] = String(value).split('/');
+  const limit = parseInt(count, 10);
+  const windowMs = parseDuration(window);
+
+  if (!(limit > 0) || !windowMs) {
+    throw new Error(`Invalid rate limit "${value}" (expected e.g. 30/1m)`);
+  }
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+  return { limit, windowMs, algorithm };
+}
+
+/**
+ * Sliding window counter verdict for one more request
+ * The previous fixed window counts in proportion to how much of it still
+ * overlaps the sliding window, which smooths bursts at window edges.
+ * @param {Object} counts - { current, previous } requests already allowed
+ * @param {Object} policy - { limit, windowMs }
+ * @param {number} now - Milliseconds
+ * @param {number} cost - Requests this one counts as (e.g. rows of a bulk import)
+ * @returns {Object} { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+function slidingWindowResult({ current, previous }, { limit, windowMs }, now, cost = 1) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const elapsed = now - windowStart;
+  const resetMs = windowMs - elapsed;
+  const estimated = previous * (1 - elapsed / windowMs) + current;
+
+  if (estimated + cost <= limit) {
+    return { allowed: true, limit, remaining: Math.max(0, Math.floor(limit - estimated - cost)), resetMs, retryAfterMs: 0 };
+  }
+
+  // When does the overlap of the previous window shrink enough for this request?
+  let retryAfterMs;
+  if (current + cost <= limit) {
+    retryAfterMs = Math.ceil((1 - (limit - current - cost) / previous) * windowMs) - elapsed;
+  } else {
+    // Not before the next window, where this window becomes the previous one
+    retryAfterMs = resetMs + Math.ceil(Math.max(0, 1 - (limit - cost) / current) * windowMs);
+  }
+
+  return { allowed: false, limit, remaining: 0, resetMs, retryAfterMs: Math.max(1, retryAfterMs) };
+}
+
+/**
+ * Sliding window counter over in-memory state
+ * @param {Object|undefined} state - { windowStart, current, previous }
+ * @param {Object} policy - { limit, windowMs }
+ * @param {number} now - Milliseconds
+ * @param {number} cost - Requests this one counts as
+ * @returns {Object} { state, result }
+ */
+function slidingWindow(state, policy, now, cost = 1) {
+  const windowStart = Math.floor(now / policy.windowMs) * policy.windowMs;
+  let current = 0;
+  let previous = 0;
+
+  if (state?.windowStart === windowStart) {
+    ({ current, previous } = state);
+  } else if (state?.windowStart === windowStart - policy.windowMs) {
+    previous = state.current;
+  }
+
+  const result = slidingWindowResult({ current, previous }, policy, now, cost);
+  if (result.allowed) current += cost;
+
+  return { state: { windowStart, current, previous }, result };
+}
+
+/**
+ * Token bucket verdict once the bucket has been refilled and charged
+ * @param {number} tokens - Tokens left after this request
+ * @param {boolean} allowed - Whether the tokens were taken
+ * @param {Object} policy - { limit, windowMs } - capacity and refill of limit per window
+ * @param {number} cost - Tokens the request needed
+ * @returns {Object} { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+function tokenBucketResult(tokens, allowed, { limit, windowMs }, cost = 1) {
+  const rate = limit / windowMs; // Tokens per millisecond
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((limit - tokens) / rate),
+    retryAfterMs: allowed ? 0 : Math.max(1, Math.ceil((cost - tokens) / rate))
+  };
+}
+
+/**
+ * Token bucket over in-memory state
+ * Allows bursts up to the limit, refilled evenly over the window.
+ * @param {Object|undefined} state - { tokens, refilledAt }
+ * @param {Object} policy - { limit, windowMs }
+ * @param {number} now - Milliseconds
+ * @param {number} cost - Tokens the request takes
+ * @returns {Object} { state, result }
+ */
+function tokenBucket(state, policy, now, cost = 1) {
+  const rate = policy.limit / policy.windowMs;
+  let tokens = state
+    ? Math.min(policy.limit, state.tokens + Math.max(0, now - state.refilledAt) * rate)
+    : policy.limit;
+
+  const allowed = tokens >= cost;
+  if (allowed) tokens -= cost;
+
+  return { state: { tokens, refilledAt: now }, result: tokenBucketResult(tokens, allowed, policy, cost) };
+}
+
+/**
+ * Set the RateLimit-* headers (IETF draft) on a response
+ * @param {Object} res - Express response
+ * @param {Object} policy - { limit, windowMs }
+ * @param {Object} result - Algorithm verdict
+ */
+function setRateLimitHeaders(res, policy, result) {
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`
+  });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+  }
+}
+
+/**
+ * Build an allowlist from a comma-separated list
+ * Entries are IP addresses, CIDR ranges or "key:<api key id>".
+ * @param {string} value
+ * @returns {Object} { has(ip, keyId) }
+ */
+function parseAllowlist(value = '') {
+  const blockList = new net.BlockList();
+  const keyIds = new Set();
+
+  for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+    if (entry.startsWith('key:')) {
+      keyIds.add(entry.slice(4));
+      continue;
+    }
+
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid rate limit allowlist entry: ${entry}`);
+    }
+    if (prefix !== undefined) {
+      blockList.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      blockList.addAddress(address, type);
+    }
+  }
+
+  return {
+    has(ip, keyId = null) {
+      if (keyId && keyIds.has(String(keyId))) return true;
+      if (!ip) return false;
+
+      // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+      const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      return net.isIP(address) ? blockList.check(address, type) : false;
+    }
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  parseDuration,
+  parsePolicy,
+  slidingWindow,
+  slidingWindowResult,
+  tokenBucket,
+  tokenBucketResult,
+  setRateLimitHeaders,
+  parseAllowlist
+};
@@ -0,0 +1,69 @@
+// src/utils/redirect.js - Redirect status codes and cache headers
+
+/**
+ * Supported redirect status codes
+ * 301/308 are permanent (browsers may cache them), 302/307 are temporary.
+ * 307/308 preserve the request method and body.
+ */
+const REDIRECT_TYPES = [301, 302, 307, 308];
+const PERMANENT_REDIRECT_TYPES = [301, 308];
+
+// Upper bound for how long browsers may cache a permanent redirect (seconds)
+const DEFAULT_PERMANENT_MAX_AGE = 86400; // 1 day
+
+/**
+ * Service-wide default redirect type (DEFAULT_REDIRECT_TYPE env var)
+ * @returns {number} Redirect status code
+ */
+function getDefaultRedirectType() {
+  const configured = parseInt(process.env.DEFAULT_REDIRECT_TYPE, 10);
+  return REDIRECT_TYPES.includes(configured) ? configured : 301;
+}
+
+/**
+ * Resolve the redirect status code for a link
+ * @param {Object} url - Url document
+ * @returns {number} Redirect status code
+ */
+function resolveRedirectType(url) {
+  return REDIRECT_TYPES.includes(url.redirectType)
+    ? url.redirectType
+    : getDefaultRedirectType();
+}
+
+/**
+ * Build the Cache-Control header for a redirect
+ * Permanent redirects get a bounded max-age that never outlives the link's
+ * expiry; temporary redirects must not be cached so every click reaches us.
+ * @param {number} statusCode - Redirect status code
+ * @param {Date|null} expiresAt - Link expiry
+ * @param {Object} options
+ * @param {boolean} options.personalized - Destination depends on the visitor, so shared caches must not store it
+ * @param {boolean} options.capped - Link has a click cap, so every click must reach us to be counted
+ * @returns {string} Cache-Control header value
+ */
+function buildCacheControl(statusCode, expiresAt = null, { personalized = false, capped = false } = {}) {
+  if (!PERMANENT_REDIRECT_TYPES.includes(statusCode) || capped) {
+    return 'private, no-cache, no-store, must-revalidate';
+  }
+
+  const configured = parseInt(process.env.REDIRECT_CACHE_MAX_AGE, 10);
+  let maxAge = Number.isInteger(configured) && configured >= 0
+    ? configured
+    : DEFAULT_PERMANENT_MAX_AGE;
+
+  if (expiresAt) {
+    const secondsLeft = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+    maxAge = Math.max(0, Math.min(maxAge, secondsLeft));
+  }
+
+  return `${personalized ? 'private' : 'public'}, max-age=${maxAge}`;
+}
+
+module.exports = {
+  REDIRECT_TYPES,
+  PERMANENT_REDIRECT_TYPES,
+  getDefaultRedirectType,
+  resolveRedirectType,
+  buildCacheControl
+};
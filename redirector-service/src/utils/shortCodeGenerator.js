@@ -1,13 +1,16 @@
 // src/utils/shortCodeGenerator.js - Generate unique short codes
 const Url = require('../models/Url');
+const {
+  CHARSET,
+  DEFAULT_LENGTH,
+  randomString,
+  getStrategy,
+  getDefaultStrategyName
+} = require('./shortCodeStrategies');
 
-/**
- * Character set for short codes
- * Excludes confusing characters: 0 (zero), O (capital o), l (lowercase L), I (capital i)
- */
-const CHARSET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ123456789';
-const DEFAULT_LENGTH = 6;
 const MAX_RETRIES = 10;
+// After this many collisions in a row, generated codes grow by one character
+const ATTEMPTS_PER_LENGTH = 5;
 
 /**
  * Generate a random string of specified length
@@ -15,71 +18,7 @@ const MAX_RETRIES = 10;
  * @returns {string} Random string
  */
 function generateRandomString(length = DEFAULT_LENGTH) {
-  let result = '';
-  const charsetLength = CHARSET.length;
-  
-  for (let i = 0; i < length; i++) {
-    result += CHARSET.charAt(Math.floor(Math.random() * charsetLength));
-  }
-  
-  return result;
-}
-
-/**
- * Check if a short code already exists in the database
- * @param {string} shortCode - The short code to check
- * @returns {Promise<boolean>} True if exists, false otherwise
- */
-async function shortCodeExists(shortCode) {
-  try {
-    const existingUrl = await Url.findOne({ 
-      $or: [
-        { shortCode },
-        { customAlias: shortCode }
-      ]
-    });
-    return !!existingUrl;
-  } catch (error) {
-    console.error('Error checking short code existence:', error);
-    throw new Error('Database error while checking short code');
-  }
-}
-
-/**
- * Generate a unique short code
- * @param {number} length - Length of the short code (default: 6)
- * @param {number} maxRetries - Maximum number of retries (default: 10)
- * @returns {Promise<string>} Unique short code
- */
-async function generateUniqueShortCode(length = DEFAULT_LENGTH, maxRetries = MAX_RETRIES) {
-  let attempts = 0;
-  
-  while (attempts < maxRetries) {
-    const shortCode = generateRandomString(length);
-    
-    try {
-      const exists = await shortCodeExists(shortCode);
-      
-      if (!exists) {
-        return shortCode;
-      }
-      
-      attempts++;
-      console.log(`Short code collision detected (attempt ${attempts}): ${shortCode}`);
-      
-    } catch (error) {
-      console.error('Error generating short code:', error);
-      throw error;
-    }
-  }
-  
-  // If we've exhausted retries with the current length, try with longer length
-  if (length < 8) {
-    console.log(`Max retries exceeded for length ${length}, trying length ${length + 1}`);
-    return generateUniqueShortCode(length + 1, maxRetries);
-  }
-  
-  throw new Error('Unable to generate unique short code after maximum retries');
+  return randomString(length);
 }
 
 /**
@@ -110,44 +49,82 @@ function validateCustomCode(customCode) {
 }
 
 /**
- * Generate short code with custom alias support
+ * Generate a candidate short code (custom alias or strategy output)
+ * Nothing is checked against the database here - saveWithUniqueCode relies on
+ * the unique index and asks for another attempt on a collision.
  * @param {string} customAlias - Optional custom alias
+ * @param {Object} options
+ * @param {string} options.strategy - Strategy name (default: SHORT_CODE_STRATEGY)
+ * @param {string} options.originalUrl - Destination (used by deterministic strategies)
+ * @param {string|null} options.domain - Branded domain the link is bound to
+ * @param {number} options.attempt - Number of earlier collisions
  * @returns {Promise<Object>} Object with shortCode and type
  */
-async function generateShortCode(customAlias = null) {
-  try {
-    if (customAlias) {
-      // Validate custom alias
-      const validation = validateCustomCode(customAlias);
-      if (!validation.isValid) {
-        throw new Error(validation.message);
-      }
-      
-      // Check if custom alias is available
-      const exists = await shortCodeExists(customAlias);
-      if (exists) {
-        throw new Error('Custom alias is already taken');
-      }
-      
-      return {
-        shortCode: customAlias.toLowerCase(),
-        type: 'custom',
-        isCustom: true
-      };
+async function generateShortCode(customAlias = null, { strategy, originalUrl, domain = null, attempt = 0 } = {}) {
+  if (customAlias) {
+    // Validate custom alias
+    const validation = validateCustomCode(customAlias);
+    if (!validation.isValid) {
+      throw new Error(validation.message);
     }
-    
-    // Generate random short code
-    const shortCode = await generateUniqueShortCode();
+
     return {
-      shortCode,
-      type: 'generated',
-      isCustom: false
+      shortCode: customAlias.toLowerCase(),
+      type: 'custom',
+      isCustom: true
     };
-    
-  } catch (error) {
-    console.error('Error in generateShortCode:', error);
-    throw error;
   }
+
+  const shortCode = await getStrategy(strategy || getDefaultStrategyName()).generate({
+    originalUrl,
+    domain,
+    attempt,
+    length: DEFAULT_LENGTH + Math.floor(attempt / ATTEMPTS_PER_LENGTH)
+  });
+
+  return {
+    shortCode,
+    type: 'generated',
+    isCustom: false
+  };
+}
+
+/**
+ * Assign a short code to a new link and insert it
+ * The unique { shortCode, domain } index decides collisions, so two requests
+ * racing for the same code cannot both succeed.
+ * @param {Object} url - Unsaved Url document (originalUrl and domain set)
+ * @param {Object} options
+ * @param {string} options.customAlias - Optional custom alias
+ * @param {string} options.strategy - Strategy name for generated codes
+ * @returns {Promise<Object>} { shortCode, isCustom, strategy }
+ */
+async function saveWithUniqueCode(url, { customAlias = null, strategy = null } = {}) {
+  const strategyName = strategy || getDefaultStrategyName();
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const { shortCode, isCustom } = await generateShortCode(customAlias, {
+      strategy: strategyName,
+      originalUrl: url.originalUrl,
+      domain: url.domain,
+      attempt
+    });
+
+    url.shortCode = shortCode;
+    url.customAlias = isCustom ? shortCode : null;
+
+    try {
+      await url.save();
+      return { shortCode, isCustom, strategy: isCustom ? null : strategyName };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (isCustom) throw new Error('Custom alias is already taken');
+
+      console.log(`Short code collision detected (attempt ${attempt + 1}): ${shortCode}`);
+    }
+  }
+
+  throw new Error('Unable to generate unique short code after maximum retries');
 }
 
 /**
@@ -174,6 +151,7 @@ async function getShortCodeStats() {
       activeUrls,
       customAliases,
       expiredUrls,
+      strategy: getDefaultStrategyName(),
       charsetSize,
       possibleCombinations,
       collisionProbability: Math.round(collisionProbability * 10000) / 100 // Percentage with 2 decimals
@@ -185,10 +163,9 @@ async function getShortCodeStats() {
 }
 
 module.exports = {
-  generateUniqueShortCode,
   generateShortCode,
+  saveWithUniqueCode,
   validateCustomCode,
-  shortCodeExists,
   getShortCodeStats,
   generateRandomString,
   CHARSET,
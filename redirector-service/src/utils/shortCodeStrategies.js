@@ -0,0 +1,170 @@
+// src/utils/shortCodeStrategies.js - Interchangeable ways of making short codes
+const crypto = require('crypto');
+const Counter = require('../models/Counter');
+const BlockAllocator = require('./blockAllocator');
+
+/**
+ * Character set for short codes (base58)
+ * Excludes confusing characters: 0 (zero), O (capital o), l (lowercase L), I (capital i)
+ */
+const CHARSET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ123456789';
+
+const configuredLength = parseInt(process.env.SHORT_CODE_LENGTH, 10);
+const DEFAULT_LENGTH = configuredLength >= 4 && configuredLength <= 16 ? configuredLength : 6;
+
+// Letters for pronounceable codes (no c/q/x/w/y - they read ambiguously)
+const CONSONANTS = 'bdfghjkmnprstvz';
+const VOWELS = 'aeiou';
+
+const COUNTER_NAME = 'shortCode';
+const COUNTER_BLOCK_SIZE = parseInt(process.env.SHORT_CODE_COUNTER_BLOCK_SIZE, 10) || 1000;
+// First counter value with DEFAULT_LENGTH digits, so counter codes are never shorter
+const COUNTER_START = Math.pow(CHARSET.length, DEFAULT_LENGTH - 1);
+
+/**
+ * Encode a non-negative integer in base58 using CHARSET
+ * @param {number|bigint} value
+ * @returns {string}
+ */
+function encodeBase58(value) {
+  const base = BigInt(CHARSET.length);
+  let remaining = BigInt(value);
+  let result = '';
+
+  do {
+    result = CHARSET[Number(remaining % base)] + result;
+    remaining /= base;
+  } while (remaining > 0n);
+
+  return result;
+}
+
+/**
+ * Random string from a cryptographically secure source
+ * @param {number} length
+ * @returns {string}
+ */
+function randomString(length = DEFAULT_LENGTH) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += CHARSET[crypto.randomInt(CHARSET.length)];
+  }
+  return result;
+}
+
+const counterAllocator = new BlockAllocator({
+  reserve: (size) => Counter.reserveBlock(COUNTER_NAME, size, COUNTER_START),
+  blockSize: COUNTER_BLOCK_SIZE
+});
+
+/**
+ * Built-in strategies
+ * generate(context) returns a code (or a promise of one). context holds
+ * originalUrl, domain, attempt (0 for the first try) and the wanted length.
+ * Uniqueness is enforced by the database, which asks for another attempt on
+ * a collision.
+ */
+const strategies = new Map([
+  ['random', {
+    description: 'Cryptographically secure random base58 code',
+    generate: ({ length }) => randomString(length)
+  }],
+
+  ['counter', {
+    description: 'Sequential counter encoded in base58; blocks are reserved per replica',
+    generate: async () => encodeBase58(await counterAllocator.take())
+  }],
+
+  ['hash', {
+    description: 'Derived from the destination URL, so the same URL gives the same code',
+    generate: ({ originalUrl, domain, attempt, length }) => {
+      // Later attempts are salted so a collision with another URL can be resolved
+      const input = `${domain || ''}\n${originalUrl}${attempt > 0 ? `\n${attempt}` : ''}`;
+      const digest = crypto.createHash('sha256').update(input).digest();
+      return encodeBase58(digest.readBigUInt64BE(0)).padStart(length, CHARSET[0]).slice(0, length);
+    }
+  }],
+
+  ['words', {
+    description: 'Pronounceable lowercase code of consonant-vowel syllables',
+    generate: ({ length }) => {
+      let result = '';
+      while (result.length < length) {
+        result += CONSONANTS[crypto.randomInt(CONSONANTS.length)] + VOWELS[crypto.randomInt(VOWELS.length)];
+      }
+      return result.slice(0, length);
+    }
+  }]
+]);
+
+/**
+ * Add or replace a strategy
+ * @param {string} name - Name used in SHORT_CODE_STRATEGY and codeStrategy
+ * @param {Object} strategy - { description?, generate(context) }
+ */
+function registerStrategy(name, strategy) {
+  if (!strategy || typeof strategy.generate !== 'function') {
+    throw new Error('A short code strategy needs a generate function');
+  }
+  strategies.set(name, strategy);
+}
+
+/**
+ * Check whether a strategy is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasStrategy(name) {
+  return strategies.has(name);
+}
+
+/**
+ * Names of the registered strategies
+ * @returns {string[]}
+ */
+function getStrategyNames() {
+  return [...strategies.keys()];
+}
+
+let warnedUnknownDefault = false;
+
+/**
+ * Strategy used when a request does not pick one (SHORT_CODE_STRATEGY)
+ * @returns {string}
+ */
+function getDefaultStrategyName() {
+  const configured = process.env.SHORT_CODE_STRATEGY;
+  if (!configured || strategies.has(configured)) return configured || 'random';
+
+  if (!warnedUnknownDefault) {
+    console.warn(`Unknown SHORT_CODE_STRATEGY "${configured}", using random`);
+    warnedUnknownDefault = true;
+  }
+  return 'random';
+}
+
+/**
+ * Look up a strategy by name
+ * @param {string} name
+ * @returns {Object} Strategy
+ */
+function getStrategy(name) {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown short code strategy: ${name}`);
+  }
+  return strategy;
+}
+
+module.exports = {
+  CHARSET,
+  DEFAULT_LENGTH,
+  encodeBase58,
+  randomString,
+  registerStrategy,
+  hasStrategy,
+  getStrategyNames,
+  getDefaultStrategyName,
+  getStrategy,
+  counterAllocator
+};
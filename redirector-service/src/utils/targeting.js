@@ -0,0 +1,80 @@
+// src/utils/targeting.js - Geo and device targeting for redirects
+
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop'];
+
+// Cloudflare sends XX for unknown and T1 for Tor - neither is a real country
+const UNKNOWN_COUNTRIES = ['XX', 'T1'];
+
+/**
+ * Classify the device type from a user agent string
+ * Uses the same categories as analytics-service (mobile, tablet, desktop).
+ * @param {string} userAgent
+ * @returns {string} Device type
+ */
+function detectDeviceType(userAgent) {
+  if (!userAgent || userAgent === 'unknown') return 'desktop';
+
+  const ua = userAgent.toLowerCase();
+
+  if (ua.includes('ipad') || ua.includes('tablet') || (ua.includes('android') && !ua.includes('mobile'))) {
+    return 'tablet';
+  }
+  if (ua.includes('mobile') || ua.includes('iphone') || ua.includes('ipod') || ua.includes('android')) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+/**
+ * Read the visitor's country from the request
+ * @param {Object} req - Express request
+ * @returns {string|null} ISO 3166-1 alpha-2 code
+ */
+function getRequestCountry(req) {
+  const country = (req.headers['cf-ipcountry'] || '').toUpperCase();
+  if (!/^[A-Z0-9]{2}$/.test(country) || UNKNOWN_COUNTRIES.includes(country)) {
+    return null;
+  }
+  return country;
+}
+
+/**
+ * Label recorded in analytics for a rule
+ * @param {Object} rule
+ * @param {number} index - Position of the rule in the list
+ * @returns {string}
+ */
+function getRuleLabel(rule, index) {
+  return rule.name || `rule-${index + 1}`;
+}
+
+/**
+ * Find the first rule that matches the visitor
+ * A rule matches when every condition it sets matches; empty lists match anything.
+ * @param {Array} rules - Ordered targeting rules
+ * @param {Object} visitor - { country, deviceType }
+ * @returns {Object|null} { rule, index, label } or null to fall back to originalUrl
+ */
+function matchTargetingRule(rules, { country, deviceType }) {
+  if (!rules || rules.length === 0) return null;
+
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    const countries = rule.countries || [];
+    const devices = rule.devices || [];
+
+    if (countries.length > 0 && (!country || !countries.includes(country))) continue;
+    if (devices.length > 0 && !devices.includes(deviceType)) continue;
+
+    return { rule, index, label: getRuleLabel(rule, index) };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  detectDeviceType,
+  getRequestCountry,
+  matchTargetingRule
+};
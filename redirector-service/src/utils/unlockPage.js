@@ -0,0 +1,59 @@
+// src/utils/unlockPage.js - HTML unlock form for password-protected links
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the unlock page for a protected short link
+ * @param {Object} options
+ * @param {string} options.shortCode - Code the visitor requested
+ * @param {string} options.error - Optional error message to show
+ * @returns {string} HTML document
+ */
+function renderUnlockPage({ shortCode, error = null }) {
+  const code = escapeHtml(shortCode);
+  const errorHtml = error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Protected link</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f4f5; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); width: 100%; max-width: 320px; }
+    h1 { font-size: 1.25rem; margin: 0 0 1rem; }
+    input, button { width: 100%; box-sizing: border-box; padding: 0.6rem; font-size: 1rem; margin-top: 0.5rem; }
+    button { background: #2563eb; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+    .error { color: #b91c1c; margin: 0 0 0.5rem; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/api/${code}/unlock">
+    <h1>This link is password protected</h1>
+    ${errorHtml}
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+    <button type="submit">Continue</button>
+  </form>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderUnlockPage,
+  escapeHtml
+};
@@ -0,0 +1,103 @@
+// src/utils/variants.js - Weighted A/B split across several destinations
+
+// Sticky assignments are remembered for 30 days
+const VARIANT_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Cookie that remembers a visitor's variant for a link
+ * @param {string} shortCode - Canonical short code (not the alias)
+ * @returns {string} Cookie name
+ */
+function getVariantCookieName(shortCode) {
+  return `usv_${shortCode}`;
+}
+
+/**
+ * Read a single cookie from the request
+ * The service has no cookie parser, so the Cookie header is parsed here.
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() !== name) continue;
+
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick a variant at random, proportionally to its weight
+ * @param {Array} variants - [{ id, destination, weight }]
+ * @param {Function} random - Source of numbers in [0, 1) (injectable for tests)
+ * @returns {Object|null} Chosen variant
+ */
+function pickWeightedVariant(variants, random = Math.random) {
+  if (!variants || variants.length === 0) return null;
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (total <= 0) return variants[0];
+
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Choose the variant for a visitor
+ * A sticky link keeps a returning visitor on the variant stored in their
+ * cookie, as long as that variant still exists and has a non-zero weight.
+ * @param {Object} req - Express request
+ * @param {Object} url - Url document with variants
+ * @returns {Object|null} { variant, assigned } where assigned means the cookie needs setting
+ */
+function selectVariant(req, url) {
+  if (!url.variants || url.variants.length === 0) return null;
+
+  if (url.stickyVariants) {
+    const rememberedId = readCookie(req, getVariantCookieName(url.shortCode));
+    const remembered = url.variants.find(variant => variant.id === rememberedId && variant.weight > 0);
+    if (remembered) {
+      return { variant: remembered, assigned: false };
+    }
+  }
+
+  return { variant: pickWeightedVariant(url.variants), assigned: url.stickyVariants };
+}
+
+/**
+ * Remember the chosen variant on the response
+ * @param {Object} res - Express response
+ * @param {Object} url - Url document
+ * @param {Object} variant - Chosen variant
+ */
+function setVariantCookie(res, url, variant) {
+  res.cookie(getVariantCookieName(url.shortCode), variant.id, {
+    maxAge: VARIANT_COOKIE_MAX_AGE_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/'
+  });
+}
+
+module.exports = {
+  getVariantCookieName,
+  readCookie,
+  pickWeightedVariant,
+  selectVariant,
+  setVariantCookie
+};
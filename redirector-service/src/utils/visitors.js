@@ -0,0 +1,51 @@
+// src/utils/visitors.js - First-party visitor id sent with each click
+const crypto = require('crypto');
+const { readCookie } = require('./variants');
+
+const VISITOR_COOKIE_NAME = 'usvid';
+
+// The id is kept for a year, then the visitor gets a new one
+const VISITOR_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Ids this service hands out; anything else in the cookie is replaced
+const VISITOR_ID_PATTERN = /^v_[0-9a-f]{32}$/;
+
+/**
+ * Whether visitors get an id cookie (VISITOR_COOKIE_ENABLED env var)
+ * A persistent identifier is opt-in: off unless set to 'true'.
+ * @returns {boolean}
+ */
+function isVisitorCookieEnabled() {
+  return process.env.VISITOR_COOKIE_ENABLED === 'true';
+}
+
+/**
+ * Get the visitor's id, assigning one on the response if they have none
+ * The id is what the analytics service erases a visitor's clicks by.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (receives the cookie of a new id)
+ * @returns {Object|null} { visitorId, assigned }, or null while the cookie is disabled
+ */
+function resolveVisitorId(req, res) {
+  if (!isVisitorCookieEnabled()) return null;
+
+  const existing = readCookie(req, VISITOR_COOKIE_NAME);
+  if (existing && VISITOR_ID_PATTERN.test(existing)) {
+    return { visitorId: existing, assigned: false };
+  }
+
+  const visitorId = `v_${crypto.randomBytes(16).toString('hex')}`;
+  res.cookie(VISITOR_COOKIE_NAME, visitorId, {
+    maxAge: VISITOR_COOKIE_MAX_AGE_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/'
+  });
+  return { visitorId, assigned: true };
+}
+
+module.exports = {
+  VISITOR_COOKIE_NAME,
+  isVisitorCookieEnabled,
+  resolveVisitorId
+};
@@ -0,0 +1,74 @@
+// src/utils/webhooks.js - Webhook event types, secrets and payload signatures
+const crypto = require('crypto');
+
+/**
+ * Events a subscription can listen to ('*' matches all of them)
+ * link.clicked is sent by the redirector as the visitor is redirected;
+ * click.tracked by analytics-service once the click is stored.
+ */
+const EVENT_TYPES = [
+  'link.created',
+  'link.updated',
+  'link.deleted',
+  'link.expired',
+  'link.clicked',
+  'click.tracked'
+];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Signatures older than this are rejected by verifySignature (seconds)
+const DEFAULT_TOLERANCE = 5 * 60;
+
+/**
+ * Generate a signing secret for a subscription
+ * @returns {string} Secret with the whsec_ prefix
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Compute the signature header for a delivery
+ * The timestamp is signed with the body so a captured request can't be replayed later.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body as sent
+ * @returns {string} Header value "t=<timestamp>,v1=<hex hmac>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header the way a receiver should
+ * @param {string} secret - Subscription secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body
+ * @param {Object} options
+ * @param {number} options.tolerance - Maximum age in seconds
+ * @param {number} options.now - Current unix time in seconds
+ * @returns {boolean} True if the signature is valid and fresh
+ */
+function verifySignature(secret, header, body, { tolerance = DEFAULT_TOLERANCE, now = Math.floor(Date.now() / 1000) } = {}) {
+  if (typeof header !== 'string') return false;
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=', 2)));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  generateSecret,
+  signPayload,
+  verifySignature
+};
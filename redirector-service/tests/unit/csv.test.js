@@ -0,0 +1,52 @@
+// tests/unit/csv.test.js - Unit tests for CSV import parsing
+const { parseCsv, parseCsvRecords } = require('../../src/utils/csv');
+
+const COLUMNS = ['originalUrl', 'customAlias', 'expiresInDays'];
+
+describe('parseCsv', () => {
+
+  test('should handle quoted cells, doubled quotes and CRLF', () => {
+    const rows = parseCsv('a,"b,c","say ""hi"""\r\n"multi\nline",x,\r\n');
+
+    expect(rows).toEqual([
+      ['a', 'b,c', 'say "hi"'],
+      ['multi\nline', 'x', '']
+    ]);
+  });
+
+  test('should skip blank lines', () => {
+    expect(parseCsv('a,b\n\n\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  test('should reject an unterminated quote', () => {
+    expect(() => parseCsv('"abc,def')).toThrow('Unterminated');
+  });
+
+});
+
+describe('parseCsvRecords', () => {
+
+  test('should map columns by header name in any order', () => {
+    const records = parseCsvRecords(
+      '﻿expiresInDays,OriginalUrl,customAlias\n30,https://a.example,\n,https://b.example,promo1',
+      COLUMNS
+    );
+
+    expect(records).toEqual([
+      { originalUrl: 'https://a.example', expiresInDays: '30' },
+      { originalUrl: 'https://b.example', customAlias: 'promo1' }
+    ]);
+  });
+
+  test('should use the default column order without a header', () => {
+    expect(parseCsvRecords('https://a.example,promo1,7', COLUMNS)).toEqual([
+      { originalUrl: 'https://a.example', customAlias: 'promo1', expiresInDays: '7' }
+    ]);
+  });
+
+  test('should return no records for an empty document', () => {
+    expect(parseCsvRecords('', COLUMNS)).toEqual([]);
+    expect(parseCsvRecords('originalUrl,customAlias,expiresInDays\n', COLUMNS)).toEqual([]);
+  });
+
+});
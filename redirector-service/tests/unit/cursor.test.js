@@ -0,0 +1,69 @@
+// tests/unit/cursor.test.js - Unit tests for pagination cursors
+const { encodeCursor, decodeCursor, buildCursorFilter, buildCursorSort } = require('../../src/utils/cursor');
+
+const ID = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+describe('encodeCursor / decodeCursor', () => {
+
+  test('should round-trip dates, numbers and strings', () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+
+    expect(decodeCursor(encodeCursor({ _id: ID, createdAt }, 'createdAt', 'desc'), 'createdAt', 'desc'))
+      .toEqual({ value: createdAt, id: ID });
+    expect(decodeCursor(encodeCursor({ _id: ID, clickCount: 42 }, 'clickCount', 'asc'), 'clickCount', 'asc'))
+      .toEqual({ value: 42, id: ID });
+    expect(decodeCursor(encodeCursor({ _id: ID, originalUrl: 'https://a.example' }, 'originalUrl', 'asc'), 'originalUrl', 'asc'))
+      .toEqual({ value: 'https://a.example', id: ID });
+  });
+
+  test('should produce URL-safe cursors', () => {
+    const cursor = encodeCursor({ _id: ID, originalUrl: 'https://a.example/?q=ü&x=1' }, 'originalUrl', 'asc');
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('should reject cursors issued for another sort', () => {
+    const cursor = encodeCursor({ _id: ID, clickCount: 1 }, 'clickCount', 'desc');
+
+    expect(decodeCursor(cursor, 'clickCount', 'asc')).toBeNull();
+    expect(decodeCursor(cursor, 'createdAt', 'desc')).toBeNull();
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor', 'createdAt', 'desc')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"s":"createdAt","o":"desc","id":"x"}').toString('base64url'), 'createdAt', 'desc')).toBeNull();
+  });
+
+  test('should reject values that do not fit the sort field', () => {
+    const forge = (payload) => Buffer.from(JSON.stringify({ id: ID, ...payload })).toString('base64url');
+
+    expect(decodeCursor(forge({ s: 'clickCount', o: 'asc', v: { $ne: null } }), 'clickCount', 'asc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'originalUrl', o: 'asc', v: { $gt: '' } }), 'originalUrl', 'asc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'clickCount', o: 'asc', v: 'many' }), 'clickCount', 'asc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'originalUrl', o: 'asc', v: 7 }), 'originalUrl', 'asc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'createdAt', o: 'desc', v: 1714557600000 }), 'createdAt', 'desc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'createdAt', o: 'desc', v: 'yesterday', d: true }), 'createdAt', 'desc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'clickCount', o: 'asc', v: null }), 'clickCount', 'asc')).toBeNull();
+    expect(decodeCursor(forge({ s: 'title', o: 'asc', v: 'x' }), 'title', 'asc')).toBeNull();
+  });
+
+});
+
+describe('buildCursorFilter', () => {
+
+  test('should break ties on _id in the sort direction', () => {
+    expect(buildCursorFilter({ value: 5, id: ID }, 'clickCount', 'desc')).toEqual({
+      $or: [
+        { clickCount: { $lt: 5 } },
+        { clickCount: 5, _id: { $lt: ID } }
+      ]
+    });
+    expect(buildCursorFilter({ value: null, id: ID }, '_id', 'asc')).toEqual({ _id: { $gt: ID } });
+  });
+
+  test('should sort on the field and then _id', () => {
+    expect(buildCursorSort('createdAt', 'desc')).toEqual({ createdAt: -1, _id: -1 });
+    expect(buildCursorSort('_id', 'asc')).toEqual({ _id: 1 });
+  });
+
+});
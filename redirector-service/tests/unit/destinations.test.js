@@ -0,0 +1,160 @@
+// tests/unit/destinations.test.js - Unit tests for the destination policy
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseDestination,
+  parseDomainList,
+  matchDomain,
+  isPrivateHost,
+  parseThreatFeed
+} = require('../../src/utils/destinations');
+const destinationPolicy = require('../../src/services/destinationPolicy');
+const domainRegistry = require('../../src/services/domainRegistry');
+
+describe('destination helpers', () => {
+
+  test('should normalise hostnames the way browsers do', () => {
+    expect(parseDestination('http://2130706433/admin').hostname).toBe('127.0.0.1');
+    expect(parseDestination('https://EXAMPLE.com./a/').key).toBe('example.com/a');
+    expect(parseDestination('http://[::1]:8080/').hostname).toBe('::1');
+    expect(parseDestination('javascript:alert(1)')).toBeNull();
+    expect(parseDestination('not a url')).toBeNull();
+  });
+
+  test('should match domains and their subdomains', () => {
+    const domains = parseDomainList('evil.com, *.bad.org, 203.0.113.7');
+
+    expect(matchDomain('evil.com', domains)).toBe('evil.com');
+    expect(matchDomain('login.evil.com', domains)).toBe('evil.com');
+    expect(matchDomain('www.bad.org', domains)).toBe('bad.org');
+    expect(matchDomain('notevil.com', domains)).toBeNull();
+    expect(matchDomain('203.0.113.7', domains)).toBe('203.0.113.7');
+    expect(matchDomain('1.203.0.113.7', domains)).toBeNull();
+    expect(() => parseDomainList('evil com')).toThrow('Invalid domain list entry');
+  });
+
+  test('should recognise private and local addresses', () => {
+    for (const host of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:7f00:1', 'localhost', 'printer.local', 'db.internal']) {
+      expect(isPrivateHost(host)).toBe(true);
+    }
+    for (const host of ['8.8.8.8', '172.32.0.1', '2001:db8::1', 'example.com', 'localhost.example.com']) {
+      expect(isPrivateHost(host)).toBe(false);
+    }
+  });
+
+  test('should parse domain lists, hosts files and URL feeds', () => {
+    const feed = parseThreatFeed([
+      '# Phishing feed',
+      'phish.example',
+      '0.0.0.0 malware.example tracker.example',
+      '127.0.0.1 localhost',
+      'https://sites.example.org/fake-login/ # reported',
+      '! adblock-style comment',
+      'not_a domain!'
+    ].join('\n'));
+
+    expect([...feed.domains]).toEqual(['phish.example', 'malware.example', 'tracker.example']);
+    expect([...feed.urls]).toEqual(['sites.example.org/fake-login']);
+    expect(feed.invalid).toBe(2);
+  });
+
+});
+
+describe('destinationPolicy', () => {
+
+  const feedPath = path.join(os.tmpdir(), `threat-feed-${process.pid}.txt`);
+  const env = ['DESTINATION_DENYLIST', 'DESTINATION_ALLOWLIST', 'DESTINATION_BLOCK_PRIVATE', 'THREAT_FEED_PATHS', 'BASE_URL'];
+
+  beforeEach(() => {
+    fs.writeFileSync(feedPath, 'phish.example\nhttps://sites.example.org/fake-login\n');
+    process.env.THREAT_FEED_PATHS = feedPath;
+    process.env.BASE_URL = 'https://sho.rt';
+    // No branded domains (avoids the database)
+    jest.spyOn(domainRegistry, 'resolveHost').mockImplementation(async (host) => (host === 'go.brand.com' ? host : null));
+    destinationPolicy.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    env.forEach(name => delete process.env[name]);
+    fs.rmSync(feedPath, { force: true });
+    destinationPolicy.reset();
+  });
+
+  const reasonFor = async (destination) => (await destinationPolicy.evaluate(destination)).reason;
+
+  test('should allow ordinary destinations', async () => {
+    expect(await destinationPolicy.evaluate('https://www.example.com/page')).toEqual({ allowed: true });
+    expect(await reasonFor('https://sites.example.org/real-page')).toBeUndefined();
+  });
+
+  test('should block private networks, loops and listed destinations', async () => {
+    process.env.DESTINATION_DENYLIST = 'evil.com';
+    destinationPolicy.reset();
+
+    expect(await reasonFor('http://192.168.0.1/router')).toBe('private_network');
+    expect(await reasonFor('https://sho.rt/abc123')).toBe('redirect_loop');
+    expect(await reasonFor('https://go.brand.com/launch')).toBe('redirect_loop');
+    expect(await reasonFor('https://login.evil.com')).toBe('denylist');
+    expect(await reasonFor('https://www.phish.example/login')).toBe('threat_feed');
+    expect(await reasonFor('http://sites.example.org/fake-login/?id=1')).toBe('threat_feed');
+
+    const verdict = await destinationPolicy.evaluate('https://login.evil.com');
+    expect(verdict.rule).toBe('evil.com');
+    expect(verdict.message).toBe('Destination https://login.evil.com is on the deny list');
+  });
+
+  test('should let the allow list override deny lists and feeds', async () => {
+    process.env.DESTINATION_DENYLIST = 'example.net';
+    process.env.DESTINATION_ALLOWLIST = 'docs.example.net, phish.example';
+    destinationPolicy.reset();
+
+    expect(await reasonFor('https://docs.example.net')).toBeUndefined();
+    expect(await reasonFor('https://www.example.net')).toBe('denylist');
+    expect(await reasonFor('https://phish.example')).toBeUndefined();
+  });
+
+  test('should allow private addresses when configured to', async () => {
+    process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+    destinationPolicy.reset();
+
+    expect(await reasonFor('http://127.0.0.1:3000/ok')).toBeUndefined();
+  });
+
+  test('should pick up feed changes and keep the last good copy', async () => {
+    expect(await reasonFor('https://new-threat.example')).toBeUndefined();
+
+    fs.writeFileSync(feedPath, 'new-threat.example\n');
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(feedPath, future, future);
+    await destinationPolicy.loadFeeds();
+    expect(await reasonFor('https://new-threat.example')).toBe('threat_feed');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.rmSync(feedPath);
+    const stats = await destinationPolicy.loadFeeds();
+    expect(stats.feeds[0].error).toMatch(/ENOENT/);
+    expect(await reasonFor('https://new-threat.example')).toBe('threat_feed');
+  });
+
+  test('should refuse to start with an invalid deny or allow list', () => {
+    process.env.DESTINATION_ALLOWLIST = 'example.org, not a domain';
+    destinationPolicy.reset();
+
+    expect(() => destinationPolicy.start()).toThrow('DESTINATION_ALLOWLIST: Invalid domain list entry: not a domain');
+  });
+
+  test('should name the field holding a blocked destination', async () => {
+    const link = {
+      originalUrl: 'https://www.example.com',
+      variants: [{ id: 'a', destination: 'https://www.example.com/a' }, { id: 'b', destination: 'http://localhost/b' }]
+    };
+
+    await expect(destinationPolicy.assertAllowed(link)).rejects.toMatchObject({
+      field: 'variants.1.destination',
+      reason: 'private_network'
+    });
+  });
+
+});
@@ -0,0 +1,116 @@
+// tests/unit/domainVerification.test.js - Unit tests for branded domain verification
+const axios = require('axios');
+const {
+  setResolver,
+  getVerificationInstructions,
+  checkDomain
+} = require('../../src/utils/domainVerification');
+const { normalizeHostname } = require('../../src/services/domainRegistry');
+
+const domain = { hostname: 'go.brand.test', verificationToken: 'abc123' };
+
+afterEach(() => {
+  setResolver();
+  jest.restoreAllMocks();
+});
+
+describe('getVerificationInstructions', () => {
+
+  test('should describe the TXT record and the file to publish', () => {
+    const instructions = getVerificationInstructions(domain);
+
+    expect(instructions.txt).toEqual({
+      name: '_shortener-challenge.go.brand.test',
+      value: 'shortener-verification=abc123'
+    });
+    expect(instructions.file).toEqual({
+      url: 'http://go.brand.test/.well-known/shortener-verification.txt',
+      content: 'abc123'
+    });
+  });
+
+});
+
+describe('checkDomain', () => {
+
+  test('should accept a TXT record split into chunks', async () => {
+    setResolver({
+      resolveTxt: async (name) => {
+        expect(name).toBe('_shortener-challenge.go.brand.test');
+        return [['unrelated'], ['shortener-verification=', 'abc123']];
+      }
+    });
+
+    expect(await checkDomain(domain, 'txt')).toBeNull();
+  });
+
+  test('should reject a TXT record with another token', async () => {
+    setResolver({ resolveTxt: async () => [['shortener-verification=other']] });
+
+    expect(await checkDomain(domain, 'txt')).toMatch(/does not contain the verification token/);
+  });
+
+  test('should verify the well-known file', async () => {
+    setResolver({ fetchText: async () => 'abc123\n' });
+    expect(await checkDomain(domain, 'file')).toBeNull();
+
+    setResolver({ fetchText: async () => 'not it' });
+    expect(await checkDomain(domain, 'file')).toMatch(/does not contain the verification token/);
+  });
+
+  test('should report lookup failures instead of throwing', async () => {
+    setResolver({
+      resolveTxt: async () => {
+        const error = new Error('queryTxt ENOTFOUND');
+        error.code = 'ENOTFOUND';
+        throw error;
+      }
+    });
+
+    expect(await checkDomain(domain, 'txt')).toBe('Verification lookup failed: ENOTFOUND');
+  });
+
+  test('should not fetch the file from a private address', async () => {
+    const get = jest.spyOn(axios, 'get');
+
+    expect(await checkDomain({ ...domain, hostname: '169.254.169.254' }, 'file'))
+      .toBe('Verification lookup failed: EPRIVATEADDRESS');
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('should not follow a redirect to a private address', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({
+      status: 302,
+      headers: { location: 'http://10.0.0.5/.well-known/shortener-verification.txt' },
+      data: ''
+    });
+
+    expect(await checkDomain(domain, 'file')).toBe('Verification lookup failed: EPRIVATEADDRESS');
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('should follow a redirect to a public address', async () => {
+    const get = jest.spyOn(axios, 'get')
+      .mockResolvedValueOnce({ status: 301, headers: { location: 'https://www.brand.test/verify.txt' }, data: '' })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: 'abc123' });
+
+    expect(await checkDomain(domain, 'file')).toBeNull();
+    expect(get.mock.calls[1][0]).toBe('https://www.brand.test/verify.txt');
+  });
+
+});
+
+describe('normalizeHostname', () => {
+
+  test('should lowercase and strip ports and trailing dots', () => {
+    expect(normalizeHostname('Go.Brand.Test:8080')).toBe('go.brand.test');
+    expect(normalizeHostname('go.brand.test.')).toBe('go.brand.test');
+  });
+
+  test('should reject values that are not hostnames', () => {
+    expect(normalizeHostname('bad_host!')).toBeNull();
+    expect(normalizeHostname('')).toBeNull();
+    expect(normalizeHostname(undefined)).toBeNull();
+  });
+
+});
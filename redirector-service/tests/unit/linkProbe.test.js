@@ -0,0 +1,137 @@
+// tests/unit/linkProbe.test.js - Unit tests for destination probing against a local stub
+const http = require('http');
+const axios = require('axios');
+const { probe, MAX_REDIRECTS } = require('../../src/utils/linkProbe');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/ok':
+        res.writeHead(200);
+        return res.end();
+      case '/missing':
+        res.writeHead(404);
+        return res.end();
+      case '/moved':
+        res.writeHead(301, { Location: '/ok' });
+        return res.end();
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        return res.end();
+      case '/no-head':
+        // Some servers refuse HEAD but answer GET
+        res.writeHead(req.method === 'HEAD' ? 405 : 200);
+        return res.end(req.method === 'HEAD' ? undefined : 'hello');
+      default:
+        res.writeHead(500);
+        return res.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('probe', () => {
+
+  // The stub listens on loopback
+  beforeAll(() => {
+    process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+  });
+
+  afterAll(() => {
+    delete process.env.DESTINATION_BLOCK_PRIVATE;
+  });
+
+  test('should report a healthy destination', async () => {
+    const result = await probe(`${baseUrl}/ok`);
+
+    expect(result.ok).toBe(true);
+    expect(result.statusCode).toBe(200);
+    expect(result.redirectChain).toEqual([]);
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(result.error).toBeNull();
+  });
+
+  test('should flag error statuses', async () => {
+    const result = await probe(`${baseUrl}/missing`);
+
+    expect(result.ok).toBe(false);
+    expect(result.statusCode).toBe(404);
+    expect(result.error).toBe('HTTP 404');
+  });
+
+  test('should record the redirect chain', async () => {
+    const result = await probe(`${baseUrl}/moved`);
+
+    expect(result.ok).toBe(true);
+    expect(result.redirectChain).toEqual([{ url: `${baseUrl}/moved`, statusCode: 301 }]);
+    expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+  });
+
+  test('should stop following redirect loops', async () => {
+    const result = await probe(`${baseUrl}/loop`);
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe('Too many redirects');
+    expect(result.redirectChain).toHaveLength(MAX_REDIRECTS + 1);
+  });
+
+  test('should retry with GET when HEAD is refused', async () => {
+    const result = await probe(`${baseUrl}/no-head`);
+
+    expect(result.ok).toBe(true);
+    expect(result.statusCode).toBe(200);
+  });
+
+  test('should report connection failures', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await probe(`http://127.0.0.1:${port}/`, { timeout: 1000 });
+
+    expect(result.ok).toBe(false);
+    expect(result.statusCode).toBeNull();
+    expect(result.error).toBe('ECONNREFUSED');
+  });
+
+});
+
+describe('probe on private networks', () => {
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should not request a private destination', async () => {
+    const request = jest.spyOn(axios, 'request');
+
+    const result = await probe(`${baseUrl}/ok`);
+
+    expect(result).toMatchObject({ ok: false, statusCode: null, error: 'EPRIVATEADDRESS' });
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('should not follow a redirect to a private address', async () => {
+    const request = jest.spyOn(axios, 'request').mockResolvedValue({
+      status: 302,
+      headers: { location: 'http://169.254.169.254/latest/meta-data/' }
+    });
+
+    const result = await probe('https://www.example.com/go');
+
+    expect(result).toMatchObject({ ok: false, statusCode: null, error: 'EPRIVATEADDRESS', finalUrl: 'https://www.example.com/go' });
+    expect(result.redirectChain).toEqual([{ url: 'https://www.example.com/go', statusCode: 302 }]);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+});
@@ -0,0 +1,45 @@
+// tests/unit/lruCache.test.js - Unit tests for the LRU cache
+const LruCache = require('../../src/utils/lruCache');
+
+describe('LruCache', () => {
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should evict the least recently used entry when full', () => {
+    const cache = new LruCache({ maxSize: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // a is now most recently used
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.evictions).toBe(1);
+  });
+
+  test('should expire entries after their TTL', () => {
+    jest.useFakeTimers();
+    const cache = new LruCache({ ttlMs: 1000 });
+
+    cache.set('a', 1);
+    cache.set('b', 2, 5000);
+    jest.advanceTimersByTime(1500);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b')).toBe(2);
+  });
+
+  test('should not store entries with a non-positive TTL', () => {
+    const cache = new LruCache();
+
+    cache.set('a', 1, 0);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+});
@@ -0,0 +1,52 @@
+// tests/unit/outbound.test.js - Unit tests for the private network guard of outbound requests
+const http = require('http');
+const axios = require('axios');
+const { publicLookup, assertPublicUrl, requestOptions } = require('../../src/utils/outbound');
+
+afterEach(() => {
+  delete process.env.DESTINATION_BLOCK_PRIVATE;
+});
+
+describe('assertPublicUrl', () => {
+
+  test('should refuse private and local hosts', async () => {
+    for (const target of ['http://localhost:3002/api', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://10.1.2.3:27017', 'http://2130706433/', 'http://db.internal/']) {
+      await expect(assertPublicUrl(target)).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    }
+  });
+
+  test('should accept public hosts and refuse other schemes', async () => {
+    await expect(assertPublicUrl('https://hooks.example.com/crm')).resolves.toBeUndefined();
+    await expect(assertPublicUrl('ftp://files.example.com/')).rejects.toMatchObject({ code: 'EINVALIDURL' });
+  });
+
+  test('should allow private hosts when DESTINATION_BLOCK_PRIVATE is false', async () => {
+    process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+
+    await expect(assertPublicUrl('http://127.0.0.1:8080/hooks')).resolves.toBeUndefined();
+    expect(requestOptions()).toEqual({});
+  });
+
+});
+
+describe('publicLookup', () => {
+
+  test('should refuse names that resolve to a private address', async () => {
+    const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+
+    expect(error).toMatchObject({ code: 'EPRIVATEADDRESS' });
+  });
+
+  test('should stop requests from connecting to a name that resolves to a private address', async () => {
+    const server = http.createServer((req, res) => res.end('internal'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await expect(axios.get(`http://localhost:${server.address().port}/`, { ...requestOptions(), timeout: 1000 }))
+        .rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+});
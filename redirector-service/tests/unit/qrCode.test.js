@@ -0,0 +1,84 @@
+// tests/unit/qrCode.test.js - Unit tests for the QR encoder and renderers
+const zlib = require('zlib');
+const { encodeQr } = require('../../src/utils/qrCode');
+const { renderPng, renderSvg, crc32 } = require('../../src/utils/qrImage');
+
+describe('QR encoder', () => {
+
+  test('should pick the smallest version that fits', () => {
+    const qr = encodeQr('https://sho.rt/abc123', { ecLevel: 'M' });
+
+    expect(qr.version).toBe(2);
+    expect(qr.size).toBe(25);
+    expect(qr.modules).toHaveLength(25);
+  });
+
+  test('should need a larger version for higher error correction', () => {
+    const text = 'https://example.com/api/abcdefgh';
+
+    expect(encodeQr(text, { ecLevel: 'H' }).version)
+      .toBeGreaterThan(encodeQr(text, { ecLevel: 'L' }).version);
+  });
+
+  test('should draw finder patterns in three corners', () => {
+    const { modules, size } = encodeQr('hello');
+    const finderRow = [true, true, true, true, true, true, true];
+
+    expect(modules[0].slice(0, 7)).toEqual(finderRow);
+    expect(modules[0].slice(size - 7)).toEqual(finderRow);
+    expect(modules[size - 1].slice(0, 7)).toEqual(finderRow);
+    expect(modules[1][1]).toBe(false);
+  });
+
+  test('should draw timing patterns', () => {
+    const { modules, size } = encodeQr('hello');
+
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+  });
+
+  test('should reject an unknown error correction level', () => {
+    expect(() => encodeQr('hello', { ecLevel: 'X' })).toThrow('Invalid error correction level');
+  });
+
+  test('should reject data that does not fit', () => {
+    expect(() => encodeQr('x'.repeat(3000), { ecLevel: 'H' })).toThrow('Data too long');
+  });
+
+});
+
+describe('QR renderers', () => {
+
+  test('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('should render a palette PNG scaled to the requested size', () => {
+    const qr = encodeQr('hello');
+    const png = renderPng(qr, { size: 290, margin: 4, foreground: '#ff0000', background: '00ff00' });
+
+    expect(png.slice(1, 4).toString('ascii')).toBe('PNG');
+    // 21 modules + 8 margin = 29 modules at 10px each
+    expect(png.readUInt32BE(16)).toBe(290);
+    expect(png.readUInt32BE(20)).toBe(290);
+
+    const plteStart = png.indexOf('PLTE');
+    expect([...png.slice(plteStart + 4, plteStart + 10)]).toEqual([0, 255, 0, 255, 0, 0]);
+
+    const idatStart = png.indexOf('IDAT');
+    const idatLength = png.readUInt32BE(idatStart - 4);
+    const raw = zlib.inflateSync(png.slice(idatStart + 4, idatStart + 4 + idatLength));
+    expect(raw.length).toBe(290 * 291);
+  });
+
+  test('should render an SVG with the requested colours', () => {
+    const svg = renderSvg(encodeQr('hello'), { size: 128, margin: 2, foreground: '123ABC' });
+
+    expect(svg).toContain('width="128"');
+    expect(svg).toContain('viewBox="0 0 25 25"');
+    expect(svg).toContain('fill="#123abc"');
+  });
+
+});
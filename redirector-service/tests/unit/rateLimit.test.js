@@ -0,0 +1,196 @@
+// tests/unit/rateLimit.test.js - Unit tests for rate limit policies and algorithms
+const {
+  parseDuration,
+  parsePolicy,
+  slidingWindow,
+  tokenBucket,
+  setRateLimitHeaders,
+  parseAllowlist
+} = require('../../src/utils/rateLimit');
+const rateLimiter = require('../../src/services/rateLimiter');
+
+describe('parsePolicy', () => {
+
+  test('should parse counts per duration', () => {
+    expect(parseDuration('500ms')).toBe(500);
+    expect(parseDuration('30')).toBe(30000);
+    expect(parseDuration('1h')).toBe(3600000);
+    expect(parsePolicy('30/1m')).toEqual({ limit: 30, windowMs: 60000, algorithm: 'sliding' });
+    expect(parsePolicy('5/10s', 'token')).toEqual({ limit: 5, windowMs: 10000, algorithm: 'token' });
+  });
+
+  test('should treat off and empty values as unlimited', () => {
+    expect(parsePolicy(null)).toBeNull();
+    expect(parsePolicy('off')).toBeNull();
+    expect(parsePolicy('0')).toBeNull();
+  });
+
+  test('should reject malformed policies', () => {
+    expect(() => parsePolicy('many/1m')).toThrow('Invalid rate limit');
+    expect(() => parsePolicy('10/soon')).toThrow('Invalid rate limit');
+    expect(() => parsePolicy('10/1m', 'leaky')).toThrow('Unknown rate limit algorithm');
+  });
+
+});
+
+describe('slidingWindow', () => {
+
+  const policy = { limit: 4, windowMs: 1000 };
+
+  // Feed requests through the algorithm, keeping its state
+  const run = (times) => {
+    let state;
+    return times.map(now => {
+      const step = slidingWindow(state, policy, now);
+      state = step.state;
+      return step.result;
+    });
+  };
+
+  test('should allow up to the limit within a window', () => {
+    const results = run([0, 100, 200, 300, 400]);
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, true, false]);
+    expect(results.map(r => r.remaining)).toEqual([3, 2, 1, 0, 0]);
+    expect(results[4].retryAfterMs).toBeGreaterThan(0);
+  });
+
+  test('should weigh the previous window by its overlap', () => {
+    // 4 requests at the start of window 0; at 1500 half of them still count
+    const results = run([0, 1, 2, 3, 1500, 1501, 1502]);
+
+    expect(results.slice(4).map(r => r.allowed)).toEqual([true, true, false]);
+  });
+
+  test('should count a weighted request as that many requests', () => {
+    const first = slidingWindow(undefined, policy, 0, 3);
+    const second = slidingWindow(first.state, policy, 1, 2);
+
+    expect(first.result).toMatchObject({ allowed: true, remaining: 1 });
+    expect(second.result.allowed).toBe(false);
+    expect(slidingWindow(second.state, policy, 2, 1).result.allowed).toBe(true);
+  });
+
+  test('should forget windows older than the previous one', () => {
+    const results = run([0, 1, 2, 3, 2500]);
+
+    expect(results[4].allowed).toBe(true);
+    expect(results[4].remaining).toBe(3);
+  });
+
+});
+
+describe('tokenBucket', () => {
+
+  const policy = { limit: 2, windowMs: 1000 }; // One token every 500ms
+
+  test('should allow bursts up to the capacity, then refill evenly', () => {
+    let state;
+    const take = (now) => {
+      const step = tokenBucket(state, policy, now);
+      state = step.state;
+      return step.result;
+    };
+
+    expect(take(0).allowed).toBe(true);
+    expect(take(0).allowed).toBe(true);
+
+    const refused = take(100);
+    expect(refused.allowed).toBe(false);
+    expect(refused.retryAfterMs).toBe(400);
+
+    expect(take(500).allowed).toBe(true);
+    expect(take(500).allowed).toBe(false);
+  });
+
+  test('should take as many tokens as a weighted request costs', () => {
+    const full = tokenBucket(undefined, policy, 0, 2);
+    expect(full.result.allowed).toBe(true);
+
+    const refused = tokenBucket(full.state, policy, 250, 2);
+    expect(refused.result.allowed).toBe(false);
+    expect(refused.result.retryAfterMs).toBe(750);
+  });
+
+});
+
+describe('setRateLimitHeaders', () => {
+
+  test('should describe the quota and when to retry', () => {
+    const headers = {};
+    const res = { set: (values, value) => Object.assign(headers, typeof values === 'string' ? { [values]: value } : values) };
+
+    setRateLimitHeaders(res, { limit: 10, windowMs: 60000 }, { allowed: false, limit: 10, remaining: 0, resetMs: 1500, retryAfterMs: 2100 });
+
+    expect(headers).toEqual({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '2',
+      'RateLimit-Policy': '10;w=60',
+      'Retry-After': '3'
+    });
+  });
+
+});
+
+describe('parseAllowlist', () => {
+
+  test('should match addresses, ranges and API keys', () => {
+    const allowlist = parseAllowlist('127.0.0.1, 10.0.0.0/8, fd00::/8, key:abc123');
+
+    expect(allowlist.has('127.0.0.1')).toBe(true);
+    expect(allowlist.has('::ffff:10.20.30.40')).toBe(true);
+    expect(allowlist.has('fd12::1')).toBe(true);
+    expect(allowlist.has('203.0.113.5', 'abc123')).toBe(true);
+    expect(allowlist.has('203.0.113.5')).toBe(false);
+    expect(allowlist.has(undefined)).toBe(false);
+  });
+
+  test('should reject entries that are not addresses', () => {
+    expect(() => parseAllowlist('localhost')).toThrow('Invalid rate limit allowlist entry');
+  });
+
+});
+
+describe('rateLimiter', () => {
+
+  afterEach(async () => {
+    rateLimiter.configureRoute('shorten', null);
+    await rateLimiter.reset();
+  });
+
+  test('should count API keys separately from anonymous callers', async () => {
+    rateLimiter.configureRoute('shorten', { ip: '1/1m', key: '2/1m' });
+    const caller = { ip: '198.51.100.7' };
+    const withKey = { ip: '198.51.100.7', user: { id: 'team-a', keyId: 'key1' } };
+
+    expect((await rateLimiter.check('shorten', caller)).result.allowed).toBe(true);
+    expect((await rateLimiter.check('shorten', caller)).result.allowed).toBe(false);
+    expect((await rateLimiter.check('shorten', withKey)).result.allowed).toBe(true);
+    expect((await rateLimiter.check('shorten', withKey)).result.allowed).toBe(true);
+    expect((await rateLimiter.check('shorten', withKey)).result.allowed).toBe(false);
+  });
+
+  test('should not limit the admin key or unlimited routes', async () => {
+    rateLimiter.configureRoute('shorten', { ip: 'off' });
+
+    expect(await rateLimiter.check('shorten', { ip: '198.51.100.7' })).toBeNull();
+    expect(await rateLimiter.check('redirect', { ip: '198.51.100.7', user: { isAdmin: true } })).toBeNull();
+  });
+
+  test('should reject unknown routes', async () => {
+    await expect(rateLimiter.check('nope', { ip: '198.51.100.7' })).rejects.toThrow('Unknown rate limit route: nope');
+  });
+
+  test('should give back a released request in the memory store', async () => {
+    const store = new rateLimiter.MemoryStore();
+    const policy = { limit: 1, windowMs: 60000, algorithm: 'sliding' };
+    const now = 120000;
+
+    expect((await store.hit('k', policy, now)).allowed).toBe(true);
+    await store.release('k', policy, now);
+    expect((await store.hit('k', policy, now)).allowed).toBe(true);
+    expect((await store.hit('k', policy, now)).allowed).toBe(false);
+  });
+
+});
@@ -0,0 +1,125 @@
+// tests/unit/shortCodeStrategies.test.js - Unit tests for short code strategies
+const {
+  CHARSET,
+  encodeBase58,
+  getStrategy,
+  getDefaultStrategyName,
+  registerStrategy,
+  hasStrategy
+} = require('../../src/utils/shortCodeStrategies');
+const BlockAllocator = require('../../src/utils/blockAllocator');
+
+const context = { originalUrl: 'https://www.example.com/page', domain: null, attempt: 0, length: 6 };
+
+describe('encodeBase58', () => {
+
+  test('should encode with the short code charset', () => {
+    expect(encodeBase58(0)).toBe(CHARSET[0]);
+    expect(encodeBase58(57)).toBe(CHARSET[57]);
+    expect(encodeBase58(58)).toBe(CHARSET[1] + CHARSET[0]);
+    expect(encodeBase58(Math.pow(58, 5))).toHaveLength(6);
+  });
+
+});
+
+describe('strategies', () => {
+
+  test('random should only use the charset', () => {
+    const code = getStrategy('random').generate(context);
+
+    expect(code).toHaveLength(6);
+    expect([...code].every(char => CHARSET.includes(char))).toBe(true);
+  });
+
+  test('hash should be deterministic per URL, domain and attempt', () => {
+    const hash = getStrategy('hash');
+    const code = hash.generate(context);
+
+    expect(hash.generate(context)).toBe(code);
+    expect(code).toHaveLength(6);
+    expect(hash.generate({ ...context, originalUrl: 'https://www.example.com/other' })).not.toBe(code);
+    expect(hash.generate({ ...context, domain: 'go.brand.test' })).not.toBe(code);
+    expect(hash.generate({ ...context, attempt: 1 })).not.toBe(code);
+  });
+
+  test('words should alternate consonants and vowels', () => {
+    const code = getStrategy('words').generate({ ...context, length: 7 });
+
+    expect(code).toMatch(/^([bdfghjkmnprstvz][aeiou]){3}[bdfghjkmnprstvz]$/);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => getStrategy('nope')).toThrow('Unknown short code strategy: nope');
+  });
+
+  test('should register custom strategies', () => {
+    registerStrategy('fixed-test', { generate: () => 'fixed1' });
+
+    expect(hasStrategy('fixed-test')).toBe(true);
+    expect(getStrategy('fixed-test').generate(context)).toBe('fixed1');
+    expect(() => registerStrategy('broken', {})).toThrow();
+  });
+
+  test('should fall back to random for an unknown SHORT_CODE_STRATEGY', () => {
+    const previous = process.env.SHORT_CODE_STRATEGY;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    process.env.SHORT_CODE_STRATEGY = 'hash';
+    expect(getDefaultStrategyName()).toBe('hash');
+
+    process.env.SHORT_CODE_STRATEGY = 'missing';
+    expect(getDefaultStrategyName()).toBe('random');
+
+    warn.mockRestore();
+    if (previous === undefined) delete process.env.SHORT_CODE_STRATEGY;
+    else process.env.SHORT_CODE_STRATEGY = previous;
+  });
+
+});
+
+describe('BlockAllocator', () => {
+
+  const counterStore = () => {
+    let value = 100;
+    const reserve = jest.fn(async (size) => {
+      value += size;
+      return { from: value - size, to: value };
+    });
+    return reserve;
+  };
+
+  test('should hand out values from one block before reserving another', async () => {
+    const reserve = counterStore();
+    const allocator = new BlockAllocator({ reserve, blockSize: 3 });
+
+    const values = [];
+    for (let i = 0; i < 4; i++) {
+      values.push(await allocator.take());
+    }
+
+    expect(values).toEqual([100, 101, 102, 103]);
+    expect(reserve).toHaveBeenCalledTimes(2);
+    expect(allocator.remaining).toBe(2);
+  });
+
+  test('should share one reservation between concurrent callers', async () => {
+    const reserve = counterStore();
+    const allocator = new BlockAllocator({ reserve, blockSize: 10 });
+
+    const values = await Promise.all([allocator.take(), allocator.take(), allocator.take()]);
+
+    expect(new Set(values).size).toBe(3);
+    expect(reserve).toHaveBeenCalledTimes(1);
+  });
+
+  test('should surface reservation failures and retry on the next call', async () => {
+    const reserve = jest.fn()
+      .mockRejectedValueOnce(new Error('db down'))
+      .mockResolvedValueOnce({ from: 5, to: 6 });
+    const allocator = new BlockAllocator({ reserve, blockSize: 1 });
+
+    await expect(allocator.take()).rejects.toThrow('db down');
+    await expect(allocator.take()).resolves.toBe(5);
+  });
+
+});
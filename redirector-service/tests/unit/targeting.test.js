@@ -0,0 +1,57 @@
+// tests/unit/targeting.test.js - Unit tests for geo/device targeting
+const { detectDeviceType, getRequestCountry, matchTargetingRule } = require('../../src/utils/targeting');
+
+describe('detectDeviceType', () => {
+
+  test('should classify phones, tablets and desktops', () => {
+    expect(detectDeviceType('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148')).toBe('mobile');
+    expect(detectDeviceType('Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari/537.36')).toBe('mobile');
+    expect(detectDeviceType('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toBe('tablet');
+    expect(detectDeviceType('Mozilla/5.0 (Linux; Android 13; SM-X700) Safari/537.36')).toBe('tablet');
+    expect(detectDeviceType('Mozilla/5.0 (Windows NT 10.0; Win64; x64)')).toBe('desktop');
+    expect(detectDeviceType(undefined)).toBe('desktop');
+  });
+
+});
+
+describe('getRequestCountry', () => {
+
+  test('should read and normalise the Cloudflare country header', () => {
+    expect(getRequestCountry({ headers: { 'cf-ipcountry': 'de' } })).toBe('DE');
+    expect(getRequestCountry({ headers: { 'cf-ipcountry': 'XX' } })).toBeNull();
+    expect(getRequestCountry({ headers: {} })).toBeNull();
+  });
+
+});
+
+describe('matchTargetingRule', () => {
+
+  const rules = [
+    { name: 'dach-mobile', countries: ['DE', 'AT'], devices: ['mobile'], destination: 'https://a.example' },
+    { countries: ['DE'], devices: [], destination: 'https://b.example' },
+    { countries: [], devices: ['tablet'], destination: 'https://c.example' }
+  ];
+
+  test('should require every condition of a rule to match', () => {
+    expect(matchTargetingRule(rules, { country: 'AT', deviceType: 'mobile' }).label).toBe('dach-mobile');
+    expect(matchTargetingRule(rules, { country: 'AT', deviceType: 'desktop' })).toBeNull();
+  });
+
+  test('should return the first match in order', () => {
+    const match = matchTargetingRule(rules, { country: 'DE', deviceType: 'tablet' });
+
+    expect(match.index).toBe(1);
+    expect(match.label).toBe('rule-2');
+  });
+
+  test('should not match country rules when the country is unknown', () => {
+    expect(matchTargetingRule(rules, { country: null, deviceType: 'tablet' }).index).toBe(2);
+    expect(matchTargetingRule(rules, { country: null, deviceType: 'desktop' })).toBeNull();
+  });
+
+  test('should return null without rules', () => {
+    expect(matchTargetingRule([], { country: 'DE', deviceType: 'mobile' })).toBeNull();
+    expect(matchTargetingRule(undefined, { country: 'DE', deviceType: 'mobile' })).toBeNull();
+  });
+
+});
@@ -0,0 +1,72 @@
+// tests/unit/variants.test.js - Unit tests for weighted A/B variants
+const { readCookie, pickWeightedVariant, selectVariant } = require('../../src/utils/variants');
+
+const variants = [
+  { id: 'control', destination: 'https://a.example', weight: 3 },
+  { id: 'paused', destination: 'https://b.example', weight: 0 },
+  { id: 'challenger', destination: 'https://c.example', weight: 1 }
+];
+
+describe('readCookie', () => {
+
+  test('should find a cookie among several', () => {
+    const req = { headers: { cookie: 'theme=dark; usv_abc123=control; other=1' } };
+
+    expect(readCookie(req, 'usv_abc123')).toBe('control');
+    expect(readCookie(req, 'missing')).toBeNull();
+    expect(readCookie({ headers: {} }, 'usv_abc123')).toBeNull();
+  });
+
+});
+
+describe('pickWeightedVariant', () => {
+
+  test('should split traffic in proportion to weight', () => {
+    expect(pickWeightedVariant(variants, () => 0).id).toBe('control');
+    expect(pickWeightedVariant(variants, () => 0.74).id).toBe('control');
+    expect(pickWeightedVariant(variants, () => 0.75).id).toBe('challenger');
+    expect(pickWeightedVariant(variants, () => 0.999).id).toBe('challenger');
+  });
+
+  test('should never pick a variant with weight 0', () => {
+    for (let i = 0; i < 100; i++) {
+      expect(pickWeightedVariant(variants).id).not.toBe('paused');
+    }
+  });
+
+  test('should return null without variants', () => {
+    expect(pickWeightedVariant([])).toBeNull();
+  });
+
+});
+
+describe('selectVariant', () => {
+
+  const url = { shortCode: 'abc123', variants, stickyVariants: true };
+
+  test('should keep a returning visitor on their variant', () => {
+    const req = { headers: { cookie: 'usv_abc123=challenger' } };
+
+    expect(selectVariant(req, url)).toEqual({ variant: variants[2], assigned: false });
+  });
+
+  test('should reassign when the remembered variant is gone or paused', () => {
+    const req = { headers: { cookie: 'usv_abc123=paused' } };
+    const selection = selectVariant(req, url);
+
+    expect(selection.variant.id).not.toBe('paused');
+    expect(selection.assigned).toBe(true);
+  });
+
+  test('should ignore cookies for non-sticky links', () => {
+    const req = { headers: { cookie: 'usv_abc123=challenger' } };
+    const selection = selectVariant(req, { ...url, stickyVariants: false });
+
+    expect(selection.assigned).toBe(false);
+  });
+
+  test('should return null for links without variants', () => {
+    expect(selectVariant({ headers: {} }, { shortCode: 'abc123', variants: [] })).toBeNull();
+  });
+
+});
@@ -0,0 +1,52 @@
+// tests/unit/visitors.test.js - Unit tests for the visitor id cookie
+const { resolveVisitorId } = require('../../src/utils/visitors');
+
+const fakeResponse = () => ({
+  cookies: [],
+  cookie(name, value, options) {
+    this.cookies.push({ name, value, options });
+  }
+});
+
+describe('resolveVisitorId', () => {
+
+  beforeEach(() => {
+    process.env.VISITOR_COOKIE_ENABLED = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.VISITOR_COOKIE_ENABLED;
+  });
+
+  test('should keep the id a returning visitor already has', () => {
+    const visitorId = `v_${'0f'.repeat(16)}`;
+    const res = fakeResponse();
+
+    expect(resolveVisitorId({ headers: { cookie: `theme=dark; usvid=${visitorId}` } }, res))
+      .toEqual({ visitorId, assigned: false });
+    expect(res.cookies).toHaveLength(0);
+  });
+
+  test('should assign a new id when the cookie is missing or not one of ours', () => {
+    for (const cookie of [undefined, 'usvid=v_123', `usvid=x_${'0'.repeat(32)}`]) {
+      const res = fakeResponse();
+      const result = resolveVisitorId({ headers: { cookie } }, res);
+
+      expect(result.assigned).toBe(true);
+      expect(result.visitorId).toMatch(/^v_[0-9a-f]{32}$/);
+      expect(res.cookies[0]).toMatchObject({ name: 'usvid', value: result.visitorId, options: { httpOnly: true, sameSite: 'lax' } });
+    }
+  });
+
+  test('should set no cookie unless enabled', () => {
+    for (const value of [undefined, 'false', '1']) {
+      if (value === undefined) delete process.env.VISITOR_COOKIE_ENABLED;
+      else process.env.VISITOR_COOKIE_ENABLED = value;
+      const res = fakeResponse();
+
+      expect(resolveVisitorId({ headers: {} }, res)).toBeNull();
+      expect(res.cookies).toHaveLength(0);
+    }
+  });
+
+});
@@ -0,0 +1,45 @@
+// tests/unit/webhooks.test.js - Unit tests for webhook secrets and signatures
+const crypto = require('crypto');
+const { generateSecret, signPayload, verifySignature } = require('../../src/utils/webhooks');
+
+describe('webhook signatures', () => {
+
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt1', type: 'link.created', data: {} });
+  const now = 1700000000;
+
+  test('should generate prefixed random secrets', () => {
+    const a = generateSecret();
+
+    expect(a).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateSecret()).not.toBe(a);
+  });
+
+  test('should sign the timestamp together with the body', () => {
+    const expected = crypto.createHmac('sha256', secret).update(`${now}.${body}`).digest('hex');
+
+    expect(signPayload(secret, now, body)).toBe(`t=${now},v1=${expected}`);
+  });
+
+  test('should verify a fresh signature', () => {
+    const header = signPayload(secret, now, body);
+
+    expect(verifySignature(secret, header, body, { now })).toBe(true);
+    expect(verifySignature(secret, header, body, { now: now + 60 })).toBe(true);
+  });
+
+  test('should reject tampered bodies, wrong secrets and stale timestamps', () => {
+    const header = signPayload(secret, now, body);
+
+    expect(verifySignature(secret, header, body.replace('evt1', 'evt2'), { now })).toBe(false);
+    expect(verifySignature('whsec_other', header, body, { now })).toBe(false);
+    expect(verifySignature(secret, header, body, { now: now + 3600 })).toBe(false);
+  });
+
+  test('should reject malformed headers', () => {
+    expect(verifySignature(secret, undefined, body, { now })).toBe(false);
+    expect(verifySignature(secret, 'v1=abc', body, { now })).toBe(false);
+    expect(verifySignature(secret, `t=${now},v1=zz`, body, { now })).toBe(false);
+  });
+
+});
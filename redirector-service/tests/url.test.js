@@ -1,8 +1,46 @@
 // tests/url.test.js - Integration tests for URL shortener
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const Url = require('../src/models/Url');
+const ApiKey = require('../src/models/ApiKey');
+const UrlRevision = require('../src/models/UrlRevision');
+const ClickOutbox = require('../src/models/ClickOutbox');
+const BulkImportJob = require('../src/models/BulkImportJob');
+const Domain = require('../src/models/Domain');
+const Counter = require('../src/models/Counter');
+const clickDispatcher = require('../src/services/clickDispatcher');
+const analyticsService = require('../src/services/analyticsService');
+const urlCache = require('../src/services/urlCache');
+const clickCounter = require('../src/services/clickCounter');
+const unlockAttempts = require('../src/services/unlockAttempts');
+const bulkImporter = require('../src/services/bulkImporter');
+const linkHealthChecker = require('../src/services/linkHealthChecker');
+const expirySweeper = require('../src/services/expirySweeper');
+const SchedulerLock = require('../src/models/SchedulerLock');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookDispatcher = require('../src/services/webhookDispatcher');
+const webhookEvents = require('../src/services/webhookEvents');
+const destinationPolicy = require('../src/services/destinationPolicy');
+const rateLimiter = require('../src/services/rateLimiter');
+const RateLimitCounter = require('../src/models/RateLimitCounter');
+const { verifySignature } = require('../src/utils/webhooks');
+const domainRegistry = require('../src/services/domainRegistry');
+const domainVerification = require('../src/utils/domainVerification');
+const shortCodeStrategies = require('../src/utils/shortCodeStrategies');
+
+// Admin key used by tests that need management access
+process.env.ADMIN_API_KEY = 'test-admin-key';
+const ADMIN_KEY = 'test-admin-key';
+
+// Most tests shorten many links from one address; limits get their own describe block
+process.env.RATE_LIMIT_ENABLED = 'false';
 
 // Test database connection
 const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/urlshortener_test';
@@ -13,6 +51,9 @@ beforeAll(async () => {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   });
+
+  // Short code collisions are decided by the unique indexes
+  await Url.createIndexes();
 });
 
 afterAll(async () => {
@@ -24,6 +65,14 @@ afterAll(async () => {
 beforeEach(async () => {
   // Clear database before each test
   await Url.deleteMany({});
+  await ApiKey.deleteMany({});
+  await UrlRevision.deleteMany({});
+  await ClickOutbox.deleteMany({});
+  await BulkImportJob.deleteMany({});
+  await Domain.deleteMany({});
+  urlCache.clear();
+  domainRegistry.clear();
+  await rateLimiter.reset();
 });
 
 describe('URL Shortener API Tests', () => {
@@ -91,6 +140,24 @@ describe('URL Shortener API Tests', () => {
       expect(secondResponse.body.data.shortCode).toBe(firstResponse.body.data.shortCode);
     });
 
+    test('should create a new link when the redirect type is asked for', async () => {
+      const url = 'https://www.example.com/existing-302';
+
+      const first = await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: url })
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: url, redirectType: 302 })
+        .expect(201);
+
+      expect(second.body.data.isExisting).toBeFalsy();
+      expect(second.body.data.shortCode).not.toBe(first.body.data.shortCode);
+      await request(app).get(`/api/${second.body.data.shortCode}`).expect(302);
+    });
+
     test('should reject invalid URL', async () => {
       const response = await request(app)
         .post('/api/shorten')
@@ -150,6 +217,197 @@ describe('URL Shortener API Tests', () => {
 
   });
 
+  describe('Short code strategies', () => {
+
+    const shorten = (body) => request(app)
+      .post('/api/shorten')
+      .send(body)
+      .expect(201)
+      .then(response => response.body.data);
+
+    beforeEach(async () => {
+      await Counter.deleteMany({});
+      shortCodeStrategies.counterAllocator.reset();
+    });
+
+    test('should use the strategy chosen in the request', async () => {
+      const words = await shorten({ originalUrl: 'https://www.example.com/a', codeStrategy: 'words' });
+      expect(words.shortCode).toMatch(/^([bdfghjkmnprstvz][aeiou]){3}$/);
+      expect(words.codeStrategy).toBe('words');
+
+      const hash = await shorten({ originalUrl: 'https://www.example.com/b', codeStrategy: 'hash' });
+      expect(hash.shortCode).toBe(shortCodeStrategies.getStrategy('hash').generate({
+        originalUrl: 'https://www.example.com/b', domain: null, attempt: 0, length: 6
+      }));
+    });
+
+    test('should reject unknown strategies', async () => {
+      const response = await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com', codeStrategy: 'nope' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should hand out consecutive counter codes from one reserved block', async () => {
+      const first = await shorten({ originalUrl: 'https://www.example.com/1', codeStrategy: 'counter' });
+      const second = await shorten({ originalUrl: 'https://www.example.com/2', codeStrategy: 'counter' });
+
+      expect(first.shortCode).toBe(shortCodeStrategies.encodeBase58(Math.pow(58, 5)));
+      expect(second.shortCode).toBe(shortCodeStrategies.encodeBase58(Math.pow(58, 5) + 1));
+
+      // One block reserved for both codes
+      const counter = await Counter.findById('shortCode');
+      expect(counter.value).toBe(Math.pow(58, 5) + 1000);
+    });
+
+    test('should retry with another code when the index reports a collision', async () => {
+      const originalUrl = 'https://www.example.com/collide';
+      const taken = shortCodeStrategies.getStrategy('hash').generate({ originalUrl, domain: null, attempt: 0, length: 6 });
+      await Url.create({ originalUrl: 'https://www.example.com/other', shortCode: taken, createdBy: 'someone' });
+
+      const data = await shorten({ originalUrl, codeStrategy: 'hash' });
+
+      expect(data.shortCode).not.toBe(taken);
+      expect(data.shortCode).toBe(shortCodeStrategies.getStrategy('hash').generate({ originalUrl, domain: null, attempt: 1, length: 6 }));
+    });
+
+    test('should let only one of two concurrent requests claim an alias', async () => {
+      const responses = await Promise.all([
+        request(app).post('/api/shorten').send({ originalUrl: 'https://www.example.com/x', customAlias: 'race' }),
+        request(app).post('/api/shorten').send({ originalUrl: 'https://www.example.com/y', customAlias: 'race' })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await Url.countDocuments({ shortCode: 'race' })).toBe(1);
+    });
+
+  });
+
+  describe('POST /api/shorten/bulk', () => {
+
+    test('should create valid rows and report invalid ones', async () => {
+      const response = await request(app)
+        .post('/api/shorten/bulk')
+        .send([
+          { originalUrl: 'https://www.example.com/one' },
+          { originalUrl: 'not-a-url' },
+          { originalUrl: 'https://www.example.com/two', customAlias: 'promo1' },
+          { originalUrl: 'https://www.example.com/three', customAlias: 'promo1' }
+        ])
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data).toMatchObject({ total: 4, created: 2, existing: 0, failed: 2 });
+      expect(data.results.map(r => r.status)).toEqual(['created', 'error', 'created', 'error']);
+      expect(data.results[0].shortUrl).toContain(data.results[0].shortCode);
+      expect(data.results[1].errors[0].field).toBe('originalUrl');
+      expect(data.results[3].errors[0]).toMatchObject({ field: 'customAlias', message: 'Custom alias is already taken' });
+
+      expect(await Url.countDocuments()).toBe(2);
+    });
+
+    test('should import a CSV document', async () => {
+      const csv = [
+        'originalUrl,customAlias,expiresInDays',
+        'https://www.example.com/csv-one,,30',
+        'https://www.example.com/csv-two,csvpromo,',
+        'https://www.example.com/csv-three,,9999'
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/shorten/bulk')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data).toMatchObject({ total: 3, created: 2, failed: 1 });
+      expect(data.results[1].shortCode).toBe('csvpromo');
+      expect(data.results[2].errors[0].field).toBe('expiresInDays');
+
+      const url = await Url.findOne({ originalUrl: 'https://www.example.com/csv-one' });
+      expect(url.expiresAt).not.toBeNull();
+    });
+
+    test('should reject a body that is neither an array nor CSV', async () => {
+      await request(app)
+        .post('/api/shorten/bulk')
+        .send({ originalUrl: 'https://www.example.com' })
+        .expect(400);
+    });
+
+    test('should run large imports as a background job', async () => {
+      const rows = Array.from({ length: bulkImporter.SYNC_MAX_ROWS + 5 }, (_, i) => ({
+        originalUrl: `https://www.example.com/page-${i}`
+      }));
+      rows[3].originalUrl = 'invalid';
+
+      const response = await request(app)
+        .post('/api/shorten/bulk')
+        .send(rows)
+        .expect(202);
+
+      expect(response.header.location).toBe(response.body.data.statusUrl);
+
+      await bulkImporter.drain();
+
+      // Anonymous jobs are only readable with their token
+      await request(app).get(`/api/shorten/bulk/${response.body.data.jobId}`).expect(404);
+      await request(app).get(`/api/shorten/bulk/${response.body.data.jobId}?token=guess`).expect(404);
+
+      const status = await request(app)
+        .get(response.body.data.statusUrl)
+        .expect(200);
+
+      expect(status.body.data).toMatchObject({
+        status: 'completed',
+        total: rows.length,
+        processed: rows.length,
+        created: rows.length - 1,
+        failed: 1
+      });
+      expect(status.body.data.results[3].status).toBe('error');
+      expect(status.body.data).not.toHaveProperty('tokenHash');
+    });
+
+    test('should report a job interrupted by a restart as failed', async () => {
+      const job = await BulkImportJob.create({ total: 500, processed: 100, status: 'running', createdBy: 'admin' });
+      await BulkImportJob.collection.updateOne({ _id: job._id }, { $set: { updatedAt: new Date(Date.now() - 60 * 60 * 1000) } });
+      const live = await BulkImportJob.create({ total: 500, status: 'running', createdBy: 'admin' });
+
+      expect(await bulkImporter.failStaleJobs()).toBe(1);
+
+      const response = await request(app)
+        .get(`/api/shorten/bulk/${job._id}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(response.body.data).toMatchObject({ status: 'failed', processed: 100 });
+      expect(response.body.data.error).toContain('interrupted');
+      expect((await BulkImportJob.findById(live._id)).status).toBe('running');
+    });
+
+    test('should hide jobs from other owners', async () => {
+      const job = await BulkImportJob.create({ total: 1, createdBy: 'someone-else' });
+      const anonymous = await BulkImportJob.create({ total: 1, createdBy: 'anonymous' });
+
+      await request(app)
+        .get(`/api/shorten/bulk/${job._id}`)
+        .expect(404);
+
+      // Another anonymous caller without the job's token
+      await request(app)
+        .get(`/api/shorten/bulk/${anonymous._id}`)
+        .expect(404);
+
+      await request(app)
+        .get('/api/shorten/bulk/not-an-id')
+        .expect(404);
+    });
+
+  });
+
   describe('GET /api/:shortCode', () => {
     
     test('should redirect to original URL', async () => {
@@ -170,6 +428,82 @@ describe('URL Shortener API Tests', () => {
       expect(response.header.location).toBe('https://www.example.com/redirect-test');
     });
 
+    test('should send a bounded cache header with permanent redirects', async () => {
+      const url = await Url.create({
+        originalUrl: 'https://www.example.com',
+        shortCode: 'perm123'
+      });
+
+      const response = await request(app)
+        .get(`/api/${url.shortCode}`)
+        .expect(301);
+
+      expect(response.header['cache-control']).toMatch(/^public, max-age=\d+$/);
+      expect(response.header['set-cookie']).toBeUndefined();
+    });
+
+    test('should keep the first redirect of a new visitor out of shared caches', async () => {
+      process.env.VISITOR_COOKIE_ENABLED = 'true';
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'perm124' });
+
+      try {
+        const response = await request(app).get('/api/perm124').expect(301);
+
+        expect(response.header['cache-control']).toMatch(/^private, max-age=\d+$/);
+        expect(response.header['set-cookie'][0]).toMatch(/^usvid=v_[0-9a-f]{32};.*HttpOnly/);
+
+        const returning = await request(app)
+          .get('/api/perm124')
+          .set('Cookie', `usvid=v_${'a'.repeat(32)}`)
+          .expect(301);
+        expect(returning.header['cache-control']).toMatch(/^public, max-age=\d+$/);
+      } finally {
+        delete process.env.VISITOR_COOKIE_ENABLED;
+      }
+    });
+
+    test('should use the per-link redirect type', async () => {
+      const url = await Url.create({
+        originalUrl: 'https://www.example.com/temporary',
+        shortCode: 'temp123',
+        redirectType: 307
+      });
+
+      const response = await request(app)
+        .get(`/api/${url.shortCode}`)
+        .expect(307);
+
+      expect(response.header.location).toBe('https://www.example.com/temporary');
+      expect(response.header['cache-control']).toContain('no-store');
+    });
+
+    test('should use the service default redirect type', async () => {
+      process.env.DEFAULT_REDIRECT_TYPE = '302';
+
+      try {
+        const url = await Url.create({
+          originalUrl: 'https://www.example.com',
+          shortCode: 'dflt123'
+        });
+
+        await request(app)
+          .get(`/api/${url.shortCode}`)
+          .expect(302);
+      } finally {
+        delete process.env.DEFAULT_REDIRECT_TYPE;
+      }
+    });
+
+    test('should reject an unsupported redirect type', async () => {
+      await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com',
+          redirectType: 303
+        })
+        .expect(400);
+    });
+
     test('should return 404 for non-existent short code', async () => {
       const response = await request(app)
         .get('/api/nonexistent123')
@@ -216,6 +550,9 @@ describe('URL Shortener API Tests', () => {
         .get(`/api/${url.shortCode}`)
         .expect(301);
 
+      // Click counts are coalesced and written on flush
+      await clickCounter.flush();
+
       // Check if click count increased
       const updatedUrl = await Url.findOne({ shortCode: 'test123' });
       expect(updatedUrl.clickCount).toBe(1);
@@ -223,6 +560,305 @@ describe('URL Shortener API Tests', () => {
 
   });
 
+  describe('Lookup cache', () => {
+
+    test('should serve repeat redirects from the cache', async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com/hot',
+        shortCode: 'hot1234'
+      });
+
+      await request(app).get('/api/hot1234').expect(301);
+      const findSpy = jest.spyOn(Url, 'findOne');
+      await request(app).get('/api/hot1234').expect(301);
+
+      expect(findSpy).not.toHaveBeenCalled();
+      expect(urlCache.getStats().hits).toBe(1);
+      findSpy.mockRestore();
+    });
+
+    test('should negatively cache unknown codes until one is created', async () => {
+      await request(app).get('/api/later1').expect(404);
+      await request(app).get('/api/later1').expect(404);
+      expect(urlCache.getStats().negativeHits).toBe(1);
+
+      await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com/later', customAlias: 'later1' })
+        .expect(201);
+
+      await request(app).get('/api/later1').expect(301);
+    });
+
+    test('should invalidate on delete and edit', async () => {
+      const created = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'https://www.example.com/cached' })
+        .expect(201);
+      const shortCode = created.body.data.shortCode;
+
+      await request(app).get(`/api/${shortCode}`).expect(301);
+
+      const edited = await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'https://www.example.com/edited' })
+        .expect(200);
+      expect(edited.body.success).toBe(true);
+
+      const redirect = await request(app).get(`/api/${shortCode}`).expect(301);
+      expect(redirect.header.location).toBe('https://www.example.com/edited');
+
+      await request(app)
+        .delete(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+
+      await request(app).get(`/api/${shortCode}`).expect(410);
+    });
+
+    test('should coalesce click increments into one write', async () => {
+      const url = await Url.create({
+        originalUrl: 'https://www.example.com',
+        shortCode: 'count12'
+      });
+
+      await request(app).get('/api/count12').expect(301);
+      await request(app).get('/api/count12').expect(301);
+      await request(app).get('/api/count12').expect(301);
+
+      expect(clickCounter.getPendingCount()).toBe(1);
+      await clickCounter.flush();
+
+      const updated = await Url.findById(url._id);
+      expect(updated.clickCount).toBe(3);
+    });
+
+    test('should report cache stats on the health endpoint', async () => {
+      const response = await request(app)
+        .get('/api/health')
+        .expect(200);
+
+      expect(response.body.cache).toHaveProperty('hits');
+      expect(response.body.cache).toHaveProperty('misses');
+      expect(response.body.cache).toHaveProperty('hitRate');
+    });
+
+  });
+
+  describe('Click outbox', () => {
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const waitForOutbox = async (count) => {
+      for (let i = 0; i < 20; i++) {
+        if (await ClickOutbox.countDocuments() >= count) return;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+    };
+
+    test('should write a pending click to the outbox on redirect', async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com',
+        shortCode: 'outbox1'
+      });
+
+      await request(app)
+        .get('/api/outbox1')
+        .set('User-Agent', 'jest-agent')
+        .expect(301);
+
+      await waitForOutbox(1);
+      const event = await ClickOutbox.findOne();
+      expect(event.status).toBe('pending');
+      expect(event.payload.shortCode).toBe('outbox1');
+      expect(event.payload.userAgent).toBe('jest-agent');
+    });
+
+    test('should send the visitor id from the cookie with each click once enabled', async () => {
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'outbox2' });
+      const visitorId = `v_${'b'.repeat(32)}`;
+
+      // Off by default: no cookie and no id
+      const response = await request(app).get('/api/outbox2').set('Cookie', `usvid=${visitorId}`).expect(301);
+      expect(response.header['set-cookie']).toBeUndefined();
+
+      process.env.VISITOR_COOKIE_ENABLED = 'true';
+      try {
+        await request(app).get('/api/outbox2').set('Cookie', `usvid=${visitorId}`).expect(301);
+        await request(app).get('/api/outbox2').set('Cookie', 'usvid=forged').expect(301);
+      } finally {
+        delete process.env.VISITOR_COOKIE_ENABLED;
+      }
+
+      await waitForOutbox(3);
+      const [disabled, returning, replaced] = await ClickOutbox.find().sort({ _id: 1 });
+      expect(disabled.payload.visitorId).toBeNull();
+      expect(returning.payload.visitorId).toBe(visitorId);
+      expect(replaced.payload.visitorId).toMatch(/^v_[0-9a-f]{32}$/);
+      expect(replaced.payload.visitorId).not.toBe('forged');
+    });
+
+    test('should mark clicks delivered once analytics acknowledges them', async () => {
+      const first = await ClickOutbox.enqueue({ shortCode: 'abc123' });
+      await ClickOutbox.enqueue({ shortCode: 'abc123' });
+
+      const spy = jest.spyOn(analyticsService, 'trackClicksBatch')
+        .mockResolvedValue({ success: true, data: { data: { tracked: 2 } } });
+
+      const delivered = await clickDispatcher.drain();
+
+      expect(delivered).toBe(2);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][0]).toHaveLength(2);
+      expect(spy.mock.calls[0][0].map(click => click.eventId)).toContain(first._id.toString());
+      expect(await ClickOutbox.countDocuments({ status: 'delivered' })).toBe(2);
+    });
+
+    test('should keep clicks pending with backoff while analytics is down', async () => {
+      await ClickOutbox.enqueue({ shortCode: 'abc123' });
+
+      jest.spyOn(analyticsService, 'trackClicksBatch')
+        .mockResolvedValue({ success: false, status: null, error: 'connect ECONNREFUSED' });
+
+      const delivered = await clickDispatcher.drain();
+
+      expect(delivered).toBe(0);
+      const event = await ClickOutbox.findOne();
+      expect(event.status).toBe('pending');
+      expect(event.attempts).toBe(1);
+      expect(event.lockedBy).toBeNull();
+      expect(event.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should park clicks that analytics rejects', async () => {
+      await ClickOutbox.enqueue({ shortCode: 'abc123' });
+
+      jest.spyOn(analyticsService, 'trackClicksBatch')
+        .mockResolvedValue({ success: false, status: 400, error: 'Validation error' });
+
+      await clickDispatcher.drain();
+
+      const event = await ClickOutbox.findOne();
+      expect(event.status).toBe('failed');
+    });
+
+  });
+
+  describe('Activation windows and click limits', () => {
+
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+    test('should accept lifecycle settings when shortening', async () => {
+      const activatesAt = inOneHour();
+      const expiresAt = new Date(activatesAt.getTime() + 24 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com/launch', activatesAt, expiresAt, maxClicks: 100 })
+        .expect(201);
+
+      expect(new Date(response.body.data.activatesAt)).toEqual(activatesAt);
+      expect(new Date(response.body.data.expiresAt)).toEqual(expiresAt);
+      expect(response.body.data.maxClicks).toBe(100);
+    });
+
+    test('should reject an expiry before activation or mixed with expiresInDays', async () => {
+      const activatesAt = inOneHour();
+
+      await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com', activatesAt, expiresAt: new Date(activatesAt.getTime() - 1000) })
+        .expect(400);
+
+      await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com', expiresAt: inOneHour(), expiresInDays: 3 })
+        .expect(400);
+    });
+
+    test('should answer links that are not active yet', async () => {
+      const url = await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'soon001', activatesAt: inOneHour() });
+
+      const response = await request(app)
+        .get(`/api/${url.shortCode}`)
+        .expect(403);
+
+      expect(response.body.reason).toBe('scheduled');
+      expect(new Date(response.body.activatesAt)).toEqual(url.activatesAt);
+      expect(parseInt(response.headers['retry-after'], 10)).toBeGreaterThan(3500);
+    });
+
+    test('should tell expired links apart from switched-off links', async () => {
+      await Url.create([
+        { originalUrl: 'https://www.example.com', shortCode: 'past001', expiresAt: new Date(Date.now() - 1000) },
+        { originalUrl: 'https://www.example.com', shortCode: 'off0001', isActive: false }
+      ]);
+
+      const expired = await request(app).get('/api/past001').expect(410);
+      expect(expired.body.reason).toBe('expired');
+
+      const inactive = await request(app).get('/api/off0001').expect(410);
+      expect(inactive.body.reason).toBe('inactive');
+    });
+
+    test('should stop redirecting once the click cap is reached', async () => {
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'cap0001', maxClicks: 2 });
+
+      const first = await request(app).get('/api/cap0001').expect(301);
+      expect(first.headers['cache-control']).toContain('no-store');
+      await request(app).get('/api/cap0001').expect(301);
+
+      const response = await request(app).get('/api/cap0001').expect(410);
+      expect(response.body.reason).toBe('limit_reached');
+
+      const stored = await Url.findOne({ shortCode: 'cap0001' });
+      expect(stored.clickCount).toBe(2);
+      expect(stored.lifecycleState).toBe('limit_reached');
+    });
+
+    test('should let exactly maxClicks concurrent visitors through', async () => {
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'cap0002', maxClicks: 3 });
+
+      const responses = await Promise.all(
+        Array.from({ length: 6 }, () => request(app).get('/api/cap0002'))
+      );
+
+      expect(responses.filter(response => response.status === 301)).toHaveLength(3);
+      expect(responses.filter(response => response.status === 410)).toHaveLength(3);
+    });
+
+    test('should send visitors to the fallback outside the window', async () => {
+      await Url.create([
+        { originalUrl: 'https://www.example.com', shortCode: 'soon002', activatesAt: inOneHour(), fallbackUrl: 'https://www.example.com/coming-soon' },
+        { originalUrl: 'https://www.example.com', shortCode: 'cap0003', maxClicks: 1, clickCount: 1, fallbackUrl: 'https://www.example.com/sold-out' }
+      ]);
+
+      const scheduled = await request(app).get('/api/soon002').expect(302);
+      expect(scheduled.headers.location).toBe('https://www.example.com/coming-soon');
+
+      const capped = await request(app).get('/api/cap0003').expect(302);
+      expect(capped.headers.location).toBe('https://www.example.com/sold-out');
+    });
+
+    test('should only find links that redirect right now', async () => {
+      await Url.create([
+        { originalUrl: 'https://www.example.com', shortCode: 'live001' },
+        { originalUrl: 'https://www.example.com', shortCode: 'soon003', activatesAt: inOneHour() },
+        { originalUrl: 'https://www.example.com', shortCode: 'cap0004', maxClicks: 5, clickCount: 5 }
+      ]);
+
+      expect(await Url.findActiveByShortCode('live001')).not.toBeNull();
+      expect(await Url.findActiveByShortCode('soon003')).toBeNull();
+      expect(await Url.findActiveByShortCode('cap0004')).toBeNull();
+      expect(await Url.findByCodeOrAlias('cap0004')).toBeNull();
+    });
+
+  });
+
   describe('GET /api/info/:shortCode', () => {
     
     test('should return URL information', async () => {
@@ -257,21 +893,362 @@ describe('URL Shortener API Tests', () => {
 
   });
 
-  describe('DELETE /api/:shortCode', () => {
-    
-    test('should deactivate a short URL', async () => {
-      // Create a short URL
-      const createResponse = await request(app)
-        .post('/api/shorten')
-        .send({
-          originalUrl: 'https://www.example.com/delete-test'
-        });
+  describe('Targeted redirects', () => {
 
-      const shortCode = createResponse.body.data.shortCode;
+    const MOBILE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148';
 
-      // Delete the URL
+    beforeEach(async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com/global',
+        shortCode: 'target1',
+        targetingRules: [
+          { name: 'dach', countries: ['DE', 'AT'], destination: 'https://www.example.de' },
+          { devices: ['mobile'], destination: 'https://m.example.com' }
+        ]
+      });
+    });
+
+    test('should redirect by country', async () => {
+      const response = await request(app)
+        .get('/api/target1')
+        .set('CF-IPCountry', 'AT')
+        .set('User-Agent', MOBILE_UA)
+        .expect(301);
+
+      // First matching rule wins even though the device rule also matches
+      expect(response.header.location).toBe('https://www.example.de');
+      expect(response.header['cache-control']).toMatch(/^private/);
+      expect(response.header.vary).toContain('User-Agent');
+    });
+
+    test('should redirect by device and record the matched rule', async () => {
+      const response = await request(app)
+        .get('/api/target1')
+        .set('CF-IPCountry', 'US')
+        .set('User-Agent', MOBILE_UA)
+        .expect(301);
+
+      expect(response.header.location).toBe('https://m.example.com');
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const event = await ClickOutbox.findOne();
+      expect(event.payload.targetingRule).toBe('rule-2');
+    });
+
+    test('should fall back to the original URL', async () => {
+      const response = await request(app)
+        .get('/api/target1')
+        .set('CF-IPCountry', 'US')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)')
+        .expect(301);
+
+      expect(response.header.location).toBe('https://www.example.com/global');
+    });
+
+    test('should reject rules without conditions', async () => {
+      await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com',
+          targetingRules: [{ destination: 'https://www.example.org' }]
+        })
+        .expect(400);
+    });
+
+  });
+
+  describe('A/B variants', () => {
+
+    beforeEach(async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com/landing',
+        shortCode: 'split01',
+        variants: [
+          { id: 'control', destination: 'https://www.example.com/a', weight: 1 },
+          { id: 'new-hero', destination: 'https://www.example.com/b', weight: 1 }
+        ]
+      });
+    });
+
+    test('should assign a variant and remember it in a cookie', async () => {
+      const response = await request(app)
+        .get('/api/split01')
+        .expect(301);
+
+      expect(['https://www.example.com/a', 'https://www.example.com/b']).toContain(response.header.location);
+      expect(response.header['set-cookie'][0]).toMatch(/^usv_split01=(control|new-hero);/);
+      expect(response.header.vary).toContain('Cookie');
+    });
+
+    test('should send a returning visitor to the same variant', async () => {
+      const response = await request(app)
+        .get('/api/split01')
+        .set('Cookie', 'usv_split01=new-hero')
+        .expect(301);
+
+      expect(response.header.location).toBe('https://www.example.com/b');
+      expect(response.header['set-cookie']).toBeUndefined();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const event = await ClickOutbox.findOne();
+      expect(event.payload.variant).toBe('new-hero');
+    });
+
+    test('should create a split link', async () => {
+      const response = await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com/landing',
+          variants: [
+            { id: 'a', destination: 'https://www.example.com/a' },
+            { id: 'b', destination: 'https://www.example.com/b', weight: 3 }
+          ],
+          stickyVariants: false
+        })
+        .expect(201);
+
+      const url = await Url.findOne({ shortCode: response.body.data.shortCode });
+      expect(url.variants.map(v => v.weight)).toEqual([1, 3]);
+      expect(url.stickyVariants).toBe(false);
+    });
+
+    test('should reject a single variant or duplicate ids', async () => {
+      await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com',
+          variants: [{ id: 'a', destination: 'https://www.example.com/a' }]
+        })
+        .expect(400);
+
+      await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com',
+          variants: [
+            { id: 'a', destination: 'https://www.example.com/a' },
+            { id: 'a', destination: 'https://www.example.com/b' }
+          ]
+        })
+        .expect(400);
+    });
+
+  });
+
+  describe('Password-protected links', () => {
+
+    const createProtected = async () => {
+      const response = await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com/internal-doc',
+          password: 'open-sesame'
+        })
+        .expect(201);
+      return response.body.data.shortCode;
+    };
+
+    test('should store only a hash of the password', async () => {
+      const shortCode = await createProtected();
+
+      const url = await Url.findOne({ shortCode });
+      expect(url.passwordHash).toMatch(/^scrypt\$/);
+      expect(url.passwordHash).not.toContain('open-sesame');
+      expect(url.toJSON()).not.toHaveProperty('passwordHash');
+    });
+
+    test('should serve the unlock form instead of redirecting', async () => {
+      const shortCode = await createProtected();
+
+      const response = await request(app)
+        .get(`/api/${shortCode}`)
+        .expect(200);
+
+      expect(response.header['content-type']).toContain('text/html');
+      expect(response.header['cache-control']).toContain('no-store');
+      expect(response.text).toContain(`action="/api/${shortCode}/unlock"`);
+      expect(await ClickOutbox.countDocuments()).toBe(0);
+    });
+
+    test('should redirect and record the click with the right password', async () => {
+      const shortCode = await createProtected();
+
+      const response = await request(app)
+        .post(`/api/${shortCode}/unlock`)
+        .type('form')
+        .send({ password: 'open-sesame' })
+        .expect(303);
+
+      expect(response.header.location).toBe('https://www.example.com/internal-doc');
+      expect(clickCounter.getPendingCount()).toBe(1);
+    });
+
+    test('should reject a wrong password', async () => {
+      const shortCode = await createProtected();
+
+      const response = await request(app)
+        .post(`/api/${shortCode}/unlock`)
+        .send({ password: 'wrong' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should rate limit wrong attempts per IP', async () => {
+      const shortCode = await createProtected();
+
+      for (let i = 0; i < unlockAttempts.MAX_ATTEMPTS; i++) {
+        await request(app)
+          .post(`/api/${shortCode}/unlock`)
+          .send({ password: 'wrong' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post(`/api/${shortCode}/unlock`)
+        .send({ password: 'open-sesame' })
+        .expect(429);
+
+      expect(response.header['retry-after']).toBeDefined();
+    });
+
+    test('should count parallel wrong attempts before checking the password', async () => {
+      const shortCode = await createProtected();
+
+      const responses = await Promise.all(Array.from({ length: unlockAttempts.MAX_ATTEMPTS + 3 }, () => request(app)
+        .post(`/api/${shortCode}/unlock`)
+        .send({ password: 'wrong' })));
+
+      const statuses = responses.map(response => response.status);
+      expect(statuses.filter(status => status === 401)).toHaveLength(unlockAttempts.MAX_ATTEMPTS);
+      expect(statuses.filter(status => status === 429)).toHaveLength(3);
+    });
+
+    test('should not charge correct passwords against the attempt limit', async () => {
+      const shortCode = await createProtected();
+
+      for (let i = 0; i < unlockAttempts.MAX_ATTEMPTS + 1; i++) {
+        await request(app)
+          .post(`/api/${shortCode}/unlock`)
+          .send({ password: 'open-sesame' })
+          .expect(303);
+      }
+    });
+
+    test('should keep attempt counts in the shared rate limit store', async () => {
+      const shortCode = await createProtected();
+      rateLimiter.setStore(new rateLimiter.MongoStore());
+
+      try {
+        await request(app).post(`/api/${shortCode}/unlock`).send({ password: 'wrong' }).expect(401);
+        expect(await RateLimitCounter.countDocuments({ _id: /^unlock:ip:/ })).toBe(1);
+      } finally {
+        rateLimiter.setStore(null);
+        await RateLimitCounter.deleteMany({});
+      }
+    });
+
+    test('should hide the destination of a protected link from its info', async () => {
+      const shortCode = await createProtected();
+
+      const anonymous = await request(app).get(`/api/info/${shortCode}`).expect(200);
+      expect(anonymous.body.data.isProtected).toBe(true);
+      for (const field of ['originalUrl', 'fallbackUrl', 'targetingRules', 'variants', 'health']) {
+        expect(anonymous.body.data).not.toHaveProperty(field);
+      }
+      expect(JSON.stringify(anonymous.body)).not.toContain('internal-doc');
+
+      const admin = await request(app).get(`/api/info/${shortCode}`).set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(admin.body.data.originalUrl).toBe('https://www.example.com/internal-doc');
+    });
+
+    test('should remove protection through PATCH without leaking the hash', async () => {
+      const shortCode = await createProtected();
+
+      await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ password: null })
+        .expect(200);
+
+      await request(app).get(`/api/${shortCode}`).expect(301);
+
+      const revision = await UrlRevision.findOne({ shortCode });
+      expect(revision.changes[0]).toMatchObject({ field: 'password', from: '[redacted]', to: null });
+    });
+
+  });
+
+  describe('GET /api/qr/:shortCode', () => {
+
+    beforeEach(async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com/poster',
+        shortCode: 'poster1'
+      });
+    });
+
+    test('should render a PNG by default', async () => {
+      const response = await request(app)
+        .get('/api/qr/poster1')
+        .expect(200);
+
+      expect(response.header['content-type']).toBe('image/png');
+      expect(response.header.etag).toBeDefined();
+      expect(response.body.slice(1, 4).toString('ascii')).toBe('PNG');
+    });
+
+    test('should render an SVG with custom options', async () => {
+      const response = await request(app)
+        .get('/api/qr/poster1?format=svg&size=512&ecLevel=H&margin=2&foreground=112233')
+        .expect(200);
+
+      expect(response.header['content-type']).toContain('image/svg+xml');
+      expect(response.text).toContain('width="512"');
+      expect(response.text).toContain('fill="#112233"');
+    });
+
+    test('should return 304 when the ETag matches', async () => {
+      const first = await request(app)
+        .get('/api/qr/poster1?format=svg')
+        .expect(200);
+
+      await request(app)
+        .get('/api/qr/poster1?format=svg')
+        .set('If-None-Match', first.header.etag)
+        .expect(304);
+    });
+
+    test('should reject invalid options', async () => {
+      await request(app)
+        .get('/api/qr/poster1?ecLevel=Z')
+        .expect(400);
+    });
+
+    test('should return 404 for an unknown short code', async () => {
+      await request(app)
+        .get('/api/qr/missing1')
+        .expect(404);
+    });
+
+  });
+
+  describe('DELETE /api/:shortCode', () => {
+    
+    test('should deactivate a short URL', async () => {
+      // Create a short URL
+      const createResponse = await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com/delete-test'
+        });
+
+      const shortCode = createResponse.body.data.shortCode;
+
+      // Delete the URL
       const response = await request(app)
         .delete(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -284,6 +1261,7 @@ describe('URL Shortener API Tests', () => {
     test('should return 404 when deleting non-existent URL', async () => {
       const response = await request(app)
         .delete('/api/nonexistent')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -291,6 +1269,1509 @@ describe('URL Shortener API Tests', () => {
 
   });
 
+  describe('PATCH /api/:shortCode', () => {
+
+    const createUrl = async () => {
+      const response = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'https://www.example.com/before' })
+        .expect(201);
+      return response.body.data.shortCode;
+    };
+
+    test('should change the destination and record a revision', async () => {
+      const shortCode = await createUrl();
+
+      const response = await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'https://www.example.com/after' })
+        .expect(200);
+
+      expect(response.body.data.originalUrl).toBe('https://www.example.com/after');
+      expect(response.body.data.changes).toHaveLength(1);
+
+      const history = await request(app)
+        .get(`/api/info/${shortCode}/history`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+
+      expect(history.body.data.count).toBe(1);
+      expect(history.body.data.revisions[0].revision).toBe(1);
+      expect(history.body.data.revisions[0].changedBy).toBe('admin');
+      expect(history.body.data.revisions[0].changes[0]).toMatchObject({
+        field: 'originalUrl',
+        from: 'https://www.example.com/before',
+        to: 'https://www.example.com/after'
+      });
+    });
+
+    test('should change the alias so the new alias redirects', async () => {
+      const shortCode = await createUrl();
+
+      await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ customAlias: 'renamed-link' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/renamed-link')
+        .expect(301);
+    });
+
+    test('should reject an invalid destination', async () => {
+      const shortCode = await createUrl();
+
+      const response = await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'not-a-valid-url' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation error');
+    });
+
+    test('should reject an empty edit', async () => {
+      const shortCode = await createUrl();
+
+      await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({})
+        .expect(400);
+    });
+
+    test('should reject an alias that is already taken', async () => {
+      const shortCode = await createUrl();
+      await Url.create({
+        originalUrl: 'https://www.example.com/other',
+        shortCode: 'taken1',
+        customAlias: 'taken-alias'
+      });
+
+      await request(app)
+        .patch(`/api/${shortCode}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ customAlias: 'taken-alias' })
+        .expect(400);
+    });
+
+    test('should require a key', async () => {
+      const shortCode = await createUrl();
+
+      await request(app)
+        .patch(`/api/${shortCode}`)
+        .send({ isActive: false })
+        .expect(401);
+    });
+
+  });
+
+  describe('API key authentication', () => {
+
+    const issueKey = async (owner) => {
+      const response = await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: `${owner}-key`, owner })
+        .expect(201);
+      return response.body.data;
+    };
+
+    test('should issue a key and store only its hash', async () => {
+      const key = await issueKey('team-a');
+
+      expect(key.apiKey).toMatch(/^usk_/);
+      const stored = await ApiKey.findById(key.id);
+      expect(stored.keyHash).not.toBe(key.apiKey);
+      expect(stored.keyHash).toBe(ApiKey.hashKey(key.apiKey));
+    });
+
+    test('should only allow the admin key to issue keys', async () => {
+      const key = await issueKey('team-a');
+
+      await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', key.apiKey)
+        .send({ name: 'another', owner: 'team-b' })
+        .expect(403);
+    });
+
+    test('should require a key to list URLs', async () => {
+      await request(app)
+        .get('/api/urls')
+        .expect(401);
+    });
+
+    test('should set createdBy from the key owner', async () => {
+      const key = await issueKey('team-a');
+
+      const response = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', key.apiKey)
+        .send({ originalUrl: 'https://www.example.com/owned' })
+        .expect(201);
+
+      const url = await Url.findOne({ shortCode: response.body.data.shortCode });
+      expect(url.createdBy).toBe('team-a');
+    });
+
+    test('should only list and delete links owned by the key', async () => {
+      const keyA = await issueKey('team-a');
+      const keyB = await issueKey('team-b');
+
+      const created = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', keyA.apiKey)
+        .send({ originalUrl: 'https://www.example.com/team-a' })
+        .expect(201);
+      const shortCode = created.body.data.shortCode;
+
+      const listA = await request(app)
+        .get('/api/urls')
+        .set('Authorization', `Bearer ${keyA.apiKey}`)
+        .expect(200);
+      expect(listA.body.data.urls).toHaveLength(1);
+
+      const listB = await request(app)
+        .get('/api/urls')
+        .set('X-API-Key', keyB.apiKey)
+        .expect(200);
+      expect(listB.body.data.urls).toHaveLength(0);
+
+      await request(app)
+        .delete(`/api/${shortCode}`)
+        .set('X-API-Key', keyB.apiKey)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/${shortCode}`)
+        .set('X-API-Key', keyA.apiKey)
+        .expect(200);
+    });
+
+    test('should reject a revoked key', async () => {
+      const key = await issueKey('team-a');
+
+      await request(app)
+        .delete(`/api/keys/${key.id}`)
+        .set('X-API-Key', key.apiKey)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/urls')
+        .set('X-API-Key', key.apiKey)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should require a key to shorten when anonymous shortening is disabled', async () => {
+      process.env.ALLOW_ANONYMOUS_SHORTEN = 'false';
+
+      try {
+        await request(app)
+          .post('/api/shorten')
+          .send({ originalUrl: 'https://www.example.com/anon' })
+          .expect(401);
+      } finally {
+        delete process.env.ALLOW_ANONYMOUS_SHORTEN;
+      }
+    });
+
+  });
+
+  describe('GET /api/urls filters, search and pagination', () => {
+
+    const list = (query) => request(app)
+      .get('/api/urls')
+      .query(query)
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200)
+      .then(response => response.body.data.urls.map(url => url.shortCode).sort());
+
+    beforeEach(async () => {
+      await Url.createIndexes();
+      await Url.create([
+        {
+          originalUrl: 'https://www.example.com/spring-sale',
+          shortCode: 'spring1',
+          title: 'Spring sale landing page',
+          tags: ['campaign', 'spring'],
+          folder: 'marketing/2024',
+          createdBy: 'team-a',
+          createdAt: new Date('2024-03-01')
+        },
+        {
+          originalUrl: 'https://www.example.com/summer',
+          shortCode: 'summer1',
+          notes: 'Replaces the old spring banner',
+          tags: ['campaign'],
+          folder: 'marketing/2024',
+          createdBy: 'team-b',
+          createdAt: new Date('2024-06-01')
+        },
+        {
+          originalUrl: 'https://docs.example.com/api',
+          shortCode: 'docs001',
+          createdBy: 'team-a',
+          expiresAt: new Date(Date.now() - 1000),
+          createdAt: new Date('2024-01-15')
+        },
+        {
+          originalUrl: 'https://www.example.com/retired',
+          shortCode: 'retire1',
+          isActive: false,
+          createdBy: 'team-b'
+        }
+      ]);
+    });
+
+    test('should filter by tag and folder', async () => {
+      expect(await list({ tag: 'campaign' })).toEqual(['spring1', 'summer1']);
+      expect(await list({ tag: 'campaign,spring' })).toEqual(['spring1']);
+      expect(await list({ folder: 'marketing/2024' })).toEqual(['spring1', 'summer1']);
+    });
+
+    test('should filter by status', async () => {
+      expect(await list({})).toEqual(['docs001', 'spring1', 'summer1']);
+      expect(await list({ status: 'active' })).toEqual(['spring1', 'summer1']);
+      expect(await list({ status: 'expired' })).toEqual(['docs001']);
+      expect(await list({ status: 'inactive' })).toEqual(['retire1']);
+      expect(await list({ status: 'all' })).toHaveLength(4);
+    });
+
+    test('should filter by owner and creation date', async () => {
+      expect(await list({ owner: 'team-a' })).toEqual(['docs001', 'spring1']);
+      expect(await list({ createdFrom: '2024-02-01', createdTo: '2024-07-01' })).toEqual(['spring1', 'summer1']);
+    });
+
+    test('should search title, notes and destination', async () => {
+      expect(await list({ q: 'spring' })).toEqual(['spring1', 'summer1']);
+      expect(await list({ q: 'docs' })).toEqual(['docs001']);
+    });
+
+    test('should not let a regular key list other owners', async () => {
+      const created = await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: 'team-a key', owner: 'team-a' })
+        .expect(201);
+
+      await request(app)
+        .get('/api/urls?owner=team-b')
+        .set('X-API-Key', created.body.data.apiKey)
+        .expect(403);
+    });
+
+    test('should page through links with a cursor', async () => {
+      const seen = [];
+      let after;
+
+      do {
+        const response = await request(app)
+          .get('/api/urls')
+          .query({ status: 'all', limit: 3, sortBy: 'createdAt', order: 'asc', ...(after && { after }) })
+          .set('X-API-Key', ADMIN_KEY)
+          .expect(200);
+
+        const { urls, pagination } = response.body.data;
+        seen.push(...urls.map(url => url.shortCode));
+        if (after) {
+          expect(pagination).not.toHaveProperty('total');
+        }
+        after = pagination.nextCursor;
+      } while (after);
+
+      expect(seen).toEqual(['docs001', 'spring1', 'summer1', 'retire1']);
+    });
+
+    test('should include totals on request and reject foreign cursors', async () => {
+      const first = await request(app)
+        .get('/api/urls?limit=1&sortBy=clickCount')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      const { nextCursor } = first.body.data.pagination;
+
+      const next = await request(app)
+        .get(`/api/urls?limit=1&sortBy=clickCount&after=${nextCursor}&includeTotal=true`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(next.body.data.pagination.total).toBe(3);
+
+      await request(app)
+        .get(`/api/urls?limit=1&sortBy=createdAt&after=${nextCursor}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(400);
+    });
+
+    test('should only return the requested fields', async () => {
+      const response = await request(app)
+        .get('/api/urls?fields=shortCode,tags')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+
+      const url = response.body.data.urls.find(u => u.shortCode === 'spring1');
+      expect(Object.keys(url).sort()).toEqual(['_id', 'createdAt', 'shortCode', 'tags']);
+
+      const lifecycle = await request(app)
+        .get('/api/urls?fields=shortCode,domain,activatesAt,maxClicks')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(Object.keys(lifecycle.body.data.urls[0])).toEqual(expect.arrayContaining(['domain', 'activatesAt', 'maxClicks']));
+
+      await request(app)
+        .get('/api/urls?fields=passwordHash')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(400);
+    });
+
+    test('should reject an unknown status', async () => {
+      await request(app)
+        .get('/api/urls?status=archived')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(400);
+    });
+
+  });
+
+  describe('Branded domains', () => {
+
+    const issueKey = async (owner) => {
+      const response = await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: `${owner}-key`, owner })
+        .expect(201);
+      return response.body.data.apiKey;
+    };
+
+    // Registers a domain and publishes its token in a stubbed DNS zone
+    const addVerifiedDomain = async (apiKey, hostname) => {
+      const created = await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', apiKey)
+        .send({ hostname })
+        .expect(201);
+
+      const { txt } = created.body.data.verification;
+      domainVerification.setResolver({
+        resolveTxt: async (name) => (name === txt.name ? [[txt.value]] : [])
+      });
+
+      const verified = await request(app)
+        .post(`/api/domains/${created.body.data.id}/verify`)
+        .set('X-API-Key', apiKey)
+        .send({ method: 'txt' })
+        .expect(200);
+
+      domainVerification.setResolver();
+      return verified.body.data;
+    };
+
+    afterEach(() => {
+      domainVerification.setResolver();
+    });
+
+    beforeEach(async () => {
+      await Url.createIndexes();
+      await Domain.createIndexes();
+    });
+
+    test('should register a domain as pending with verification instructions', async () => {
+      const apiKey = await issueKey('team-a');
+
+      const response = await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', apiKey)
+        .send({ hostname: 'Go.Brand.Test' })
+        .expect(201);
+
+      expect(response.body.data.hostname).toBe('go.brand.test');
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.verification.txt.name).toBe('_shortener-challenge.go.brand.test');
+
+      await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', apiKey)
+        .send({ hostname: 'go.brand.test' })
+        .expect(409);
+    });
+
+    test('should not let a pending claim block the owner who verifies the domain', async () => {
+      const squatterKey = await issueKey('team-squatter');
+      const ownerKey = await issueKey('team-a');
+
+      const claim = await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', squatterKey)
+        .send({ hostname: 'go.brand.test' })
+        .expect(201);
+
+      const domain = await addVerifiedDomain(ownerKey, 'go.brand.test');
+      expect(domain.status).toBe('verified');
+
+      // The hostname is taken now: no new claims, and the old one can't verify
+      await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', squatterKey)
+        .send({ hostname: 'go.brand.test' })
+        .expect(409);
+
+      domainVerification.setResolver({ resolveTxt: async () => [[claim.body.data.verification.txt.value]] });
+      const response = await request(app)
+        .post(`/api/domains/${claim.body.data.id}/verify`)
+        .set('X-API-Key', squatterKey)
+        .send({ method: 'txt' })
+        .expect(409);
+      expect(response.body.message).toMatch(/another owner/);
+    });
+
+    test('should keep a domain pending when the token is missing', async () => {
+      const apiKey = await issueKey('team-a');
+      const created = await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', apiKey)
+        .send({ hostname: 'go.brand.test' })
+        .expect(201);
+
+      domainVerification.setResolver({ resolveTxt: async () => [['something-else']] });
+
+      const response = await request(app)
+        .post(`/api/domains/${created.body.data.id}/verify`)
+        .set('X-API-Key', apiKey)
+        .send({})
+        .expect(422);
+
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.lastError).toMatch(/verification token/);
+    });
+
+    test('should hide domains of other owners', async () => {
+      const ownerKey = await issueKey('team-a');
+      const otherKey = await issueKey('team-b');
+      const domain = await addVerifiedDomain(ownerKey, 'go.brand.test');
+
+      await request(app)
+        .post(`/api/domains/${domain.id}/verify`)
+        .set('X-API-Key', otherKey)
+        .send({})
+        .expect(404);
+
+      const list = await request(app)
+        .get('/api/domains')
+        .set('X-API-Key', otherKey)
+        .expect(200);
+      expect(list.body.data.count).toBe(0);
+
+      await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', otherKey)
+        .send({ originalUrl: 'https://www.example.com', domain: 'go.brand.test' })
+        .expect(400);
+    });
+
+    test('should not bind links to an unverified domain', async () => {
+      const apiKey = await issueKey('team-a');
+      await request(app)
+        .post('/api/domains')
+        .set('X-API-Key', apiKey)
+        .send({ hostname: 'go.brand.test' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://www.example.com', domain: 'go.brand.test' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/not a verified domain/);
+    });
+
+    test('should allow the same alias on different domains', async () => {
+      const apiKey = await issueKey('team-a');
+      await addVerifiedDomain(apiKey, 'go.brand.test');
+
+      const branded = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://brand.example.com/launch', customAlias: 'launch', domain: 'go.brand.test' })
+        .expect(201);
+
+      expect(branded.body.data.domain).toBe('go.brand.test');
+      expect(branded.body.data.shortUrl).toBe('https://go.brand.test/api/launch');
+
+      const plain = await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://www.example.com/launch', customAlias: 'launch' })
+        .expect(201);
+
+      expect(plain.body.data.domain).toBeNull();
+
+      await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://www.example.com/other', customAlias: 'launch', domain: 'go.brand.test' })
+        .expect(400);
+    });
+
+    test('should redirect by Host header', async () => {
+      const apiKey = await issueKey('team-a');
+      await addVerifiedDomain(apiKey, 'go.brand.test');
+
+      await Url.create([
+        { originalUrl: 'https://brand.example.com/launch', shortCode: 'launch', customAlias: 'launch', domain: 'go.brand.test', createdBy: 'team-a' },
+        { originalUrl: 'https://www.example.com/launch', shortCode: 'launch', customAlias: 'launch', createdBy: 'team-a' }
+      ]);
+
+      const branded = await request(app)
+        .get('/api/launch')
+        .set('Host', 'go.brand.test')
+        .expect(301);
+      expect(branded.headers.location).toBe('https://brand.example.com/launch');
+
+      const plain = await request(app)
+        .get('/api/launch')
+        .expect(301);
+      expect(plain.headers.location).toBe('https://www.example.com/launch');
+
+      // Unknown hosts fall back to the service domain
+      const unknown = await request(app)
+        .get('/api/launch')
+        .set('Host', 'unknown.test')
+        .expect(301);
+      expect(unknown.headers.location).toBe('https://www.example.com/launch');
+    });
+
+    test('should look up branded links with the domain query parameter', async () => {
+      const apiKey = await issueKey('team-a');
+      await addVerifiedDomain(apiKey, 'go.brand.test');
+      await Url.create({
+        originalUrl: 'https://brand.example.com/launch',
+        shortCode: 'launch',
+        customAlias: 'launch',
+        domain: 'go.brand.test',
+        createdBy: 'team-a'
+      });
+
+      await request(app)
+        .get('/api/info/launch')
+        .expect(404);
+
+      const response = await request(app)
+        .get('/api/info/launch')
+        .query({ domain: 'go.brand.test' })
+        .expect(200);
+      expect(response.body.data.domain).toBe('go.brand.test');
+    });
+
+    test('should refuse to remove a domain with active links', async () => {
+      const apiKey = await issueKey('team-a');
+      const domain = await addVerifiedDomain(apiKey, 'go.brand.test');
+      await Url.create({
+        originalUrl: 'https://brand.example.com',
+        shortCode: 'brand01',
+        domain: 'go.brand.test',
+        createdBy: 'team-a'
+      });
+
+      await request(app)
+        .delete(`/api/domains/${domain.id}`)
+        .set('X-API-Key', apiKey)
+        .expect(409);
+
+      await Url.updateMany({}, { isActive: false });
+
+      await request(app)
+        .delete(`/api/domains/${domain.id}`)
+        .set('X-API-Key', apiKey)
+        .expect(200);
+      expect(await Domain.countDocuments()).toBe(0);
+    });
+
+  });
+
+  describe('Link health checks', () => {
+
+    let stub;
+    let stubUrl;
+
+    beforeAll(async () => {
+      // Local destinations: /ok answers 200, /gone 404, /moved redirects to /ok
+      stub = http.createServer((req, res) => {
+        if (req.url === '/moved') {
+          res.writeHead(301, { Location: '/ok' });
+        } else {
+          res.writeHead(req.url === '/ok' ? 200 : 404);
+        }
+        res.end();
+      });
+      await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+      stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+      // The stub is on loopback, which the destination policy normally refuses
+      process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+      destinationPolicy.reset();
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => stub.close(resolve));
+      delete process.env.DESTINATION_BLOCK_PRIVATE;
+      destinationPolicy.reset();
+    });
+
+    // Run the checker until links reach the failure threshold
+    const checkRepeatedly = async () => {
+      for (let i = 0; i < linkHealthChecker.FAILURE_THRESHOLD; i++) {
+        await Url.updateMany({}, { $set: { 'health.nextCheckAt': null } });
+        await linkHealthChecker.runOnce();
+      }
+    };
+
+    test('should store status, latency and redirect chain', async () => {
+      await Url.create([
+        { originalUrl: `${stubUrl}/moved`, shortCode: 'moved01', createdBy: 'team-a' },
+        { originalUrl: `${stubUrl}/gone`, shortCode: 'gone001', createdBy: 'team-a' }
+      ]);
+
+      const totals = await linkHealthChecker.runOnce();
+      expect(totals.checked).toBe(2);
+
+      const moved = await Url.findOne({ shortCode: 'moved01' });
+      expect(moved.health.status).toBe('healthy');
+      expect(moved.health.statusCode).toBe(200);
+      expect(moved.health.latencyMs).toBeGreaterThanOrEqual(0);
+      expect(moved.health.redirectChain.map(hop => hop.statusCode)).toEqual([301]);
+      expect(moved.health.nextCheckAt.getTime()).toBeGreaterThan(Date.now());
+
+      // One failure is not enough to call a link broken
+      const gone = await Url.findOne({ shortCode: 'gone001' });
+      expect(gone.health.status).toBe('unknown');
+      expect(gone.health.consecutiveFailures).toBe(1);
+      expect(gone.health.statusCode).toBe(404);
+    });
+
+    test('should drop the result of a probe whose destination was edited meanwhile', async () => {
+      const url = await Url.create({ originalUrl: `${stubUrl}/gone`, shortCode: 'edit001' });
+
+      // What a PATCH of originalUrl does while the old destination is probed
+      await Url.updateOne({ _id: url._id }, { $set: { originalUrl: `${stubUrl}/ok`, health: {} } });
+      const result = await linkHealthChecker.checkLink(url);
+
+      expect(result.status).toBeNull();
+      const stored = await Url.findById(url._id);
+      expect(stored.health.statusCode ?? null).toBeNull();
+      expect(stored.health.consecutiveFailures || 0).toBe(0);
+    });
+
+    test('should list broken links for their owner', async () => {
+      await Url.create([
+        { originalUrl: `${stubUrl}/ok`, shortCode: 'fine001', createdBy: 'admin' },
+        { originalUrl: `${stubUrl}/gone`, shortCode: 'gone001', createdBy: 'admin' },
+        { originalUrl: `${stubUrl}/gone`, shortCode: 'gone002', createdBy: 'team-b' }
+      ]);
+      await checkRepeatedly();
+
+      const response = await request(app)
+        .get('/api/links/broken')
+        .query({ owner: 'admin' })
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+
+      expect(response.body.data.links.map(link => link.shortCode)).toEqual(['gone001']);
+      expect(response.body.data.links[0].health.status).toBe('broken');
+      expect(response.body.data.pagination.total).toBe(1);
+
+      await request(app)
+        .get('/api/links/broken')
+        .expect(401);
+    });
+
+    test('should send visitors to the fallback while the destination is down', async () => {
+      await Url.create([
+        { originalUrl: `${stubUrl}/gone`, shortCode: 'gone001', fallbackUrl: 'https://www.example.com/sorry' },
+        { originalUrl: `${stubUrl}/gone`, shortCode: 'gone002' }
+      ]);
+      await checkRepeatedly();
+      urlCache.clear();
+
+      const response = await request(app)
+        .get('/api/gone001')
+        .expect(302);
+      expect(response.headers.location).toBe('https://www.example.com/sorry');
+      expect(response.headers['cache-control']).toContain('no-store');
+
+      // Without a fallback the visitor still goes to the destination
+      const withoutFallback = await request(app)
+        .get('/api/gone002')
+        .expect(301);
+      expect(withoutFallback.headers.location).toBe(`${stubUrl}/gone`);
+    });
+
+    test('should reset health when the destination is edited', async () => {
+      await Url.create({ originalUrl: `${stubUrl}/gone`, shortCode: 'gone001', createdBy: 'admin' });
+      await checkRepeatedly();
+
+      const response = await request(app)
+        .patch('/api/gone001')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: `${stubUrl}/ok` })
+        .expect(200);
+
+      expect(response.body.data.health.status).toBe('unknown');
+    });
+
+  });
+
+  describe('Destination policy', () => {
+
+    const feedPath = path.join(os.tmpdir(), `redirector-threat-feed-${process.pid}.txt`);
+
+    beforeEach(() => {
+      fs.writeFileSync(feedPath, '# test feed\nphish.example\n0.0.0.0 malware.example\n');
+      process.env.THREAT_FEED_PATHS = feedPath;
+      process.env.DESTINATION_DENYLIST = 'evil.example';
+      destinationPolicy.reset();
+    });
+
+    afterEach(() => {
+      delete process.env.THREAT_FEED_PATHS;
+      delete process.env.DESTINATION_DENYLIST;
+      fs.rmSync(feedPath, { force: true });
+      destinationPolicy.reset();
+    });
+
+    test('should refuse private, listed and looping destinations', async () => {
+      const cases = [
+        ['http://127.0.0.1:8080/admin', 'private_network'],
+        ['http://169.254.169.254/latest/meta-data', 'private_network'],
+        ['https://login.evil.example/account', 'denylist'],
+        ['https://www.phish.example/verify', 'threat_feed'],
+        ['https://go.brand.test/launch', 'redirect_loop']
+      ];
+      await Domain.create({ hostname: 'go.brand.test', owner: 'team-a', verificationToken: 'token', status: 'verified' });
+
+      for (const [originalUrl, reason] of cases) {
+        const response = await request(app)
+          .post('/api/shorten')
+          .send({ originalUrl })
+          .expect(400);
+
+        expect(response.body).toMatchObject({ success: false, field: 'originalUrl', reason });
+        expect(response.body.message).toContain(originalUrl);
+      }
+      expect(await Url.countDocuments()).toBe(0);
+    });
+
+    test('should check fallbacks, targeting rules and variants too', async () => {
+      const response = await request(app)
+        .post('/api/shorten')
+        .send({
+          originalUrl: 'https://www.example.com',
+          variants: [
+            { id: 'a', destination: 'https://www.example.com/a', weight: 50 },
+            { id: 'b', destination: 'https://malware.example/b', weight: 50 }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body).toMatchObject({ field: 'variants.1.destination', reason: 'threat_feed' });
+
+      const bulk = await request(app)
+        .post('/api/shorten/bulk')
+        .send([
+          { originalUrl: 'https://www.example.com/ok' },
+          { originalUrl: 'https://www.example.com/bad-fallback', fallbackUrl: 'https://evil.example' }
+        ])
+        .expect(200);
+
+      expect(bulk.body.data).toMatchObject({ created: 1, failed: 1 });
+      expect(bulk.body.data.results[1].errors[0].field).toBe('fallbackUrl');
+    });
+
+    test('should refuse blocked destinations on edit but allow unrelated edits', async () => {
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'edited1', createdBy: 'admin' });
+
+      const refused = await request(app)
+        .patch('/api/edited1')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ originalUrl: 'https://phish.example/login' })
+        .expect(400);
+      expect(refused.body.reason).toBe('threat_feed');
+      expect((await Url.findOne({ shortCode: 'edited1' })).originalUrl).toBe('https://www.example.com');
+
+      // A link whose destination was listed later can still be retitled
+      await Url.updateOne({ shortCode: 'edited1' }, { originalUrl: 'https://evil.example' });
+      await request(app)
+        .patch('/api/edited1')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ title: 'Renamed' })
+        .expect(200);
+    });
+
+    test('should stop redirecting once a destination is listed', async () => {
+      await Url.create({ originalUrl: 'https://later-bad.example/page', shortCode: 'later01', fallbackUrl: 'https://www.example.com/sorry' });
+
+      await request(app).get('/api/later01').expect(301);
+
+      fs.appendFileSync(feedPath, 'later-bad.example\n');
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(feedPath, future, future);
+      await destinationPolicy.loadFeeds();
+      urlCache.clear();
+
+      // Blocked links do not send visitors to their fallback either
+      const response = await request(app).get('/api/later01').expect(403);
+      expect(response.body).toMatchObject({ success: false, reason: 'blocked' });
+      expect(response.headers['cache-control']).toContain('no-store');
+      expect((await Url.findOne({ shortCode: 'later01' })).clicks).toBe(0);
+    });
+
+    test('should not fall back to a blocked fallback URL', async () => {
+      await Url.create({
+        originalUrl: 'https://www.example.com',
+        shortCode: 'expired1',
+        expiresAt: new Date(Date.now() - 1000),
+        fallbackUrl: 'https://evil.example/offer'
+      });
+
+      const response = await request(app).get('/api/expired1').expect(410);
+      expect(response.body.reason).toBe('expired');
+    });
+
+    test('should report loaded threat feeds in health', async () => {
+      await destinationPolicy.loadFeeds();
+
+      const response = await request(app)
+        .get('/api/health')
+        .expect(200);
+
+      expect(response.body.threatFeeds).toMatchObject({ domains: 2, urls: 0 });
+      expect(response.body.threatFeeds.feeds[0]).toMatchObject({ path: feedPath, domains: 2, error: null });
+    });
+
+  });
+
+  describe('Expiry sweeper', () => {
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const longAgo = () => new Date(Date.now() - 91 * DAY_MS);
+
+    beforeEach(async () => {
+      process.env.LINK_RETENTION_DAYS = '90';
+      await SchedulerLock.deleteMany({});
+    });
+
+    afterEach(async () => {
+      delete process.env.LINK_RETENTION_DAYS;
+      jest.restoreAllMocks();
+      await expirySweeper.stop();
+    });
+
+    test('should switch off expired links and keep them answering as expired', async () => {
+      await Url.create([
+        { originalUrl: 'https://www.example.com/old', shortCode: 'old0001', expiresAt: new Date(Date.now() - 1000) },
+        { originalUrl: 'https://www.example.com/new', shortCode: 'new0001', expiresAt: new Date(Date.now() + DAY_MS) }
+      ]);
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.leader).toBe(true);
+      expect(totals.deactivated).toBe(1);
+
+      const old = await Url.findOne({ shortCode: 'old0001' });
+      expect(old.isActive).toBe(false);
+      expect(old.deactivatedAt).toBeInstanceOf(Date);
+      expect((await Url.findOne({ shortCode: 'new0001' })).isActive).toBe(true);
+
+      const response = await request(app).get('/api/old0001').expect(410);
+      expect(response.body.reason).toBe('expired');
+    });
+
+    test('should switch off a backlog of expired links in batches', async () => {
+      const expiredAt = new Date(Date.now() - DAY_MS);
+      await Url.insertMany(Array.from({ length: 205 }, (_, i) => ({
+        originalUrl: `https://www.example.com/backlog/${i}`,
+        shortCode: `bkl${String(i).padStart(4, '0')}`,
+        expiresAt: expiredAt
+      })));
+      const find = jest.spyOn(Url, 'find');
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.deactivated).toBe(205);
+      expect(await Url.countDocuments({ isActive: true })).toBe(0);
+      // Read in three batches, never all at once
+      expect(find.mock.calls.filter(([filter]) => filter?.isActive === true)).toHaveLength(3);
+    });
+
+    test('should record when a link is switched off', async () => {
+      const url = await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'off0001' });
+      expect(url.deactivatedAt).toBeNull();
+
+      url.isActive = false;
+      await url.save();
+      expect(url.deactivatedAt).toBeInstanceOf(Date);
+
+      url.isActive = true;
+      await url.save();
+      expect(url.deactivatedAt).toBeNull();
+    });
+
+    test('should purge links inactive past the retention period with their analytics', async () => {
+      const spy = jest.spyOn(analyticsService, 'deleteAnalytics').mockResolvedValue({ success: true });
+
+      const [stale, recent] = await Url.create([
+        { originalUrl: 'https://www.example.com/a', shortCode: 'stale01', isActive: false },
+        { originalUrl: 'https://www.example.com/b', shortCode: 'recent1', isActive: false }
+      ]);
+      await Url.updateOne({ _id: stale._id }, { $set: { deactivatedAt: longAgo() } });
+      await UrlRevision.record(stale, [{ field: 'title', from: null, to: 'Old' }], 'admin');
+
+      // Switched off before deactivatedAt existed: updatedAt decides
+      const legacy = await Url.create({ originalUrl: 'https://www.example.com/c', shortCode: 'legacy1', isActive: false });
+      await Url.collection.updateOne({ _id: legacy._id }, { $set: { updatedAt: longAgo() }, $unset: { deactivatedAt: '' } });
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.purged).toBe(2);
+      expect(spy.mock.calls.map(call => call[0]).sort()).toEqual(['legacy1', 'stale01']);
+      expect(await Url.exists({ _id: stale._id })).toBeNull();
+      expect(await Url.exists({ _id: legacy._id })).toBeNull();
+      expect(await Url.exists({ _id: recent._id })).not.toBeNull();
+      expect(await UrlRevision.countDocuments({ url: stale._id })).toBe(0);
+    });
+
+    test('should keep inactive links forever unless a retention period is set', async () => {
+      delete process.env.LINK_RETENTION_DAYS;
+      const spy = jest.spyOn(analyticsService, 'deleteAnalytics').mockResolvedValue({ success: true });
+
+      const url = await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'keep002', isActive: false });
+      await Url.updateOne({ _id: url._id }, { $set: { deactivatedAt: longAgo() } });
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.purged).toBe(0);
+      expect(spy).not.toHaveBeenCalled();
+      expect(await Url.exists({ _id: url._id })).not.toBeNull();
+    });
+
+    test('should keep links whose analytics could not be deleted', async () => {
+      jest.spyOn(analyticsService, 'deleteAnalytics').mockResolvedValue({ success: false, error: 'ECONNREFUSED' });
+
+      const url = await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'keep001', isActive: false });
+      await Url.updateOne({ _id: url._id }, { $set: { deactivatedAt: longAgo() } });
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.purged).toBe(0);
+      expect(totals.failed).toBe(1);
+      expect(await Url.exists({ _id: url._id })).not.toBeNull();
+    });
+
+    test('should leave analytics alone while another domain uses the same code', async () => {
+      const spy = jest.spyOn(analyticsService, 'deleteAnalytics').mockResolvedValue({ success: true });
+
+      const [url] = await Url.create([
+        { originalUrl: 'https://www.example.com/a', shortCode: 'shared1', isActive: false },
+        { originalUrl: 'https://www.example.com/b', shortCode: 'shared1', domain: 'go.brand.test' }
+      ]);
+      await Url.updateOne({ _id: url._id }, { $set: { deactivatedAt: longAgo() } });
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.purged).toBe(1);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should only sweep on the replica holding the lock', async () => {
+      await SchedulerLock.create({ _id: 'expirySweeper', owner: 'other-replica', lockedUntil: new Date(Date.now() + 60000) });
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'old0001', expiresAt: new Date(Date.now() - 1000) });
+
+      const totals = await expirySweeper.runOnce();
+
+      expect(totals.leader).toBe(false);
+      expect((await Url.findOne({ shortCode: 'old0001' })).isActive).toBe(true);
+    });
+
+    test('should take over an expired lock', async () => {
+      await SchedulerLock.create({ _id: 'expirySweeper', owner: 'dead-replica', lockedUntil: new Date(Date.now() - 1000) });
+
+      expect(await SchedulerLock.acquire('expirySweeper', 'me', 60000)).toBe(true);
+      expect(await SchedulerLock.acquire('expirySweeper', 'me', 60000)).toBe(true);
+      expect(await SchedulerLock.acquire('expirySweeper', 'someone-else', 60000)).toBe(false);
+
+      await SchedulerLock.release('expirySweeper', 'me');
+      expect(await SchedulerLock.acquire('expirySweeper', 'someone-else', 60000)).toBe(true);
+    });
+
+  });
+
+  describe('Webhooks', () => {
+
+    let receiver;
+    let receiverUrl;
+    let received;
+    let replyStatus;
+
+    beforeAll(async () => {
+      // Local endpoint that records deliveries and answers with replyStatus
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(replyStatus);
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+      // The receiver listens on loopback
+      process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+    });
+
+    afterAll(async () => {
+      delete process.env.DESTINATION_BLOCK_PRIVATE;
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(async () => {
+      await WebhookSubscription.deleteMany({});
+      await WebhookEvent.deleteMany({});
+      await WebhookDelivery.deleteMany({});
+      await WebhookDelivery.createIndexes();
+      webhookEvents.invalidate();
+      received = [];
+      replyStatus = 200;
+    });
+
+    const issueKey = async (owner) => {
+      const response = await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: `${owner}-key`, owner })
+        .expect(201);
+      return response.body.data.apiKey;
+    };
+
+    const subscribe = async (apiKey, body) => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('X-API-Key', apiKey)
+        .send({ url: receiverUrl, ...body })
+        .expect(201);
+      return response.body.data;
+    };
+
+    // Events are recorded after the response is sent
+    const waitForEvents = async (count) => {
+      for (let i = 0; i < 20; i++) {
+        if (await WebhookEvent.countDocuments() >= count) return;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+    };
+
+    test('should create subscriptions and only show the secret once', async () => {
+      const apiKey = await issueKey('team-a');
+      const created = await subscribe(apiKey, { events: ['link.created'] });
+
+      expect(created.secret).toMatch(/^whsec_/);
+      expect(created.events).toEqual(['link.created']);
+      expect(created.owner).toBe('team-a');
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('X-API-Key', apiKey)
+        .expect(200);
+
+      expect(list.body.data.count).toBe(1);
+      expect(list.body.data.webhooks[0]).not.toHaveProperty('secret');
+
+      const otherKey = await issueKey('team-b');
+      await request(app)
+        .get(`/api/webhooks/${created.id}`)
+        .set('X-API-Key', otherKey)
+        .expect(404);
+    });
+
+    test('should reject unknown events and invalid URLs', async () => {
+      const apiKey = await issueKey('team-a');
+
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('X-API-Key', apiKey)
+        .send({ url: receiverUrl, events: ['link.exploded'] })
+        .expect(400);
+      expect(response.body.errors[0]).toContain('Events must be');
+
+      await request(app)
+        .post('/api/webhooks')
+        .set('X-API-Key', apiKey)
+        .send({ url: 'not-a-url' })
+        .expect(400);
+    });
+
+    test('should refuse endpoints on private networks', async () => {
+      const apiKey = await issueKey('team-a');
+      const { id } = await subscribe(apiKey, { events: ['link.created'] });
+      delete process.env.DESTINATION_BLOCK_PRIVATE;
+
+      try {
+        for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:3002/api/track', 'http://10.0.0.7:27017']) {
+          const response = await request(app)
+            .post('/api/webhooks')
+            .set('X-API-Key', apiKey)
+            .send({ url })
+            .expect(400);
+          expect(response.body).toMatchObject({ field: 'url', reason: 'private_network' });
+        }
+
+        await request(app)
+          .patch(`/api/webhooks/${id}`)
+          .set('X-API-Key', apiKey)
+          .send({ url: 'http://127.0.0.1:3002/hooks' })
+          .expect(400);
+
+        // Created while loopback was allowed: the delivery is refused, not sent
+        await request(app)
+          .post('/api/shorten')
+          .set('X-API-Key', apiKey)
+          .send({ originalUrl: 'https://www.example.com/crm' })
+          .expect(201);
+        await waitForEvents(1);
+        await webhookDispatcher.drain();
+
+        expect(received).toHaveLength(0);
+        const delivery = await WebhookDelivery.findOne({ subscription: id });
+        expect(delivery.lastStatusCode).toBeNull();
+        expect(delivery.lastError).toBe('EPRIVATEADDRESS');
+      } finally {
+        process.env.DESTINATION_BLOCK_PRIVATE = 'false';
+      }
+    });
+
+    test('should deliver signed link.created events to the link owner', async () => {
+      const apiKey = await issueKey('team-a');
+      const { id, secret } = await subscribe(apiKey, { events: ['link.created'] });
+      await subscribe(await issueKey('team-b'), { events: ['*'] });
+
+      await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://www.example.com/crm' })
+        .expect(201);
+      await waitForEvents(1);
+
+      const totals = await webhookDispatcher.drain();
+
+      expect(totals.delivered).toBe(1);
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      expect(headers['x-webhook-event']).toBe('link.created');
+      expect(verifySignature(secret, headers['x-webhook-signature'], body)).toBe(true);
+
+      const payload = JSON.parse(body);
+      expect(payload.id).toBe(headers['x-webhook-id']);
+      expect(payload.data.link.originalUrl).toBe('https://www.example.com/crm');
+
+      const log = await request(app)
+        .get(`/api/webhooks/${id}/deliveries`)
+        .set('X-API-Key', apiKey)
+        .expect(200);
+
+      expect(log.body.data.deliveries[0].status).toBe('delivered');
+      expect(log.body.data.deliveries[0].lastStatusCode).toBe(200);
+    });
+
+    test('should send events for every link to admin subscriptions', async () => {
+      await subscribe(ADMIN_KEY, { events: ['link.created'] });
+
+      await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', await issueKey('team-a'))
+        .send({ originalUrl: 'https://www.example.com/any' })
+        .expect(201);
+      await waitForEvents(1);
+      await webhookDispatcher.drain();
+
+      expect(received).toHaveLength(1);
+    });
+
+    test('should send link.created for links made by a bulk import', async () => {
+      const apiKey = await issueKey('team-a');
+      await subscribe(apiKey, { events: ['link.created'] });
+
+      await request(app)
+        .post('/api/shorten/bulk')
+        .set('X-API-Key', apiKey)
+        .send([
+          { originalUrl: 'https://www.example.com/bulk-one' },
+          { originalUrl: 'not-a-url' },
+          { originalUrl: 'https://www.example.com/bulk-two' }
+        ])
+        .expect(200);
+      await waitForEvents(2);
+      await webhookDispatcher.drain();
+
+      const links = received.map(r => JSON.parse(r.body).data.link.originalUrl).sort();
+      expect(links).toEqual(['https://www.example.com/bulk-one', 'https://www.example.com/bulk-two']);
+    });
+
+    test('should emit link.clicked without the IP address and link.deleted', async () => {
+      await subscribe(ADMIN_KEY, { events: ['link.clicked', 'link.deleted'] });
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'hook001', createdBy: 'admin' });
+
+      await request(app).get('/api/hook001').expect(301);
+      await request(app).delete('/api/hook001').set('X-API-Key', ADMIN_KEY).expect(200);
+      await waitForEvents(2);
+      await webhookDispatcher.drain();
+
+      const types = received.map(r => JSON.parse(r.body).type).sort();
+      expect(types).toEqual(['link.clicked', 'link.deleted']);
+
+      const clicked = received.map(r => JSON.parse(r.body)).find(p => p.type === 'link.clicked');
+      expect(clicked.data.click.shortCode).toBe('hook001');
+      expect(clicked.data.click).not.toHaveProperty('ipAddress');
+      expect(clicked.data.click).not.toHaveProperty('visitorId');
+    });
+
+    test('should route analytics events to the owner of the short code', async () => {
+      const apiKey = await issueKey('team-a');
+      await subscribe(apiKey, { events: ['click.tracked'] });
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'track01', createdBy: 'team-a' });
+
+      // Written by analytics-service, which does not know the owner
+      await WebhookEvent.create({ type: 'click.tracked', shortCode: 'track01', data: { click: { country: 'DE' } } });
+      await webhookDispatcher.drain();
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body).data.click.country).toBe('DE');
+    });
+
+    test('should not record events nobody subscribed to', async () => {
+      await subscribe(ADMIN_KEY, { events: ['link.deleted'] });
+
+      await request(app)
+        .post('/api/shorten')
+        .send({ originalUrl: 'https://www.example.com/quiet' })
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(await WebhookEvent.countDocuments()).toBe(0);
+    });
+
+    test('should retry failures with backoff and dead-letter them', async () => {
+      const apiKey = await issueKey('team-a');
+      const { id } = await subscribe(apiKey, { events: ['link.created'] });
+      replyStatus = 500;
+
+      await request(app)
+        .post('/api/shorten')
+        .set('X-API-Key', apiKey)
+        .send({ originalUrl: 'https://www.example.com/flaky' })
+        .expect(201);
+      await waitForEvents(1);
+      await webhookDispatcher.drain();
+
+      let delivery = await WebhookDelivery.findOne();
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.lastError).toBe('HTTP 500');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Skip ahead to the last attempt
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { attempts: webhookDispatcher.MAX_ATTEMPTS - 1, nextAttemptAt: new Date() } }
+      );
+      await webhookDispatcher.drain();
+
+      delivery = await WebhookDelivery.findById(delivery._id);
+      expect(delivery.status).toBe('dead');
+
+      const dead = await request(app)
+        .get(`/api/webhooks/${id}/deliveries?status=dead`)
+        .set('X-API-Key', apiKey)
+        .expect(200);
+      expect(dead.body.data.pagination.total).toBe(1);
+
+      // Replay from the dead-letter store once the endpoint recovers
+      replyStatus = 204;
+      await request(app)
+        .post(`/api/webhooks/${id}/deliveries/${delivery._id}/retry`)
+        .set('X-API-Key', apiKey)
+        .expect(200);
+      await webhookDispatcher.drain();
+
+      delivery = await WebhookDelivery.findById(delivery._id);
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts).toBe(1);
+
+      await request(app)
+        .post(`/api/webhooks/${id}/deliveries/${delivery._id}/retry`)
+        .set('X-API-Key', apiKey)
+        .expect(409);
+    });
+
+    test('should pause, rotate and delete subscriptions', async () => {
+      const apiKey = await issueKey('team-a');
+      const { id, secret } = await subscribe(apiKey, {});
+
+      const paused = await request(app)
+        .patch(`/api/webhooks/${id}`)
+        .set('X-API-Key', apiKey)
+        .send({ isActive: false, rotateSecret: true })
+        .expect(200);
+
+      expect(paused.body.data.isActive).toBe(false);
+      expect(paused.body.data.secret).toMatch(/^whsec_/);
+      expect(paused.body.data.secret).not.toBe(secret);
+
+      await request(app)
+        .delete(`/api/webhooks/${id}`)
+        .set('X-API-Key', apiKey)
+        .expect(200);
+      expect(await WebhookSubscription.countDocuments()).toBe(0);
+    });
+
+  });
+
+  describe('Rate limiting', () => {
+
+    beforeEach(async () => {
+      process.env.RATE_LIMIT_ENABLED = 'true';
+      await rateLimiter.reset();
+    });
+
+    afterEach(async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      delete process.env.RATE_LIMIT_ALLOWLIST;
+      for (const route of Object.keys(rateLimiter.ROUTE_DEFAULTS)) {
+        rateLimiter.configureRoute(route, null);
+      }
+      rateLimiter.setStore(null);
+      await rateLimiter.reset();
+    });
+
+    const shorten = (apiKey) => {
+      const req = request(app).post('/api/shorten');
+      if (apiKey) req.set('X-API-Key', apiKey);
+      return req.send({ originalUrl: 'https://www.example.com' });
+    };
+
+    test('should report the quota in RateLimit headers', async () => {
+      rateLimiter.configureRoute('shorten', { ip: '5/1m' });
+
+      const response = await shorten().expect(201);
+
+      expect(response.headers['ratelimit-limit']).toBe('5');
+      expect(response.headers['ratelimit-remaining']).toBe('4');
+      expect(response.headers['ratelimit-policy']).toBe('5;w=60');
+      expect(parseInt(response.headers['ratelimit-reset'], 10)).toBeGreaterThan(0);
+    });
+
+    test('should refuse requests over the limit with 429 and Retry-After', async () => {
+      rateLimiter.configureRoute('shorten', { ip: '2/1m' });
+
+      await shorten().expect(201);
+      await shorten().expect(201);
+      const response = await shorten().expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.headers['retry-after']).toBe(String(response.body.retryAfter));
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+      expect(await Url.countDocuments()).toBe(2);
+    });
+
+    test('should give each API key its own budget', async () => {
+      rateLimiter.configureRoute('shorten', { ip: '1/1m', key: '2/1m' });
+      const { body } = await request(app)
+        .post('/api/keys')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: 'limited', owner: 'team-a' })
+        .expect(201);
+
+      await shorten().expect(201);
+      await shorten().expect(429);
+      await shorten(body.data.apiKey).expect(201);
+      await shorten(body.data.apiKey).expect(201);
+      await shorten(body.data.apiKey).expect(429);
+    });
+
+    test('should not limit the admin key or allowlisted callers', async () => {
+      rateLimiter.configureRoute('shorten', { ip: '1/1m' });
+
+      await shorten(ADMIN_KEY).expect(201);
+      await shorten(ADMIN_KEY).expect(201);
+
+      process.env.RATE_LIMIT_ALLOWLIST = '127.0.0.1, ::1';
+      await rateLimiter.reset();
+      await shorten().expect(201);
+      await shorten().expect(201);
+    });
+
+    test('should throttle redirects with a token bucket', async () => {
+      rateLimiter.configureRoute('redirect', { algorithm: 'token', ip: '2/1h' });
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'limited' });
+
+      await request(app).get('/api/limited').expect(301);
+      await request(app).get('/api/limited').expect(301);
+      const response = await request(app).get('/api/limited').expect(429);
+
+      // One token comes back every 30 minutes
+      expect(response.body.retryAfter).toBeGreaterThan(1700);
+      expect(response.body.retryAfter).toBeLessThanOrEqual(1800);
+    });
+
+    test('should share counters between replicas through the Mongo store', async () => {
+      rateLimiter.configureRoute('lookup', { ip: '2/1m' });
+      rateLimiter.setStore(new rateLimiter.MongoStore());
+      await Url.create({ originalUrl: 'https://www.example.com', shortCode: 'shared' });
+
+      await request(app).get('/api/info/shared').expect(200);
+      await request(app).get('/api/info/shared').expect(200);
+      await request(app).get('/api/info/shared').expect(429);
+
+      // A second replica reads the same counters
+      const replica = new rateLimiter.MongoStore();
+      const result = await replica.hit('lookup:ip:203.0.113.9', { limit: 2, windowMs: 60000, algorithm: 'sliding' });
+      expect(result.allowed).toBe(true);
+      expect(await RateLimitCounter.countDocuments()).toBe(2);
+    });
+
+    test('should charge every link of a bulk import', async () => {
+      rateLimiter.configureRoute('bulk_rows', { ip: '3/1m' });
+      const links = (count) => Array.from({ length: count }, (_, i) => ({ originalUrl: `https://www.example.com/${i}` }));
+
+      await request(app).post('/api/shorten/bulk').send(links(2)).expect(200);
+      const refused = await request(app).post('/api/shorten/bulk').send(links(2)).expect(429);
+      expect(refused.body.retryAfter).toBeGreaterThan(0);
+
+      await rateLimiter.reset();
+      const tooLarge = await request(app).post('/api/shorten/bulk').send(links(4)).expect(413);
+      expect(tooLarge.body.success).toBe(false);
+      expect(tooLarge.headers).not.toHaveProperty('retry-after');
+      expect(await Url.countDocuments()).toBe(2);
+    });
+
+    test('should let requests through when limiting is disabled', async () => {
+      rateLimiter.configureRoute('shorten', { ip: '1/1m' });
+      process.env.RATE_LIMIT_ENABLED = 'false';
+
+      await shorten().expect(201);
+      const response = await shorten().expect(201);
+      expect(response.headers).not.toHaveProperty('ratelimit-limit');
+    });
+
+  });
+
   describe('GET /health', () => {
     
     test('should return healthy status', async () => {